@@ -0,0 +1,242 @@
+const { types } = require("pg");
+const pool = require("./db");
+const { hashToken, randomToken } = require("./auth");
+const { getChannel } = require("./channels");
+const { preferencesFor } = require("./reminders");
+const { publishEvent } = require("./events");
+const { toCsv, createZip } = require("./archive");
+const { formatDate } = require("./dates");
+const { logger } = require("./logger");
+
+// Data export and account deletion. The export holds everything stored about
+// the user except credentials. Deletion is requested with the password,
+// confirmed with a token, and carried out once ACCOUNT_DELETION_GRACE_DAYS
+// have passed, until when it can be cancelled. Erasing an account deletes
+// its rows (most through ON DELETE CASCADE), the audit trail and sync
+// tombstones of its record, and its name on other patients' audit entries;
+// care team counterparts are told.
+
+// 0 erases accounts at the next purge
+const configuredGraceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10);
+const ACCOUNT_DELETION_GRACE_DAYS = Number.isNaN(configuredGraceDays) ? 30 : configuredGraceDays;
+const DELETION_CONFIRM_MINUTES = 15;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Each table of the export: file name and query, with $1 the user's id
+const EXPORT_TABLES = {
+    profile: "SELECT id, username, name, role, timezone, totp_enabled_at IS NOT NULL AS two_factor_enabled FROM users WHERE id = $1",
+    medications: "SELECT * FROM medications WHERE user_id = $1 ORDER BY id",
+    medication_doses: "SELECT * FROM medication_doses WHERE user_id = $1 ORDER BY id",
+    medication_refills: "SELECT * FROM medication_refills WHERE user_id = $1 ORDER BY id",
+    daily_tasks: "SELECT * FROM daily_tasks WHERE user_id = $1 ORDER BY id",
+    task_completions: "SELECT * FROM daily_task_completions WHERE user_id = $1 ORDER BY id",
+    appointments: "SELECT * FROM appointments WHERE user_id = $1 ORDER BY id",
+    measurements: "SELECT * FROM measurements WHERE user_id = $1 ORDER BY id",
+    measurement_thresholds: "SELECT * FROM measurement_thresholds WHERE patient_id = $1 ORDER BY type",
+    measurement_alerts: "SELECT * FROM measurement_alerts WHERE patient_id = $1 ORDER BY id",
+    care_team: `SELECT c.id, c.patient_id, p.name AS patient_name, c.caregiver_id, g.name AS caregiver_name, c.scopes, c.expires_at, c.created_at
+                FROM care_team_members c JOIN users p ON p.id = c.patient_id JOIN users g ON g.id = c.caregiver_id
+                WHERE c.patient_id = $1 OR c.caregiver_id = $1 ORDER BY c.id`,
+    care_requests: `SELECT id, patient_id, caregiver_id, scopes, access_expires_at, status, created_at, expires_at, accepted_at,
+                           declined_at, cancelled_at, expired_at, revoked_at, revoked_by
+                    FROM care_requests WHERE patient_id = $1 OR caregiver_id = $1 ORDER BY id`,
+    reminder_preferences: "SELECT * FROM reminder_preferences WHERE user_id = $1",
+    reminders: `SELECT id, patient_id, kind, item_id, channel, title, message, due_at, send_at, status, sent_at
+                FROM reminders WHERE user_id = $1 ORDER BY id`,
+    audit_log: `SELECT a.*, u.name AS actor_name FROM audit_log a LEFT JOIN users u ON u.id = a.actor_id
+                WHERE a.patient_id = $1 ORDER BY a.id`,
+    sessions: "SELECT id, user_agent, created_at, last_used_at, expires_at, revoked_at FROM auth_sessions WHERE user_id = $1 ORDER BY id",
+};
+
+// The export as a ZIP: export.json with every table, and a CSV per table
+const exportArchive = async (userId) => {
+    const tables = {};
+    const columns = {};
+    for (const [name, sql] of Object.entries(EXPORT_TABLES)) {
+        const result = await pool.query(sql, [userId]);
+        // DATE columns come back as midnight Dates; export them as written
+        const dateColumns = result.fields.filter((field) => field.dataTypeID === types.builtins.DATE).map((field) => field.name);
+        tables[name] = result.rows.map((row) => {
+            dateColumns.forEach((column) => {
+                if (row[column]) row[column] = formatDate(row[column]);
+            });
+            return row;
+        });
+        columns[name] = result.fields.map((field) => field.name);
+    }
+
+    const exportedAt = new Date();
+    const { profile, ...records } = tables;
+    const data = { exportedAt, profile: profile[0], ...records };
+
+    return createZip([
+        { name: "export.json", content: JSON.stringify(data, null, 2) },
+        ...Object.keys(tables).map((name) => ({ name: `${name}.csv`, content: toCsv(tables[name], columns[name]) })),
+    ], exportedAt);
+};
+
+const deletionStatus = (row) => {
+    if (!row) return { status: "none" };
+    if (row.confirmed_at) return { status: "scheduled", requestedAt: row.requested_at, confirmedAt: row.confirmed_at, deleteAfter: row.delete_after };
+    if (row.token_expires_at > new Date()) return { status: "pending_confirmation", requestedAt: row.requested_at, confirmBy: row.token_expires_at };
+    return { status: "none" };
+};
+
+const accountDeletion = async (userId) => {
+    const result = await pool.query("SELECT * FROM account_deletions WHERE user_id = $1", [userId]);
+    return deletionStatus(result.rows[0]);
+};
+
+// Start a deletion request, replacing any unconfirmed one; returns the token
+// that confirms it, or null if deletion is already scheduled
+const requestAccountDeletion = async (userId) => {
+    const token = randomToken();
+    const result = await pool.query(
+        `INSERT INTO account_deletions (user_id, token_hash, token_expires_at) VALUES ($1, $2, NOW() + make_interval(mins => $3))
+         ON CONFLICT (user_id) DO UPDATE SET token_hash = EXCLUDED.token_hash, token_expires_at = EXCLUDED.token_expires_at, requested_at = NOW()
+         WHERE account_deletions.confirmed_at IS NULL
+         RETURNING user_id`,
+        [userId, hashToken(token), DELETION_CONFIRM_MINUTES]
+    );
+    if (result.rows.length === 0) return null;
+    return { confirmationToken: token, expiresIn: `${DELETION_CONFIRM_MINUTES}m`, gracePeriodDays: ACCOUNT_DELETION_GRACE_DAYS };
+};
+
+// Confirm a request with its token, scheduling the deletion. Null if the
+// token is wrong or has expired.
+const confirmAccountDeletion = async (userId, token) => {
+    const result = await pool.query(
+        `UPDATE account_deletions SET confirmed_at = NOW(), delete_after = NOW() + make_interval(days => $3)
+         WHERE user_id = $1 AND token_hash = $2 AND confirmed_at IS NULL AND token_expires_at > NOW()
+         RETURNING *`,
+        [userId, hashToken(token), ACCOUNT_DELETION_GRACE_DAYS]
+    );
+    return result.rows.length > 0 ? deletionStatus(result.rows[0]) : null;
+};
+
+// Cancel a pending or scheduled deletion; false if there was none
+const cancelAccountDeletion = async (userId) => {
+    const result = await pool.query("DELETE FROM account_deletions WHERE user_id = $1 RETURNING user_id", [userId]);
+    return result.rows.length > 0;
+};
+
+// Send a one-off message through the user's reminder channel. Failures are
+// logged rather than thrown, like publishEvent.
+const notifyUser = async (userId, message) => {
+    try {
+        const preferences = await preferencesFor(userId);
+        const channel = getChannel(preferences.channel);
+        if (!channel || (channel.requiresTarget && !preferences.target)) {
+            logger.warn(`No way to notify user ${userId} via ${preferences.channel}`);
+            return;
+        }
+        await channel.send(message, preferences.target);
+    } catch (err) {
+        logger.error(`Error notifying user ${userId}`, { error: err.message });
+    }
+};
+
+// Everyone linked to the user: care team links either way, pending care
+// requests, and the legacy counterpart_id and requested_caregiver_id columns
+const counterpartsOf = async (userId) => {
+    const result = await pool.query(
+        `SELECT caregiver_id AS id FROM care_team_members WHERE patient_id = $1
+         UNION SELECT patient_id FROM care_team_members WHERE caregiver_id = $1
+         UNION SELECT caregiver_id FROM care_requests WHERE patient_id = $1 AND status = 'pending' AND caregiver_id IS NOT NULL
+         UNION SELECT patient_id FROM care_requests WHERE caregiver_id = $1 AND status = 'pending'
+         UNION SELECT id FROM users WHERE counterpart_id = $1 OR requested_caregiver_id = $1
+         UNION SELECT unnest(ARRAY[counterpart_id, requested_caregiver_id]) FROM users WHERE id = $1`,
+        [userId]
+    );
+    return result.rows.map((row) => row.id).filter((id) => id !== null && id !== userId);
+};
+
+// Delete the account and everything held about it. Returns false if the user
+// no longer exists.
+const eraseAccount = async (userId) => {
+    const user = (await pool.query("SELECT id, name, role FROM users WHERE id = $1", [userId])).rows[0];
+    if (!user) return false;
+
+    const counterparts = await counterpartsOf(userId);
+
+    // Open caregiver streams drop the patient now; the stored events go with the patient
+    const caregivers = await pool.query("SELECT caregiver_id FROM care_team_members WHERE patient_id = $1", [userId]);
+    for (const { caregiver_id: caregiverId } of caregivers.rows) {
+        await publishEvent({ patientId: userId, actorId: userId, recipientId: caregiverId, type: "care_team.removed" });
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        await client.query("SET LOCAL app.account_erasure = 'on'");
+
+        await client.query("UPDATE users SET counterpart_id = NULL WHERE counterpart_id = $1", [userId]);
+        await client.query("UPDATE users SET requested_caregiver_id = NULL WHERE requested_caregiver_id = $1", [userId]);
+
+        // Patients the user cared for keep a record of the link ending
+        const links = await client.query("DELETE FROM care_team_members WHERE caregiver_id = $1 RETURNING *", [userId]);
+        for (const link of links.rows) {
+            await client.query(
+                `INSERT INTO audit_log (patient_id, actor_id, action, resource_type, resource_id, before)
+                 VALUES ($1, NULL, 'delete', 'care_link', $2, $3)`,
+                [link.patient_id, link.id, link]
+            );
+        }
+
+        const login = await client.query("DELETE FROM users WHERE id = $1 RETURNING username", [userId]);
+        await client.query("DELETE FROM login_attempts WHERE username = $1", [login.rows[0].username]);
+        await client.query("DELETE FROM audit_log WHERE patient_id = $1", [userId]);
+        await client.query("UPDATE audit_log SET actor_id = NULL WHERE actor_id = $1", [userId]);
+        // Care link tombstones stay, so caregivers' clients drop the patient
+        await client.query("DELETE FROM sync_tombstones WHERE patient_id = $1 AND resource_type <> 'care_link'", [userId]);
+        await client.query("UPDATE sync_tombstones SET caregiver_id = NULL WHERE caregiver_id = $1", [userId]);
+
+        await client.query("COMMIT");
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    logger.info(`Account ${userId} erased, notifying ${counterparts.length} care team counterpart(s)`);
+    for (const counterpartId of counterparts) {
+        await notifyUser(counterpartId, {
+            kind: "account_deleted",
+            title: "Care team change",
+            message: `${user.name} has deleted their account and is no longer part of your care team.`,
+        });
+    }
+    return true;
+};
+
+// Erase the accounts whose grace period has passed
+const purgeDeletedAccounts = async () => {
+    const due = await pool.query("SELECT user_id FROM account_deletions WHERE confirmed_at IS NOT NULL AND delete_after <= NOW()");
+    for (const { user_id: userId } of due.rows) {
+        try {
+            await eraseAccount(userId);
+        } catch (err) {
+            logger.error(`Error erasing account ${userId}`, { error: err.message });
+        }
+    }
+};
+
+// Purge now and then every PURGE_INTERVAL_MS; returns a function that stops it
+const startAccountPurge = ({ intervalMs = PURGE_INTERVAL_MS } = {}) => {
+    const run = () => purgeDeletedAccounts().catch((err) => logger.error("Account purge error", { error: err.message }));
+    run();
+    const timer = setInterval(run, intervalMs);
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    ACCOUNT_DELETION_GRACE_DAYS,
+    exportArchive,
+    accountDeletion,
+    requestAccountDeletion,
+    confirmAccountDeletion,
+    cancelAccountDeletion,
+    eraseAccount,
+    startAccountPurge,
+};
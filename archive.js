@@ -0,0 +1,100 @@
+const zlib = require("zlib");
+
+// CSV tables and ZIP archives for data exports. The ZIP writer covers what an
+// export needs (deflated files in one flat folder, no ZIP64), so archives over
+// 4 GB or 65535 files aren't supported.
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return "";
+    let text = value instanceof Date ? value.toISOString() : typeof value === "object" ? JSON.stringify(value) : String(value);
+    if (typeof value === "string" && FORMULA_PREFIX.test(text) && !/^-?\d/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows as RFC 4180 CSV with a header line. `columns` defaults to the keys of
+// the first row, so an empty table still needs them to get a header.
+const toCsv = (rows, columns = rows.length > 0 ? Object.keys(rows[0]) : []) =>
+    [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+        .map((cells) => cells.map(csvCell).join(","))
+        .join("\r\n") + "\r\n";
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time, as ZIP headers store them
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// A ZIP archive of `files` ([{ name, content }], content a string or Buffer)
+const createZip = (files, modifiedAt = new Date()) => {
+    const { time, date } = dosDateTime(modifiedAt);
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name);
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content);
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // Version needed: 2.0 (deflate)
+        local.writeUInt16LE(0x0800, 6); // Names are UTF-8
+        local.writeUInt16LE(8, 8); // Deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        parts.push(local, name, compressed);
+        directory.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+
+    const directorySize = directory.reduce((size, part) => size + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, ...directory, end]);
+};
+
+module.exports = {
+    toCsv,
+    createZip,
+};
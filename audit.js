@@ -0,0 +1,60 @@
+const pool = require("./db");
+const { logger } = require("./logger");
+const { sealJson } = require("./fieldcrypto");
+
+// Append-only audit trail of changes to a patient's record and of caregivers
+// reading it. Entries keep before/after copies of the row so history survives
+// later edits (with encrypted fields encrypted, see fieldcrypto.js); a trigger
+// (migration 010) rejects UPDATE and DELETE on audit_log, except while an
+// account is erased (accounts.js).
+
+const AUDIT_ACTIONS = ["create", "update", "delete", "access"];
+const AUDIT_RESOURCES = [
+    "medication", "medication_dose", "daily_task", "task_completion", "appointment", "care_link", "measurement", "alert_threshold",
+];
+
+// Record an entry. Unlike publishEvent this throws, so a change that can't be
+// audited fails the request instead of going unrecorded. Pass a transaction's
+// client as `db` to record it only if the change commits.
+const recordAudit = async ({ patientId, actorId, action, resourceType, resourceId = null, before = null, after = null }, db = pool) => {
+    await db.query(
+        `INSERT INTO audit_log (patient_id, actor_id, action, resource_type, resource_id, before, after)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [patientId, actorId, action, resourceType, resourceId, sealJson(before), sealJson(after)]
+    );
+};
+
+// Record someone other than the patient reading their data. Failures are only
+// logged; a read shouldn't fail because the trail couldn't be written.
+const recordAccess = (patientId, actorId, resourceType) => {
+    if (Number(patientId) === Number(actorId)) return;
+    recordAudit({ patientId, actorId, action: "access", resourceType })
+        .catch((err) => logger.error("Error recording access", { error: err.message }));
+};
+
+// Middleware form of recordAccess for the patient set by requirePatientAccess
+const auditAccess = (resourceType) => (req, res, next) => {
+    recordAccess(req.patientId, req.userId, resourceType);
+    next();
+};
+
+// A patient's entries in [from, to), newest first, filtered by actor, resource type and actions
+const auditEntries = async (patientId, { from, to, actorId = null, resourceType = null, actions = AUDIT_ACTIONS }) => {
+    const result = await pool.query(
+        `SELECT a.*, u.name AS actor_name FROM audit_log a LEFT JOIN users u ON u.id = a.actor_id
+         WHERE a.patient_id = $1 AND a.created_at >= $2 AND a.created_at < $3
+           AND ($4::int IS NULL OR a.actor_id = $4) AND ($5::text IS NULL OR a.resource_type = $5) AND a.action = ANY($6)
+         ORDER BY a.id DESC`,
+        [patientId, from, to, actorId, resourceType, actions]
+    );
+    return result.rows;
+};
+
+module.exports = {
+    AUDIT_ACTIONS,
+    AUDIT_RESOURCES,
+    recordAudit,
+    recordAccess,
+    auditAccess,
+    auditEntries,
+};
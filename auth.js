@@ -0,0 +1,200 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const pool = require("./db");
+const { logger } = require("./logger");
+const { scopeAllows, careTeamPatients } = require("./careteam");
+
+// Authentication and authorization. Access tokens are short-lived JWTs tied to
+// an auth_sessions row, so logging out or revoking a session takes effect
+// immediately. Refresh tokens are opaque, single use and rotated on every
+// refresh. `authenticate` resolves the user's role and care team once per
+// request; routes then declare their policy with requireRole and
+// requirePatientAccess. Roles listed in TWO_FACTOR_REQUIRED_ROLES (e.g.
+// "caregiver") must use two-factor authentication (see twofactor.js).
+
+const ROLES = ["patient", "caregiver"];
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const PASSWORD_RESET_MINUTES = 30;
+const PASSWORD_MIN_LENGTH = 8;
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || "").split(",").map((role) => role.trim()).filter(Boolean);
+
+const twoFactorRequired = (role) => TWO_FACTOR_REQUIRED_ROLES.includes(role);
+
+// Only hashes of refresh and reset tokens are stored
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+const signAccessToken = (user, sessionId) =>
+    jwt.sign({ userId: user.id, role: user.role, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Access token plus a fresh refresh token for the session
+const issueTokens = async (user, sessionId) => {
+    const refreshToken = randomToken();
+    await pool.query("INSERT INTO refresh_tokens (session_id, token_hash) VALUES ($1, $2)", [sessionId, hashToken(refreshToken)]);
+
+    return {
+        token: signAccessToken(user, sessionId),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+        role: user.role,
+        userId: user.id,
+    };
+};
+
+// Start a session for a user who just proved their password
+const createSession = async (user, userAgent) => {
+    const session = await pool.query(
+        "INSERT INTO auth_sessions (user_id, user_agent, expires_at) VALUES ($1, $2, NOW() + make_interval(days => $3)) RETURNING id",
+        [user.id, userAgent || null, REFRESH_TOKEN_DAYS]
+    );
+    return issueTokens(user, session.rows[0].id);
+};
+
+const revokeSession = async (sessionId, userId) => {
+    const result = await pool.query(
+        "UPDATE auth_sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id",
+        [sessionId, userId]
+    );
+    return result.rows.length > 0;
+};
+
+// Revoke every session of the user, optionally keeping the current one
+const revokeUserSessions = async (userId, exceptSessionId = null) => {
+    await pool.query(
+        "UPDATE auth_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2",
+        [userId, exceptSessionId]
+    );
+};
+
+// Exchange a refresh token for a new token pair. Presenting a token that was
+// already rotated out means it leaked, so the whole session is revoked.
+// Returns null if the token can't be used.
+const refreshSession = async (refreshToken) => {
+    const result = await pool.query(
+        `SELECT t.id, s.id AS session_id, s.revoked_at, s.expires_at > NOW() AS active, u.id AS user_id, u.role
+         FROM refresh_tokens t JOIN auth_sessions s ON s.id = t.session_id JOIN users u ON u.id = s.user_id
+         WHERE t.token_hash = $1`,
+        [hashToken(refreshToken)]
+    );
+    const row = result.rows[0];
+    if (!row || row.revoked_at || !row.active) return null;
+
+    const claimed = await pool.query("UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL RETURNING id", [row.id]);
+    if (claimed.rows.length === 0) {
+        logger.warn(`Refresh token reused, revoking session ${row.session_id}`);
+        await revokeSession(row.session_id, row.user_id);
+        return null;
+    }
+
+    await pool.query("UPDATE auth_sessions SET last_used_at = NOW() WHERE id = $1", [row.session_id]);
+    return issueTokens({ id: row.user_id, role: row.role }, row.session_id);
+};
+
+// Create a one-time password reset token, invalidating any earlier ones
+const createPasswordReset = async (userId) => {
+    const token = randomToken();
+    await pool.query("UPDATE password_resets SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL", [userId]);
+    await pool.query(
+        "INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES ($1, $2, NOW() + make_interval(mins => $3))",
+        [userId, hashToken(token), PASSWORD_RESET_MINUTES]
+    );
+    return token;
+};
+
+// Use up a reset token, returning the user id it was issued for (null if invalid or expired)
+const consumePasswordReset = async (token) => {
+    const result = await pool.query(
+        "UPDATE password_resets SET used_at = NOW() WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW() RETURNING user_id",
+        [hashToken(token)]
+    );
+    return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+// Verify the access token and load the user's role, time zone and care team
+const authenticate = async (req, res, next) => {
+    const token = req.headers["authorization"];
+    if (!token) return res.status(401).json({ error: "Access denied" });
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token.split(" ")[1], process.env.JWT_SECRET);
+    } catch (err) {
+        return res.status(401).json({ error: "Invalid token" });
+    }
+
+    try {
+        const user = await pool.query(
+            `SELECT u.id, u.name, u.role, u.timezone, u.totp_enabled_at FROM auth_sessions s JOIN users u ON u.id = s.user_id
+             WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL AND s.expires_at > NOW()`,
+            [decoded.sid, decoded.userId]
+        );
+        if (user.rows.length === 0) return res.status(401).json({ error: "Session has ended, please log in again" });
+
+        // Sessions from before the policy applied to the account end here
+        if (twoFactorRequired(user.rows[0].role) && !user.rows[0].totp_enabled_at) {
+            return res.status(403).json({
+                error: "Your account must use two-factor authentication. Log in again to set it up",
+                code: "TWO_FACTOR_REQUIRED",
+            });
+        }
+
+        req.user = user.rows[0];
+        req.userId = req.user.id;
+        req.timezone = req.user.timezone;
+        req.sessionId = decoded.sid;
+        req.careTeam = new Map(
+            req.user.role === "caregiver" ? (await careTeamPatients(req.user.id)).map((patient) => [patient.id, patient.scopes]) : []
+        );
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Whether the authenticated user is the patient, or holds `scope` on their care team
+const canAccess = (req, patientId, scope = "read") =>
+    Number(patientId) === req.user.id || scopeAllows(req.careTeam.get(Number(patientId)), scope);
+
+// Policy: only users with one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: `Only ${roles.join(" or ")} accounts can do this` });
+    }
+    next();
+};
+
+// Policy: the patient named by :patientId (or ?patientId=) must be accessible
+// with `scope`. Sets req.patientId for the handler.
+const requirePatientAccess = (scope = "read") => (req, res, next) => {
+    const patientId = Number(req.params.patientId ?? req.query.patientId);
+    if (!Number.isInteger(patientId)) {
+        return res.status(400).json({ error: "Patient ID is required" });
+    }
+    if (!canAccess(req, patientId, scope)) {
+        logger.warn(`User ${req.userId} lacks ${scope} access to patient ${patientId}`);
+        return res.status(403).json({
+            error: scope === "read" ? "Unauthorized access to patient data" : "Unauthorized to modify this patient’s data",
+        });
+    }
+    req.patientId = patientId;
+    next();
+};
+
+module.exports = {
+    ROLES,
+    PASSWORD_MIN_LENGTH,
+    hashToken,
+    randomToken,
+    twoFactorRequired,
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    createPasswordReset,
+    consumePasswordReset,
+    authenticate,
+    canAccess,
+    requireRole,
+    requirePatientAccess,
+};
@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const pool = require("./db");
+const { recordAudit } = require("./audit");
+
+// Care teams: a patient can have several caregivers, each linked through
+// care_team_members with a set of permission scopes and an optional expiry.
+// Any active link allows reading the patient's data; the other scopes allow
+// managing one kind of item.
+//
+// Links are only created when a caregiver accepts a care_requests row: either
+// a request the patient addressed to them, or an invite code they redeemed.
+
+const CARE_SCOPES = ["read", "medications", "tasks", "appointments", "measurements"];
+const FULL_ACCESS = [...CARE_SCOPES];
+
+// SQL condition for a link that hasn't expired, optionally on a table alias
+const activeLink = (alias = "") => `(${alias}expires_at IS NULL OR ${alias}expires_at > NOW())`;
+
+// Validate requested scopes, returning a de-duplicated list that always includes "read".
+// Missing scopes mean full access, as new care requests and invites default to;
+// updates to an existing link keep its scopes instead (updateCareLink).
+const normalizeScopes = (scopes) => {
+    if (scopes === undefined) return FULL_ACCESS;
+    if (!Array.isArray(scopes) || scopes.some((scope) => !CARE_SCOPES.includes(scope))) return null;
+    return CARE_SCOPES.filter((scope) => scope === "read" || scopes.includes(scope));
+};
+
+// Whether a care team link with these scopes allows `scope` (any link allows reading)
+const scopeAllows = (scopes, scope) => Boolean(scopes) && (scope === "read" || scopes.includes(scope));
+
+// Scopes the caregiver currently holds for the patient (null if not on the team)
+const careScopes = async (caregiverId, patientId) => {
+    const result = await pool.query(
+        `SELECT scopes FROM care_team_members WHERE caregiver_id = $1 AND patient_id = $2 AND ${activeLink()}`,
+        [caregiverId, patientId]
+    );
+    return result.rows.length > 0 ? result.rows[0].scopes : null;
+};
+
+// Patients the caregiver is actively linked to
+const careTeamPatients = async (caregiverId) => {
+    const result = await pool.query(
+        `SELECT u.id, u.name, u.timezone, c.scopes, c.expires_at FROM care_team_members c JOIN users u ON u.id = c.patient_id
+         WHERE c.caregiver_id = $1 AND ${activeLink("c.")} ORDER BY u.id`,
+        [caregiverId]
+    );
+    return result.rows;
+};
+
+// Caregivers actively linked to the patient, oldest link first
+const careTeamMembers = async (patientId) => {
+    const result = await pool.query(
+        `SELECT c.caregiver_id, u.name, u.username, c.scopes, c.expires_at, c.created_at
+         FROM care_team_members c JOIN users u ON u.id = c.caregiver_id
+         WHERE c.patient_id = $1 AND ${activeLink("c.")} ORDER BY c.created_at`,
+        [patientId]
+    );
+    return result.rows;
+};
+
+// Caregiver ids actively linked to each of the patients, as a Map of patient id to ids
+const careTeamsByPatient = async (patientIds) => {
+    const result = await pool.query(
+        `SELECT patient_id, caregiver_id FROM care_team_members WHERE patient_id = ANY($1::int[]) AND ${activeLink()}`,
+        [[...new Set(patientIds)]]
+    );
+    const teams = new Map();
+    for (const { patient_id, caregiver_id } of result.rows) {
+        if (!teams.has(patient_id)) teams.set(patient_id, []);
+        teams.get(patient_id).push(caregiver_id);
+    }
+    return teams;
+};
+
+// Add a caregiver to the patient's team, or replace the scopes and expiry of an existing link.
+// Pass a transaction's client as `db` to make it part of the transaction.
+const addCareTeamMember = async (patientId, caregiverId, scopes = FULL_ACCESS, expiresAt = null, db = pool) => {
+    const result = await db.query(
+        `INSERT INTO care_team_members (patient_id, caregiver_id, scopes, expires_at) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (patient_id, caregiver_id) DO UPDATE SET scopes = EXCLUDED.scopes, expires_at = EXCLUDED.expires_at
+         RETURNING *`,
+        [patientId, caregiverId, scopes, expiresAt]
+    );
+    return result.rows[0];
+};
+
+// Change the scopes and/or expiry of the caregiver's link to the patient. Missing
+// scopes keep the link's current ones; an undefined expiresAt keeps its expiry and
+// null removes it. Returns the link before and after, or null if there's no link.
+const updateCareLink = async (patientId, caregiverId, { scopes, expiresAt }) => {
+    const previous = await pool.query(
+        "SELECT * FROM care_team_members WHERE patient_id = $1 AND caregiver_id = $2",
+        [patientId, caregiverId]
+    );
+    if (previous.rows.length === 0) return null;
+
+    const updated = await pool.query(
+        `UPDATE care_team_members SET scopes = COALESCE($1, scopes), expires_at = CASE WHEN $2 THEN $3::timestamptz ELSE expires_at END
+         WHERE patient_id = $4 AND caregiver_id = $5 RETURNING *`,
+        [scopes || null, expiresAt !== undefined, expiresAt || null, patientId, caregiverId]
+    );
+    return { before: previous.rows[0], after: updated.rows[0] };
+};
+
+// Invite codes avoid characters that are easy to misread (0/O, 1/I/L)
+const INVITE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+const generateInviteCode = () =>
+    Array.from(crypto.randomBytes(8), (byte) => INVITE_ALPHABET[byte % INVITE_ALPHABET.length]).join("");
+
+// Mark pending requests and invites past their expiry as expired
+const expireCareRequests = async () => {
+    await pool.query(
+        "UPDATE care_requests SET status = 'expired', expired_at = NOW() WHERE status = 'pending' AND expires_at <= NOW()"
+    );
+};
+
+// Accept a pending request on behalf of the caregiver and create the care
+// team link, both or neither. Returns the accepted request, or null if it was
+// no longer pending.
+const acceptCareRequest = async (requestId, caregiverId) => {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const accepted = await client.query(
+            `UPDATE care_requests SET status = 'accepted', caregiver_id = $2, accepted_at = NOW()
+             WHERE id = $1 AND status = 'pending' AND (caregiver_id IS NULL OR caregiver_id = $2) RETURNING *`,
+            [requestId, caregiverId]
+        );
+        const request = accepted.rows[0];
+        if (!request) {
+            await client.query("ROLLBACK");
+            return null;
+        }
+
+        const link = await addCareTeamMember(request.patient_id, caregiverId, request.scopes, request.access_expires_at, client);
+        await recordAudit({ patientId: request.patient_id, actorId: caregiverId, action: "create", resourceType: "care_link", resourceId: link.id, after: link }, client);
+
+        // counterpart_id still names a primary caregiver for older clients
+        await client.query("UPDATE users SET counterpart_id = COALESCE(counterpart_id, $1) WHERE id = $2", [caregiverId, request.patient_id]);
+        await client.query("COMMIT");
+        return request;
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+// Remove a care team link, recording who revoked it on the accepted request.
+// Returns false if there was no link.
+const revokeCareLink = async (patientId, caregiverId, revokedBy) => {
+    const removed = await pool.query(
+        "DELETE FROM care_team_members WHERE patient_id = $1 AND caregiver_id = $2 RETURNING *",
+        [patientId, caregiverId]
+    );
+    if (removed.rows.length === 0) return false;
+
+    await recordAudit({ patientId, actorId: revokedBy, action: "delete", resourceType: "care_link", resourceId: removed.rows[0].id, before: removed.rows[0] });
+
+    await pool.query(
+        `UPDATE care_requests SET status = 'revoked', revoked_at = NOW(), revoked_by = $3
+         WHERE patient_id = $1 AND caregiver_id = $2 AND status = 'accepted'`,
+        [patientId, caregiverId, revokedBy]
+    );
+    await pool.query("UPDATE users SET counterpart_id = NULL WHERE id = $1 AND counterpart_id = $2", [patientId, caregiverId]);
+    return true;
+};
+
+module.exports = {
+    CARE_SCOPES,
+    FULL_ACCESS,
+    normalizeScopes,
+    scopeAllows,
+    careScopes,
+    careTeamPatients,
+    careTeamMembers,
+    careTeamsByPatient,
+    addCareTeamMember,
+    updateCareLink,
+    generateInviteCode,
+    expireCareRequests,
+    acceptCareRequest,
+    revokeCareLink,
+};
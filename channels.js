@@ -0,0 +1,223 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const nodemailer = require("nodemailer");
+const { logger } = require("./logger");
+
+// Delivery channels for reminders. A channel is { requiresTarget, send(message, target) },
+// optionally with checkTarget(target), which resolves to why a target can't
+// be used (or null) before it is saved. send resolves once the message is
+// delivered and throws on failure so the caller can retry; only the messages
+// of DeliveryErrors are meant to be shown to users. Register additional
+// channels with registerChannel().
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// A delivery failure whose message is safe to show the user, unlike errors
+// from the network or a remote server
+class DeliveryError extends Error {}
+
+// Logs that a reminder (or other message) went out, and writes it in full to
+// REMINDER_LOG_FILE as JSON lines when set. The log line leaves out the text,
+// which carries health details and reset codes.
+const logChannel = {
+    requiresTarget: false,
+    async send(message) {
+        const line = JSON.stringify({ sentAt: new Date().toISOString(), ...message });
+        logger.info("Message sent to the log channel", { kind: message.kind, reminderId: message.id, patientId: message.patientId });
+        if (process.env.REMINDER_LOG_FILE) {
+            await fs.promises.appendFile(process.env.REMINDER_LOG_FILE, `${line}\n`);
+        }
+    },
+};
+
+// Sign a webhook body so receivers can verify it came from us:
+// hex HMAC-SHA256 of "<timestamp>.<body>" keyed with REMINDER_WEBHOOK_SECRET.
+// An empty key would let anyone forge signatures, so without a secret there's
+// no signing and webhooks can't be registered or sent to.
+const signWebhook = (timestamp, body) => {
+    if (!process.env.REMINDER_WEBHOOK_SECRET) throw new Error("REMINDER_WEBHOOK_SECRET is not configured");
+    return crypto.createHmac("sha256", process.env.REMINDER_WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest("hex");
+};
+
+// Webhooks are fetched from inside the server, so they may only reach public
+// addresses: not loopback, private, shared, link-local (which holds cloud
+// metadata services at 169.254.169.254), multicast or reserved ranges.
+// Hosts listed in REMINDER_WEBHOOK_ALLOWED_HOSTS (comma separated) are
+// trusted by the operator and may be internal; when it is set, no other
+// host is allowed.
+const blockedAddresses = new net.BlockList();
+[
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+    ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24], ["203.0.113.0", 24],
+    ["224.0.0.0", 4], ["240.0.0.0", 4],
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, "ipv4"));
+[
+    ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["100::", 64], ["2001:db8::", 32], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, "ipv6"));
+
+const isPublicAddress = (address) => {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isPublicAddress(mapped[1]);
+    if (net.isIPv4(address)) return !blockedAddresses.check(address, "ipv4");
+    if (net.isIPv6(address)) return !blockedAddresses.check(address, "ipv6");
+    return false;
+};
+
+const allowedWebhookHosts = () =>
+    (process.env.REMINDER_WEBHOOK_ALLOWED_HOSTS || "").split(",").map((host) => host.trim().toLowerCase()).filter(Boolean);
+
+// URL hostnames keep IPv6 literals in brackets
+const bareHostname = (url) => url.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+
+// dns.lookup, failing when the host resolves to any address a webhook may
+// not reach. Used for the connection itself, so a host can't resolve to a
+// public address when checked and a private one when fetched.
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        if (addresses.some(({ address }) => !isPublicAddress(address))) {
+            return callback(new DeliveryError("Webhook target resolves to an address that isn't allowed"));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// Why a webhook URL can't be used, or null if it can
+const checkWebhookTarget = async (target) => {
+    if (!process.env.REMINDER_WEBHOOK_SECRET) {
+        logger.error("Webhooks are disabled: REMINDER_WEBHOOK_SECRET is not configured");
+        return "Webhooks are not available on this server";
+    }
+
+    let url;
+    try {
+        url = new URL(target);
+    } catch (err) {
+        return "Webhook target must be an http(s) URL";
+    }
+    if (!["http:", "https:"].includes(url.protocol)) return "Webhook target must be an http(s) URL";
+
+    const hostname = bareHostname(url);
+    const allowedHosts = allowedWebhookHosts();
+    if (allowedHosts.includes(hostname)) return null;
+    if (allowedHosts.length > 0) return "Webhook target host is not allowed";
+
+    if (net.isIP(hostname)) {
+        return isPublicAddress(hostname) ? null : "Webhook target address is not allowed";
+    }
+    try {
+        await new Promise((resolve, reject) => publicLookup(hostname, {}, (err) => (err ? reject(err) : resolve())));
+        return null;
+    } catch (err) {
+        return err instanceof DeliveryError ? err.message : "Webhook target host can't be found";
+    }
+};
+
+// POST a body to a checked webhook URL, resolving to the response status.
+// Redirects aren't followed, since they could lead anywhere.
+const postWebhook = (url, headers, body) =>
+    new Promise((resolve, reject) => {
+        const request = (url.protocol === "https:" ? https : http).request(url, {
+            method: "POST",
+            headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+            lookup: allowedWebhookHosts().includes(bareHostname(url)) ? undefined : publicLookup,
+            timeout: WEBHOOK_TIMEOUT_MS,
+        }, (response) => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on("timeout", () => request.destroy(new Error(`Webhook timed out after ${WEBHOOK_TIMEOUT_MS}ms`)));
+        request.on("error", reject);
+        request.end(body);
+    });
+
+const webhookChannel = {
+    requiresTarget: true,
+    checkTarget: checkWebhookTarget,
+    async send(message, target) {
+        // Checked again here: targets are copied onto queued reminders, and
+        // DNS or the allowlist may have changed since they were saved
+        const targetError = await checkWebhookTarget(target);
+        if (targetError) throw new DeliveryError(targetError);
+
+        const body = JSON.stringify(message);
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+
+        let status;
+        try {
+            status = await postWebhook(new URL(target), {
+                "Content-Type": "application/json",
+                "X-Reminder-Timestamp": timestamp,
+                "X-Reminder-Signature": `sha256=${signWebhook(timestamp, body)}`,
+            }, body);
+        } catch (err) {
+            if (err instanceof DeliveryError) throw err;
+            logger.warn("Webhook request failed", { error: err.message, code: err.code });
+            throw new DeliveryError("Webhook could not be reached");
+        }
+
+        if (status < 200 || status >= 300) {
+            logger.warn(`Webhook responded with ${status}`);
+            throw new DeliveryError("Webhook did not accept the reminder");
+        }
+    },
+};
+
+let transporter = null;
+
+// SMTP email, configured through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_FROM
+const emailChannel = {
+    requiresTarget: true,
+    async send(message, address) {
+        if (!process.env.SMTP_HOST) {
+            throw new Error("SMTP_HOST is not configured");
+        }
+
+        if (!transporter) {
+            const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+            transporter = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: port === 465,
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+            });
+        }
+
+        await transporter.sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to: address,
+            subject: message.title,
+            text: message.message,
+        });
+    },
+};
+
+const channels = {
+    log: logChannel,
+    webhook: webhookChannel,
+    email: emailChannel,
+};
+
+const registerChannel = (name, channel) => {
+    channels[name] = channel;
+};
+
+// Only registered channels: names like "constructor" aren't channels
+const getChannel = (name) => (Object.hasOwn(channels, name) ? channels[name] : undefined);
+
+const channelNames = () => Object.keys(channels);
+
+module.exports = {
+    DeliveryError,
+    isPublicAddress,
+    checkWebhookTarget,
+    signWebhook,
+    registerChannel,
+    getChannel,
+    channelNames,
+};
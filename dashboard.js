@@ -0,0 +1,205 @@
+const pool = require("./db");
+const { formatDate, formatDateTime, startOfDay, addDays } = require("./dates");
+const { taskRRule, expandOccurrences } = require("./recurrence");
+const { withDoseState } = require("./doses");
+const { careTeamPatients, expireCareRequests } = require("./careteam");
+const { DEFAULT_TIMEZONE, wallClock, localize } = require("./timezones");
+
+// The caregiver home screen: for every patient on the caregiver's care team,
+// today's doses, task occurrences and appointments, what is overdue today,
+// what was missed over the last few days, and the next appointment; plus the
+// care requests waiting for the caregiver. Everything is read for all patients
+// at once, so the number of queries doesn't grow with the care team. "Today"
+// is each patient's own day, in their time zone; times are also rendered in
+// the caregiver's zone (see timezones.js).
+
+// How far back unfinished doses and tasks are reported as missed
+const MISSED_LOOKBACK_DAYS = parseInt(process.env.MISSED_LOOKBACK_DAYS, 10) || 7;
+
+// Expand the daily tasks of the given patients into occurrences within
+// [from, to), with completion state. Returns a Map of patient id to
+// occurrences in time order.
+const taskOccurrencesByPatient = async (patientIds, { from, to }) => {
+    const tasks = await pool.query("SELECT * FROM daily_tasks WHERE user_id = ANY($1::int[]) ORDER BY id", [patientIds]);
+    const completions = await pool.query(
+        "SELECT * FROM daily_task_completions WHERE user_id = ANY($1::int[]) AND occurrence_at >= $2 AND occurrence_at < $3",
+        [patientIds, from, to]
+    );
+
+    const completionsByKey = new Map(
+        completions.rows.map((completion) => [`${completion.task_id} ${formatDateTime(completion.occurrence_at)}`, completion])
+    );
+
+    const byPatient = new Map(patientIds.map((patientId) => [Number(patientId), []]));
+    for (const task of tasks.rows) {
+        if (!task.time) continue;
+
+        const times = expandOccurrences(
+            { start: task.time, rrule: taskRRule(task), exceptionDates: task.exception_dates },
+            from,
+            to
+        );
+
+        for (const time of times) {
+            const occurrenceAt = formatDateTime(time);
+            const completion = completionsByKey.get(`${task.id} ${occurrenceAt}`);
+            byPatient.get(task.user_id).push({
+                taskId: task.id,
+                name: task.name,
+                location: task.location,
+                occurrenceAt,
+                completed: Boolean(completion),
+                completedAt: completion ? formatDateTime(completion.completed_at) : null,
+                completedBy: completion ? completion.completed_by : null,
+            });
+        }
+    }
+
+    for (const occurrences of byPatient.values()) {
+        occurrences.sort((a, b) => a.occurrenceAt.localeCompare(b.occurrenceAt) || a.taskId - b.taskId);
+    }
+    return byPatient;
+};
+
+const groupBy = (rows, key) => {
+    const groups = new Map();
+    for (const row of rows) {
+        if (!groups.has(row[key])) groups.set(row[key], []);
+        groups.get(row[key]).push(row);
+    }
+    return groups;
+};
+
+// Split one patient's doses and task occurrences since the lookback start
+// into today's agenda, today's overdue items and earlier missed ones. A dose
+// is overdue once its time has passed, before its grace period makes it
+// missed; skipped doses are never overdue or missed.
+const patientAgenda = (doses, occurrences, appointments, today, now) => {
+    const todayText = formatDate(today);
+    const nowText = formatDateTime(now);
+    const isToday = (time) => time.startsWith(todayText);
+
+    const agendaDoses = doses.filter((dose) => isToday(dose.scheduled_at));
+    const agendaTasks = occurrences.filter((occurrence) => isToday(occurrence.occurrenceAt)).map((occurrence) => ({
+        ...occurrence,
+        state: occurrence.completed ? "completed" : occurrence.occurrenceAt < nowText ? "overdue" : "upcoming",
+    }));
+    const undone = (dose) => dose.state === "missed" || (dose.state === "upcoming" && dose.scheduled_at < nowText);
+
+    const overdue = {
+        doses: agendaDoses.filter(undone),
+        tasks: agendaTasks.filter((occurrence) => occurrence.state === "overdue"),
+    };
+    const missed = {
+        doses: doses.filter((dose) => !isToday(dose.scheduled_at) && dose.state === "missed"),
+        tasks: occurrences.filter((occurrence) => !isToday(occurrence.occurrenceAt) && !occurrence.completed),
+    };
+    const todaysAppointments = appointments.filter((appointment) => formatDate(appointment.date) === todayText);
+
+    return {
+        today: { doses: agendaDoses, tasks: agendaTasks, appointments: todaysAppointments },
+        overdue,
+        missed,
+        nextAppointment: appointments[0] || null,
+        summary: {
+            dosesDue: agendaDoses.length,
+            dosesTaken: agendaDoses.filter((dose) => dose.state === "taken" || dose.state === "late").length,
+            tasksDue: agendaTasks.length,
+            tasksCompleted: agendaTasks.filter((occurrence) => occurrence.completed).length,
+            appointments: todaysAppointments.length,
+            overdue: overdue.doses.length + overdue.tasks.length,
+            missed: missed.doses.length + missed.tasks.length,
+        },
+    };
+};
+
+// The dashboard of a caregiver in `viewerZone`. Dose schedules must already
+// be written (see ensureDoseSchedules in server.js).
+const caregiverDashboard = async (caregiverId, viewerZone = DEFAULT_TIMEZONE, now = new Date()) => {
+    const patients = (await careTeamPatients(caregiverId)).map((patient) => {
+        const timezone = patient.timezone || DEFAULT_TIMEZONE;
+        const today = startOfDay(wallClock(now, timezone));
+        return { ...patient, timezone, today, tomorrow: addDays(today, 1), since: addDays(today, -MISSED_LOOKBACK_DAYS) };
+    });
+    const patientIds = patients.map((patient) => patient.id);
+
+    // One window covering every patient's days; each patient's part is picked out below
+    const viewerNow = wallClock(now, viewerZone);
+    const since = new Date(Math.min(viewerNow, ...patients.map((patient) => patient.since)));
+    const until = new Date(Math.max(viewerNow, ...patients.map((patient) => patient.tomorrow)));
+
+    const doses = await pool.query(
+        `SELECT d.*, m.name AS medication_name, m.dosage FROM medication_doses d JOIN medications m ON m.id = d.medication_id
+         WHERE d.user_id = ANY($1::int[]) AND d.scheduled_at >= $2 AND d.scheduled_at < $3 ORDER BY d.scheduled_at, d.id`,
+        [patientIds, since, until]
+    );
+    const occurrences = await taskOccurrencesByPatient(patientIds, { from: since, to: until });
+
+    // Today's appointments, and each patient's first one from their today on
+    const appointments = await pool.query(
+        `SELECT id, user_id, title, date, description, starts_at_utc FROM (
+             SELECT a.*, ROW_NUMBER() OVER (PARTITION BY a.user_id ORDER BY a.date, a.id) AS position, p.today
+             FROM appointments a JOIN unnest($1::int[], $2::date[]) AS p(user_id, today) ON p.user_id = a.user_id
+             WHERE a.date >= p.today
+         ) upcoming WHERE date = today OR position = 1 ORDER BY date, id`,
+        [patientIds, patients.map((patient) => formatDate(patient.today))]
+    );
+
+    await expireCareRequests();
+    const pendingRequests = await pool.query(
+        `SELECT r.id, r.patient_id, u.name AS patient_name, r.scopes, r.created_at, r.expires_at
+         FROM care_requests r JOIN users u ON u.id = r.patient_id
+         WHERE r.caregiver_id = $1 AND r.status = 'pending' ORDER BY r.created_at`,
+        [caregiverId]
+    );
+
+    const dosesByPatient = groupBy(doses.rows.map((dose) => withDoseState(dose, now)), "user_id");
+    const appointmentsByPatient = groupBy(appointments.rows, "user_id");
+
+    const agendas = await Promise.all(patients.map(async (patient) => {
+        const sinceText = formatDateTime(patient.since);
+        const tomorrowText = formatDateTime(patient.tomorrow);
+        const inWindow = (time) => time >= sinceText && time < tomorrowText;
+
+        const agenda = patientAgenda(
+            (dosesByPatient.get(patient.id) || []).filter((dose) => inWindow(dose.scheduled_at)),
+            occurrences.get(patient.id).filter((occurrence) => inWindow(occurrence.occurrenceAt)),
+            appointmentsByPatient.get(patient.id) || [],
+            patient.today,
+            wallClock(now, patient.timezone)
+        );
+        const render = (kind, items) => localize(kind, items, viewerZone, patient.timezone);
+
+        return {
+            patientId: patient.id,
+            name: patient.name,
+            scopes: patient.scopes,
+            expiresAt: patient.expires_at,
+            timezone: patient.timezone,
+            date: formatDate(patient.today),
+            today: {
+                doses: await render("dose", agenda.today.doses),
+                tasks: await render("occurrence", agenda.today.tasks),
+                appointments: await render("appointment", agenda.today.appointments),
+            },
+            overdue: { doses: await render("dose", agenda.overdue.doses), tasks: await render("occurrence", agenda.overdue.tasks) },
+            missed: { doses: await render("dose", agenda.missed.doses), tasks: await render("occurrence", agenda.missed.tasks) },
+            nextAppointment: agenda.nextAppointment ? await render("appointment", agenda.nextAppointment) : null,
+            summary: agenda.summary,
+        };
+    }));
+
+    return {
+        date: formatDate(viewerNow),
+        generatedAt: formatDateTime(viewerNow),
+        timezone: viewerZone,
+        patients: agendas,
+        pendingRequests: pendingRequests.rows,
+    };
+};
+
+module.exports = {
+    MISSED_LOOKBACK_DAYS,
+    taskOccurrencesByPatient,
+    caregiverDashboard,
+};
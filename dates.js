@@ -0,0 +1,80 @@
+// Helpers for the naive "YYYY-MM-DD HH:mm:ss" wall-clock values we store in
+// TIMESTAMP columns. pg hands those columns back as Dates in server-local time,
+// so everything here works on local Date fields.
+
+// Local fields can only hold every wall clock in a zone without DST gaps, and
+// pg reads and writes TIMESTAMP columns in the process's zone, so the process
+// must run in UTC. The entry points (server.js, seed.js, reencrypt.js) set TZ
+// on their first line, before anything reads the clock.
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_REGEX = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const formatDate = (date) =>
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const formatDateTime = (date) =>
+    `${formatDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+// Parse "YYYY-MM-DD" or "YYYY-MM-DD HH:mm:ss" into a local Date (null if invalid)
+const parseDateTime = (value) => {
+    if (typeof value !== "string" || !(DATE_REGEX.test(value) || DATE_TIME_REGEX.test(value))) return null;
+
+    const [datePart, timePart = "00:00:00"] = value.split(" ");
+    const [year, month, day] = datePart.split("-").map(Number);
+    const [hours, minutes, seconds] = timePart.split(":").map(Number);
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+
+    // Reject values like 2024-02-31 that Date silently rolls over
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    return date;
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+// Read ?from=YYYY-MM-DD&to=YYYY-MM-DD into a half-open [from, to) range.
+// Both bounds are optional; `to` is inclusive of the whole day it names.
+// `now` is the wall clock the defaults count from (the patient's, see timezones.js).
+const parseDateRange = (query, { pastDays = 30, futureDays = 0, maxDays = 366, now = new Date() } = {}) => {
+    const today = startOfDay(now);
+    let from = addDays(today, -pastDays);
+    let to = addDays(today, futureDays + 1);
+
+    if (query.from !== undefined) {
+        from = DATE_REGEX.test(query.from) ? parseDateTime(query.from) : null;
+        if (!from) return { error: "Invalid 'from' date. Expected YYYY-MM-DD" };
+    }
+    if (query.to !== undefined) {
+        const toDay = DATE_REGEX.test(query.to) ? parseDateTime(query.to) : null;
+        if (!toDay) return { error: "Invalid 'to' date. Expected YYYY-MM-DD" };
+        to = addDays(toDay, 1);
+    }
+
+    if (from >= to) return { error: "'from' must not be after 'to'" };
+    if (to - from > maxDays * 86400000) return { error: `Date range cannot exceed ${maxDays} days` };
+
+    return { from, to };
+};
+
+module.exports = {
+    DATE_REGEX,
+    DATE_TIME_REGEX,
+    formatDate,
+    formatDateTime,
+    parseDateTime,
+    startOfDay,
+    addDays,
+    addMinutes,
+    parseDateRange,
+};
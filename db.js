@@ -1,9 +1,38 @@
 require("dotenv").config();
-const { Pool } = require("pg");
+const { Pool, types } = require("pg");
+const { logger } = require("./logger");
+const { open } = require("./fieldcrypto");
+
+// Return NUMERIC columns (medication quantities) as numbers rather than strings
+types.setTypeParser(types.builtins.NUMERIC, parseFloat);
+
+// Decrypt encrypted fields (fieldcrypto.js) as they are read, including copies
+// inside JSON columns. A value that can't be decrypted is returned as stored,
+// so one bad value (or plain text that looks encrypted) doesn't fail every
+// query that reads it.
+const openText = (value) => {
+    try {
+        return open(value);
+    } catch (err) {
+        logger.error("Error decrypting a field", { error: err.message });
+        return value;
+    }
+};
+const openJsonText = (key, value) => (typeof value === "string" ? openText(value) : value);
+types.setTypeParser(types.builtins.TEXT, openText);
+types.setTypeParser(types.builtins.VARCHAR, openText);
+types.setTypeParser(types.builtins.JSON, (text) => JSON.parse(text, openJsonText));
+types.setTypeParser(types.builtins.JSONB, (text) => JSON.parse(text, openJsonText));
 
 const pool = new Pool({
     connectionString: process.env.DATABASE_URL,
     ssl: process.env.DATABASE_URL.includes("railway") ? false : { rejectUnauthorized: false },
 });
 
+// A connection dropped while idle in the pool; the pool replaces it, so log
+// rather than let the error take the process down
+pool.on("error", (err) => {
+    logger.error("Idle database connection failed", { error: err.message });
+});
+
 module.exports = pool;
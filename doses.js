@@ -0,0 +1,154 @@
+const { formatDate, formatDateTime, parseDateTime, addDays, addMinutes } = require("./dates");
+
+// Doses still pending this long after their scheduled time count as missed
+const DOSE_GRACE_MINUTES = parseInt(process.env.DOSE_GRACE_MINUTES, 10) || 60;
+
+// Medications without a parseable duration get this many days scheduled
+const DEFAULT_SCHEDULE_DAYS = 30;
+const MAX_SCHEDULE_DAYS = 366;
+
+const DOSE_STATUSES = ["pending", "taken", "skipped", "late"];
+
+const DURATION_UNITS = {
+    d: 1, day: 1, days: 1,
+    w: 7, week: 7, weeks: 7,
+    m: 30, month: 30, months: 30,
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Parse a medication `time` such as "08:00", "8pm" or "08:00, 20:00" into
+// sorted "HH:mm:ss" strings. Returns null if any part is unreadable.
+const parseDoseTimes = (time) => {
+    if (time === undefined || time === null || String(time).trim() === "") return null;
+
+    const times = new Set();
+    for (const part of String(time).split(/[,;]/)) {
+        const match = part.trim().match(/^(?:\d{4}-\d{2}-\d{2}[ T])?(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*(am|pm)?$/i);
+        if (!match) return null;
+
+        let hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2] || "0", 10);
+        const meridiem = match[3] && match[3].toLowerCase();
+
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return null;
+            hours = (hours % 12) + (meridiem === "pm" ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59) return null;
+
+        times.add(`${pad(hours)}:${pad(minutes)}:00`);
+    }
+    return [...times].sort();
+};
+
+// Parse a medication `duration` such as 7, "10 days" or "2 weeks" into days
+const parseDurationDays = (duration) => {
+    if (duration === undefined || duration === null || String(duration).trim() === "") return null;
+
+    const match = String(duration).trim().toLowerCase().match(/^(\d+)\s*([a-z]*)$/);
+    if (!match) return null;
+
+    const unit = DURATION_UNITS[match[2] || "days"];
+    return unit ? parseInt(match[1], 10) * unit : null;
+};
+
+// Resolve a medication row into its daily dose times, first day and number
+// of days. Returns null when the row's `time` cannot be read.
+const medicationSchedule = (medication) => {
+    const times = parseDoseTimes(medication.time);
+    if (!times) return null;
+
+    const start = medication.start_date instanceof Date
+        ? medication.start_date
+        : parseDateTime(medication.start_date || formatDate(new Date()));
+    const days = Math.min(parseDurationDays(medication.duration) || DEFAULT_SCHEDULE_DAYS, MAX_SCHEDULE_DAYS);
+
+    return { times, start, days };
+};
+
+// Expand a medication row into the "YYYY-MM-DD HH:mm:ss" times of every dose
+const buildDoseSchedule = (medication) => {
+    const spec = medicationSchedule(medication);
+    if (!spec) return [];
+
+    const { times, start, days } = spec;
+    const schedule = [];
+    for (let i = 0; i < days; i++) {
+        const day = formatDate(addDays(start, i));
+        for (const t of times) schedule.push(`${day} ${t}`);
+    }
+    return schedule;
+};
+
+// Where a dose stands right now: taken, late, skipped, missed or upcoming.
+// The grace period runs from the instant the dose was due (scheduled_at_utc)
+// when the row has it.
+const doseState = (dose, now = new Date()) => {
+    if (dose.status !== "pending") return dose.status;
+    return addMinutes(dose.scheduled_at_utc || dose.scheduled_at, DOSE_GRACE_MINUTES) < now ? "missed" : "upcoming";
+};
+
+const withDoseState = (dose, now = new Date()) => ({
+    ...dose,
+    scheduled_at: formatDateTime(dose.scheduled_at),
+    taken_at: dose.taken_at ? formatDateTime(dose.taken_at) : null,
+    state: doseState(dose, now),
+});
+
+// Summarize adherence over a list of dose rows. Upcoming doses are reported
+// but left out of the percentage; a day counts towards a streak only when
+// every dose due that day was taken (on time or late).
+const summarizeAdherence = (doses, now = new Date()) => {
+    const summary = { scheduled: 0, taken: 0, late: 0, skipped: 0, missed: 0, upcoming: 0 };
+    const days = new Map();
+    const missedDoses = [];
+
+    const sorted = [...doses].sort((a, b) => a.scheduled_at - b.scheduled_at);
+    for (const dose of sorted) {
+        const state = doseState(dose, now);
+        summary[state]++;
+        if (state === "upcoming") continue;
+
+        summary.scheduled++;
+        const day = formatDate(dose.scheduled_at);
+        const adherent = state === "taken" || state === "late";
+        days.set(day, (days.has(day) ? days.get(day) : true) && adherent);
+
+        if (state === "missed") {
+            missedDoses.push({
+                doseId: dose.id,
+                medicationId: dose.medication_id,
+                scheduledAt: formatDateTime(dose.scheduled_at),
+            });
+        }
+    }
+
+    let currentStreak = 0;
+    let longestStreak = 0;
+    for (const adherent of days.values()) {
+        currentStreak = adherent ? currentStreak + 1 : 0;
+        longestStreak = Math.max(longestStreak, currentStreak);
+    }
+
+    const completed = summary.taken + summary.late;
+    return {
+        ...summary,
+        adherencePercent: summary.scheduled ? Math.round((completed / summary.scheduled) * 1000) / 10 : null,
+        currentStreak,
+        longestStreak,
+        missedDoses,
+    };
+};
+
+module.exports = {
+    DOSE_GRACE_MINUTES,
+    DOSE_STATUSES,
+    parseDoseTimes,
+    parseDurationDays,
+    medicationSchedule,
+    buildDoseSchedule,
+    doseState,
+    withDoseState,
+    summarizeAdherence,
+};
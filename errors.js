@@ -0,0 +1,62 @@
+const { logger } = require("./logger");
+
+// Every error response uses one envelope: { error, code, details? }. `error`
+// is a readable message, `code` a stable machine-readable string, and
+// `details` lists field-level problems for VALIDATION_FAILED.
+
+const STATUS_CODES = {
+    400: "BAD_REQUEST",
+    401: "UNAUTHORIZED",
+    403: "FORBIDDEN",
+    404: "NOT_FOUND",
+    409: "CONFLICT",
+    410: "GONE",
+    413: "PAYLOAD_TOO_LARGE",
+    429: "TOO_MANY_REQUESTS",
+    500: "INTERNAL_ERROR",
+    503: "SERVICE_UNAVAILABLE",
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || `HTTP_${status}`;
+
+// Routes answer errors with res.status(...).json({ error }); this fills in the
+// code for the status unless the route chose a more specific one
+const errorEnvelope = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body.error === "string" && !body.code) {
+            return json({ ...body, code: codeForStatus(res.statusCode) });
+        }
+        return json(body);
+    };
+    next();
+};
+
+// Unknown routes
+const notFound = (req, res) => {
+    res.status(404).json({ error: `Cannot ${req.method} ${req.path}` });
+};
+
+// Errors passed to next(err). Body parser failures are the client's fault;
+// anything else is logged and reported without internal details, so database
+// messages never reach clients. Express needs all four arguments to treat
+// this as an error handler.
+const errorHandler = (err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+        return res.status(400).json({ error: "Request body is not valid JSON", code: "INVALID_JSON" });
+    }
+    if (err.type === "entity.too.large") {
+        return res.status(413).json({ error: "Request body is too large" });
+    }
+
+    logger.error(`${req.method} ${req.path} failed`, { err });
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: "Internal server error" });
+};
+
+module.exports = {
+    codeForStatus,
+    errorEnvelope,
+    notFound,
+    errorHandler,
+};
@@ -0,0 +1,63 @@
+const { EventEmitter } = require("events");
+const pool = require("./db");
+const { logger } = require("./logger");
+const { sealJson } = require("./fieldcrypto");
+
+// Patient activity events for the caregiver live stream. Every event is
+// stored in `patient_events` (its id doubles as the SSE event id, so clients
+// can resume with Last-Event-ID) and then broadcast to open streams in this
+// process.
+
+const REPLAY_LIMIT = 500;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const toMessage = (row) => ({
+    id: row.id,
+    type: row.type,
+    patientId: row.patient_id,
+    recipientId: row.recipient_id,
+    actorId: row.actor_id,
+    data: row.data,
+    createdAt: row.created_at,
+});
+
+// Record and broadcast an event. Failures are logged rather than thrown so a
+// missed notification never fails the request that caused it.
+// `recipientId` targets a single user (e.g. a caregiver who isn't assigned yet).
+const publishEvent = async ({ patientId, type, data = {}, actorId = null, recipientId = null }) => {
+    try {
+        const result = await pool.query(
+            "INSERT INTO patient_events (patient_id, recipient_id, actor_id, type, data) VALUES ($1, $2, $3, $4, $5) RETURNING *",
+            [patientId, recipientId, actorId, type, sealJson(data)]
+        );
+        emitter.emit("event", toMessage(result.rows[0]));
+    } catch (err) {
+        logger.error(`Error publishing ${type} event`, { error: err.message });
+    }
+};
+
+// Stored events after `lastEventId` that are addressed to the user or concern one of `patientIds`
+const eventsSince = async (lastEventId, userId, patientIds) => {
+    const result = await pool.query(
+        `SELECT * FROM patient_events
+         WHERE id > $1 AND (recipient_id = $2 OR (recipient_id IS NULL AND patient_id = ANY($3::int[])))
+         ORDER BY id LIMIT $4`,
+        [lastEventId, userId, patientIds, REPLAY_LIMIT]
+    );
+    return result.rows.map(toMessage);
+};
+
+// Listen for newly published events; returns an unsubscribe function
+const subscribe = (listener) => {
+    emitter.on("event", listener);
+    return () => emitter.off("event", listener);
+};
+
+module.exports = {
+    REPLAY_LIMIT,
+    publishEvent,
+    eventsSince,
+    subscribe,
+};
@@ -0,0 +1,285 @@
+const pool = require("./db");
+const { DATE_REGEX, formatDate, formatDateTime, parseDateTime, startOfDay, addDays } = require("./dates");
+const { parseDoseTimes, parseDurationDays } = require("./doses");
+const { taskRRule } = require("./recurrence");
+const { careTeamMembers } = require("./careteam");
+const { wallClock } = require("./timezones");
+
+// FHIR R4 (4.0.1) export and import of a patient's record. The export is a
+// "collection" Bundle holding the Patient, a RelatedPerson for each active
+// caregiver, a MedicationStatement per medication, and the patient's
+// Appointments and Tasks. Imports go the other way: each resource is mapped
+// to the body the matching POST route takes, so server.js can run the usual
+// checks on it. Ids are the database ids, so references stay readable.
+
+const FHIR_CONTENT_TYPE = "application/fhir+json; fhirVersion=4.0";
+const MAX_IMPORT_ENTRIES = 500;
+
+// Our own extensions, for task fields FHIR has no element for
+const RECURRENCE_EXTENSION = "urn:my-node-api:fhir:task-recurrence";
+const EXCEPTION_DATE_EXTENSION = "urn:my-node-api:fhir:task-exception-date";
+const USERNAME_SYSTEM = "urn:my-node-api:username";
+
+// Statuses that mean the resource never happened or was withdrawn
+const REJECTED_STATUSES = {
+    MedicationStatement: ["entered-in-error", "not-taken"],
+    MedicationRequest: ["entered-in-error", "cancelled", "draft"],
+    Appointment: ["entered-in-error", "cancelled"],
+    Task: ["entered-in-error", "cancelled", "rejected"],
+};
+
+// Resource types that describe people rather than items; imports skip them
+const SKIPPED_TYPES = ["Patient", "RelatedPerson"];
+
+// Days in a FHIR Duration, by UCUM code or unit
+const DURATION_DAYS = { d: 1, day: 1, days: 1, wk: 7, week: 7, weeks: 7, mo: 30, month: 30, months: 30 };
+
+const patientReference = (patientId) => ({ reference: `Patient/${patientId}` });
+
+// FHIR forbids empty arrays, so leave such elements out
+const nonEmpty = (items) => (items.length > 0 ? items : undefined);
+
+const toPatient = (patient) => ({
+    resourceType: "Patient",
+    id: String(patient.id),
+    identifier: [{ system: USERNAME_SYSTEM, value: patient.username }],
+    active: true,
+    name: [{ text: patient.name }],
+});
+
+const toRelatedPerson = (patientId, member) => ({
+    resourceType: "RelatedPerson",
+    id: `${patientId}-${member.caregiver_id}`,
+    identifier: [{ system: USERNAME_SYSTEM, value: member.username }],
+    active: true,
+    patient: patientReference(patientId),
+    relationship: [{ text: "Caregiver" }],
+    name: [{ text: member.name }],
+    period: { start: member.created_at.toISOString(), end: member.expires_at ? member.expires_at.toISOString() : undefined },
+});
+
+// A medication with a known course is completed once its last day has passed
+const toMedicationStatement = (medication, today) => {
+    const start = startOfDay(medication.start_date);
+    const courseDays = parseDurationDays(medication.duration);
+    const lastDay = courseDays ? addDays(start, courseDays - 1) : null;
+    const times = parseDoseTimes(medication.time);
+
+    return {
+        resourceType: "MedicationStatement",
+        id: String(medication.id),
+        status: lastDay && lastDay < today ? "completed" : "active",
+        medicationCodeableConcept: { text: medication.name },
+        subject: patientReference(medication.user_id),
+        effectivePeriod: { start: formatDate(start), end: lastDay ? formatDate(lastDay) : undefined },
+        dosage: [{
+            text: medication.dosage || undefined,
+            timing: times
+                ? { repeat: { frequency: times.length, period: 1, periodUnit: "d", timeOfDay: times } }
+                : { code: { text: medication.time } },
+        }],
+    };
+};
+
+// Appointments are whole days, so they start at midnight on the patient's
+// clock. One without a date can only be "proposed".
+const toAppointment = (appointment, today) => {
+    const day = appointment.date ? startOfDay(appointment.date) : null;
+    return {
+        resourceType: "Appointment",
+        id: String(appointment.id),
+        status: !day ? "proposed" : day < today ? "fulfilled" : "booked",
+        description: appointment.title,
+        comment: appointment.description || undefined,
+        start: appointment.starts_at_utc ? appointment.starts_at_utc.toISOString() : undefined,
+        participant: [{ actor: patientReference(appointment.user_id), status: "accepted" }],
+    };
+};
+
+const toTask = (task) => {
+    const rrule = taskRRule(task);
+    return {
+        resourceType: "Task",
+        id: String(task.id),
+        extension: nonEmpty([
+            ...(rrule ? [{ url: RECURRENCE_EXTENSION, valueString: rrule }] : []),
+            ...(task.exception_dates || []).map((date) => ({ url: EXCEPTION_DATE_EXTENSION, valueDate: date })),
+        ]),
+        status: "requested",
+        intent: "plan",
+        description: task.name,
+        for: patientReference(task.user_id),
+        executionPeriod: task.time_utc ? { start: task.time_utc.toISOString() } : undefined,
+        location: task.location ? { display: task.location } : undefined,
+    };
+};
+
+// The patient's whole record as a Bundle
+const patientBundle = async (patientId) => {
+    const patient = await pool.query("SELECT id, username, name, timezone FROM users WHERE id = $1", [patientId]);
+    const members = await careTeamMembers(patientId);
+    const medications = await pool.query("SELECT * FROM medications WHERE user_id = $1 ORDER BY id", [patientId]);
+    const appointments = await pool.query("SELECT * FROM appointments WHERE user_id = $1 ORDER BY id", [patientId]);
+    const tasks = await pool.query("SELECT * FROM daily_tasks WHERE user_id = $1 ORDER BY id", [patientId]);
+    const today = startOfDay(wallClock(new Date(), patient.rows[0].timezone));
+
+    const resources = [
+        toPatient(patient.rows[0]),
+        ...members.map((member) => toRelatedPerson(patientId, member)),
+        ...medications.rows.map((medication) => toMedicationStatement(medication, today)),
+        ...appointments.rows.map((appointment) => toAppointment(appointment, today)),
+        ...tasks.rows.map(toTask),
+    ];
+
+    return {
+        resourceType: "Bundle",
+        type: "collection",
+        timestamp: new Date().toISOString(),
+        entry: resources.map((resource) => ({ resource })),
+    };
+};
+
+// A FHIR date or dateTime on the patient's clock: dates are midnight, and
+// dateTimes with an offset are converted to `timezone`. Null if unreadable.
+const parseFhirDateTime = (value, timezone) => {
+    if (typeof value !== "string") return null;
+    if (DATE_REGEX.test(value)) return parseDateTime(value);
+
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(?::\d{2})?)(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/);
+    if (!match) return null;
+    if (!match[4]) return parseDateTime(`${match[1]} ${match[2].length === 5 ? `${match[2]}:00` : match[2]}`);
+
+    const instant = new Date(value);
+    return Number.isNaN(instant.getTime()) ? null : wallClock(instant, timezone);
+};
+
+const durationDays = (duration) => {
+    const days = duration && DURATION_DAYS[duration.code || duration.unit];
+    return days && Number.isInteger(duration.value) && duration.value > 0 ? duration.value * days : null;
+};
+
+const conceptText = (concept) =>
+    concept && (concept.text || (concept.coding || []).map((coding) => coding.display).find(Boolean));
+
+// Body for POST /medications from a MedicationStatement or MedicationRequest
+const medicationInput = (resource, errors, timezone) => {
+    const isStatement = resource.resourceType === "MedicationStatement";
+    const dosage = ((isStatement ? resource.dosage : resource.dosageInstruction) || [])[0] || {};
+    const repeat = (dosage.timing && dosage.timing.repeat) || {};
+    const period = (isStatement ? resource.effectivePeriod : repeat.boundsPeriod) || {};
+
+    const name = conceptText(resource.medicationCodeableConcept) || (resource.medicationReference && resource.medicationReference.display);
+    if (!name) errors.push("medicationCodeableConcept.text (or a coding display) is required");
+
+    const doseQuantity = dosage.doseAndRate && dosage.doseAndRate[0] && dosage.doseAndRate[0].doseQuantity;
+    const doseText = dosage.text || (doseQuantity && doseQuantity.value !== undefined ? `${doseQuantity.value} ${doseQuantity.unit || ""}`.trim() : null);
+
+    if (!Array.isArray(repeat.timeOfDay) || repeat.timeOfDay.length === 0) {
+        errors.push("dosage timing.repeat.timeOfDay is required, so doses can be scheduled");
+    }
+
+    let startDate;
+    const startValue = period.start || (isStatement ? undefined : resource.authoredOn);
+    if (startValue !== undefined) {
+        const start = parseFhirDateTime(startValue, timezone);
+        if (start) startDate = formatDate(start);
+        else errors.push(`Invalid start date ${JSON.stringify(startValue)}`);
+    }
+
+    let duration = null;
+    if (period.end !== undefined) {
+        const end = parseFhirDateTime(period.end, timezone);
+        const start = parseFhirDateTime(startValue, timezone);
+        if (!end || !start || end < start) errors.push("The period end must be a valid date after its start");
+        else duration = String(Math.round((startOfDay(end) - startOfDay(start)) / 86400000) + 1);
+    } else {
+        const supply = repeat.boundsDuration || (resource.dispenseRequest && resource.dispenseRequest.expectedSupplyDuration);
+        if (supply) {
+            const days = durationDays(supply);
+            if (days) duration = String(days);
+            else errors.push("Durations must be a whole number of d, wk or mo");
+        }
+    }
+
+    return {
+        name,
+        dosage: doseText || null,
+        time: (repeat.timeOfDay || []).map((time) => String(time).slice(0, 5)).join(", "),
+        duration,
+        startDate,
+    };
+};
+
+// Body for POST /appointments
+const appointmentInput = (resource, errors, timezone) => {
+    const title = resource.description || conceptText(resource.appointmentType) || conceptText((resource.serviceType || [])[0]);
+    if (!title) errors.push("description (or an appointmentType or serviceType) is required");
+
+    const start = parseFhirDateTime(resource.start, timezone);
+    if (!start) errors.push("start is required and must be a FHIR instant");
+
+    return { title, date: start ? formatDate(start) : null, description: resource.comment || null };
+};
+
+// Body for POST /daily_tasks
+const taskInput = (resource, errors, timezone) => {
+    const name = resource.description || conceptText(resource.code);
+    if (!name) errors.push("description (or code.text) is required");
+
+    const start = parseFhirDateTime(resource.executionPeriod && resource.executionPeriod.start, timezone);
+    if (!start) errors.push("executionPeriod.start is required");
+
+    const extensions = resource.extension || [];
+    const recurrence = extensions.find((extension) => extension.url === RECURRENCE_EXTENSION);
+
+    return {
+        name,
+        location: resource.location ? resource.location.display || null : null,
+        time: start ? formatDateTime(start) : null,
+        recurrence: recurrence ? recurrence.valueString : undefined,
+        exceptionDates: extensions.filter((extension) => extension.url === EXCEPTION_DATE_EXTENSION).map((extension) => extension.valueDate),
+    };
+};
+
+const IMPORTERS = {
+    MedicationStatement: { resourceType: "medication", toInput: medicationInput },
+    MedicationRequest: { resourceType: "medication", toInput: medicationInput },
+    Appointment: { resourceType: "appointment", toInput: appointmentInput },
+    Task: { resourceType: "daily_task", toInput: taskInput },
+};
+
+// Map one resource to { resourceType, body } for the matching POST route,
+// { skip: true } for people, or { errors } when it can't be imported.
+// `patientId` must be the subject of any resource that names one; times are
+// read onto the clock of the patient's `timezone`.
+const importInput = (resource, patientId, timezone) => {
+    if (!resource || typeof resource !== "object" || typeof resource.resourceType !== "string") {
+        return { errors: ["Each entry needs a resource with a resourceType"] };
+    }
+    if (SKIPPED_TYPES.includes(resource.resourceType)) return { skip: true };
+
+    const importer = IMPORTERS[resource.resourceType];
+    if (!importer) {
+        return { errors: [`Unsupported resource type ${resource.resourceType}. Expected one of: ${Object.keys(IMPORTERS).join(", ")}`] };
+    }
+
+    const errors = [];
+    if (REJECTED_STATUSES[resource.resourceType].includes(resource.status)) {
+        errors.push(`Resources with status ${resource.status} are not imported`);
+    }
+
+    const subject = resource.subject || resource.for || (resource.participant || []).map((participant) => participant.actor).find((actor) => actor && /^Patient\//.test(actor.reference));
+    if (subject && subject.reference && subject.reference !== `Patient/${patientId}`) {
+        errors.push(`Refers to ${subject.reference}, not Patient/${patientId}`);
+    }
+
+    const body = importer.toInput(resource, errors, timezone);
+    return errors.length > 0 ? { errors } : { resourceType: importer.resourceType, body };
+};
+
+module.exports = {
+    FHIR_CONTENT_TYPE,
+    MAX_IMPORT_ENTRIES,
+    patientBundle,
+    importInput,
+};
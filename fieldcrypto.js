@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+// Field-level envelope encryption for health details and two-factor secrets
+// at rest. Each value gets its own random data key (AES-256-GCM); the data key
+// is stored wrapped by a versioned key-encryption key, next to the value:
+//
+//     enc:v1:<key version>:<wrapped data key>:<iv, ciphertext and tag>
+//
+// Keys come from FIELD_ENCRYPTION_KEYFILE, a JSON file like
+// { "currentVersion": 2, "keys": { "1": "<base64>", "2": "<base64>" }, "blindIndexKey": "<base64>" },
+// or else from FIELD_ENCRYPTION_KEYS ("1:<base64>,2:<base64>"),
+// FIELD_ENCRYPTION_KEY_VERSION and FIELD_BLIND_INDEX_KEY. Keys are 32 random
+// bytes; the blind index key doesn't rotate with the others. New values use
+// the current version (the highest unless set). `npm run reencrypt` moves
+// existing rows to it (reencrypt.js), but copies in audit entries, which
+// can't be changed, and in events keep the version they were written with,
+// so retired keys stay in the keyring while those are kept. Without keys
+// values are stored as given, for local development.
+//
+// db.js decrypts values as they are read, so queries and rows look the same
+// either way. Blind indexes (keyed hashes) let queries match encrypted values
+// without decrypting them.
+
+const PREFIX = "enc:v1:";
+const CIPHERTEXT_REGEX = /^enc:v1:(\d+):([\w-]+):([\w-]+)$/;
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Encrypted columns of each table. Reminders repeat medication names in their
+// text; a TOTP secret would let anyone with a dump pass the second factor.
+const ENCRYPTED_COLUMNS = {
+    users: ["totp_secret"],
+    medications: ["name", "dosage"],
+    appointments: ["description"],
+    daily_tasks: ["location"],
+    reminders: ["title", "message"],
+    measurements: ["symptom", "notes"],
+};
+
+// Keys whose values are encrypted inside JSON copies of rows (audit entries,
+// events, sync results), which include medication names under other keys
+const ENCRYPTED_JSON_KEYS = new Set(["name", "dosage", "description", "location", "medication_name", "title", "message", "symptom", "notes"]);
+
+const decodeKey = (encoded, label) => {
+    const key = Buffer.from(String(encoded), "base64");
+    if (key.length !== KEY_BYTES) throw new Error(`${label} must be ${KEY_BYTES} bytes, base64 encoded`);
+    return key;
+};
+
+const loadKeyring = () => {
+    let config;
+    if (process.env.FIELD_ENCRYPTION_KEYFILE) {
+        config = JSON.parse(fs.readFileSync(process.env.FIELD_ENCRYPTION_KEYFILE, "utf8"));
+    } else if (process.env.FIELD_ENCRYPTION_KEYS) {
+        config = {
+            currentVersion: process.env.FIELD_ENCRYPTION_KEY_VERSION,
+            keys: Object.fromEntries(process.env.FIELD_ENCRYPTION_KEYS.split(",").map((entry) => entry.trim().split(":"))),
+            blindIndexKey: process.env.FIELD_BLIND_INDEX_KEY,
+        };
+    } else {
+        return null;
+    }
+
+    const keys = new Map();
+    for (const [version, encoded] of Object.entries(config.keys || {})) {
+        if (!/^\d+$/.test(version)) throw new Error(`Encryption key version '${version}' must be a number`);
+        keys.set(Number(version), decodeKey(encoded, `Encryption key ${version}`));
+    }
+    if (keys.size === 0) throw new Error("No field encryption keys configured");
+
+    const currentVersion = config.currentVersion ? Number(config.currentVersion) : Math.max(...keys.keys());
+    if (!keys.has(currentVersion)) throw new Error(`Current encryption key version ${currentVersion} is not in the keyring`);
+
+    // Kept apart from the rotating keys: changing it means rebuilding every
+    // blind index (npm run reencrypt -- --all)
+    if (!config.blindIndexKey) throw new Error("No blind index key configured");
+    const blindIndexKey = decodeKey(config.blindIndexKey, "Blind index key");
+
+    return { keys, currentVersion, blindIndexKey };
+};
+
+const keyring = loadKeyring();
+
+const encryptionEnabled = () => keyring !== null;
+
+const gcmEncrypt = (key, plaintext) => {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, ciphertext, cipher.getAuthTag()]);
+};
+
+const gcmDecrypt = (key, sealed) => {
+    if (sealed.length < IV_BYTES + TAG_BYTES) throw new Error("Encrypted value is truncated");
+    const decipher = crypto.createDecipheriv("aes-256-gcm", key, sealed.subarray(0, IV_BYTES));
+    decipher.setAuthTag(sealed.subarray(sealed.length - TAG_BYTES));
+    return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES, sealed.length - TAG_BYTES)), decipher.final()]);
+};
+
+// Encrypt a value for storage. null and undefined pass through, as does
+// everything when no keys are configured.
+const seal = (value) => {
+    if (value === null || value === undefined || !keyring) return value;
+
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const wrappedKey = gcmEncrypt(keyring.keys.get(keyring.currentVersion), dataKey);
+    const payload = gcmEncrypt(dataKey, Buffer.from(String(value), "utf8"));
+    return `${PREFIX}${keyring.currentVersion}:${wrappedKey.toString("base64url")}:${payload.toString("base64url")}`;
+};
+
+// The key version a stored value was encrypted with, or null for plaintext
+const keyVersionOf = (value) => {
+    const match = typeof value === "string" && CIPHERTEXT_REGEX.exec(value);
+    return match ? Number(match[1]) : null;
+};
+
+// Decrypt a stored value; anything else comes back unchanged. Throws if the
+// value needs a key that isn't in the keyring, or was tampered with.
+const open = (value) => {
+    if (typeof value !== "string" || !value.startsWith(PREFIX)) return value;
+    const match = CIPHERTEXT_REGEX.exec(value);
+    if (!match) return value;
+
+    const key = keyring && keyring.keys.get(Number(match[1]));
+    if (!key) throw new Error(`Encryption key version ${match[1]} is not configured`);
+
+    const dataKey = gcmDecrypt(key, Buffer.from(match[2], "base64url"));
+    return gcmDecrypt(dataKey, Buffer.from(match[3], "base64url")).toString("utf8");
+};
+
+// A copy of a JSON value with the strings under ENCRYPTED_JSON_KEYS sealed
+const sealJson = (value) => {
+    if (!keyring || value === null || typeof value !== "object" || value instanceof Date) return value;
+    if (Array.isArray(value)) return value.map(sealJson);
+
+    return Object.fromEntries(
+        Object.entries(value).map(([key, field]) => [
+            key,
+            ENCRYPTED_JSON_KEYS.has(key) && typeof field === "string" && !field.startsWith(PREFIX) ? seal(field) : sealJson(field),
+        ])
+    );
+};
+
+const blindIndex = (scope, term) =>
+    crypto.createHmac("sha256", keyring.blindIndexKey).update(`${scope}:${term}`).digest("base64url").slice(0, 22);
+
+// Blind index terms for matching part of a value, ignoring case: one per
+// trigram of the lower-cased value. A value contains a search string only if
+// it has all of the search string's terms, but not every such value contains
+// it, so matches still need checking once decrypted. Empty when encryption is
+// off or the value is shorter than a trigram.
+const substringIndexTerms = (scope, value) => {
+    if (!keyring || value === null || value === undefined) return [];
+    const text = String(value).toLowerCase();
+
+    const terms = new Set();
+    for (let i = 0; i + 3 <= text.length; i++) terms.add(blindIndex(scope, text.slice(i, i + 3)));
+    return [...terms];
+};
+
+module.exports = {
+    ENCRYPTED_COLUMNS,
+    encryptionEnabled,
+    currentKeyVersion: () => (keyring ? keyring.currentVersion : null),
+    seal,
+    open,
+    keyVersionOf,
+    sealJson,
+    substringIndexTerms,
+};
@@ -0,0 +1,150 @@
+const { formatDate, parseDateTime } = require("./dates");
+
+// Minimal RFC 5545 writer and VEVENT reader. Times are written as the
+// wall-clock values stored in the database, tagged with the patient's time
+// zone (TZID) when the event has one and floating otherwise.
+
+const PRODID = "-//my-node-api//Care Calendar//EN";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const escapeText = (value) =>
+    String(value)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+
+const unescapeText = (value) =>
+    value.replace(/\\([\\;,nN])/g, (match, char) => (char === "n" || char === "N" ? "\n" : char));
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+    const parts = [];
+    let current = "";
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = "";
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+};
+
+const formatIcsDate = (date) => formatDate(date).replace(/-/g, "");
+
+const formatIcsDateTime = (date) =>
+    `${formatIcsDate(date)}T${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+
+const formatIcsUtc = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// Render a calendar. Each event: { uid, summary, start, allDay, description,
+// location, rrule, exdates, duration, timezone }
+const buildCalendar = ({ name, events }) => {
+    const stamp = formatIcsUtc(new Date());
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+
+    for (const event of events) {
+        const tzid = event.timezone ? `;TZID=${event.timezone}` : "";
+        lines.push("BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+
+        if (event.allDay) {
+            lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(event.start)}`);
+        } else {
+            lines.push(`DTSTART${tzid}:${formatIcsDateTime(event.start)}`);
+            if (event.duration) lines.push(`DURATION:${event.duration}`);
+        }
+
+        lines.push(`SUMMARY:${escapeText(event.summary || "")}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+        if (event.exdates && event.exdates.length > 0) {
+            lines.push(`EXDATE${tzid}:${event.exdates.map(formatIcsDateTime).join(",")}`);
+        }
+
+        lines.push("END:VEVENT");
+    }
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+// Parse a DTSTART-style value into a local Date. UTC values ("...Z") are
+// converted to server-local time; TZID parameters are treated as wall time.
+const parseIcsDate = (value) => {
+    const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hours = "00", minutes = "00", seconds = "00", utc] = match;
+    if (utc) {
+        const date = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+    return parseDateTime(`${year}-${month}-${day} ${hours}:${minutes}:${seconds}`);
+};
+
+// Read every VEVENT in an .ics document as a map of property name to
+// { value, params }. Returns [] when the text is not a VCALENDAR.
+const parseEvents = (text) => {
+    const lines = String(text).replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+    if (!lines.some((line) => line.trim().toUpperCase() === "BEGIN:VCALENDAR")) return [];
+
+    const events = [];
+    let current = null;
+    let depth = 0;
+
+    for (const line of lines) {
+        const upper = line.trim().toUpperCase();
+        if (upper === "BEGIN:VEVENT") {
+            current = {};
+            depth = 0;
+            continue;
+        }
+        if (!current) continue;
+        if (upper === "END:VEVENT") {
+            events.push(current);
+            current = null;
+            continue;
+        }
+
+        // Skip nested components such as VALARM
+        if (upper.startsWith("BEGIN:")) depth++;
+        if (upper.startsWith("END:")) depth--;
+        if (depth > 0 || upper.startsWith("END:")) continue;
+
+        const colon = line.indexOf(":");
+        if (colon === -1) continue;
+
+        const [name, ...rawParams] = line.slice(0, colon).split(";");
+        const params = {};
+        for (const param of rawParams) {
+            const [key, paramValue = ""] = param.split("=");
+            params[key.toUpperCase()] = paramValue.replace(/^"|"$/g, "");
+        }
+
+        // Keep the first occurrence of each property
+        const key = name.toUpperCase();
+        if (!(key in current)) current[key] = { value: line.slice(colon + 1), params };
+    }
+
+    return events;
+};
+
+module.exports = {
+    escapeText,
+    unescapeText,
+    buildCalendar,
+    parseIcsDate,
+    parseEvents,
+};
@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+const pool = require("./db");
+const { logger } = require("./logger");
+const { formatDate } = require("./dates");
+const { parseDoseTimes } = require("./doses");
+const { wallClockNow, userTimezone } = require("./timezones");
+
+// Medication safety checks against a bundled dataset (data/drug-interactions.json,
+// or the file named by DRUG_DATA_FILE), so no network service is needed.
+// Medication names are matched to ingredients, by ingredient name, synonym or
+// brand, and a new or changed medication is compared with the patient's
+// other current medications. Each warning is
+// { type, severity, message, ingredients, medicationId, medicationName } where
+// type is "duplicate", "duplicate_class", "interaction" or "dose".
+
+const DRUG_DATA_FILE = process.env.DRUG_DATA_FILE || path.join(__dirname, "data", "drug-interactions.json");
+
+// "warn" only reports problems; "block" also refuses severe interactions
+// unless the request sets confirmInteractions
+const INTERACTION_CHECK_MODE = process.env.INTERACTION_CHECK_MODE === "block" ? "block" : "warn";
+const BLOCKING_SEVERITIES = ["major", "contraindicated"];
+
+const MG_PER_UNIT = { mg: 1, g: 1000, mcg: 0.001, µg: 0.001, ug: 0.001 };
+
+const normalize = (text) => ` ${String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim()} `;
+
+let drugData = null;
+
+// Load and index the dataset on first use
+const loadDrugData = () => {
+    if (drugData) return drugData;
+
+    const raw = JSON.parse(fs.readFileSync(DRUG_DATA_FILE, "utf8"));
+    const names = [];
+    for (const [ingredient, info] of Object.entries(raw.ingredients)) {
+        for (const name of [ingredient, ...(info.synonyms || [])]) names.push([normalize(name), [ingredient]]);
+    }
+    for (const [product, ingredients] of Object.entries(raw.products)) names.push([normalize(product), ingredients]);
+
+    // Longest names first, so "tylenol pm" wins over "tylenol"
+    names.sort((a, b) => b[0].length - a[0].length);
+
+    drugData = { ...raw, names };
+    logger.info(`Loaded drug dataset ${raw.version}: ${Object.keys(raw.ingredients).length} ingredients, ${raw.interactions.length} interactions`);
+    return drugData;
+};
+
+// Ingredients named by a medication name such as "Tylenol PM" or "Warfarin sodium"
+const ingredientsOf = (name) => {
+    const { names } = loadDrugData();
+    let remaining = normalize(name);
+    const found = new Set();
+
+    for (const [key, ingredients] of names) {
+        if (!remaining.includes(key)) continue;
+        ingredients.forEach((ingredient) => found.add(ingredient));
+        remaining = remaining.replace(key, " ");
+    }
+    return [...found];
+};
+
+// Milligrams per dose from a dosage such as "500mg" or "0.5 g", times the
+// units taken per dose. Null when the dosage has no weight.
+const doseMg = (dosage, unitsPerDose = 1) => {
+    const match = String(dosage || "").match(/(\d+(?:\.\d+)?)\s*(mg|g|mcg|µg|ug)\b/i);
+    return match ? parseFloat(match[1]) * MG_PER_UNIT[match[2].toLowerCase()] * unitsPerDose : null;
+};
+
+const matches = (side, ingredient, { ingredients }) =>
+    side.startsWith("class:") ? ingredients[ingredient].class === side.slice(6) : side === ingredient;
+
+// Interactions from the dataset between two ingredients
+const interactionsBetween = (a, b) => {
+    const data = loadDrugData();
+    return data.interactions.filter(({ between: [x, y] }) =>
+        (matches(x, a, data) && matches(y, b, data)) || (matches(x, b, data) && matches(y, a, data)));
+};
+
+const severityRank = (severity) => loadDrugData().severities.indexOf(severity);
+
+// Warnings for `medication` (a medications row, or one being written) given
+// the patient's `others`
+const checkMedication = (medication, others) => {
+    const data = loadDrugData();
+    const ingredients = ingredientsOf(medication.name);
+    const warnings = [];
+    const warn = (warning, other = null) => warnings.push({ ...warning, medicationId: other ? other.id : null, medicationName: other ? other.name : null });
+
+    const perDose = ingredients.length === 1 ? doseMg(medication.dosage, medication.units_per_dose) : null;
+    const timesPerDay = (parseDoseTimes(medication.time) || []).length;
+    let dailyMg = perDose !== null && timesPerDay ? perDose * timesPerDay : null;
+
+    for (const other of others) {
+        const otherIngredients = ingredientsOf(other.name);
+
+        for (const ingredient of ingredients) {
+            const info = data.ingredients[ingredient];
+
+            if (otherIngredients.includes(ingredient)) {
+                warn({
+                    type: "duplicate",
+                    severity: "major",
+                    message: `${other.name} also contains ${ingredient}; taking both doubles up on it.`,
+                    ingredients: [ingredient],
+                }, other);
+
+                const otherDose = otherIngredients.length === 1 ? doseMg(other.dosage, other.units_per_dose) : null;
+                const otherTimes = (parseDoseTimes(other.time) || []).length;
+                if (dailyMg !== null && otherDose !== null) dailyMg += otherDose * otherTimes;
+            }
+
+            for (const otherIngredient of otherIngredients) {
+                if (otherIngredient === ingredient) continue;
+
+                const otherInfo = data.ingredients[otherIngredient];
+                if (info.class === otherInfo.class && data.duplicateClasses.includes(info.class)) {
+                    warn({
+                        type: "duplicate_class",
+                        severity: "moderate",
+                        message: `${ingredient} and ${otherIngredient} (in ${other.name}) are both ${info.class.replace(/_/g, " ")} medicines.`,
+                        ingredients: [ingredient, otherIngredient],
+                    }, other);
+                }
+
+                for (const interaction of interactionsBetween(ingredient, otherIngredient)) {
+                    warn({
+                        type: "interaction",
+                        severity: interaction.severity,
+                        message: `${ingredient} and ${otherIngredient} (in ${other.name}): ${interaction.description}`,
+                        ingredients: [ingredient, otherIngredient],
+                    }, other);
+                }
+            }
+        }
+    }
+
+    if (perDose !== null) {
+        const [ingredient] = ingredients;
+        const { maxDoseMg, maxDailyMg } = data.ingredients[ingredient];
+        if (maxDoseMg && perDose > maxDoseMg) {
+            warn({ type: "dose", severity: "major", message: `${perDose} mg of ${ingredient} per dose is above the usual maximum of ${maxDoseMg} mg.`, ingredients: [ingredient] });
+        }
+        if (maxDailyMg && dailyMg !== null && dailyMg > maxDailyMg) {
+            warn({ type: "dose", severity: "major", message: `${dailyMg} mg of ${ingredient} a day, across all medications, is above the usual maximum of ${maxDailyMg} mg.`, ingredients: [ingredient] });
+        }
+    }
+
+    return warnings.sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+};
+
+// Check a medication against the patient's other current medications (those
+// whose course hasn't ended by the patient's today). `excludeId` leaves out
+// the row being updated.
+const checkPatientMedication = async (patientId, medication, excludeId = null) => {
+    const others = await pool.query(
+        `SELECT * FROM medications WHERE user_id = $1 AND id IS DISTINCT FROM $2
+           AND (medication_end_date(start_date, duration) IS NULL OR medication_end_date(start_date, duration) > $3)`,
+        [patientId, excludeId, formatDate(wallClockNow(await userTimezone(patientId)))]
+    );
+    return checkMedication(medication, others.rows);
+};
+
+// The warnings that stop a change until the caller confirms it
+const blockingWarnings = (warnings) =>
+    INTERACTION_CHECK_MODE === "block"
+        ? warnings.filter((warning) => warning.type === "interaction" && BLOCKING_SEVERITIES.includes(warning.severity))
+        : [];
+
+module.exports = {
+    INTERACTION_CHECK_MODE,
+    loadDrugData,
+    ingredientsOf,
+    doseMg,
+    checkMedication,
+    checkPatientMedication,
+    blockingWarnings,
+};
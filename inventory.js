@@ -0,0 +1,111 @@
+const pool = require("./db");
+const { formatDate, parseDateTime, startOfDay, addDays } = require("./dates");
+const { parseDoseTimes, parseDurationDays } = require("./doses");
+
+// Medication stock. Quantities are in the same units as `units_per_dose`
+// (pills, ml, ...); a NULL quantity_on_hand means stock isn't tracked.
+// Confirming a dose takes it out of stock, refills put stock back.
+
+// Without a threshold, a medication runs low when less than this many days of supply are left
+const LOW_STOCK_DAYS = parseInt(process.env.LOW_STOCK_DAYS, 10) || 7;
+
+const TAKEN_STATUSES = ["taken", "late"];
+
+// Projected supply for a medication row: whole days left at the scheduled
+// rate, the day it runs out and whether it's running low. Stock that lasts
+// until the course ends never counts as low.
+const stockStatus = (medication, now = new Date()) => {
+    const quantity = medication.quantity_on_hand;
+    if (quantity === null || quantity === undefined) {
+        return { days_of_supply: null, run_out_date: null, low_stock: false };
+    }
+
+    const today = startOfDay(now);
+    const times = parseDoseTimes(medication.time) || [];
+    const perDay = times.length * medication.units_per_dose;
+    const daysOfSupply = perDay > 0 ? Math.floor(quantity / perDay) : null;
+    const runOut = daysOfSupply === null ? null : addDays(today, daysOfSupply);
+
+    const start = medication.start_date instanceof Date ? medication.start_date : parseDateTime(medication.start_date);
+    const courseDays = parseDurationDays(medication.duration);
+    const courseEnd = start && courseDays ? addDays(startOfDay(start), courseDays) : null;
+    const coversCourse = courseEnd !== null && (courseEnd <= today || (runOut !== null && runOut >= courseEnd));
+
+    const low = medication.low_stock_threshold !== null && medication.low_stock_threshold !== undefined
+        ? quantity <= medication.low_stock_threshold
+        : daysOfSupply !== null && daysOfSupply < LOW_STOCK_DAYS;
+
+    return {
+        days_of_supply: daysOfSupply,
+        run_out_date: runOut ? formatDate(runOut) : null,
+        low_stock: low && !coversCourse,
+    };
+};
+
+const withStock = (medication, now = new Date()) => ({ ...medication, ...stockStatus(medication, now) });
+
+// Units to take out of stock when a dose goes from `previousStatus` to
+// `status` (negative when a confirmation is undone)
+const doseStockChange = (medication, previousStatus, status) =>
+    (Number(TAKEN_STATUSES.includes(status)) - Number(TAKEN_STATUSES.includes(previousStatus))) * medication.units_per_dose;
+
+// Take `units` out of a tracked medication's stock (never below zero),
+// returning the updated row, or the row as it was if stock isn't tracked.
+// Pass a transaction's client as `db` to make it part of the transaction.
+const consumeStock = async (medication, units, db = pool) => {
+    if (units === 0 || medication.quantity_on_hand === null) return medication;
+
+    const updated = await db.query(
+        "UPDATE medications SET quantity_on_hand = GREATEST(quantity_on_hand - $1, 0) WHERE id = $2 AND quantity_on_hand IS NOT NULL RETURNING *",
+        [units, medication.id]
+    );
+    return updated.rows[0] || medication;
+};
+
+// Log a refill and add it to stock, both or neither. `refilledAt` is the
+// patient's wall clock. The medication stays locked until its stock is
+// updated, so concurrent refills and doses each add to what the other left.
+// Returns the refill and the updated medication.
+const recordRefill = async (medication, { quantity, refilledAt, note = null }, recordedBy) => {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        await client.query("SELECT id FROM medications WHERE id = $1 FOR UPDATE", [medication.id]);
+        const refill = await client.query(
+            `INSERT INTO medication_refills (medication_id, user_id, quantity, refilled_at, note, recorded_by)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+            [medication.id, medication.user_id, quantity, refilledAt, note, recordedBy]
+        );
+        const updated = await client.query(
+            "UPDATE medications SET quantity_on_hand = COALESCE(quantity_on_hand, 0) + $1 WHERE id = $2 RETURNING *",
+            [quantity, medication.id]
+        );
+        await client.query("COMMIT");
+        return { refill: refill.rows[0], medication: updated.rows[0] };
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+// Tracked medications of the given patients that are running low, with the patient's name
+const lowStockMedications = async (patientIds, now = new Date()) => {
+    const medications = await pool.query(
+        `SELECT m.*, u.name AS patient_name FROM medications m JOIN users u ON u.id = m.user_id
+         WHERE m.user_id = ANY($1::int[]) AND m.quantity_on_hand IS NOT NULL ORDER BY m.user_id, m.id`,
+        [patientIds]
+    );
+    return medications.rows.map((medication) => withStock(medication, now)).filter((medication) => medication.low_stock);
+};
+
+module.exports = {
+    LOW_STOCK_DAYS,
+    stockStatus,
+    withStock,
+    doseStockChange,
+    consumeStock,
+    recordRefill,
+    lowStockMedications,
+};
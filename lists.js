@@ -0,0 +1,284 @@
+const pool = require("./db");
+const { DATE_REGEX, formatDate, formatDateTime, parseDateTime } = require("./dates");
+const { taskRRule, nextOccurrence } = require("./recurrence");
+const { withStock } = require("./inventory");
+const { DEFAULT_TIMEZONE, wallClockNow } = require("./timezones");
+const { encryptionEnabled, substringIndexTerms } = require("./fieldcrypto");
+
+// Paginated lists of a patient's medications, appointments and daily tasks.
+// Rows are ordered by a text sort key and then by id, so the order is stable
+// and a page can resume right after the last row it returned. The cursor
+// records that row's id and position and only works with the sort it was made
+// for. It leaves the sort key out: keys are names and titles, decrypted for
+// encrypted columns, which don't belong in URLs and access logs. Bodies stay
+// plain arrays: sendPage puts the next cursor in X-Next-Cursor and, with
+// ?count=true, the number of matching rows in X-Total-Count.
+// Encrypted columns (fieldcrypto.js) can't be sorted or searched in SQL, so
+// those lists are paged in memory once decrypted.
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+
+// Sort names and the SQL expression each one orders by. Sorting by id needs no
+// key of its own since id always breaks ties. Keys compare bytewise (COLLATE "C")
+// so the database and the cursor agree on the order.
+const SORT_KEYS = {
+    medications: {
+        id: "''",
+        name: null, // encrypted, see listMedications
+        startDate: "start_date::text",
+    },
+    appointments: {
+        date: "COALESCE(date::text, '')",
+        title: "lower(COALESCE(title, ''))",
+        id: "''",
+    },
+    tasks: {
+        id: "''",
+        name: "lower(COALESCE(name, ''))",
+        time: "COALESCE(time::text, '')",
+        nextDue: null, // computed from the recurrence, see listTasks
+    },
+};
+
+const LIST_SORTS = Object.fromEntries(Object.entries(SORT_KEYS).map(([list, keys]) => [list, Object.keys(keys)]));
+
+// `offset` counts the rows before the next page; a page resumes after row `id`,
+// or at the offset if that row has since been deleted or stopped matching
+const encodeCursor = (sort, offset, id) => Buffer.from(JSON.stringify([sort, offset, id])).toString("base64url");
+
+const decodeCursor = (cursor) => {
+    try {
+        const [sort, offset, id] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+        return typeof sort === "string" && Number.isInteger(offset) && offset >= 0 && Number.isInteger(id) ? { sort, offset, id } : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+// Read limit, cursor, sort ("name" or "-name" for descending) and count from
+// the query string. Returns { error } for a cursor that can't be used.
+const parseListQuery = (query, list, defaultSort) => {
+    const sort = query.sort || defaultSort;
+    const descending = sort.startsWith("-");
+    const name = descending ? sort.slice(1) : sort;
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor || cursor.sort !== sort) {
+            return { error: "Invalid cursor. Cursors can only be reused with the sort they came from" };
+        }
+    }
+
+    return {
+        sort,
+        descending,
+        key: SORT_KEYS[list][name],
+        limit: query.limit || DEFAULT_LIST_LIMIT,
+        cursor,
+        count: query.count === true,
+    };
+};
+
+// Trim the extra row fetched to see whether another page follows. `offset`
+// is the number of rows before this page.
+const toPage = (rows, list, total, offset) => {
+    const items = rows.slice(0, list.limit);
+    const last = items[items.length - 1];
+    return {
+        items: items.map(({ sort_key, ...item }) => item),
+        nextCursor: rows.length > list.limit ? encodeCursor(list.sort, offset + items.length, last.id) : null,
+        total,
+    };
+};
+
+// One page of `table` rows matching `conditions` (SQL using $1.. from `values`)
+const queryPage = async (table, conditions, values, list) => {
+    const key = `(${list.key}) COLLATE "C"`;
+    const direction = list.descending ? "DESC" : "ASC";
+    const where = [...conditions];
+    const params = [...values];
+
+    let skip = 0;
+    if (list.cursor) {
+        const last = await pool.query(
+            `SELECT ${key} AS sort_key FROM ${table} WHERE ${conditions.join(" AND ")} AND id = $${values.length + 1}`,
+            [...values, list.cursor.id]
+        );
+        if (last.rows.length > 0) {
+            params.push(last.rows[0].sort_key, list.cursor.id);
+            where.push(`(${key}, id) ${list.descending ? "<" : ">"} ($${params.length - 1}, $${params.length})`);
+        } else {
+            skip = list.cursor.offset;
+        }
+    }
+    params.push(list.limit + 1, skip);
+
+    const rows = await pool.query(
+        `SELECT *, ${key} AS sort_key FROM ${table} WHERE ${where.join(" AND ")} ORDER BY ${key} ${direction}, id ${direction}
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+    );
+
+    let total;
+    if (list.count) {
+        const counted = await pool.query(`SELECT COUNT(*)::int AS total FROM ${table} WHERE ${conditions.join(" AND ")}`, values);
+        total = counted.rows[0].total;
+    }
+    return toPage(rows.rows, list, total, list.cursor ? list.cursor.offset : 0);
+};
+
+// One page of rows already loaded, each carrying its sort_key
+const arrayPage = (rows, list) => {
+    const byKey = (a, b) => (a.sort_key < b.sort_key ? -1 : a.sort_key > b.sort_key ? 1 : a.id - b.id) * (list.descending ? -1 : 1);
+    const sorted = [...rows].sort(byKey);
+    let start = 0;
+    if (list.cursor) {
+        const last = sorted.findIndex((row) => row.id === list.cursor.id);
+        start = last === -1 ? list.cursor.offset : last + 1;
+    }
+    return toPage(sorted.slice(start, start + list.limit + 1), list, list.count ? rows.length : undefined, start);
+};
+
+const sendPage = (res, page) => {
+    if (page.nextCursor) res.set("X-Next-Cursor", page.nextCursor);
+    if (page.total !== undefined) res.set("X-Total-Count", String(page.total));
+    res.json(page.items);
+};
+
+// Medications come back with their projected stock (see inventory.js).
+// ?status=active keeps medications whose course hasn't ended (including those
+// with no readable duration) by the patient's today; ?status=finished the ones that have.
+// Names are encrypted, so sorting by name pages in memory.
+const listMedications = async (patientId, query, timezone = DEFAULT_TIMEZONE) => {
+    const list = parseListQuery(query, "medications", "id");
+    if (list.error) return list;
+
+    const conditions = ["user_id = $1"];
+    const values = [patientId];
+    if (query.status) {
+        values.push(formatDate(wallClockNow(timezone)));
+        conditions.push(query.status === "active"
+            ? `(medication_end_date(start_date, duration) IS NULL OR medication_end_date(start_date, duration) > $${values.length})`
+            : `medication_end_date(start_date, duration) <= $${values.length}`);
+    }
+
+    let page;
+    if (list.key !== null) {
+        page = await queryPage("medications", conditions, values, list);
+    } else {
+        const medications = await pool.query(`SELECT * FROM medications WHERE ${conditions.join(" AND ")}`, values);
+        page = arrayPage(medications.rows.map((medication) => ({ ...medication, sort_key: (medication.name || "").toLowerCase() })), list);
+    }
+    return { ...page, items: page.items.map((medication) => withStock(medication)) };
+};
+
+// ?from= and ?to= are inclusive YYYY-MM-DD dates
+const listAppointments = async (patientId, query) => {
+    const list = parseListQuery(query, "appointments", "date");
+    if (list.error) return list;
+
+    const conditions = ["user_id = $1"];
+    const values = [patientId];
+    for (const [param, operator] of [["from", ">="], ["to", "<="]]) {
+        if (query[param] === undefined) continue;
+        if (!(DATE_REGEX.test(query[param]) && parseDateTime(query[param]))) {
+            return { error: `Invalid ${param} date. Expected YYYY-MM-DD` };
+        }
+        values.push(query[param]);
+        conditions.push(`date ${operator} $${values.length}`);
+    }
+
+    return queryPage("appointments", conditions, values, list);
+};
+
+// The sort keys of SORT_KEYS.tasks, for tasks paged in memory
+const sortKeyInMemory = (task, list) => {
+    const name = list.sort.replace(/^-/, "");
+    if (name === "name") return (task.name || "").toLowerCase();
+    if (name === "time") return task.time ? formatDateTime(task.time) : "";
+    return "";
+};
+
+// Blind index terms of task locations (fieldcrypto.js), in daily_task_location_terms
+const LOCATION_INDEX = "daily_tasks.location";
+
+// Replace a task's location terms; call after every write of its location
+const indexTaskLocation = async (task) => {
+    await pool.query("DELETE FROM daily_task_location_terms WHERE task_id = $1", [task.id]);
+    const terms = substringIndexTerms(LOCATION_INDEX, task.location);
+    if (terms.length > 0) {
+        await pool.query(
+            "INSERT INTO daily_task_location_terms (task_id, term) SELECT $1, unnest($2::text[]) ON CONFLICT DO NOTHING",
+            [task.id, terms]
+        );
+    }
+};
+
+// Every task comes back with next_due_at, its next occurrence from now on
+// (on the patient's wall clock, like the task's time).
+// ?location= matches part of the location, ignoring case. Encrypted locations
+// are narrowed down by their blind index terms and then checked once
+// decrypted. Filtering by location when encryption is on, sorting by nextDue or
+// filtering with ?dueBefore= happen after the query, so those lists are paged
+// in memory; tasks with nothing due sort last.
+const listTasks = async (patientId, query, timezone = DEFAULT_TIMEZONE) => {
+    const list = parseListQuery(query, "tasks", "id");
+    if (list.error) return list;
+
+    const conditions = ["user_id = $1"];
+    const values = [patientId];
+    const locationInMemory = Boolean(query.location) && encryptionEnabled();
+    if (locationInMemory) {
+        // Locations written before encryption was turned on have no terms
+        const terms = substringIndexTerms(LOCATION_INDEX, query.location);
+        if (terms.length > 0) {
+            values.push(terms, terms.length);
+            conditions.push(`(location NOT LIKE 'enc:%' OR id IN (
+                SELECT task_id FROM daily_task_location_terms WHERE term = ANY($${values.length - 1}::text[])
+                GROUP BY task_id HAVING COUNT(*) = $${values.length}))`);
+        }
+    } else if (query.location) {
+        values.push(query.location);
+        conditions.push(`strpos(lower(location), lower($${values.length})) > 0`);
+    }
+
+    let dueBefore = null;
+    if (query.dueBefore !== undefined) {
+        dueBefore = parseDateTime(query.dueBefore);
+        if (!dueBefore) return { error: "Invalid dueBefore. Expected YYYY-MM-DD HH:mm:ss" };
+    }
+
+    const now = wallClockNow(timezone);
+    const nextDue = (task) =>
+        task.time ? nextOccurrence({ start: task.time, rrule: taskRRule(task), exceptionDates: task.exception_dates }, now) : null;
+    const withNextDue = (task, due = nextDue(task)) => ({ ...task, next_due_at: due ? formatDateTime(due) : null });
+
+    if (list.key !== null && !dueBefore && !locationInMemory) {
+        const page = await queryPage("daily_tasks", conditions, values, list);
+        return { ...page, items: page.items.map((task) => withNextDue(task)) };
+    }
+
+    const tasks = await pool.query(`SELECT * FROM daily_tasks WHERE ${conditions.join(" AND ")}`, values);
+    const rows = [];
+    for (const task of tasks.rows) {
+        const due = nextDue(task);
+        if (dueBefore && !(due && due < dueBefore)) continue;
+        if (locationInMemory && !(task.location || "").toLowerCase().includes(query.location.toLowerCase())) continue;
+
+        const item = withNextDue(task, due);
+        rows.push({ ...item, sort_key: list.key === null ? item.next_due_at || "~" : sortKeyInMemory(task, list) });
+    }
+    return arrayPage(rows, list);
+};
+
+module.exports = {
+    MAX_LIST_LIMIT,
+    LIST_SORTS,
+    sendPage,
+    listMedications,
+    listAppointments,
+    listTasks,
+    indexTaskLocation,
+};
@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Structured logging: one JSON object per line, on stdout (stderr for warn and
+// error), with the request id and user of the request being served. Fields
+// holding credentials or health details are replaced with "[REDACTED]" at any
+// depth, so passing a row or body to the logger can't leak them. LOG_LEVEL
+// sets the lowest level written (default info).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 6;
+
+// Compared lower-cased and without underscores, so patient_name matches patientName
+const SECRET_FIELDS = [
+    "password", "currentpassword", "newpassword", "passwordhash",
+    "token", "refreshtoken", "challengetoken", "tokenhash", "authorization", "cookie",
+    "secret", "totpsecret", "otpauthuri", "recoverycode", "recoverycodes", "codehash", "invitecode",
+];
+const HEALTH_FIELDS = [
+    "name", "patientname", "caregivername", "title", "description", "location", "notes",
+    "dosage", "medication", "medications", "ingredients", "interactions", "warnings", "symptom",
+];
+const REDACTED_FIELDS = new Set([...SECRET_FIELDS, ...HEALTH_FIELDS]);
+
+const isRedacted = (key) => REDACTED_FIELDS.has(key.toLowerCase().replace(/_/g, ""));
+
+const serializeError = (err) => ({ message: err.message, code: err.code, stack: err.stack });
+
+// A copy of `value` that is safe to log
+const redact = (value, depth = 0) => {
+    if (value instanceof Error) return serializeError(value);
+    if (value === null || typeof value !== "object" || value instanceof Date) return value;
+    if (depth >= MAX_DEPTH) return "[Truncated]";
+    if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+    return Object.fromEntries(
+        Object.entries(value).map(([key, field]) => [key, isRedacted(key) ? REDACTED : redact(field, depth + 1)])
+    );
+};
+
+// The request being served, for the ids on every line logged while serving it
+const requestContext = new AsyncLocalStorage();
+
+const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+    const context = requestContext.getStore();
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...(context && { requestId: context.requestId, userId: context.req.userId }),
+        ...redact(fields),
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+};
+
+// The route pattern a request matched (e.g. /medications/:id), which unlike
+// the path doesn't vary with ids; "unmatched" for unknown routes
+const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : "unmatched");
+
+// Client-supplied request ids are kept when they look like ids, so a request
+// can be traced across services
+const REQUEST_ID_REGEX = /^[\w.:-]{1,100}$/;
+
+// Give every request an id (X-Request-Id, echoed on the response), run the
+// rest of its handling in that context, and log it once it has been answered
+const requestLogging = (req, res, next) => {
+    const incoming = req.headers["x-request-id"];
+    req.id = incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+        const status = res.statusCode;
+        write(status >= 500 ? "error" : status >= 400 ? "warn" : "info", "Request handled", {
+            requestId: req.id,
+            userId: req.userId,
+            method: req.method,
+            route: routeOf(req),
+            path: req.path,
+            status,
+            durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+        });
+    });
+
+    requestContext.run({ requestId: req.id, req }, next);
+};
+
+module.exports = {
+    logger,
+    redact,
+    requestLogging,
+    routeOf,
+};
@@ -0,0 +1,282 @@
+const pool = require("./db");
+const { formatDate, addDays } = require("./dates");
+const { seal } = require("./fieldcrypto");
+
+// Health measurements a patient or their care team records: blood pressure,
+// glucose, weight and symptoms. Readings keep the value and unit as entered
+// and, for trends and thresholds, the value in the type's standard unit.
+// measured_at is the patient's wall clock, like task times. Caregivers set
+// thresholds per patient and type; a reading outside them raises an alert
+// for the care team.
+
+// Each type's units, standard unit first, with the factor converting to it,
+// and the plausible range of a reading in the standard unit. Blood pressure
+// takes systolic as `value` and diastolic as `secondaryValue`; a symptom takes
+// its name and a severity from 0 to 10.
+const MEASUREMENT_TYPES = {
+    blood_pressure: { label: "Blood pressure", units: { mmHg: 1 }, range: [40, 300], secondaryRange: [20, 200] },
+    glucose: { label: "Glucose", units: { "mg/dL": 1, "mmol/L": 18 }, range: [10, 1000] },
+    weight: { label: "Weight", units: { kg: 1, lb: 0.45359237 }, range: [1, 500] },
+    symptom: { label: "Symptom severity", units: { severity: 1 }, range: [0, 10], wholeNumbers: true },
+};
+
+const TREND_PERIODS = ["day", "week"];
+const ALERT_STATUSES = ["open", "acknowledged", "all"];
+
+// Readings this far ahead of the patient's clock still count as now
+const CLOCK_SKEW_MINUTES = 5;
+
+const standardUnit = (type) => Object.keys(MEASUREMENT_TYPES[type].units)[0];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toStandard = (type, unit, value) =>
+    value === null || value === undefined ? null : round(value * MEASUREMENT_TYPES[type].units[unit]);
+
+const unitError = (type, unit) =>
+    MEASUREMENT_TYPES[type].units[unit] ? null : `Invalid unit for ${type}. Expected any of: ${Object.keys(MEASUREMENT_TYPES[type].units).join(", ")}`;
+
+// Check a reading against its type's rules. Returns { error } or the columns to store.
+const parseMeasurement = ({ type, value, secondaryValue = null, unit = standardUnit(type), symptom = null, notes = null }) => {
+    const spec = MEASUREMENT_TYPES[type];
+    const error = unitError(type, unit);
+    if (error) return { error };
+
+    if (spec.secondaryRange && (secondaryValue === null || secondaryValue === undefined)) {
+        return { error: "Blood pressure needs secondaryValue (diastolic) as well as value (systolic)" };
+    }
+    if (!spec.secondaryRange && secondaryValue !== null) {
+        return { error: "secondaryValue only applies to blood pressure" };
+    }
+    if (type === "symptom" && !symptom) {
+        return { error: "A symptom reading needs the symptom's name" };
+    }
+    if (type !== "symptom" && symptom) {
+        return { error: "symptom only applies to symptom readings" };
+    }
+    if (spec.wholeNumbers && !Number.isInteger(value)) {
+        return { error: `${spec.label} must be a whole number` };
+    }
+
+    const normalized = toStandard(type, unit, value);
+    const normalizedSecondary = toStandard(type, unit, secondaryValue);
+    const [min, max] = spec.range;
+    if (normalized < min || normalized > max) {
+        return { error: `${spec.label} must be between ${min} and ${max} ${standardUnit(type)}` };
+    }
+    if (spec.secondaryRange) {
+        const [secondaryMin, secondaryMax] = spec.secondaryRange;
+        if (normalizedSecondary < secondaryMin || normalizedSecondary > secondaryMax) {
+            return { error: `Diastolic pressure must be between ${secondaryMin} and ${secondaryMax} ${standardUnit(type)}` };
+        }
+        if (normalizedSecondary >= normalized) {
+            return { error: "Diastolic pressure must be lower than systolic" };
+        }
+    }
+
+    return { type, value, secondaryValue, unit, normalized, normalizedSecondary, symptom, notes };
+};
+
+// Bounds the reading breaks: [{ field, value, limit, direction }], empty when none
+const thresholdBreaches = (measurement, threshold) => {
+    if (!threshold) return [];
+    const checks = [
+        ["value", measurement.normalized_value, threshold.min_value, threshold.max_value],
+        ["secondary_value", measurement.normalized_secondary_value, threshold.min_secondary_value, threshold.max_secondary_value],
+    ];
+
+    const breaches = [];
+    for (const [field, value, min, max] of checks) {
+        if (value === null) continue;
+        if (min !== null && value < min) breaches.push({ field, value, limit: min, direction: "below" });
+        if (max !== null && value > max) breaches.push({ field, value, limit: max, direction: "above" });
+    }
+    return breaches;
+};
+
+const thresholdFor = async (patientId, type) => {
+    const result = await pool.query("SELECT * FROM measurement_thresholds WHERE patient_id = $1 AND type = $2", [patientId, type]);
+    return result.rows[0] || null;
+};
+
+// Store a parsed reading taken at `measuredAt` (the patient's wall clock) and
+// raise an alert if it is outside the patient's threshold. Returns
+// { measurement, alert }, alert being null when the reading is in range.
+const recordMeasurement = async (patientId, reading, measuredAt, recordedBy) => {
+    const inserted = await pool.query(
+        `INSERT INTO measurements (user_id, type, value, secondary_value, unit, normalized_value, normalized_secondary_value, symptom, notes, measured_at, recorded_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+        [
+            patientId, reading.type, reading.value, reading.secondaryValue, reading.unit, reading.normalized, reading.normalizedSecondary,
+            seal(reading.symptom), seal(reading.notes), measuredAt, recordedBy,
+        ]
+    );
+    const measurement = inserted.rows[0];
+
+    const breaches = thresholdBreaches(measurement, await thresholdFor(patientId, measurement.type));
+    if (breaches.length === 0) return { measurement, alert: null };
+
+    const alert = await pool.query(
+        "INSERT INTO measurement_alerts (patient_id, measurement_id, type, breaches) VALUES ($1, $2, $3, $4) RETURNING *",
+        [patientId, measurement.id, measurement.type, JSON.stringify(breaches)]
+    );
+    return { measurement, alert: alert.rows[0] };
+};
+
+// A patient's readings in [from, to), newest first, optionally of one type
+const listMeasurements = async (patientId, { from, to }, type = null) => {
+    const result = await pool.query(
+        `SELECT * FROM measurements WHERE user_id = $1 AND measured_at >= $2 AND measured_at < $3 AND ($4::text IS NULL OR type = $4)
+         ORDER BY measured_at DESC, id DESC`,
+        [patientId, from, to, type]
+    );
+    return result.rows;
+};
+
+// Delete one of the patient's readings, and any alert it raised; returns the
+// deleted row or null
+const removeMeasurement = async (patientId, id) => {
+    const result = await pool.query("DELETE FROM measurements WHERE id = $1 AND user_id = $2 RETURNING *", [id, patientId]);
+    return result.rows[0] || null;
+};
+
+// Averages, minimums and maximums of a type's readings in [from, to), in the
+// standard unit, per day or per week (weeks start on Monday) and overall
+const measurementTrends = async (patientId, type, period, { from, to }) => {
+    const stats = `COUNT(*)::int AS count,
+        round(AVG(normalized_value), 2) AS average, MIN(normalized_value) AS min, MAX(normalized_value) AS max,
+        round(AVG(normalized_secondary_value), 2) AS secondary_average,
+        MIN(normalized_secondary_value) AS secondary_min, MAX(normalized_secondary_value) AS secondary_max`;
+    const where = "user_id = $1 AND type = $2 AND measured_at >= $3 AND measured_at < $4";
+
+    const buckets = await pool.query(
+        `SELECT date_trunc('${period}', measured_at) AS start, ${stats} FROM measurements WHERE ${where} GROUP BY 1 ORDER BY 1`,
+        [patientId, type, from, to]
+    );
+    const overall = await pool.query(`SELECT ${stats} FROM measurements WHERE ${where}`, [patientId, type, from, to]);
+
+    const summary = ({ start, count, average, min, max, secondary_average, secondary_min, secondary_max }) => ({
+        ...(start && { start: formatDate(start) }),
+        count,
+        average,
+        min,
+        max,
+        ...(MEASUREMENT_TYPES[type].secondaryRange && { secondaryAverage: secondary_average, secondaryMin: secondary_min, secondaryMax: secondary_max }),
+    });
+
+    return {
+        patientId: Number(patientId),
+        type,
+        unit: standardUnit(type),
+        period,
+        from: formatDate(from),
+        to: formatDate(addDays(to, -1)),
+        overall: summary(overall.rows[0]),
+        buckets: buckets.rows.map(summary),
+    };
+};
+
+// A threshold row as returned by the API, with the unit its bounds are in
+const withUnit = (threshold) => ({ ...threshold, unit: standardUnit(threshold.type) });
+
+const patientThresholds = async (patientId) => {
+    const result = await pool.query("SELECT * FROM measurement_thresholds WHERE patient_id = $1 ORDER BY type", [patientId]);
+    return result.rows.map(withUnit);
+};
+
+// Check threshold bounds given in `unit`. Returns { error } or the bounds in the standard unit.
+const parseThreshold = (type, { min = null, max = null, secondaryMin = null, secondaryMax = null, unit = standardUnit(type) }) => {
+    const error = unitError(type, unit);
+    if (error) return { error };
+    if (!MEASUREMENT_TYPES[type].secondaryRange && (secondaryMin !== null || secondaryMax !== null)) {
+        return { error: "secondaryMin and secondaryMax only apply to blood pressure" };
+    }
+    if ([min, max, secondaryMin, secondaryMax].every((bound) => bound === null)) {
+        return { error: "Set at least one of min, max, secondaryMin and secondaryMax" };
+    }
+    if ((min !== null && max !== null && min > max) || (secondaryMin !== null && secondaryMax !== null && secondaryMin > secondaryMax)) {
+        return { error: "A threshold's minimum must not be above its maximum" };
+    }
+
+    return {
+        min: toStandard(type, unit, min),
+        max: toStandard(type, unit, max),
+        secondaryMin: toStandard(type, unit, secondaryMin),
+        secondaryMax: toStandard(type, unit, secondaryMax),
+    };
+};
+
+// Create or replace the patient's threshold for a type. Returns { before, after }.
+const setThreshold = async (patientId, type, bounds, setBy) => {
+    const before = await thresholdFor(patientId, type);
+    const result = await pool.query(
+        `INSERT INTO measurement_thresholds (patient_id, type, min_value, max_value, min_secondary_value, max_secondary_value, set_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (patient_id, type) DO UPDATE SET min_value = EXCLUDED.min_value, max_value = EXCLUDED.max_value,
+            min_secondary_value = EXCLUDED.min_secondary_value, max_secondary_value = EXCLUDED.max_secondary_value,
+            set_by = EXCLUDED.set_by, updated_at = NOW()
+         RETURNING *`,
+        [patientId, type, bounds.min, bounds.max, bounds.secondaryMin, bounds.secondaryMax, setBy]
+    );
+    return { before, after: result.rows[0] };
+};
+
+// Remove the patient's threshold for a type; returns the removed row or null
+const removeThreshold = async (patientId, type) => {
+    const result = await pool.query("DELETE FROM measurement_thresholds WHERE patient_id = $1 AND type = $2 RETURNING *", [patientId, type]);
+    return result.rows[0] || null;
+};
+
+// Alerts come with the reading and the patient's name
+const ALERT_COLUMNS = "a.*, u.name AS patient_name, m.user_id, m.value, m.secondary_value, m.unit, m.symptom, m.measured_at";
+
+// Alerts for the given patients, newest first. `status` is open, acknowledged or all.
+const measurementAlerts = async (patientIds, status = "open") => {
+    const result = await pool.query(
+        `SELECT ${ALERT_COLUMNS}
+         FROM measurement_alerts a JOIN users u ON u.id = a.patient_id JOIN measurements m ON m.id = a.measurement_id
+         WHERE a.patient_id = ANY($1::int[])
+           AND ($2 = 'all' OR ($2 = 'open') = (a.acknowledged_at IS NULL))
+         ORDER BY a.created_at DESC, a.id DESC`,
+        [patientIds, status]
+    );
+    return result.rows;
+};
+
+const findAlert = async (id) => {
+    const result = await pool.query(
+        `SELECT ${ALERT_COLUMNS}
+         FROM measurement_alerts a JOIN users u ON u.id = a.patient_id JOIN measurements m ON m.id = a.measurement_id
+         WHERE a.id = $1`,
+        [id]
+    );
+    return result.rows[0] || null;
+};
+
+// Mark an alert acknowledged; one already acknowledged keeps who did it first
+const acknowledgeAlert = async (id, acknowledgedBy) => {
+    await pool.query(
+        "UPDATE measurement_alerts SET acknowledged_at = NOW(), acknowledged_by = $2 WHERE id = $1 AND acknowledged_at IS NULL",
+        [id, acknowledgedBy]
+    );
+    return findAlert(id);
+};
+
+module.exports = {
+    MEASUREMENT_TYPES,
+    TREND_PERIODS,
+    ALERT_STATUSES,
+    CLOCK_SKEW_MINUTES,
+    parseMeasurement,
+    recordMeasurement,
+    listMeasurements,
+    removeMeasurement,
+    measurementTrends,
+    patientThresholds,
+    parseThreshold,
+    setThreshold,
+    removeThreshold,
+    measurementAlerts,
+    findAlert,
+    acknowledgeAlert,
+};
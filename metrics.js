@@ -0,0 +1,72 @@
+const { routeOf } = require("./logger");
+
+// In-process request metrics for GET /metrics: per route, the request count,
+// client and server error counts, and a latency histogram. Routes are keyed by
+// their pattern (GET /medications/:id), so ids don't multiply the keys.
+// Counts start at zero with each process.
+
+// Upper bounds of the latency buckets, in milliseconds
+const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+const startedAt = new Date();
+const routes = new Map();
+
+const recordRequest = (route, status, durationMs) => {
+    if (!routes.has(route)) {
+        routes.set(route, { requests: 0, clientErrors: 0, serverErrors: 0, totalMs: 0, maxMs: 0, buckets: new Array(LATENCY_BUCKETS_MS.length + 1).fill(0) });
+    }
+
+    const stats = routes.get(route);
+    stats.requests += 1;
+    if (status >= 500) stats.serverErrors += 1;
+    else if (status >= 400) stats.clientErrors += 1;
+    stats.totalMs += durationMs;
+    stats.maxMs = Math.max(stats.maxMs, durationMs);
+
+    const bucket = LATENCY_BUCKETS_MS.findIndex((bound) => durationMs <= bound);
+    stats.buckets[bucket === -1 ? LATENCY_BUCKETS_MS.length : bucket] += 1;
+};
+
+// Time every request once it has been answered
+const trackRequests = (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+        recordRequest(`${req.method} ${routeOf(req)}`, res.statusCode, Number(process.hrtime.bigint() - started) / 1e6);
+    });
+    next();
+};
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+// Everything recorded so far, plus the state of the database pool
+const metricsSnapshot = (pool) => ({
+    startedAt,
+    uptimeSeconds: Math.round(process.uptime()),
+    pool: {
+        total: pool.totalCount,
+        idle: pool.idleCount,
+        active: pool.totalCount - pool.idleCount,
+        waiting: pool.waitingCount,
+        max: pool.options.max,
+    },
+    routes: [...routes.entries()]
+        .map(([route, stats]) => ({
+            route,
+            requests: stats.requests,
+            clientErrors: stats.clientErrors,
+            serverErrors: stats.serverErrors,
+            averageMs: round(stats.totalMs / stats.requests),
+            maxMs: round(stats.maxMs),
+            // Cumulative, like a Prometheus histogram: requests at or under each bound
+            latencyBuckets: [...LATENCY_BUCKETS_MS, "+Inf"].map((bound, index) => ({
+                le: bound,
+                count: stats.buckets.slice(0, index + 1).reduce((sum, count) => sum + count, 0),
+            })),
+        }))
+        .sort((a, b) => a.route.localeCompare(b.route)),
+});
+
+module.exports = {
+    trackRequests,
+    metricsSnapshot,
+};
@@ -0,0 +1,160 @@
+const fs = require("fs");
+const path = require("path");
+const pool = require("./db");
+
+// Versioned schema migrations. Each version is a pair of files in migrations/,
+// NNN_name.up.sql and NNN_name.down.sql. Applied versions are recorded in
+// schema_migrations, and each migration runs in its own transaction.
+//
+//   npm run migrate                  apply every pending migration
+//   npm run migrate:rollback [-- N]  roll back the latest N migrations (default 1)
+//   npm run migrate:status           list applied and pending migrations
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+// Arbitrary key for the advisory lock that keeps two runners from migrating at once
+const MIGRATION_LOCK = 72001;
+
+// Migrations on disk, oldest first: [{ version, name, up, down }]
+const loadMigrations = () => {
+    const byVersion = new Map();
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+        const match = MIGRATION_FILE.exec(file);
+        if (!match) continue;
+
+        const [, version, name, direction] = match;
+        if (!byVersion.has(version)) byVersion.set(version, { version, name });
+        byVersion.get(version)[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+    for (const migration of migrations) {
+        if (!migration.up || !migration.down) {
+            throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+        }
+    }
+    return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+    await client.query(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version VARCHAR(16) PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )`
+    );
+};
+
+// Every migration with its applied_at (null when pending)
+const migrationStatus = async () => {
+    await ensureMigrationsTable(pool);
+    const applied = await pool.query("SELECT version, applied_at FROM schema_migrations");
+    const appliedAt = new Map(applied.rows.map((row) => [row.version, row.applied_at]));
+
+    return loadMigrations().map(({ version, name }) => ({ version, name, appliedAt: appliedAt.get(version) || null }));
+};
+
+const pendingMigrations = async () => (await migrationStatus()).filter((migration) => !migration.appliedAt);
+
+// Run `work` on a dedicated client holding the migration lock
+const withMigrationLock = async (work) => {
+    const client = await pool.connect();
+    try {
+        await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK]);
+        await ensureMigrationsTable(client);
+        return await work(client);
+    } finally {
+        await client.query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK]).catch(() => {});
+        client.release();
+    }
+};
+
+const runInTransaction = async (client, sql, bookkeeping) => {
+    try {
+        await client.query("BEGIN");
+        await client.query(sql);
+        await bookkeeping();
+        await client.query("COMMIT");
+    } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+    }
+};
+
+// Apply pending migrations in order, returning the ones applied
+const migrate = async () =>
+    withMigrationLock(async (client) => {
+        const applied = new Set((await client.query("SELECT version FROM schema_migrations")).rows.map((row) => row.version));
+        const pending = loadMigrations().filter((migration) => !applied.has(migration.version));
+
+        for (const migration of pending) {
+            console.log(`⬆️  Applying ${migration.version}_${migration.name}`);
+            await runInTransaction(client, migration.up, () =>
+                client.query("INSERT INTO schema_migrations (version, name) VALUES ($1, $2)", [migration.version, migration.name])
+            );
+        }
+        return pending;
+    });
+
+// Roll back the latest `steps` applied migrations, returning the ones rolled back
+const rollback = async (steps = 1) =>
+    withMigrationLock(async (client) => {
+        const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+        const latest = await client.query("SELECT version FROM schema_migrations ORDER BY version DESC LIMIT $1", [steps]);
+        const rolledBack = [];
+
+        for (const { version } of latest.rows) {
+            const migration = migrations.get(version);
+            if (!migration) {
+                throw new Error(`Applied migration ${version} has no files in ${MIGRATIONS_DIR}`);
+            }
+
+            console.log(`⬇️  Rolling back ${migration.version}_${migration.name}`);
+            await runInTransaction(client, migration.down, () =>
+                client.query("DELETE FROM schema_migrations WHERE version = $1", [version])
+            );
+            rolledBack.push(migration);
+        }
+        return rolledBack;
+    });
+
+const runCommand = async (command, arg) => {
+    if (command === "up") {
+        const applied = await migrate();
+        console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : "✅ Schema is up to date");
+    } else if (command === "down") {
+        const steps = arg === undefined ? 1 : Number(arg);
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error("Rollback steps must be a positive whole number");
+        }
+        const rolledBack = await rollback(steps);
+        console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+    } else if (command === "status") {
+        for (const migration of await migrationStatus()) {
+            const state = migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : "pending";
+            console.log(`${migration.version}_${migration.name}  ${state}`);
+        }
+    } else {
+        throw new Error(`Unknown command "${command}". Expected up, down or status`);
+    }
+};
+
+if (require.main === module) {
+    runCommand(process.argv[2] || "up", process.argv[3])
+        .catch((err) => {
+            console.error("❌ Migration failed:", err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = {
+    loadMigrations,
+    migrationStatus,
+    pendingMigrations,
+    migrate,
+    rollback,
+};
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS daily_tasks;
+DROP TABLE IF EXISTS appointments;
+DROP TABLE IF EXISTS medications;
+DROP TABLE IF EXISTS users;
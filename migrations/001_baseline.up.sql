@@ -0,0 +1,38 @@
+-- The original tables, as the app has always used them. IF NOT EXISTS lets a
+-- database created before migrations existed adopt this baseline as-is.
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(255) UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    name VARCHAR(255),
+    role VARCHAR(50),
+    counterpart_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    requested_caregiver_id INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS medications (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    dosage VARCHAR(255),
+    time VARCHAR(255),
+    duration VARCHAR(255),
+    is_taken BOOLEAN DEFAULT false
+);
+
+CREATE TABLE IF NOT EXISTS appointments (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(255),
+    date DATE,
+    description TEXT
+);
+
+CREATE TABLE IF NOT EXISTS daily_tasks (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    location VARCHAR(255),
+    time TIMESTAMP,
+    frequency VARCHAR(255)
+);
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS medication_doses;
+ALTER TABLE medications DROP COLUMN IF EXISTS start_date;
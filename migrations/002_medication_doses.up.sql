@@ -0,0 +1,16 @@
+-- Per-dose medication schedule and adherence log
+ALTER TABLE medications ADD COLUMN IF NOT EXISTS start_date DATE NOT NULL DEFAULT CURRENT_DATE;
+
+CREATE TABLE IF NOT EXISTS medication_doses (
+    id SERIAL PRIMARY KEY,
+    medication_id INTEGER NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scheduled_at TIMESTAMP NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'taken', 'skipped', 'late')),
+    taken_at TIMESTAMP,
+    recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMP,
+    UNIQUE (medication_id, scheduled_at)
+);
+
+CREATE INDEX IF NOT EXISTS medication_doses_user_scheduled_idx ON medication_doses (user_id, scheduled_at);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS daily_task_completions;
+ALTER TABLE daily_tasks DROP COLUMN IF EXISTS exception_dates;
+ALTER TABLE daily_tasks DROP COLUMN IF EXISTS recurrence;
@@ -0,0 +1,15 @@
+-- Structured recurrence (RFC 5545 RRULE subset) for daily tasks
+ALTER TABLE daily_tasks ADD COLUMN IF NOT EXISTS recurrence TEXT;
+ALTER TABLE daily_tasks ADD COLUMN IF NOT EXISTS exception_dates TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS daily_task_completions (
+    id SERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES daily_tasks(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    occurrence_at TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP NOT NULL,
+    completed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE (task_id, occurrence_at)
+);
+
+CREATE INDEX IF NOT EXISTS daily_task_completions_user_occurrence_idx ON daily_task_completions (user_id, occurrence_at);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS appointments_user_ics_uid_idx;
+ALTER TABLE appointments DROP COLUMN IF EXISTS ics_uid;
+ALTER TABLE users DROP COLUMN IF EXISTS calendar_token;
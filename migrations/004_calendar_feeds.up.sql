@@ -0,0 +1,5 @@
+-- Tokenized iCalendar subscription feeds and .ics import
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token VARCHAR(64) UNIQUE;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS ics_uid TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS appointments_user_ics_uid_idx ON appointments (user_id, ics_uid);
@@ -0,0 +1,38 @@
+-- Reminder preferences and persisted reminder state (the dedupe key keeps a
+-- reminder from being queued twice, including across restarts)
+CREATE TABLE IF NOT EXISTS reminder_preferences (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    channel VARCHAR(20) NOT NULL DEFAULT 'log',
+    target TEXT,
+    medication_lead_minutes INTEGER NOT NULL DEFAULT 15,
+    task_lead_minutes INTEGER NOT NULL DEFAULT 30,
+    appointment_lead_minutes INTEGER NOT NULL DEFAULT 1440,
+    escalation_grace_minutes INTEGER NOT NULL DEFAULT 60,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS reminders (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('medication', 'task', 'appointment', 'escalation')),
+    item_id INTEGER NOT NULL,
+    dedupe_key TEXT NOT NULL UNIQUE,
+    channel VARCHAR(20) NOT NULL,
+    target TEXT,
+    title TEXT NOT NULL,
+    message TEXT NOT NULL,
+    due_at TIMESTAMP NOT NULL,
+    send_at TIMESTAMP NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL,
+    locked_at TIMESTAMP,
+    last_error TEXT,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS reminders_due_idx ON reminders (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS reminders_user_idx ON reminders (user_id, send_at);
@@ -0,0 +1,2 @@
+ALTER TABLE medication_doses DROP COLUMN IF EXISTS missed_at;
+DROP TABLE IF EXISTS patient_events;
@@ -0,0 +1,16 @@
+-- Patient activity events for the caregiver live stream
+CREATE TABLE IF NOT EXISTS patient_events (
+    id BIGSERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recipient_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    type VARCHAR(50) NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS patient_events_patient_idx ON patient_events (patient_id, id);
+CREATE INDEX IF NOT EXISTS patient_events_recipient_idx ON patient_events (recipient_id, id);
+
+-- Set once a dose has been announced as missed, so it is only announced once
+ALTER TABLE medication_doses ADD COLUMN IF NOT EXISTS missed_at TIMESTAMP;
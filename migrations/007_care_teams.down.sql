@@ -0,0 +1,2 @@
+-- counterpart_id is left as it was; links added since are lost
+DROP TABLE IF EXISTS care_team_members;
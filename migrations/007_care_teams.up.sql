@@ -0,0 +1,17 @@
+-- Care teams: several caregivers per patient, each with permission scopes
+-- and an optional expiry. Existing counterpart_id links become full-access members.
+CREATE TABLE IF NOT EXISTS care_team_members (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    caregiver_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scopes TEXT[] NOT NULL DEFAULT '{read}',
+    expires_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (patient_id, caregiver_id)
+);
+
+CREATE INDEX IF NOT EXISTS care_team_members_caregiver_idx ON care_team_members (caregiver_id);
+
+INSERT INTO care_team_members (patient_id, caregiver_id, scopes)
+SELECT id, counterpart_id, '{read,medications,tasks,appointments}' FROM users WHERE counterpart_id IS NOT NULL
+ON CONFLICT (patient_id, caregiver_id) DO NOTHING;
@@ -0,0 +1,29 @@
+-- Caregiver requests and invite codes. A link only exists once the caregiver
+-- accepts; each transition is timestamped.
+CREATE TABLE IF NOT EXISTS care_requests (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    caregiver_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    invite_code VARCHAR(16) UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{read,medications,tasks,appointments}',
+    access_expires_at TIMESTAMPTZ,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled', 'expired', 'revoked')),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ,
+    accepted_at TIMESTAMPTZ,
+    declined_at TIMESTAMPTZ,
+    cancelled_at TIMESTAMPTZ,
+    expired_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    CHECK (caregiver_id IS NOT NULL OR invite_code IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS care_requests_patient_idx ON care_requests (patient_id, status);
+CREATE INDEX IF NOT EXISTS care_requests_caregiver_idx ON care_requests (caregiver_id, status);
+
+-- Carry over requests recorded in the legacy requested_caregiver_id column
+INSERT INTO care_requests (patient_id, caregiver_id)
+SELECT u.id, u.requested_caregiver_id FROM users u
+WHERE u.requested_caregiver_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM care_requests r WHERE r.patient_id = u.id AND r.caregiver_id = u.requested_caregiver_id);
@@ -0,0 +1,4 @@
+DROP FUNCTION IF EXISTS medication_end_date(DATE, TEXT);
+DROP INDEX IF EXISTS daily_tasks_user_idx;
+DROP INDEX IF EXISTS appointments_user_date_idx;
+DROP INDEX IF EXISTS medications_user_idx;
@@ -0,0 +1,18 @@
+-- Indexes for the paginated list endpoints, and the last day of a medication
+-- course for the active/finished filter. The function reads `duration` the way
+-- parseDurationDays in doses.js does; unreadable or missing durations give NULL
+-- (an ongoing medication).
+CREATE INDEX IF NOT EXISTS medications_user_idx ON medications (user_id);
+CREATE INDEX IF NOT EXISTS appointments_user_date_idx ON appointments (user_id, date);
+CREATE INDEX IF NOT EXISTS daily_tasks_user_idx ON daily_tasks (user_id);
+
+CREATE OR REPLACE FUNCTION medication_end_date(start_date DATE, duration TEXT) RETURNS DATE
+LANGUAGE sql IMMUTABLE AS $$
+    SELECT start_date + substring(d FROM '^\d+')::int * CASE substring(d FROM '[a-z]*$')
+        WHEN 'w' THEN 7 WHEN 'week' THEN 7 WHEN 'weeks' THEN 7
+        WHEN 'm' THEN 30 WHEN 'month' THEN 30 WHEN 'months' THEN 30
+        ELSE 1
+    END
+    FROM (SELECT lower(btrim(duration)) AS d) parsed
+    WHERE d ~ '^\d{1,6}\s*(d|days?|w|weeks?|m|months?)?$'
+$$;
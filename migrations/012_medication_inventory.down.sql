@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS medication_refills;
+ALTER TABLE medications
+    DROP COLUMN IF EXISTS low_stock_threshold,
+    DROP COLUMN IF EXISTS units_per_dose,
+    DROP COLUMN IF EXISTS quantity_on_hand;
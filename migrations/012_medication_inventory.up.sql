@@ -0,0 +1,20 @@
+-- Medication stock: quantity on hand (NULL when the patient doesn't track it),
+-- units taken per dose, an optional low-stock threshold in units, and a log
+-- of refills
+ALTER TABLE medications
+    ADD COLUMN IF NOT EXISTS quantity_on_hand NUMERIC(10, 2) CHECK (quantity_on_hand >= 0),
+    ADD COLUMN IF NOT EXISTS units_per_dose NUMERIC(10, 2) NOT NULL DEFAULT 1 CHECK (units_per_dose > 0),
+    ADD COLUMN IF NOT EXISTS low_stock_threshold NUMERIC(10, 2) CHECK (low_stock_threshold >= 0);
+
+CREATE TABLE IF NOT EXISTS medication_refills (
+    id SERIAL PRIMARY KEY,
+    medication_id INTEGER NOT NULL REFERENCES medications(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    quantity NUMERIC(10, 2) NOT NULL CHECK (quantity > 0),
+    refilled_at TIMESTAMP NOT NULL,
+    note TEXT,
+    recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS medication_refills_medication_idx ON medication_refills (medication_id, refilled_at);
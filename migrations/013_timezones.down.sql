@@ -0,0 +1,15 @@
+DROP TRIGGER IF EXISTS users_timezone_changed ON users;
+DROP TRIGGER IF EXISTS appointments_instant ON appointments;
+DROP TRIGGER IF EXISTS daily_tasks_instant ON daily_tasks;
+DROP TRIGGER IF EXISTS medication_doses_instant ON medication_doses;
+DROP FUNCTION IF EXISTS users_timezone_changed();
+DROP FUNCTION IF EXISTS appointments_instant();
+DROP FUNCTION IF EXISTS daily_tasks_instant();
+DROP FUNCTION IF EXISTS medication_doses_instant();
+DROP FUNCTION IF EXISTS user_timezone(INTEGER);
+
+DROP INDEX IF EXISTS medication_doses_pending_utc_idx;
+ALTER TABLE appointments DROP COLUMN IF EXISTS starts_at_utc;
+ALTER TABLE daily_tasks DROP COLUMN IF EXISTS time_utc;
+ALTER TABLE medication_doses DROP COLUMN IF EXISTS scheduled_at_utc;
+ALTER TABLE users DROP COLUMN IF EXISTS timezone;
@@ -0,0 +1,67 @@
+-- Each user's IANA time zone. Wall-clock values on a patient's items (dose
+-- times, task times, appointment dates) are in the patient's zone; the *_utc
+-- columns hold the instants they stand for. Triggers keep those in step when
+-- an item is written or its patient moves to another zone.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'UTC';
+
+ALTER TABLE medication_doses ADD COLUMN IF NOT EXISTS scheduled_at_utc TIMESTAMPTZ;
+ALTER TABLE daily_tasks ADD COLUMN IF NOT EXISTS time_utc TIMESTAMPTZ;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS starts_at_utc TIMESTAMPTZ;
+
+CREATE OR REPLACE FUNCTION user_timezone(user_id INTEGER) RETURNS TEXT AS $$
+    SELECT COALESCE((SELECT timezone FROM users WHERE id = user_id), 'UTC');
+$$ LANGUAGE SQL STABLE;
+
+CREATE OR REPLACE FUNCTION medication_doses_instant() RETURNS trigger AS $$
+BEGIN
+    NEW.scheduled_at_utc := NEW.scheduled_at AT TIME ZONE user_timezone(NEW.user_id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION daily_tasks_instant() RETURNS trigger AS $$
+BEGIN
+    NEW.time_utc := NEW.time AT TIME ZONE user_timezone(NEW.user_id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Appointments are date-only, so their instant is the start of the day
+CREATE OR REPLACE FUNCTION appointments_instant() RETURNS trigger AS $$
+BEGIN
+    NEW.starts_at_utc := NEW.date::timestamp AT TIME ZONE user_timezone(NEW.user_id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION users_timezone_changed() RETURNS trigger AS $$
+BEGIN
+    UPDATE medication_doses SET scheduled_at_utc = scheduled_at AT TIME ZONE NEW.timezone WHERE user_id = NEW.id;
+    UPDATE daily_tasks SET time_utc = time AT TIME ZONE NEW.timezone WHERE user_id = NEW.id;
+    UPDATE appointments SET starts_at_utc = date::timestamp AT TIME ZONE NEW.timezone WHERE user_id = NEW.id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS medication_doses_instant ON medication_doses;
+CREATE TRIGGER medication_doses_instant BEFORE INSERT OR UPDATE OF scheduled_at, user_id ON medication_doses
+    FOR EACH ROW EXECUTE FUNCTION medication_doses_instant();
+
+DROP TRIGGER IF EXISTS daily_tasks_instant ON daily_tasks;
+CREATE TRIGGER daily_tasks_instant BEFORE INSERT OR UPDATE OF time, user_id ON daily_tasks
+    FOR EACH ROW EXECUTE FUNCTION daily_tasks_instant();
+
+DROP TRIGGER IF EXISTS appointments_instant ON appointments;
+CREATE TRIGGER appointments_instant BEFORE INSERT OR UPDATE OF date, user_id ON appointments
+    FOR EACH ROW EXECUTE FUNCTION appointments_instant();
+
+DROP TRIGGER IF EXISTS users_timezone_changed ON users;
+CREATE TRIGGER users_timezone_changed AFTER UPDATE OF timezone ON users
+    FOR EACH ROW WHEN (OLD.timezone IS DISTINCT FROM NEW.timezone) EXECUTE FUNCTION users_timezone_changed();
+
+UPDATE medication_doses SET scheduled_at_utc = scheduled_at AT TIME ZONE user_timezone(user_id);
+UPDATE daily_tasks SET time_utc = time AT TIME ZONE user_timezone(user_id);
+UPDATE appointments SET starts_at_utc = date::timestamp AT TIME ZONE user_timezone(user_id);
+
+-- Reminders look pending doses up by instant
+CREATE INDEX IF NOT EXISTS medication_doses_pending_utc_idx ON medication_doses (scheduled_at_utc) WHERE status = 'pending';
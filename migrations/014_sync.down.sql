@@ -0,0 +1,26 @@
+DROP TABLE IF EXISTS sync_mutations;
+
+DROP TRIGGER IF EXISTS care_team_members_sync_deleted ON care_team_members;
+DROP TRIGGER IF EXISTS appointments_sync_deleted ON appointments;
+DROP TRIGGER IF EXISTS daily_tasks_sync_deleted ON daily_tasks;
+DROP TRIGGER IF EXISTS medications_sync_deleted ON medications;
+DROP TRIGGER IF EXISTS care_team_members_sync_version ON care_team_members;
+DROP TRIGGER IF EXISTS appointments_sync_version ON appointments;
+DROP TRIGGER IF EXISTS daily_tasks_sync_version ON daily_tasks;
+DROP TRIGGER IF EXISTS medications_sync_version ON medications;
+
+DROP INDEX IF EXISTS care_team_members_version_idx;
+DROP INDEX IF EXISTS appointments_user_version_idx;
+DROP INDEX IF EXISTS daily_tasks_user_version_idx;
+DROP INDEX IF EXISTS medications_user_version_idx;
+ALTER TABLE care_team_members DROP COLUMN IF EXISTS version;
+ALTER TABLE appointments DROP COLUMN IF EXISTS version;
+ALTER TABLE daily_tasks DROP COLUMN IF EXISTS version;
+ALTER TABLE medications DROP COLUMN IF EXISTS version;
+
+DROP FUNCTION IF EXISTS sync_care_link_deleted();
+DROP FUNCTION IF EXISTS sync_item_deleted();
+DROP FUNCTION IF EXISTS sync_version();
+DROP FUNCTION IF EXISTS next_sync_version();
+DROP TABLE IF EXISTS sync_tombstones;
+DROP TABLE IF EXISTS sync_clock;
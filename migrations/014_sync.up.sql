@@ -0,0 +1,114 @@
+-- Change tracking for offline sync. Every write to a synced table takes the
+-- next version from a single-row clock; the row lock is held until the write
+-- commits, so versions become visible in order and a client's cursor (the
+-- last version it has seen) never skips a change that commits late. Deletes
+-- leave tombstones carrying a version of their own.
+CREATE TABLE IF NOT EXISTS sync_clock (
+    id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+    version BIGINT NOT NULL DEFAULT 0,
+    pruned_version BIGINT NOT NULL DEFAULT 0
+);
+
+INSERT INTO sync_clock (id) VALUES (true) ON CONFLICT (id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION next_sync_version() RETURNS BIGINT AS $$
+    UPDATE sync_clock SET version = version + 1 RETURNING version;
+$$ LANGUAGE SQL;
+
+CREATE OR REPLACE FUNCTION sync_version() RETURNS trigger AS $$
+BEGIN
+    NEW.version := next_sync_version();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Ids aren't foreign keys, like audit_log, so tombstones outlive their rows
+CREATE TABLE IF NOT EXISTS sync_tombstones (
+    version BIGINT PRIMARY KEY,
+    resource_type VARCHAR(20) NOT NULL,
+    resource_id INTEGER NOT NULL,
+    patient_id INTEGER NOT NULL,
+    caregiver_id INTEGER,
+    deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS sync_tombstones_patient_idx ON sync_tombstones (patient_id, version);
+CREATE INDEX IF NOT EXISTS sync_tombstones_caregiver_idx ON sync_tombstones (caregiver_id, version) WHERE caregiver_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS sync_tombstones_deleted_idx ON sync_tombstones (deleted_at);
+
+-- TG_ARGV[0] names the resource type
+CREATE OR REPLACE FUNCTION sync_item_deleted() RETURNS trigger AS $$
+BEGIN
+    INSERT INTO sync_tombstones (version, resource_type, resource_id, patient_id)
+    VALUES (next_sync_version(), TG_ARGV[0], OLD.id, OLD.user_id);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_care_link_deleted() RETURNS trigger AS $$
+BEGIN
+    INSERT INTO sync_tombstones (version, resource_type, resource_id, patient_id, caregiver_id)
+    VALUES (next_sync_version(), 'care_link', OLD.id, OLD.patient_id, OLD.caregiver_id);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE medications ADD COLUMN IF NOT EXISTS version BIGINT;
+ALTER TABLE daily_tasks ADD COLUMN IF NOT EXISTS version BIGINT;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS version BIGINT;
+ALTER TABLE care_team_members ADD COLUMN IF NOT EXISTS version BIGINT;
+
+DROP TRIGGER IF EXISTS medications_sync_version ON medications;
+CREATE TRIGGER medications_sync_version BEFORE INSERT OR UPDATE ON medications
+    FOR EACH ROW EXECUTE FUNCTION sync_version();
+DROP TRIGGER IF EXISTS daily_tasks_sync_version ON daily_tasks;
+CREATE TRIGGER daily_tasks_sync_version BEFORE INSERT OR UPDATE ON daily_tasks
+    FOR EACH ROW EXECUTE FUNCTION sync_version();
+DROP TRIGGER IF EXISTS appointments_sync_version ON appointments;
+CREATE TRIGGER appointments_sync_version BEFORE INSERT OR UPDATE ON appointments
+    FOR EACH ROW EXECUTE FUNCTION sync_version();
+DROP TRIGGER IF EXISTS care_team_members_sync_version ON care_team_members;
+CREATE TRIGGER care_team_members_sync_version BEFORE INSERT OR UPDATE ON care_team_members
+    FOR EACH ROW EXECUTE FUNCTION sync_version();
+
+DROP TRIGGER IF EXISTS medications_sync_deleted ON medications;
+CREATE TRIGGER medications_sync_deleted AFTER DELETE ON medications
+    FOR EACH ROW EXECUTE FUNCTION sync_item_deleted('medication');
+DROP TRIGGER IF EXISTS daily_tasks_sync_deleted ON daily_tasks;
+CREATE TRIGGER daily_tasks_sync_deleted AFTER DELETE ON daily_tasks
+    FOR EACH ROW EXECUTE FUNCTION sync_item_deleted('daily_task');
+DROP TRIGGER IF EXISTS appointments_sync_deleted ON appointments;
+CREATE TRIGGER appointments_sync_deleted AFTER DELETE ON appointments
+    FOR EACH ROW EXECUTE FUNCTION sync_item_deleted('appointment');
+DROP TRIGGER IF EXISTS care_team_members_sync_deleted ON care_team_members;
+CREATE TRIGGER care_team_members_sync_deleted AFTER DELETE ON care_team_members
+    FOR EACH ROW EXECUTE FUNCTION sync_care_link_deleted();
+
+-- Version the existing rows (the triggers fill it in)
+UPDATE medications SET version = NULL;
+UPDATE daily_tasks SET version = NULL;
+UPDATE appointments SET version = NULL;
+UPDATE care_team_members SET version = NULL;
+
+ALTER TABLE medications ALTER COLUMN version SET NOT NULL;
+ALTER TABLE daily_tasks ALTER COLUMN version SET NOT NULL;
+ALTER TABLE appointments ALTER COLUMN version SET NOT NULL;
+ALTER TABLE care_team_members ALTER COLUMN version SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS medications_user_version_idx ON medications (user_id, version);
+CREATE INDEX IF NOT EXISTS daily_tasks_user_version_idx ON daily_tasks (user_id, version);
+CREATE INDEX IF NOT EXISTS appointments_user_version_idx ON appointments (user_id, version);
+CREATE INDEX IF NOT EXISTS care_team_members_version_idx ON care_team_members (version);
+
+-- Results of pushed offline mutations by idempotency key, so a retried push
+-- gets the original result instead of applying the change twice. A NULL
+-- result marks a mutation still being applied.
+CREATE TABLE IF NOT EXISTS sync_mutations (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(100) NOT NULL,
+    result JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS sync_mutations_created_idx ON sync_mutations (created_at);
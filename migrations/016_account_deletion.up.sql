@@ -0,0 +1,24 @@
+-- Account deletion. A request is confirmed with a short-lived token, then
+-- the account is erased once the grace period has passed (accounts.js).
+CREATE TABLE IF NOT EXISTS account_deletions (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token_hash CHAR(64) NOT NULL,
+    token_expires_at TIMESTAMPTZ NOT NULL,
+    requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    confirmed_at TIMESTAMPTZ,
+    delete_after TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS account_deletions_due_idx ON account_deletions (delete_after) WHERE confirmed_at IS NOT NULL;
+
+-- Erasing an account removes the patient's audit entries and unlinks the
+-- user as an actor elsewhere. Only a transaction that sets
+-- app.account_erasure may change the log.
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    IF current_setting('app.account_erasure', true) = 'on' THEN
+        RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+    END IF;
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
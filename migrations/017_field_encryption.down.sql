@@ -0,0 +1,6 @@
+-- Encrypted values don't fit VARCHAR(255); run `npm run reencrypt -- --decrypt`
+-- before rolling this back
+DROP TABLE IF EXISTS daily_task_location_terms;
+
+ALTER TABLE daily_tasks ALTER COLUMN location TYPE VARCHAR(255);
+ALTER TABLE medications ALTER COLUMN name TYPE VARCHAR(255), ALTER COLUMN dosage TYPE VARCHAR(255);
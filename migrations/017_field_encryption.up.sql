@@ -0,0 +1,14 @@
+-- Field-level encryption (fieldcrypto.js). Encrypted values are longer than
+-- the plain text, so the encrypted columns become TEXT. Task locations get a
+-- blind index for the ?location= filter: keyed hashes of the trigrams of each
+-- location, which can be matched without decrypting it.
+ALTER TABLE medications ALTER COLUMN name TYPE TEXT, ALTER COLUMN dosage TYPE TEXT;
+ALTER TABLE daily_tasks ALTER COLUMN location TYPE TEXT;
+
+CREATE TABLE IF NOT EXISTS daily_task_location_terms (
+    task_id INTEGER NOT NULL REFERENCES daily_tasks(id) ON DELETE CASCADE,
+    term TEXT NOT NULL,
+    PRIMARY KEY (task_id, term)
+);
+
+CREATE INDEX IF NOT EXISTS daily_task_location_terms_term_idx ON daily_task_location_terms (term);
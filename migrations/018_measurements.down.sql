@@ -0,0 +1,7 @@
+UPDATE care_requests SET scopes = array_remove(scopes, 'measurements') WHERE scopes @> '{measurements}';
+UPDATE care_team_members SET scopes = array_remove(scopes, 'measurements') WHERE scopes @> '{measurements}';
+ALTER TABLE care_requests ALTER COLUMN scopes SET DEFAULT '{read,medications,tasks,appointments}';
+
+DROP TABLE IF EXISTS measurement_alerts;
+DROP TABLE IF EXISTS measurement_thresholds;
+DROP TABLE IF EXISTS measurements;
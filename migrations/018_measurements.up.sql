@@ -0,0 +1,55 @@
+-- Health measurements (measurements.js): readings as entered plus their value
+-- in the type's standard unit, which trends and thresholds use. Caregivers set
+-- alert thresholds per patient and type; readings outside them raise alerts.
+CREATE TABLE IF NOT EXISTS measurements (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    value NUMERIC(10, 2) NOT NULL,
+    secondary_value NUMERIC(10, 2),
+    unit VARCHAR(10) NOT NULL,
+    normalized_value NUMERIC(10, 2) NOT NULL,
+    normalized_secondary_value NUMERIC(10, 2),
+    symptom TEXT,
+    notes TEXT,
+    measured_at TIMESTAMP NOT NULL,
+    recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS measurements_user_type_idx ON measurements (user_id, type, measured_at);
+
+-- Bounds in the standard unit; NULL leaves that side open
+CREATE TABLE IF NOT EXISTS measurement_thresholds (
+    patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    min_value NUMERIC(10, 2),
+    max_value NUMERIC(10, 2),
+    min_secondary_value NUMERIC(10, 2),
+    max_secondary_value NUMERIC(10, 2),
+    set_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (patient_id, type)
+);
+
+CREATE TABLE IF NOT EXISTS measurement_alerts (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    measurement_id INTEGER NOT NULL REFERENCES measurements(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    breaches JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    acknowledged_at TIMESTAMPTZ,
+    acknowledged_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS measurement_alerts_patient_idx ON measurement_alerts (patient_id, created_at);
+CREATE INDEX IF NOT EXISTS measurement_alerts_open_idx ON measurement_alerts (patient_id) WHERE acknowledged_at IS NULL;
+
+-- A new care scope for entering readings and setting thresholds. Links and
+-- requests with every other scope (full access) get it too.
+ALTER TABLE care_requests ALTER COLUMN scopes SET DEFAULT '{read,medications,tasks,appointments,measurements}';
+UPDATE care_team_members SET scopes = array_append(scopes, 'measurements')
+WHERE scopes @> '{medications,tasks,appointments}' AND NOT scopes @> '{measurements}';
+UPDATE care_requests SET scopes = array_append(scopes, 'measurements')
+WHERE status = 'pending' AND scopes @> '{medications,tasks,appointments}' AND NOT scopes @> '{measurements}';
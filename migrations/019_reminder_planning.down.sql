@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS appointments_starts_at_utc_idx;
+DROP INDEX IF EXISTS daily_tasks_time_utc_idx;
@@ -0,0 +1,4 @@
+-- The reminder scheduler reads tasks and appointments by the instants they
+-- fall at (reminders.js), every tick
+CREATE INDEX IF NOT EXISTS daily_tasks_time_utc_idx ON daily_tasks (time_utc);
+CREATE INDEX IF NOT EXISTS appointments_starts_at_utc_idx ON appointments (starts_at_utc);
@@ -0,0 +1,82 @@
+const { version, description } = require("./package.json");
+const { authenticate } = require("./auth");
+const { components } = require("./schemas");
+const { codeForStatus } = require("./errors");
+
+// Build an OpenAPI 3.1 document from the routes registered on the app. Each
+// route is described by the spec passed to its validate() middleware (see
+// validation.js); routes without one still get their path parameters.
+
+const errorResponse = (status) => ({
+    description: codeForStatus(status),
+    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+});
+
+const parametersFor = (location, schema = {}) =>
+    Object.entries(schema.properties || {}).map(([name, property]) => ({
+        name,
+        in: location,
+        required: location === "path" || (schema.required || []).includes(name),
+        schema: property,
+    }));
+
+const operationFor = (route) => {
+    const handlers = route.stack.map((layer) => layer.handle);
+    const spec = handlers.map((handle) => handle.apiSpec).find(Boolean) || {};
+    const secured = handlers.includes(authenticate);
+
+    // Path parameters the spec doesn't describe are plain strings
+    const pathParams = spec.params || {
+        properties: Object.fromEntries((route.path.match(/:\w+/g) || []).map((param) => [param.slice(1), { type: "string" }])),
+    };
+
+    const operation = {
+        summary: spec.summary,
+        tags: spec.tags,
+        parameters: [...parametersFor("path", pathParams), ...parametersFor("query", spec.query)],
+        responses: {
+            200: spec.response
+                ? { description: "OK", content: { "application/json": { schema: spec.response } } }
+                : { description: "OK" },
+            400: errorResponse(400),
+            500: errorResponse(500),
+        },
+    };
+
+    if (spec.body) {
+        operation.requestBody = { required: true, content: { "application/json": { schema: spec.body } } };
+    }
+    if (secured) {
+        operation.security = [{ bearerAuth: [] }];
+        operation.responses[401] = errorResponse(401);
+        operation.responses[403] = errorResponse(403);
+    }
+    return operation;
+};
+
+const buildOpenApiDocument = (app) => {
+    const paths = {};
+
+    for (const layer of app._router.stack) {
+        if (!layer.route || typeof layer.route.path !== "string") continue;
+
+        const path = layer.route.path.replace(/:(\w+)/g, "{$1}");
+        for (const method of Object.keys(layer.route.methods)) {
+            paths[path] = { ...paths[path], [method]: operationFor(layer.route) };
+        }
+    }
+
+    return {
+        openapi: "3.1.0",
+        info: { title: "my-node-api", version, description },
+        paths,
+        components: {
+            schemas: components,
+            securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } },
+        },
+    };
+};
+
+module.exports = {
+    buildOpenApiDocument,
+};
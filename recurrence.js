@@ -0,0 +1,232 @@
+const { DATE_REGEX, formatDate, parseDateTime, addDays } = require("./dates");
+
+// A subset of RFC 5545 RRULE: FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, BYDAY,
+// BYMONTHDAY, COUNT and UNTIL. Occurrences keep the wall-clock time of the
+// task's start (DTSTART).
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const WORK_WEEK = ["MO", "TU", "WE", "TH", "FR"];
+
+// Stop expanding a malformed or very sparse rule after this many periods
+const MAX_PERIODS = 5000;
+
+// Legacy free-text `frequency` values we can still interpret
+const LEGACY_FREQUENCIES = {
+    daily: "FREQ=DAILY",
+    "every day": "FREQ=DAILY",
+    weekdays: "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR",
+    weekly: "FREQ=WEEKLY",
+    "every week": "FREQ=WEEKLY",
+    monthly: "FREQ=MONTHLY",
+    "every month": "FREQ=MONTHLY",
+};
+
+class RecurrenceError extends Error {}
+
+// Parse a BYDAY entry such as "MO", "2TU" or "-1FR"
+const parseByDay = (value) => {
+    const match = value.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!match) throw new RecurrenceError(`Invalid BYDAY value '${value}'`);
+    const ordinal = match[1] ? parseInt(match[1], 10) : null;
+    if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+        throw new RecurrenceError(`Invalid BYDAY ordinal '${value}'`);
+    }
+    return { ordinal, weekday: WEEKDAYS.indexOf(match[2]) };
+};
+
+// Parse an RRULE string ("RRULE:" prefix optional) into a rule object
+const parseRRule = (text) => {
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+
+    for (const part of String(text).trim().replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+        const [rawKey, value] = part.split("=");
+        const key = rawKey.toUpperCase();
+        if (!value) throw new RecurrenceError(`Invalid RRULE part '${part}'`);
+
+        if (key === "FREQ") {
+            rule.freq = value.toUpperCase();
+            if (!FREQUENCIES.includes(rule.freq)) {
+                throw new RecurrenceError(`Unsupported FREQ '${value}'. Expected one of: ${FREQUENCIES.join(", ")}`);
+            }
+        } else if (key === "INTERVAL") {
+            rule.interval = parseInt(value, 10);
+            if (!/^\d+$/.test(value) || rule.interval < 1) throw new RecurrenceError("INTERVAL must be a positive integer");
+        } else if (key === "BYDAY") {
+            rule.byDay = value.toUpperCase().split(",").map(parseByDay);
+        } else if (key === "BYMONTHDAY") {
+            rule.byMonthDay = value.split(",").map((day) => {
+                const n = parseInt(day, 10);
+                if (!/^[+-]?\d{1,2}$/.test(day) || n === 0 || Math.abs(n) > 31) {
+                    throw new RecurrenceError(`Invalid BYMONTHDAY value '${day}'`);
+                }
+                return n;
+            });
+        } else if (key === "COUNT") {
+            rule.count = parseInt(value, 10);
+            if (!/^\d+$/.test(value) || rule.count < 1) throw new RecurrenceError("COUNT must be a positive integer");
+        } else if (key === "UNTIL") {
+            // Accept RFC 5545 basic format (20250131 / 20250131T235959Z) as well as YYYY-MM-DD
+            const match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+            rule.until = match && parseDateTime(`${match[1]}-${match[2]}-${match[3]}`);
+            if (!rule.until) throw new RecurrenceError(`Invalid UNTIL value '${value}'`);
+        } else if (key !== "WKST") {
+            throw new RecurrenceError(`Unsupported RRULE part '${key}'`);
+        }
+    }
+
+    if (!rule.freq) throw new RecurrenceError("RRULE must include FREQ");
+    if (rule.count && rule.until) throw new RecurrenceError("RRULE cannot have both COUNT and UNTIL");
+    if (rule.freq !== "MONTHLY" && rule.byDay.some((day) => day.ordinal !== null)) {
+        throw new RecurrenceError("BYDAY ordinals are only supported with FREQ=MONTHLY");
+    }
+    if (rule.freq !== "MONTHLY" && rule.byMonthDay.length > 0) {
+        throw new RecurrenceError("BYMONTHDAY is only supported with FREQ=MONTHLY");
+    }
+    return rule;
+};
+
+const formatRRule = (rule) => {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length > 0) {
+        parts.push(`BYDAY=${rule.byDay.map((day) => `${day.ordinal || ""}${WEEKDAYS[day.weekday]}`).join(",")}`);
+    }
+    if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(",")}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${formatDate(rule.until).replace(/-/g, "")}`);
+    return parts.join(";");
+};
+
+// Build a normalized RRULE string from a request's `recurrence`, which is
+// either an RRULE string or an object such as
+// { type: "weekly", interval: 2, days: ["MO", "TH"], until: "2025-06-30" }
+const normalizeRecurrence = (recurrence) => {
+    if (typeof recurrence === "string") return formatRRule(parseRRule(recurrence));
+    if (!recurrence || typeof recurrence !== "object") {
+        throw new RecurrenceError("Recurrence must be an RRULE string or an object");
+    }
+
+    const { type, interval, days, monthDays, count, until } = recurrence;
+    const parts = [];
+
+    if (type === "daily") parts.push("FREQ=DAILY");
+    else if (type === "weekdays") parts.push("FREQ=WEEKLY", `BYDAY=${WORK_WEEK.join(",")}`);
+    else if (type === "weekly") parts.push("FREQ=WEEKLY");
+    else if (type === "monthly") parts.push("FREQ=MONTHLY");
+    else throw new RecurrenceError("Recurrence type must be one of: daily, weekdays, weekly, monthly");
+
+    if (interval !== undefined) parts.push(`INTERVAL=${interval}`);
+    if (days !== undefined && type !== "weekdays") {
+        if (!Array.isArray(days)) throw new RecurrenceError("Recurrence days must be an array such as [\"MO\", \"WE\"]");
+        parts.push(`BYDAY=${days.join(",")}`);
+    }
+    if (monthDays !== undefined) {
+        if (!Array.isArray(monthDays)) throw new RecurrenceError("Recurrence monthDays must be an array of day numbers");
+        parts.push(`BYMONTHDAY=${monthDays.join(",")}`);
+    }
+    if (count !== undefined) parts.push(`COUNT=${count}`);
+    if (until !== undefined) {
+        if (!DATE_REGEX.test(until)) throw new RecurrenceError("Recurrence until must be YYYY-MM-DD");
+        parts.push(`UNTIL=${until}`);
+    }
+
+    return formatRRule(parseRRule(parts.join(";")));
+};
+
+// Resolve the RRULE for a task row: its structured recurrence, else whatever
+// its legacy `frequency` text can be mapped to (null means a one-off task)
+const taskRRule = (task) => {
+    if (task.recurrence) return task.recurrence;
+    const legacy = task.frequency && LEGACY_FREQUENCIES[String(task.frequency).trim().toLowerCase()];
+    return legacy || null;
+};
+
+// Candidate dates for one period of the rule, in ascending order
+const periodDates = (rule, start, period) => {
+    if (rule.freq === "DAILY") {
+        const day = addDays(start, period * rule.interval);
+        if (rule.byDay.length > 0 && !rule.byDay.some((d) => d.weekday === day.getDay())) return [];
+        return [day];
+    }
+
+    if (rule.freq === "WEEKLY") {
+        // Weeks start on Monday (WKST=MO)
+        const weekStart = addDays(start, -((start.getDay() + 6) % 7) + period * 7 * rule.interval);
+        const weekdays = rule.byDay.length > 0 ? rule.byDay.map((d) => d.weekday) : [start.getDay()];
+        return [...new Set(weekdays)]
+            .map((weekday) => addDays(weekStart, (weekday + 6) % 7))
+            .sort((a, b) => a - b);
+    }
+
+    // MONTHLY
+    const year = start.getFullYear();
+    const month = start.getMonth() + period * rule.interval;
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const dayNumbers = new Set();
+
+    for (const n of rule.byMonthDay) {
+        const day = n > 0 ? n : daysInMonth + n + 1;
+        if (day >= 1 && day <= daysInMonth) dayNumbers.add(day);
+    }
+    for (const { ordinal, weekday } of rule.byDay) {
+        const matching = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            if (new Date(year, month, day).getDay() === weekday) matching.push(day);
+        }
+        if (ordinal === null) {
+            matching.forEach((day) => dayNumbers.add(day));
+            continue;
+        }
+        const nth = matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal];
+        if (nth) dayNumbers.add(nth);
+    }
+    if (rule.byMonthDay.length === 0 && rule.byDay.length === 0 && start.getDate() <= daysInMonth) {
+        dayNumbers.add(start.getDate());
+    }
+
+    return [...dayNumbers].sort((a, b) => a - b).map((day) => new Date(year, month, day));
+};
+
+// Expand a start time, RRULE and exception dates into the occurrence times
+// that fall inside [from, to). A null rule yields just the start itself.
+const expandOccurrences = ({ start, rrule, exceptionDates = [] }, from, to) => {
+    const excluded = new Set(exceptionDates);
+    const keep = (date) => date >= from && date < to && !excluded.has(formatDate(date));
+
+    if (!rrule) return keep(start) ? [start] : [];
+
+    const rule = parseRRule(rrule);
+    const startDay = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const untilEnd = rule.until && addDays(rule.until, 1);
+    const occurrences = [];
+    let generated = 0;
+
+    for (let period = 0; period < MAX_PERIODS; period++) {
+        for (const day of periodDates(rule, startDay, period)) {
+            if (day < startDay) continue;
+
+            const occurrence = new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+                start.getHours(), start.getMinutes(), start.getSeconds());
+            if (occurrence >= to || (untilEnd && occurrence >= untilEnd)) return occurrences;
+            if (rule.count && generated >= rule.count) return occurrences;
+
+            generated++;
+            if (keep(occurrence)) occurrences.push(occurrence);
+        }
+    }
+    return occurrences;
+};
+
+// The first occurrence at or after `from`, looking up to `horizonDays` ahead (null if none)
+const nextOccurrence = (spec, from, horizonDays = 366) => expandOccurrences(spec, from, addDays(from, horizonDays))[0] || null;
+
+module.exports = {
+    RecurrenceError,
+    parseRRule,
+    formatRRule,
+    normalizeRecurrence,
+    taskRRule,
+    expandOccurrences,
+    nextOccurrence,
+};
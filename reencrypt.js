@@ -0,0 +1,110 @@
+// Wall clocks are kept in the process's zone, which must be UTC (see dates.js).
+// Set before anything is loaded, so no Date is made in the host's zone.
+process.env.TZ = "UTC";
+const pool = require("./db");
+const { ENCRYPTED_COLUMNS, encryptionEnabled, currentKeyVersion, seal, open, keyVersionOf } = require("./fieldcrypto");
+const { indexTaskLocation } = require("./lists");
+
+// Re-encrypt the encrypted columns of existing rows (see fieldcrypto.js).
+//
+//   npm run reencrypt                 encrypt rows still in plain text or on an older key version
+//   npm run reencrypt -- --all        re-encrypt every row, e.g. after replacing the blind index key
+//   npm run reencrypt -- --decrypt    decrypt every row, before turning encryption off
+//
+// Run it after adding a key version, then retire the old key once nothing
+// needs it. Rows are updated one column at a time and only if unchanged since
+// they were read, so the API can keep running meanwhile.
+
+const BATCH_SIZE = 200;
+
+// Rows of `table` with at least one column that needs rewriting, in id order after `afterId`
+const rowsToRewrite = async (table, columns, mode, afterId) => {
+    const pending = columns.map((column) => {
+        if (mode === "decrypt") return `${column} LIKE 'enc:%'`;
+        if (mode === "all") return `${column} IS NOT NULL`;
+        return `${column} NOT LIKE 'enc:v1:${currentKeyVersion()}:%'`;
+    });
+
+    // The raw values, which would otherwise be decrypted as they are read
+    const result = await pool.query(
+        `SELECT id, ${columns.map((column) => `convert_to(${column}, 'UTF8') AS ${column}`).join(", ")} FROM ${table}
+         WHERE id > $1 AND (${pending.join(" OR ")}) ORDER BY id LIMIT $2`,
+        [afterId, BATCH_SIZE]
+    );
+    return result.rows.map((row) =>
+        Object.fromEntries(Object.entries(row).map(([column, value]) => [column, Buffer.isBuffer(value) ? value.toString("utf8") : value]))
+    );
+};
+
+// The value to store instead of `stored`, or undefined to leave it
+const rewrite = (stored, mode) => {
+    if (stored === null) return undefined;
+    const version = keyVersionOf(stored);
+    if (mode === "decrypt") return version === null ? undefined : open(stored);
+    if (mode === "current" && version === currentKeyVersion()) return undefined;
+    return seal(open(stored));
+};
+
+// Rewrite every row of `table` that needs it; returns the number of values rewritten
+const reencryptTable = async (table, columns, mode) => {
+    let rewritten = 0;
+    let afterId = 0;
+    for (;;) {
+        const rows = await rowsToRewrite(table, columns, mode, afterId);
+        if (rows.length === 0) return rewritten;
+
+        for (const row of rows) {
+            for (const column of columns) {
+                const value = rewrite(row[column], mode);
+                if (value === undefined) continue;
+
+                const updated = await pool.query(`UPDATE ${table} SET ${column} = $1 WHERE id = $2 AND ${column} = $3 RETURNING *`, [value, row.id, row[column]]);
+                if (updated.rows.length === 0) continue; // Changed since it was read, so already written afresh
+                rewritten += 1;
+
+                if (table === "daily_tasks" && mode === "decrypt") {
+                    await pool.query("DELETE FROM daily_task_location_terms WHERE task_id = $1", [row.id]);
+                } else if (table === "daily_tasks") {
+                    await indexTaskLocation(updated.rows[0]);
+                }
+            }
+        }
+        afterId = rows[rows.length - 1].id;
+    }
+};
+
+const reencrypt = async (mode) => {
+    if (!encryptionEnabled()) {
+        throw new Error("No field encryption keys configured. Set FIELD_ENCRYPTION_KEYFILE or FIELD_ENCRYPTION_KEYS");
+    }
+
+    const counts = {};
+    for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+        counts[table] = await reencryptTable(table, columns, mode);
+    }
+    return counts;
+};
+
+if (require.main === module) {
+    const flag = process.argv[2];
+    const mode = flag === "--all" ? "all" : flag === "--decrypt" ? "decrypt" : "current";
+
+    Promise.resolve()
+        .then(() => {
+            if (flag !== undefined && mode === "current") throw new Error(`Unknown option "${flag}". Expected --all or --decrypt`);
+            return reencrypt(mode);
+        })
+        .then((counts) => {
+            for (const [table, count] of Object.entries(counts)) console.log(`${table}: ${count} value(s) rewritten`);
+            console.log(mode === "decrypt" ? "✅ Encrypted fields decrypted" : `✅ Encrypted fields are on key version ${currentKeyVersion()}`);
+        })
+        .catch((err) => {
+            console.error("❌ Re-encryption failed:", err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = {
+    reencrypt,
+};
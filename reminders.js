@@ -0,0 +1,330 @@
+const pool = require("./db");
+const { logger } = require("./logger");
+const { seal } = require("./fieldcrypto");
+const { DeliveryError, getChannel } = require("./channels");
+const { formatDate, formatDateTime, parseDateTime, addDays, addMinutes } = require("./dates");
+const { taskRRule, expandOccurrences } = require("./recurrence");
+const { DOSE_GRACE_MINUTES } = require("./doses");
+const { publishEvent } = require("./events");
+const { careTeamsByPatient } = require("./careteam");
+const { DEFAULT_TIMEZONE, wallClock, instantAt, localDateTime } = require("./timezones");
+
+// In-process reminder scheduler. Every tick it queues reminders that are due
+// to go out soon into the `reminders` table, then delivers whatever is due.
+// Each reminder has a unique dedupe key, so re-planning the same dose, task
+// occurrence or appointment (in this process or after a restart) is a no-op.
+// Items are planned by the instants they fall at in the patient's time zone.
+
+const DEFAULT_PREFERENCES = {
+    enabled: true,
+    channel: "log",
+    target: null,
+    medication_lead_minutes: 15,
+    task_lead_minutes: 30,
+    appointment_lead_minutes: 1440,
+    escalation_grace_minutes: 60,
+};
+
+const TICK_INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS, 10) || 60000;
+const PLANNING_HORIZON_MINUTES = 60; // Queue reminders that go out within this window
+const MAX_LEAD_MINUTES = 7 * 24 * 60;
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_SECONDS = 30; // Doubles after every failed attempt
+const SENDING_TIMEOUT_MINUTES = 10; // Reclaim reminders left mid-send by a crash
+const ESCALATION_MAX_AGE_HOURS = 24; // Don't escalate doses older than this
+const APPOINTMENT_HOUR = 9; // Appointments are date-only, so remind relative to 09:00
+const BATCH_SIZE = 50;
+
+const mergePreferences = (stored) => ({ ...DEFAULT_PREFERENCES, ...(stored || {}) });
+
+const preferencesFor = async (userId) => {
+    const result = await pool.query(
+        "SELECT enabled, channel, target, medication_lead_minutes, task_lead_minutes, appointment_lead_minutes, escalation_grace_minutes FROM reminder_preferences WHERE user_id = $1",
+        [userId]
+    );
+    return mergePreferences(result.rows[0]);
+};
+
+// The given users with their time zone and reminder preferences, keyed by id
+const loadUsers = async (userIds) => {
+    const result = await pool.query(
+        "SELECT u.id, u.name, u.timezone, row_to_json(p) AS preferences FROM users u LEFT JOIN reminder_preferences p ON p.user_id = u.id WHERE u.id = ANY($1::int[])",
+        [[...new Set(userIds)]]
+    );
+    return new Map(result.rows.map((user) => [user.id, { ...user, preferences: mergePreferences(user.preferences) }]));
+};
+
+// Whether a user can receive reminders on their configured channel
+const canNotify = (user) => {
+    if (!user || !user.preferences.enabled) return false;
+    const channel = getChannel(user.preferences.channel);
+    return Boolean(channel) && (!channel.requiresTarget || Boolean(user.preferences.target));
+};
+
+const queueReminder = async (recipient, reminder) => {
+    await pool.query(
+        `INSERT INTO reminders (user_id, patient_id, kind, item_id, dedupe_key, channel, target, title, message, due_at, send_at, next_attempt_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11)
+         ON CONFLICT (dedupe_key) DO NOTHING`,
+        [
+            recipient.id, reminder.patientId, reminder.kind, reminder.itemId, reminder.dedupeKey,
+            recipient.preferences.channel, recipient.preferences.target,
+            seal(reminder.title), seal(reminder.message), reminder.dueAt, reminder.sendAt,
+        ]
+    );
+};
+
+// Cancel the reminders still queued for a task or appointment that was deleted
+// or rescheduled. Their dedupe keys are freed so the next tick can queue the
+// item's new times, including one it was moved back to.
+const cancelReminders = async (kind, itemId) => {
+    await pool.query(
+        "UPDATE reminders SET status = 'cancelled', dedupe_key = dedupe_key || ':cancelled:' || id WHERE kind = $1 AND item_id = $2 AND status = 'pending'",
+        [kind, itemId]
+    );
+};
+
+// Queue reminders for doses, task occurrences and appointments whose send
+// time falls within the planning horizon, plus caregiver escalations for
+// doses left unconfirmed past the patient's grace window (sent to every
+// caregiver on the patient's care team). Only items that can fall in the
+// window are read, by the instants in their *_utc columns; repeating tasks
+// are read once they have started, as their rules decide the rest.
+const planReminders = async (now = new Date()) => {
+    const horizonEnd = addMinutes(now, PLANNING_HORIZON_MINUTES);
+    const lookahead = addMinutes(horizonEnd, MAX_LEAD_MINUTES);
+
+    const doses = await pool.query(
+        `SELECT d.id, d.user_id, d.scheduled_at, d.scheduled_at_utc, m.name, m.dosage FROM medication_doses d JOIN medications m ON m.id = d.medication_id
+         WHERE d.status = 'pending' AND d.scheduled_at_utc > $1 AND d.scheduled_at_utc <= $2`,
+        [now, lookahead]
+    );
+    const tasks = await pool.query(
+        "SELECT * FROM daily_tasks WHERE time_utc <= $2 AND (time_utc > $1 OR recurrence IS NOT NULL OR frequency IS NOT NULL)",
+        [now, lookahead]
+    );
+    // Reminders go out at APPOINTMENT_HOUR on the day, which starts at
+    // starts_at_utc; a day before now covers that hour and DST changes
+    const appointments = await pool.query(
+        "SELECT * FROM appointments WHERE starts_at_utc > $1 AND starts_at_utc <= $2",
+        [addDays(now, -1), lookahead]
+    );
+    const overdue = await pool.query(
+        `SELECT d.id, d.user_id, d.scheduled_at, d.scheduled_at_utc, m.name FROM medication_doses d JOIN medications m ON m.id = d.medication_id
+         WHERE d.status = 'pending' AND d.scheduled_at_utc <= $1 AND d.scheduled_at_utc > $2`,
+        [now, addMinutes(now, -ESCALATION_MAX_AGE_HOURS * 60)]
+    );
+    const careTeams = overdue.rows.length > 0 ? await careTeamsByPatient(overdue.rows.map((dose) => dose.user_id)) : new Map();
+
+    const users = await loadUsers([
+        ...[doses, tasks, appointments, overdue].flatMap((result) => result.rows.map((row) => row.user_id)),
+        ...[...careTeams.values()].flat(),
+    ]);
+
+    for (const dose of doses.rows) {
+        const patient = users.get(dose.user_id);
+        if (!canNotify(patient)) continue;
+
+        const sendAt = addMinutes(dose.scheduled_at_utc, -patient.preferences.medication_lead_minutes);
+        if (sendAt > horizonEnd) continue;
+
+        await queueReminder(patient, {
+            patientId: patient.id,
+            kind: "medication",
+            itemId: dose.id,
+            dedupeKey: `dose:${dose.id}`,
+            title: `Time for ${dose.name}`,
+            message: `Take ${dose.name}${dose.dosage ? ` (${dose.dosage})` : ""} at ${formatDateTime(dose.scheduled_at)}.`,
+            dueAt: dose.scheduled_at_utc,
+            sendAt,
+        });
+    }
+
+    for (const task of tasks.rows) {
+        const patient = users.get(task.user_id);
+        if (!canNotify(patient)) continue;
+
+        // Recurrences repeat on the patient's wall clock, so they keep their
+        // local time across daylight saving changes
+        const occurrences = expandOccurrences(
+            { start: task.time, rrule: taskRRule(task), exceptionDates: task.exception_dates },
+            wallClock(now, patient.timezone),
+            wallClock(addMinutes(horizonEnd, patient.preferences.task_lead_minutes), patient.timezone)
+        );
+        for (const occurrence of occurrences) {
+            const dueAt = instantAt(occurrence, patient.timezone);
+            if (dueAt <= now) continue;
+
+            await queueReminder(patient, {
+                patientId: patient.id,
+                kind: "task",
+                itemId: task.id,
+                dedupeKey: `task:${task.id}:${formatDateTime(occurrence)}`,
+                title: `Upcoming: ${task.name}`,
+                message: `${task.name}${task.location ? ` at ${task.location}` : ""} is scheduled for ${formatDateTime(occurrence)}.`,
+                dueAt,
+                sendAt: addMinutes(dueAt, -patient.preferences.task_lead_minutes),
+            });
+        }
+    }
+
+    for (const appointment of appointments.rows) {
+        const patient = users.get(appointment.user_id);
+        if (!canNotify(patient)) continue;
+
+        const dueAt = instantAt(parseDateTime(`${formatDate(appointment.date)} ${String(APPOINTMENT_HOUR).padStart(2, "0")}:00:00`), patient.timezone);
+        const sendAt = addMinutes(dueAt, -patient.preferences.appointment_lead_minutes);
+        if (dueAt <= now || sendAt > horizonEnd) continue;
+
+        await queueReminder(patient, {
+            patientId: patient.id,
+            kind: "appointment",
+            itemId: appointment.id,
+            dedupeKey: `appointment:${appointment.id}:${formatDate(appointment.date)}`,
+            title: `Appointment: ${appointment.title}`,
+            message: `${appointment.title} is on ${formatDate(appointment.date)}.`,
+            dueAt,
+            sendAt,
+        });
+    }
+
+    for (const dose of overdue.rows) {
+        const patient = users.get(dose.user_id);
+        if (!patient || addMinutes(dose.scheduled_at_utc, patient.preferences.escalation_grace_minutes) > now) continue;
+
+        for (const caregiverId of careTeams.get(patient.id) || []) {
+            const caregiver = users.get(caregiverId);
+            if (!canNotify(caregiver)) continue;
+
+            await queueReminder(caregiver, {
+                patientId: patient.id,
+                kind: "escalation",
+                itemId: dose.id,
+                dedupeKey: `dose:${dose.id}:escalation:${caregiver.id}`,
+                title: `${patient.name} hasn't confirmed ${dose.name}`,
+                message: `${patient.name}'s ${dose.name} dose scheduled for ${localDateTime(dose.scheduled_at_utc, caregiver.timezone)} (${caregiver.timezone}) has not been confirmed.`,
+                dueAt: dose.scheduled_at_utc,
+                sendAt: now,
+            });
+        }
+    }
+};
+
+// Announce doses that have gone unconfirmed past the grace window. Setting
+// missed_at in the same statement makes sure each dose is announced once.
+const flagMissedDoses = async (now = new Date()) => {
+    const missed = await pool.query(
+        `UPDATE medication_doses d SET missed_at = $1 FROM medications m
+         WHERE m.id = d.medication_id AND d.status = 'pending' AND d.missed_at IS NULL
+           AND d.scheduled_at_utc <= $2 AND d.scheduled_at_utc > $3
+         RETURNING d.id, d.medication_id, d.user_id, d.scheduled_at, m.name AS medication_name`,
+        [now, addMinutes(now, -DOSE_GRACE_MINUTES), addMinutes(now, -ESCALATION_MAX_AGE_HOURS * 60)]
+    );
+
+    for (const dose of missed.rows) {
+        await publishEvent({
+            patientId: dose.user_id,
+            type: "dose.missed",
+            data: { ...dose, scheduled_at: formatDateTime(dose.scheduled_at) },
+        });
+    }
+};
+
+// Send one claimed reminder, recording success or scheduling a retry
+const deliver = async (reminder, now) => {
+    // Dose reminders are moot once the dose has been confirmed
+    if (reminder.kind === "medication" || reminder.kind === "escalation") {
+        const dose = await pool.query("SELECT status FROM medication_doses WHERE id = $1", [reminder.item_id]);
+        if (dose.rows.length === 0 || dose.rows[0].status !== "pending") {
+            await pool.query("UPDATE reminders SET status = 'cancelled', locked_at = NULL WHERE id = $1", [reminder.id]);
+            return;
+        }
+    }
+
+    try {
+        const channel = getChannel(reminder.channel);
+        if (!channel) throw new DeliveryError(`Unknown channel '${reminder.channel}'`);
+
+        await channel.send(
+            {
+                id: reminder.id,
+                kind: reminder.kind,
+                patientId: reminder.patient_id,
+                title: reminder.title,
+                message: reminder.message,
+                dueAt: localDateTime(reminder.due_at, reminder.timezone || DEFAULT_TIMEZONE),
+            },
+            reminder.target
+        );
+
+        await pool.query(
+            "UPDATE reminders SET status = 'sent', attempts = attempts + 1, sent_at = $1, last_error = NULL, locked_at = NULL WHERE id = $2",
+            [now, reminder.id]
+        );
+    } catch (err) {
+        const attempts = reminder.attempts + 1;
+        const retryAt = new Date(now.getTime() + BASE_RETRY_DELAY_SECONDS * 1000 * 2 ** (attempts - 1));
+        logger.error(`Reminder ${reminder.id} attempt ${attempts} failed`, { error: err.message });
+
+        // last_error is shown to the user, so other errors stay in the log
+        await pool.query(
+            "UPDATE reminders SET status = $1, attempts = $2, next_attempt_at = $3, last_error = $4, locked_at = NULL WHERE id = $5",
+            [attempts >= MAX_ATTEMPTS ? "failed" : "pending", attempts, retryAt, err instanceof DeliveryError ? err.message : "Delivery failed", reminder.id]
+        );
+    }
+};
+
+// Claim and deliver reminders whose send (or retry) time has come
+const dispatchDueReminders = async (now = new Date()) => {
+    await pool.query(
+        "UPDATE reminders SET status = 'pending', locked_at = NULL WHERE status = 'sending' AND locked_at < $1",
+        [addMinutes(now, -SENDING_TIMEOUT_MINUTES)]
+    );
+
+    const claimed = await pool.query(
+        `UPDATE reminders SET status = 'sending', locked_at = $1 WHERE id IN (
+            SELECT id FROM reminders WHERE status = 'pending' AND next_attempt_at <= $1
+            ORDER BY next_attempt_at LIMIT $2 FOR UPDATE SKIP LOCKED
+         ) RETURNING *, user_timezone(user_id) AS timezone`,
+        [now, BATCH_SIZE]
+    );
+
+    for (const reminder of claimed.rows) {
+        await deliver(reminder, now);
+    }
+};
+
+let ticking = false;
+
+const tick = async () => {
+    if (ticking) return;
+    ticking = true;
+    try {
+        const now = new Date();
+        await planReminders(now);
+        await flagMissedDoses(now);
+        await dispatchDueReminders(now);
+    } catch (err) {
+        logger.error("Reminder scheduler error", { error: err.message });
+    } finally {
+        ticking = false;
+    }
+};
+
+// Start ticking; returns a function that stops the scheduler
+const startReminderScheduler = ({ intervalMs = TICK_INTERVAL_MS } = {}) => {
+    tick();
+    const timer = setInterval(tick, intervalMs);
+    logger.info(`Reminder scheduler running every ${intervalMs / 1000}s`);
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    DEFAULT_PREFERENCES,
+    MAX_LEAD_MINUTES,
+    preferencesFor,
+    cancelReminders,
+    planReminders,
+    dispatchDueReminders,
+    startReminderScheduler,
+};
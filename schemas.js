@@ -0,0 +1,568 @@
+const { DOSE_STATUSES } = require("./doses");
+const { ROLES, PASSWORD_MIN_LENGTH } = require("./auth");
+const { CARE_SCOPES } = require("./careteam");
+const { AUDIT_RESOURCES } = require("./audit");
+const { MAX_LEAD_MINUTES } = require("./reminders");
+const { MAX_LIST_LIMIT, LIST_SORTS } = require("./lists");
+const { MAX_IMPORT_ENTRIES } = require("./fhir");
+const { SYNC_PAGE_SIZE, MAX_PUSH_MUTATIONS, SYNCED_ITEMS } = require("./sync");
+const { MEASUREMENT_TYPES, TREND_PERIODS, ALERT_STATUSES } = require("./measurements");
+
+// JSON Schemas for request validation (validation.js) and the OpenAPI document
+// (openapi.js). These check shape and types, and that dates are real calendar
+// dates (the formats in validation.js); rules that need more parsing, such as
+// recurrence rules, stay in the route handlers.
+// Pattern-checked strings carry a `description`, which validation errors quote.
+
+const object = (properties, required = []) => ({ type: "object", properties, required });
+const nullable = (schema) => ({ ...schema, type: [schema.type, "null"] });
+const arrayOf = (items) => ({ type: "array", items });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+// The same fields with none required, for PATCH bodies
+const partial = (schema) => ({ ...schema, required: [], minProperties: 1 });
+
+const id = { type: "integer", minimum: 1 };
+const text = { type: "string", minLength: 1 };
+const date = { type: "string", format: "date", pattern: "^\\d{4}-\\d{2}-\\d{2}$", description: "a date as YYYY-MM-DD" };
+const dateTime = { type: "string", format: "local-date-time", pattern: "^\\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}:\\d{2}$", description: "a date and time as YYYY-MM-DD HH:mm:ss" };
+const timestamp = { type: "string", description: "an ISO 8601 date and time" };
+const password = { type: "string", minLength: PASSWORD_MIN_LENGTH };
+const quantity = { type: "number", minimum: 0 };
+const scopes = { type: "array", items: { enum: CARE_SCOPES }, uniqueItems: true };
+const version = { type: "string", pattern: "^\\d+$", description: "a sync version such as \"1024\"" };
+
+// Parameters
+
+const idParams = object({ id }, ["id"]);
+const patientParams = object({ patientId: id }, ["patientId"]);
+const patientItemParams = object({ patientId: id, id }, ["patientId", "id"]);
+const dateRange = { from: date, to: date };
+const patientQuery = object({ patientId: id, ...dateRange }, ["patientId"]);
+
+// Paging and sorting shared by the list endpoints, plus the list's own
+// filters. The caregiver variants name the patient with ?patientId=.
+const listQuery = (list, filters) => object({
+    limit: { type: "integer", minimum: 1, maximum: MAX_LIST_LIMIT },
+    cursor: text,
+    sort: { enum: LIST_SORTS[list].flatMap((sort) => [sort, `-${sort}`]) },
+    count: { type: "boolean" },
+    ...filters,
+});
+const medicationListQuery = listQuery("medications", { status: { enum: ["active", "finished"] } });
+const appointmentListQuery = listQuery("appointments", dateRange);
+const taskListQuery = listQuery("tasks", { location: text, dueBefore: dateTime });
+const forPatient = (query) => object({ patientId: id, ...query.properties }, ["patientId"]);
+
+// Bodies
+
+const timezone = { type: "string", minLength: 1, maxLength: 64, description: "an IANA time zone such as Europe/London" };
+
+const register = object({ username: { ...text, maxLength: 255 }, password, name: { ...text, maxLength: 255 }, role: { enum: ROLES }, timezone }, ["username", "password", "name", "role"]);
+const login = object({ username: { type: "string" }, password: { type: "string" } }, ["username", "password"]);
+const refresh = object({ refreshToken: text }, ["refreshToken"]);
+const logout = object({ allSessions: { type: "boolean" } });
+const profileUpdate = partial(object({ name: { ...text, maxLength: 255 }, timezone }));
+const changePassword = object({ currentPassword: { type: "string" }, newPassword: password }, ["currentPassword", "newPassword"]);
+const totpCode = { type: "string", pattern: "^\\s*\\d{3}\\s?\\d{3}\\s*$", description: "a 6 digit code from an authenticator app" };
+const secondFactor = { code: totpCode, recoveryCode: text };
+const loginSecondFactor = object({ challengeToken: text, ...secondFactor }, ["challengeToken"]);
+const loginChallenge = object({ challengeToken: text }, ["challengeToken"]);
+const twoFactorCode = object({ code: totpCode }, ["code"]);
+const disableTwoFactor = object({ password: { type: "string" }, ...secondFactor }, ["password"]);
+const accountDeletionRequest = object({ password: { type: "string" }, ...secondFactor }, ["password"]);
+const accountDeletionConfirm = object({ confirmationToken: text }, ["confirmationToken"]);
+const forgotPassword = object({ username: { type: "string" } }, ["username"]);
+const resetPassword = object({ token: text, newPassword: password }, ["token", "newPassword"]);
+
+const medicationInput = object(
+    {
+        name: { ...text, maxLength: 255 },
+        dosage: nullable({ type: "string", maxLength: 255 }),
+        time: { ...text, description: 'dose times as HH:mm, e.g. "08:00" or "08:00, 20:00"' },
+        duration: { type: ["string", "integer", "null"], description: 'a number of days, e.g. "7" or "2 weeks"' },
+        isTaken: nullable({ type: "boolean" }),
+        startDate: date,
+        quantityOnHand: nullable(quantity),
+        unitsPerDose: { type: "number", exclusiveMinimum: 0 },
+        lowStockThreshold: nullable(quantity),
+        confirmInteractions: { type: "boolean", description: "save even if severe interactions are found" },
+    },
+    ["name", "time"]
+);
+const refillInput = object({ quantity: { type: "number", exclusiveMinimum: 0 }, refilledAt: dateTime, note: nullable({ type: "string" }) }, ["quantity"]);
+const doseUpdate = object({ status: { enum: DOSE_STATUSES }, takenAt: dateTime }, ["status"]);
+
+const appointmentInput = object({ title: { ...text, maxLength: 255 }, date, description: nullable({ type: "string" }) }, ["title", "date"]);
+
+const recurrence = {
+    description: 'an RRULE such as "FREQ=WEEKLY;BYDAY=MO,WE" or { type, interval, days, monthDays, count, until }',
+    anyOf: [
+        { type: "string" },
+        object({
+            type: { enum: ["daily", "weekdays", "weekly", "monthly"] },
+            interval: { type: "integer", minimum: 1 },
+            days: arrayOf({ type: "string" }),
+            monthDays: arrayOf({ type: "integer" }),
+            count: { type: "integer", minimum: 1 },
+            until: date,
+        }, ["type"]),
+        { type: "null" },
+    ],
+};
+const taskInput = object(
+    {
+        name: { ...text, maxLength: 255 },
+        location: nullable({ type: "string", maxLength: 255 }),
+        time: dateTime,
+        frequency: nullable({ type: "string", maxLength: 255 }),
+        recurrence,
+        exceptionDates: arrayOf(date),
+    },
+    ["name", "time"]
+);
+const occurrenceParams = object({ id, date }, ["id", "date"]);
+const occurrenceUpdate = object({ completed: { type: "boolean" } });
+
+const calendarImportQuery = object({ patientId: id });
+
+// Only the Bundle envelope is checked here; fhir.js reports problems with each resource
+const fhirBundle = object({
+    resourceType: { const: "Bundle" },
+    type: { type: "string" },
+    entry: { ...arrayOf(object({ resource: { type: "object" } })), maxItems: MAX_IMPORT_ENTRIES },
+}, ["resourceType"]);
+const fhirImportQuery = object({ confirmInteractions: { type: "boolean" } });
+
+const careLinkUpdate = object({ scopes, expiresAt: nullable(timestamp) });
+const careRequest = object({ caregiverUsername: text, scopes, expiresAt: nullable(timestamp) }, ["caregiverUsername"]);
+const legacyCareRequest = object({ ...careRequest.properties, userId: { type: ["integer", "string"] } }, ["caregiverUsername"]);
+const careInvite = object({ scopes, expiresAt: nullable(timestamp), validForHours: { type: "integer", minimum: 1, maximum: 720 } });
+const redeemInvite = object({ code: text }, ["code"]);
+const careRequestQuery = object({ status: { enum: ["pending", "accepted", "declined", "cancelled", "expired", "revoked"] } });
+
+const measurementType = { enum: Object.keys(MEASUREMENT_TYPES) };
+const unit = { type: "string", description: "a unit of the measurement type, such as mmol/L; defaults to its standard unit" };
+const measurementInput = object(
+    {
+        type: measurementType,
+        value: { type: "number", description: "the reading; systolic pressure for blood pressure, severity 0-10 for a symptom" },
+        secondaryValue: nullable({ type: "number", description: "diastolic pressure, for blood pressure only" }),
+        unit,
+        symptom: nullable({ ...text, maxLength: 255 }),
+        notes: nullable({ type: "string" }),
+        measuredAt: dateTime,
+    },
+    ["type", "value"]
+);
+const measurementQuery = object({ type: measurementType, ...dateRange });
+const trendQuery = object({ type: measurementType, period: { enum: TREND_PERIODS }, ...dateRange }, ["type"]);
+const thresholdParams = object({ patientId: id, type: measurementType }, ["patientId", "type"]);
+const thresholdInput = object({ min: nullable({ type: "number" }), max: nullable({ type: "number" }), secondaryMin: nullable({ type: "number" }), secondaryMax: nullable({ type: "number" }), unit });
+const measurementAlertQuery = object({ patientId: id, status: { enum: ALERT_STATUSES } });
+
+const auditQuery = object({ ...dateRange, actorId: id, resourceType: { enum: AUDIT_RESOURCES } });
+
+const leadMinutes = { type: "integer", minimum: 0, maximum: MAX_LEAD_MINUTES };
+const reminderPreferences = object({
+    enabled: { type: "boolean" },
+    channel: text,
+    target: nullable({ type: "string" }),
+    medication_lead_minutes: leadMinutes,
+    task_lead_minutes: leadMinutes,
+    appointment_lead_minutes: leadMinutes,
+    escalation_grace_minutes: leadMinutes,
+});
+
+const syncQuery = object({ cursor: version, limit: { type: "integer", minimum: 1, maximum: SYNC_PAGE_SIZE } });
+
+// The body (`data`) of each mutation is checked against the matching create
+// or PATCH body in the route
+const syncMutation = object({
+    idempotencyKey: { ...text, maxLength: 100 },
+    resourceType: { enum: Object.keys(SYNCED_ITEMS) },
+    action: { enum: ["create", "update", "delete"] },
+    id,
+    patientId: id,
+    baseVersion: version,
+    force: { type: "boolean", description: "apply even if the item changed since baseVersion" },
+    data: { type: "object" },
+}, ["idempotencyKey", "resourceType", "action"]);
+const syncPush = object({ mutations: { ...arrayOf(syncMutation), minItems: 1, maxItems: MAX_PUSH_MUTATIONS } }, ["mutations"]);
+
+const eventsQuery = object({ lastEventId: { type: "string", pattern: "^\\d+$", description: "a numeric event id" }, access_token: { type: "string" } });
+
+// Response shapes, published under components.schemas
+
+const components = {
+    Error: object(
+        {
+            error: { type: "string" },
+            code: { type: "string" },
+            details: arrayOf(object({ field: { type: "string" }, message: { type: "string" } })),
+        },
+        ["error", "code"]
+    ),
+    Profile: object({ id, username: { type: "string" }, name: { type: "string" }, role: { enum: ROLES }, timezone }),
+    Tokens: object({
+        token: { type: "string" },
+        refreshToken: { type: "string" },
+        expiresIn: { type: "string" },
+        role: { enum: ROLES },
+        userId: id,
+        recoveryCodes: arrayOf({ type: "string" }),
+        recoveryCodesLeft: { type: "integer" },
+    }),
+    LoginChallenge: object({
+        twoFactorRequired: { type: "boolean" },
+        twoFactorSetupRequired: { type: "boolean" },
+        challengeToken: { type: "string" },
+        expiresIn: { type: "string" },
+    }),
+    TwoFactorEnrollment: object({ secret: { type: "string" }, otpauthUri: { type: "string", description: "show as a QR code for an authenticator app" } }),
+    TwoFactorStatus: object({ enabled: { type: "boolean" }, enabledAt: nullable(timestamp), required: { type: "boolean" }, recoveryCodesLeft: { type: "integer" } }),
+    RecoveryCodes: object({ message: { type: "string" }, recoveryCodes: arrayOf({ type: "string" }) }),
+    Medication: object({
+        id,
+        user_id: id,
+        name: { type: "string" },
+        dosage: nullable({ type: "string" }),
+        time: { type: "string" },
+        duration: nullable({ type: "string" }),
+        is_taken: nullable({ type: "boolean" }),
+        start_date: date,
+        quantity_on_hand: nullable(quantity),
+        units_per_dose: quantity,
+        low_stock_threshold: nullable(quantity),
+        days_of_supply: nullable({ type: "integer" }),
+        run_out_date: nullable(date),
+        low_stock: { type: "boolean" },
+        warnings: arrayOf(ref("MedicationWarning")),
+        timezone,
+        time_local: nullable({ type: "string", description: "today's dose times in the viewer's time zone" }),
+        version,
+    }),
+    MedicationWarning: object({
+        type: { enum: ["duplicate", "duplicate_class", "interaction", "dose"] },
+        severity: { enum: ["minor", "moderate", "major", "contraindicated"] },
+        message: { type: "string" },
+        ingredients: arrayOf({ type: "string" }),
+        medicationId: nullable(id),
+        medicationName: nullable({ type: "string" }),
+    }),
+    Refill: object({
+        id,
+        medication_id: id,
+        user_id: id,
+        quantity,
+        refilled_at: dateTime,
+        refilled_at_local: dateTime,
+        note: nullable({ type: "string" }),
+        recorded_by: nullable(id),
+        recorded_at: timestamp,
+        timezone,
+    }),
+    Measurement: object({
+        id,
+        user_id: id,
+        type: measurementType,
+        value: { type: "number" },
+        secondary_value: nullable({ type: "number" }),
+        unit: { type: "string" },
+        normalized_value: { type: "number", description: "the value in the type's standard unit" },
+        normalized_secondary_value: nullable({ type: "number" }),
+        symptom: nullable({ type: "string" }),
+        notes: nullable({ type: "string" }),
+        measured_at: dateTime,
+        measured_at_local: dateTime,
+        recorded_by: nullable(id),
+        recorded_at: timestamp,
+        timezone,
+    }),
+    MeasurementTrends: object({
+        patientId: id,
+        type: measurementType,
+        unit: { type: "string" },
+        period: { enum: TREND_PERIODS },
+        from: date,
+        to: date,
+        overall: ref("MeasurementStats"),
+        buckets: arrayOf(ref("MeasurementStats")),
+    }),
+    MeasurementStats: object({
+        start: { ...date, description: "the first day of the period (weeks start on Monday)" },
+        count: { type: "integer" },
+        average: nullable({ type: "number" }),
+        min: nullable({ type: "number" }),
+        max: nullable({ type: "number" }),
+        secondaryAverage: nullable({ type: "number" }),
+        secondaryMin: nullable({ type: "number" }),
+        secondaryMax: nullable({ type: "number" }),
+    }),
+    MeasurementThreshold: object({
+        patient_id: id,
+        type: measurementType,
+        unit: { type: "string" },
+        min_value: nullable({ type: "number" }),
+        max_value: nullable({ type: "number" }),
+        min_secondary_value: nullable({ type: "number" }),
+        max_secondary_value: nullable({ type: "number" }),
+        set_by: nullable(id),
+        updated_at: timestamp,
+    }),
+    MeasurementAlert: object({
+        id,
+        patient_id: id,
+        patient_name: { type: "string" },
+        measurement_id: id,
+        type: measurementType,
+        breaches: arrayOf(object({
+            field: { enum: ["value", "secondary_value"] },
+            value: { type: "number" },
+            limit: { type: "number" },
+            direction: { enum: ["above", "below"] },
+        })),
+        value: { type: "number" },
+        secondary_value: nullable({ type: "number" }),
+        unit: { type: "string" },
+        symptom: nullable({ type: "string" }),
+        measured_at: dateTime,
+        measured_at_local: dateTime,
+        created_at: timestamp,
+        acknowledged_at: nullable(timestamp),
+        acknowledged_by: nullable(id),
+        timezone,
+    }),
+    Dose: object({
+        id,
+        medication_id: id,
+        scheduled_at: dateTime,
+        status: { enum: DOSE_STATUSES },
+        state: { enum: ["taken", "late", "skipped", "missed", "upcoming"] },
+        taken_at: nullable(dateTime),
+        recorded_by: nullable(id),
+        recorded_at: nullable(timestamp),
+        scheduled_at_utc: timestamp,
+        scheduled_at_local: dateTime,
+        timezone,
+    }),
+    Appointment: object({
+        id,
+        user_id: id,
+        title: { type: "string" },
+        date,
+        description: nullable({ type: "string" }),
+        starts_at_utc: nullable(timestamp),
+        starts_at_local: nullable(dateTime),
+        timezone,
+        version,
+    }),
+    DailyTask: object({
+        id,
+        user_id: id,
+        name: { type: "string" },
+        location: nullable({ type: "string" }),
+        time: dateTime,
+        frequency: nullable({ type: "string" }),
+        recurrence: nullable({ type: "string" }),
+        exception_dates: arrayOf(date),
+        next_due_at: nullable(dateTime),
+        time_utc: nullable(timestamp),
+        time_local: nullable(dateTime),
+        next_due_at_local: nullable(dateTime),
+        timezone,
+        version,
+    }),
+    TaskOccurrence: object({
+        taskId: id,
+        name: { type: "string" },
+        location: nullable({ type: "string" }),
+        occurrenceAt: dateTime,
+        completed: { type: "boolean" },
+        completedAt: nullable(dateTime),
+        completedBy: nullable(id),
+        state: { enum: ["completed", "overdue", "upcoming"] },
+        occurrenceAtLocal: dateTime,
+        timezone,
+    }),
+    CaregiverDashboard: object({
+        date,
+        generatedAt: dateTime,
+        timezone,
+        patients: arrayOf(object({
+            patientId: id,
+            name: { type: "string" },
+            scopes,
+            expiresAt: nullable(timestamp),
+            timezone,
+            date,
+            today: object({ doses: arrayOf(ref("Dose")), tasks: arrayOf(ref("TaskOccurrence")), appointments: arrayOf(ref("Appointment")) }),
+            overdue: object({ doses: arrayOf(ref("Dose")), tasks: arrayOf(ref("TaskOccurrence")) }),
+            missed: object({ doses: arrayOf(ref("Dose")), tasks: arrayOf(ref("TaskOccurrence")) }),
+            nextAppointment: { anyOf: [ref("Appointment"), { type: "null" }] },
+            summary: object(Object.fromEntries(
+                ["dosesDue", "dosesTaken", "tasksDue", "tasksCompleted", "appointments", "overdue", "missed"].map((field) => [field, { type: "integer" }])
+            )),
+        })),
+        pendingRequests: arrayOf(object({
+            id,
+            patient_id: id,
+            patient_name: { type: "string" },
+            scopes,
+            created_at: timestamp,
+            expires_at: nullable(timestamp),
+        })),
+    }),
+    CareRequest: object({
+        id,
+        patient_id: id,
+        caregiver_id: nullable(id),
+        invite_code: nullable({ type: "string" }),
+        scopes,
+        status: careRequestQuery.properties.status,
+        created_at: timestamp,
+        expires_at: nullable(timestamp),
+    }),
+    FhirImportResult: object({
+        imported: { type: "integer" },
+        skipped: { type: "integer" },
+        rejected: arrayOf(object({ index: { type: "integer" }, resourceType: nullable({ type: "string" }), id: nullable({ type: "string" }), errors: arrayOf({ type: "string" }) })),
+        medications: arrayOf(ref("Medication")),
+        appointments: arrayOf(ref("Appointment")),
+        daily_tasks: arrayOf(ref("DailyTask")),
+    }),
+    SyncChanges: object({
+        cursor: version,
+        hasMore: { type: "boolean" },
+        changes: arrayOf(object({
+            resourceType: { enum: [...Object.keys(SYNCED_ITEMS), "care_link"] },
+            action: { enum: ["upsert", "delete"] },
+            id,
+            patientId: id,
+            version,
+            data: { type: ["object", "null"], description: "the item as the list endpoints return it, or the care team link; null for deletes" },
+        })),
+    }),
+    SyncPushResult: object({
+        results: arrayOf(object({
+            idempotencyKey: { type: "string" },
+            status: { enum: ["applied", "conflict", "rejected"] },
+            replayed: { type: "boolean" },
+            resourceType: { enum: Object.keys(SYNCED_ITEMS) },
+            action: { enum: ["create", "update", "delete"] },
+            id: nullable(id),
+            version: nullable(version),
+            item: { type: ["object", "null"] },
+            error: { type: "string" },
+            code: { type: "string" },
+            details: arrayOf(object({ field: { type: "string" }, message: { type: "string" } })),
+            conflict: object({
+                reason: { enum: ["edited", "deleted"] },
+                fields: arrayOf({ type: "string" }),
+                current: { type: ["object", "null"] },
+            }),
+        })),
+    }),
+    AuditEntry: object({
+        id: { type: "string" },
+        patient_id: id,
+        actor_id: nullable(id),
+        actor_name: nullable({ type: "string" }),
+        action: { enum: ["create", "update", "delete", "access"] },
+        resource_type: { enum: AUDIT_RESOURCES },
+        resource_id: nullable(id),
+        before: nullable({ type: "object" }),
+        after: nullable({ type: "object" }),
+        created_at: timestamp,
+    }),
+    AccountDeletion: object({
+        status: { enum: ["none", "pending_confirmation", "scheduled"] },
+        requestedAt: timestamp,
+        confirmBy: timestamp,
+        confirmedAt: timestamp,
+        deleteAfter: { ...timestamp, description: "when the account and its data are erased" },
+    }),
+    AccountDeletionRequest: object({ confirmationToken: { type: "string" }, expiresIn: { type: "string" }, gracePeriodDays: { type: "integer" } }),
+    Health: object({
+        status: { enum: ["ok", "unavailable", "shutting_down"] },
+        database: object({ ok: { type: "boolean" }, latencyMs: { type: "integer" } }),
+    }),
+    Metrics: object({
+        startedAt: timestamp,
+        uptimeSeconds: { type: "integer" },
+        pool: object({ total: { type: "integer" }, idle: { type: "integer" }, active: { type: "integer" }, waiting: { type: "integer" }, max: { type: "integer" } }),
+        routes: arrayOf(object({
+            route: { type: "string", description: "method and route pattern, e.g. GET /medications/:id" },
+            requests: { type: "integer" },
+            clientErrors: { type: "integer", description: "4xx responses" },
+            serverErrors: { type: "integer", description: "5xx responses" },
+            averageMs: { type: "number" },
+            maxMs: { type: "number" },
+            latencyBuckets: arrayOf(object({ le: { type: ["number", "string"] }, count: { type: "integer" } })),
+        })),
+    }),
+};
+
+module.exports = {
+    object,
+    arrayOf,
+    ref,
+    components,
+    idParams,
+    patientParams,
+    patientItemParams,
+    patientQuery,
+    dateRangeQuery: object(dateRange),
+    register,
+    login,
+    refresh,
+    logout,
+    changePassword,
+    profileUpdate,
+    loginSecondFactor,
+    loginChallenge,
+    twoFactorCode,
+    disableTwoFactor,
+    accountDeletionRequest,
+    accountDeletionConfirm,
+    forgotPassword,
+    resetPassword,
+    medicationInput,
+    medicationPatch: partial(medicationInput),
+    refillInput,
+    doseParams: object({ id, doseId: id }, ["id", "doseId"]),
+    doseUpdate,
+    medicationListQuery,
+    patientMedicationListQuery: forPatient(medicationListQuery),
+    appointmentListQuery: object({ patientId: id, ...appointmentListQuery.properties }),
+    patientAppointmentListQuery: forPatient(appointmentListQuery),
+    taskListQuery,
+    patientTaskListQuery: forPatient(taskListQuery),
+    appointmentInput,
+    appointmentPatch: partial(appointmentInput),
+    taskInput,
+    taskPatch: partial(taskInput),
+    occurrenceParams,
+    occurrenceUpdate,
+    calendarTokenParams: object({ token: text }, ["token"]),
+    calendarImportQuery,
+    fhirBundle,
+    fhirImportQuery,
+    syncQuery,
+    syncPush,
+    caregiverParams: object({ caregiverId: id }, ["caregiverId"]),
+    careLinkUpdate,
+    careRequest,
+    legacyCareRequest,
+    careInvite,
+    redeemInvite,
+    careRequestQuery,
+    measurementInput,
+    measurementQuery,
+    trendQuery,
+    thresholdParams,
+    thresholdInput,
+    measurementAlertQuery,
+    auditQuery,
+    reminderPreferences,
+    eventsQuery,
+};
@@ -0,0 +1,70 @@
+// Wall clocks are kept in the process's zone, which must be UTC (see dates.js).
+// Set before anything is loaded, so no Date is made in the host's zone.
+process.env.TZ = "UTC";
+const bcrypt = require("bcryptjs");
+const pool = require("./db");
+const { formatDate, addDays, startOfDay } = require("./dates");
+const { FULL_ACCESS, addCareTeamMember } = require("./careteam");
+const { seal } = require("./fieldcrypto");
+const { indexTaskLocation } = require("./lists");
+
+// Demo data for local development: a patient with a medication, a daily task
+// and an appointment, and a caregiver on their care team. Run with `npm run seed`
+// after `npm run migrate`; it does nothing if the demo users already exist.
+
+const DEMO_PASSWORD = "demo-password";
+
+const seed = async () => {
+    const existing = await pool.query("SELECT id FROM users WHERE username IN ('demo_patient', 'demo_caregiver')");
+    if (existing.rows.length > 0) {
+        console.log("✅ Demo data already present");
+        return;
+    }
+
+    const password = await bcrypt.hash(DEMO_PASSWORD, 10);
+    const insertUser = async (username, name, role) =>
+        (await pool.query(
+            "INSERT INTO users (username, password, name, role) VALUES ($1, $2, $3, $4) RETURNING id",
+            [username, password, name, role]
+        )).rows[0].id;
+
+    const patientId = await insertUser("demo_patient", "Dana Patient", "patient");
+    const caregiverId = await insertUser("demo_caregiver", "Casey Caregiver", "caregiver");
+
+    // The caregiver joins through an accepted request, as in the app
+    await pool.query(
+        "INSERT INTO care_requests (patient_id, caregiver_id, scopes, status, accepted_at) VALUES ($1, $2, $3, 'accepted', NOW())",
+        [patientId, caregiverId, FULL_ACCESS]
+    );
+    await addCareTeamMember(patientId, caregiverId);
+    await pool.query("UPDATE users SET counterpart_id = $1 WHERE id = $2", [caregiverId, patientId]);
+
+    const today = startOfDay(new Date());
+    await pool.query(
+        "INSERT INTO medications (user_id, name, dosage, time, duration, start_date, quantity_on_hand, low_stock_threshold) VALUES ($1, $2, $3, '08:00, 20:00', '30', $4, 20, 10)",
+        [patientId, seal("Metformin"), seal("500mg"), formatDate(today)]
+    );
+    const task = await pool.query(
+        "INSERT INTO daily_tasks (user_id, name, location, time, frequency, recurrence) VALUES ($1, 'Morning walk', $2, $3, 'daily', 'FREQ=DAILY') RETURNING *",
+        [patientId, seal("Park"), `${formatDate(today)} 09:00:00`]
+    );
+    await indexTaskLocation(task.rows[0]);
+    await pool.query(
+        "INSERT INTO appointments (user_id, title, date, description) VALUES ($1, 'Check-up with Dr. Lee', $2, $3)",
+        [patientId, formatDate(addDays(today, 7)), seal("Bring blood pressure log")]
+    );
+
+    console.log(`✅ Seeded demo_patient and demo_caregiver (password "${DEMO_PASSWORD}")`);
+};
+
+if (process.env.NODE_ENV === "production") {
+    console.error("❌ Refusing to seed demo data with NODE_ENV=production");
+    process.exitCode = 1;
+} else {
+    seed()
+        .catch((err) => {
+            console.error("❌ Seeding failed:", err.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
@@ -1,277 +1,2908 @@
+// Wall clocks are kept in the process's zone, which must be UTC (see dates.js).
+// Set before anything is loaded, so no Date is made in the host's zone.
+process.env.TZ = "UTC";
 require("dotenv").config();
+const crypto = require("crypto");
 const express = require("express");
 const cors = require("cors");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const pool = require("./db");
+const { DATE_REGEX, DATE_TIME_REGEX, formatDate, formatDateTime, parseDateTime, addDays, addMinutes, parseDateRange } = require("./dates");
+const { RecurrenceError, normalizeRecurrence, taskRRule, expandOccurrences } = require("./recurrence");
+const { parseDoseTimes, parseDurationDays, medicationSchedule, buildDoseSchedule, withDoseState, summarizeAdherence } = require("./doses");
+const { unescapeText, buildCalendar, parseIcsDate, parseEvents } = require("./ical");
+const { getChannel, channelNames } = require("./channels");
+const { MAX_LEAD_MINUTES, preferencesFor, cancelReminders, startReminderScheduler } = require("./reminders");
+const { REPLAY_LIMIT, publishEvent, eventsSince, subscribe } = require("./events");
+const {
+    CARE_SCOPES,
+    normalizeScopes,
+    careScopes,
+    careTeamPatients,
+    generateInviteCode,
+    expireCareRequests,
+    acceptCareRequest,
+    updateCareLink,
+    revokeCareLink,
+} = require("./careteam");
+const {
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    createPasswordReset,
+    consumePasswordReset,
+    authenticate,
+    canAccess,
+    requireRole,
+    requirePatientAccess,
+    twoFactorRequired,
+} = require("./auth");
+const { loginBlock, recordLoginAttempt, sendLoginBlock } = require("./throttle");
+const {
+    startEnrollment,
+    enableTwoFactor,
+    disableTwoFactor,
+    generateRecoveryCodes,
+    verifySecondFactor,
+    twoFactorStatus,
+    createLoginChallenge,
+    findLoginChallenge,
+    completeLoginChallenge,
+} = require("./twofactor");
+const { pendingMigrations } = require("./migrate");
+const { AUDIT_RESOURCES, recordAudit, recordAccess, auditAccess, auditEntries } = require("./audit");
+const { validate, checkValue } = require("./validation");
+const schemas = require("./schemas");
+const { codeForStatus, errorEnvelope, notFound, errorHandler } = require("./errors");
+const { buildOpenApiDocument } = require("./openapi");
+const { sendPage, listMedications, listAppointments, listTasks, indexTaskLocation } = require("./lists");
+const { stockStatus, withStock, doseStockChange, consumeStock, recordRefill, lowStockMedications } = require("./inventory");
+const { loadDrugData, checkPatientMedication, blockingWarnings } = require("./interactions");
+const { taskOccurrencesByPatient, caregiverDashboard } = require("./dashboard");
+const { DEFAULT_TIMEZONE, timeZoneExists, wallClock, wallClockNow, convertWallClock, userTimezone, localize } = require("./timezones");
+const { logger, requestLogging } = require("./logger");
+const {
+    exportArchive,
+    accountDeletion,
+    requestAccountDeletion,
+    confirmAccountDeletion,
+    cancelAccountDeletion,
+    startAccountPurge,
+} = require("./accounts");
+const { trackRequests, metricsSnapshot } = require("./metrics");
+const { FHIR_CONTENT_TYPE, patientBundle, importInput } = require("./fhir");
+const { encryptionEnabled, seal } = require("./fieldcrypto");
+const {
+    CLOCK_SKEW_MINUTES,
+    parseMeasurement,
+    recordMeasurement,
+    listMeasurements,
+    removeMeasurement,
+    measurementTrends,
+    patientThresholds,
+    parseThreshold,
+    setThreshold,
+    removeThreshold,
+    measurementAlerts,
+    findAlert,
+    acknowledgeAlert,
+} = require("./measurements");
+const {
+    SYNCED_ITEMS,
+    renderItem,
+    pruneTombstones,
+    syncCursorError,
+    changesSince,
+    pruneMutations,
+    pushMutations,
+    fieldsChangedSince,
+} = require("./sync");
 
 const app = express();
-app.use(cors());
+// Behind a proxy, TRUST_PROXY (a hop count, or anything Express accepts)
+// makes req.ip the client's address, which login throttling keys on
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(requestLogging);
+app.use(trackRequests);
+app.use(cors({ exposedHeaders: ["X-Next-Cursor", "X-Total-Count", "X-Request-Id"] }));
+app.use(errorEnvelope);
+// FHIR bundles come as application/fhir+json and can be large; parsed here,
+// the general parser below leaves them alone
+app.use("/patients/:patientId/fhir", express.json({ type: ["application/json", "application/fhir+json"], limit: "5mb" }));
 app.use(express.json());
 
 const PORT = process.env.PORT || 5000;
-const JWT_SECRET = process.env.JWT_SECRET;
+const PUBLIC_URL = process.env.PUBLIC_URL; // Base URL for links handed to clients, e.g. calendar feeds
+
+const HEALTH_CHECK_TIMEOUT_MS = 2000;
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+const MAX_IMPORT_EVENTS = 500;
+
+let shuttingDown = false; // Set once SIGTERM or SIGINT arrives; see shutdown()
+const eventStreams = new Set(); // Open caregiver event streams, ended on shutdown
+const INVITE_VALID_HOURS = 72;
 
 // API Health Check
 app.get("/", (req, res) => {
     res.send("🚀 API is running...");
 });
 
+// Liveness: the process is up and serving requests
+app.get("/health/live", validate({ summary: "Liveness check", tags: ["Operations"], response: schemas.ref("Health") }), (req, res) => {
+    res.json({ status: "ok" });
+});
+
+// Readiness: the database answers within HEALTH_CHECK_TIMEOUT_MS, and the
+// server isn't shutting down. 503 tells a load balancer to stop sending traffic.
+app.get("/health/ready", validate({ summary: "Readiness check", tags: ["Operations"], response: schemas.ref("Health") }), async (req, res) => {
+    if (shuttingDown) {
+        return res.status(503).json({ error: "Server is shutting down", status: "shutting_down" });
+    }
+
+    const started = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            pool.query("SELECT 1"),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`No answer within ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+            }),
+        ]);
+        res.json({ status: "ok", database: { ok: true, latencyMs: Date.now() - started } });
+    } catch (err) {
+        logger.error("Readiness check failed", { error: err.message });
+        res.status(503).json({ error: "Database is unavailable", status: "unavailable", database: { ok: false, latencyMs: Date.now() - started } });
+    } finally {
+        clearTimeout(timer);
+    }
+});
+
+// Request counts, errors and latency per route, and database pool usage.
+// With METRICS_TOKEN set, the token must be sent as a bearer token.
+app.get("/metrics", validate({ summary: "Request and database pool metrics", tags: ["Operations"], response: schemas.ref("Metrics") }), (req, res) => {
+    if (process.env.METRICS_TOKEN && req.headers["authorization"] !== `Bearer ${process.env.METRICS_TOKEN}`) {
+        return res.status(401).json({ error: "Access denied" });
+    }
+
+    res.json(metricsSnapshot(pool));
+});
+
+// OpenAPI 3.1 description of every route, generated from the route schemas
+app.get("/openapi.json", (req, res) => {
+    res.json(buildOpenApiDocument(app));
+});
+
 // Register User
-app.post("/register", async (req, res) => {
+app.post("/register", validate({ summary: "Register a patient or caregiver account", tags: ["Auth"], body: schemas.register }), async (req, res, next) => {
+    try {
+        const { username, password, name, role, timezone = DEFAULT_TIMEZONE } = req.body;
+        logger.info("Registering user", { username, role, timezone });
+
+        if (!(await timeZoneExists(timezone))) {
+            return res.status(400).json({ error: `Unknown time zone '${timezone}'. Expected an IANA name such as Europe/London` });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        const newUser = await pool.query(
+            "INSERT INTO users (username, password, name, role, timezone) VALUES ($1, $2, $3, $4, $5) RETURNING id, username, name, role, timezone",
+            [username, hashedPassword, name, role, timezone]
+        );
+
+        logger.info("User registered", { registeredUserId: newUser.rows[0].id, role });
+        res.status(201).json({ message: "User registered successfully", user: newUser.rows[0] });
+    } catch (err) {
+        if (err.code === "23505") {
+            return res.status(409).json({ error: "Username is already taken" });
+        }
+        logger.error("Database Error", { error: err.message });
+        next(err);
+    }
+});
+
+// Login User. Repeated failures lock the account, or the client's IP, for a
+// while (429). With two-factor enabled, or required for the role but not set
+// up yet, the password earns a challenge token for POST /login/2fa instead of
+// a session.
+app.post("/login", validate({
+    summary: "Log in and start a session",
+    tags: ["Auth"],
+    body: schemas.login,
+    response: { anyOf: [schemas.ref("Tokens"), schemas.ref("LoginChallenge")] },
+}), async (req, res, next) => {
+    try {
+        const { username, password } = req.body;
+
+        const block = await loginBlock(username, req.ip);
+        if (block) {
+            logger.warn(`Login for '${username}' from ${req.ip} refused: ${block.code}`);
+            return sendLoginBlock(res, block);
+        }
+
+        const user = await pool.query("SELECT * FROM users WHERE username = $1", [username]);
+        const isValid = user.rows.length > 0 && (await bcrypt.compare(String(password), user.rows[0].password));
+        if (!isValid) {
+            await recordLoginAttempt(username, req.ip, false);
+            return res.status(401).json({ error: "Invalid credentials" });
+        }
+
+        const account = user.rows[0];
+        if (account.totp_enabled_at) {
+            return res.json({ twoFactorRequired: true, ...(await createLoginChallenge(account.id, "verify", req.headers["user-agent"])) });
+        }
+        if (twoFactorRequired(account.role)) {
+            return res.json({ twoFactorSetupRequired: true, ...(await createLoginChallenge(account.id, "enroll", req.headers["user-agent"])) });
+        }
+
+        await recordLoginAttempt(username, req.ip, true);
+        res.json(await createSession(account, req.headers["user-agent"]));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// TWO-FACTOR AUTHENTICATION
+
+const invalidChallenge = (res) =>
+    res.status(401).json({ error: "Login challenge is invalid or has expired. Log in again", code: "INVALID_LOGIN_CHALLENGE" });
+
+// Get the secret for a role that must set up two-factor before its first
+// session, using the challenge from POST /login
+app.post("/login/2fa/setup", validate({
+    summary: "Set up two-factor authentication during login",
+    tags: ["Auth"],
+    body: schemas.loginChallenge,
+    response: schemas.ref("TwoFactorEnrollment"),
+}), async (req, res, next) => {
+    try {
+        const challenge = await findLoginChallenge(req.body.challengeToken);
+        if (!challenge || challenge.purpose !== "enroll") return invalidChallenge(res);
+
+        res.json(await startEnrollment({ id: challenge.user_id, username: challenge.username }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Finish a login with a code from the authenticator app, or a recovery code.
+// For a challenge that required setup, the code confirms the new secret and
+// the response carries the recovery codes.
+app.post("/login/2fa", validate({
+    summary: "Finish logging in with a two-factor code",
+    tags: ["Auth"],
+    body: schemas.loginSecondFactor,
+    response: schemas.ref("Tokens"),
+}), async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const challenge = await findLoginChallenge(challengeToken);
+        if (!challenge) return invalidChallenge(res);
+
+        const block = await loginBlock(challenge.username, req.ip);
+        if (block) {
+            logger.warn(`Two-factor login for '${challenge.username}' from ${req.ip} refused: ${block.code}`);
+            return sendLoginBlock(res, block);
+        }
+
+        let recoveryCodes = null;
+        let verified;
+        if (challenge.purpose === "enroll") {
+            recoveryCodes = challenge.totp_secret && code ? await enableTwoFactor(challenge.user_id, code) : null;
+            verified = recoveryCodes !== null;
+        } else {
+            verified = await verifySecondFactor(challenge.user_id, { code, recoveryCode });
+        }
+
+        if (!verified) {
+            await recordLoginAttempt(challenge.username, req.ip, false);
+            return res.status(401).json({ error: "Invalid two-factor code", code: "INVALID_TWO_FACTOR_CODE" });
+        }
+
+        await completeLoginChallenge(challenge.id);
+        await recordLoginAttempt(challenge.username, req.ip, true);
+
+        const tokens = await createSession({ id: challenge.user_id, role: challenge.role }, challenge.user_agent);
+        if (recoveryCodes) {
+            logger.info(`Two-factor enabled for user ${challenge.user_id} at login`);
+            return res.json({ ...tokens, recoveryCodes });
+        }
+        if (!code) {
+            logger.info(`User ${challenge.user_id} logged in with a recovery code`);
+            return res.json({ ...tokens, recoveryCodesLeft: (await twoFactorStatus(challenge.user_id)).recoveryCodesLeft });
+        }
+        res.json(tokens);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Two-factor status for the logged-in user
+app.get("/2fa", authenticate, validate({ summary: "Get two-factor status", tags: ["Auth"], response: schemas.ref("TwoFactorStatus") }), async (req, res, next) => {
+    try {
+        res.json({ ...(await twoFactorStatus(req.userId)), required: twoFactorRequired(req.user.role) });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Start enrollment: a new secret and an otpauth:// URI to show as a QR code.
+// Two-factor is on once POST /2fa/enable confirms a code.
+app.post("/2fa/setup", authenticate, validate({
+    summary: "Start setting up two-factor authentication",
+    tags: ["Auth"],
+    response: schemas.ref("TwoFactorEnrollment"),
+}), async (req, res, next) => {
+    try {
+        if ((await twoFactorStatus(req.userId)).enabled) {
+            return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+        }
+
+        const user = await pool.query("SELECT id, username FROM users WHERE id = $1", [req.userId]);
+        res.json(await startEnrollment(user.rows[0]));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Turn two-factor on with a code from the new secret; the recovery codes are
+// only ever shown here
+app.post("/2fa/enable", authenticate, validate({
+    summary: "Enable two-factor authentication",
+    tags: ["Auth"],
+    body: schemas.twoFactorCode,
+    response: schemas.ref("RecoveryCodes"),
+}), async (req, res, next) => {
+    try {
+        const user = await pool.query("SELECT totp_secret, totp_enabled_at FROM users WHERE id = $1", [req.userId]);
+        if (user.rows[0].totp_enabled_at) {
+            return res.status(409).json({ error: "Two-factor authentication is already enabled" });
+        }
+        if (!user.rows[0].totp_secret) {
+            return res.status(400).json({ error: "Start with POST /2fa/setup" });
+        }
+
+        const recoveryCodes = await enableTwoFactor(req.userId, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ error: "Invalid two-factor code", code: "INVALID_TWO_FACTOR_CODE" });
+        }
+
+        logger.info(`Two-factor enabled for user ${req.userId}`);
+        res.json({ message: "Two-factor authentication enabled. Store the recovery codes somewhere safe", recoveryCodes });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Replace the recovery codes; the old ones stop working
+app.post("/2fa/recovery-codes", authenticate, validate({
+    summary: "Regenerate recovery codes",
+    tags: ["Auth"],
+    body: schemas.twoFactorCode,
+    response: schemas.ref("RecoveryCodes"),
+}), async (req, res, next) => {
+    try {
+        if (!(await twoFactorStatus(req.userId)).enabled) {
+            return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+        }
+        if (!(await verifySecondFactor(req.userId, { code: req.body.code }))) {
+            return res.status(400).json({ error: "Invalid two-factor code", code: "INVALID_TWO_FACTOR_CODE" });
+        }
+
+        const recoveryCodes = await generateRecoveryCodes(req.userId);
+        res.json({ message: "Recovery codes replaced", recoveryCodes });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Turn two-factor off with the password and a code, unless the role requires it
+app.delete("/2fa", authenticate, validate({ summary: "Disable two-factor authentication", tags: ["Auth"], body: schemas.disableTwoFactor }), async (req, res, next) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (twoFactorRequired(req.user.role)) {
+            return res.status(403).json({ error: `Two-factor authentication is required for ${req.user.role}s`, code: "TWO_FACTOR_REQUIRED" });
+        }
+
+        const user = await pool.query("SELECT password, totp_enabled_at FROM users WHERE id = $1", [req.userId]);
+        if (!user.rows[0].totp_enabled_at) {
+            return res.status(400).json({ error: "Two-factor authentication is not enabled" });
+        }
+        if (!(await bcrypt.compare(String(password), user.rows[0].password))) {
+            return res.status(401).json({ error: "Password is incorrect" });
+        }
+        if (!(await verifySecondFactor(req.userId, { code, recoveryCode }))) {
+            return res.status(400).json({ error: "Invalid two-factor code", code: "INVALID_TWO_FACTOR_CODE" });
+        }
+
+        await disableTwoFactor(req.userId);
+
+        logger.info(`Two-factor disabled for user ${req.userId}`);
+        res.json({ message: "Two-factor authentication disabled" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// SESSIONS
+
+// Exchange a refresh token for a new access token and refresh token
+app.post("/refresh", validate({
+    summary: "Exchange a refresh token for new tokens",
+    tags: ["Auth"],
+    body: schemas.refresh,
+    response: schemas.ref("Tokens"),
+}), async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+        const tokens = await refreshSession(refreshToken);
+        if (!tokens) {
+            return res.status(401).json({ error: "Invalid refresh token" });
+        }
+
+        res.json(tokens);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Log out of this session, or every session with { allSessions: true }
+app.post("/logout", authenticate, validate({
+    summary: "Log out of this or every session",
+    tags: ["Auth"],
+    body: schemas.logout,
+}), async (req, res, next) => {
+    try {
+        if (req.body && req.body.allSessions) {
+            await revokeUserSessions(req.userId);
+        } else {
+            await revokeSession(req.sessionId, req.userId);
+        }
+
+        res.json({ message: "Logged out" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// List the user's active sessions
+app.get("/sessions", authenticate, validate({ summary: "List active sessions", tags: ["Auth"] }), async (req, res, next) => {
+    try {
+        const sessions = await pool.query(
+            `SELECT id, user_agent, created_at, last_used_at, expires_at, id = $2 AS current FROM auth_sessions
+             WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW() ORDER BY last_used_at DESC`,
+            [req.userId, req.sessionId]
+        );
+        res.json(sessions.rows);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Revoke one of the user's sessions, e.g. a lost device
+app.delete("/sessions/:id", authenticate, validate({ summary: "Revoke a session", tags: ["Auth"], params: schemas.idParams }), async (req, res, next) => {
+    try {
+        if (!(await revokeSession(req.params.id, req.userId))) {
+            return res.status(404).json({ error: "Session not found" });
+        }
+
+        res.json({ message: "Session revoked" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// PASSWORDS
+
+const updatePassword = async (userId, password) => {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await pool.query("UPDATE users SET password = $1 WHERE id = $2", [hashedPassword, userId]);
+};
+
+// Change the password; every other session is logged out
+app.post("/change-password", authenticate, validate({
+    summary: "Change password",
+    tags: ["Auth"],
+    body: schemas.changePassword,
+}), async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const user = await pool.query("SELECT password FROM users WHERE id = $1", [req.userId]);
+        if (!(await bcrypt.compare(String(currentPassword), user.rows[0].password))) {
+            return res.status(401).json({ error: "Current password is incorrect" });
+        }
+
+        await updatePassword(req.userId, newPassword);
+        await revokeUserSessions(req.userId, req.sessionId);
+
+        logger.info(`Password changed for user ${req.userId}`);
+        res.json({ message: "Password changed" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Send a one-time reset token through the user's reminder channel, or
+// PASSWORD_RESET_CHANNEL when set. The response never reveals whether the
+// username exists.
+app.post("/forgot-password", validate({ summary: "Send a password reset token", tags: ["Auth"], body: schemas.forgotPassword }), async (req, res, next) => {
+    try {
+        const user = await pool.query("SELECT id, name FROM users WHERE username = $1", [req.body.username]);
+
+        if (user.rows.length > 0) {
+            const preferences = await preferencesFor(user.rows[0].id);
+            const channelName = process.env.PASSWORD_RESET_CHANNEL || preferences.channel;
+            const channel = getChannel(channelName);
+
+            if (!channel || (channel.requiresTarget && !preferences.target)) {
+                logger.error(`No way to deliver a password reset to user ${user.rows[0].id} via ${channelName}`);
+            } else {
+                const token = await createPasswordReset(user.rows[0].id);
+                await channel.send(
+                    {
+                        kind: "password_reset",
+                        title: "Password reset",
+                        message: `Hi ${user.rows[0].name}, use this code to reset your password: ${token}`,
+                        token,
+                    },
+                    preferences.target
+                );
+            }
+        }
+
+        res.json({ message: "If the account exists, a reset code has been sent" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Set a new password with a reset token; every session is logged out
+app.post("/reset-password", validate({
+    summary: "Reset password with a reset token",
+    tags: ["Auth"],
+    body: schemas.resetPassword,
+}), async (req, res, next) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        const userId = token ? await consumePasswordReset(token) : null;
+        if (!userId) {
+            return res.status(400).json({ error: "Reset token is invalid or has expired" });
+        }
+
+        await updatePassword(userId, newPassword);
+        await revokeUserSessions(userId);
+
+        logger.info(`Password reset for user ${userId}`);
+        res.json({ message: "Password has been reset" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// PROFILE
+
+// Get the logged-in user's profile
+app.get("/profile", authenticate, validate({ summary: "Get your profile", tags: ["Profile"], response: schemas.ref("Profile") }), async (req, res, next) => {
+    try {
+        const user = await pool.query("SELECT id, username, name, role, timezone FROM users WHERE id = $1", [req.userId]);
+        res.json(user.rows[0]);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Change the user's name or time zone. A patient's items keep their wall-clock
+// times in the new zone, so pending reminders are planned again.
+app.patch("/profile", authenticate, validate({
+    summary: "Change your name or time zone",
+    tags: ["Profile"],
+    body: schemas.profileUpdate,
+    response: schemas.ref("Profile"),
+}), async (req, res, next) => {
+    try {
+        const { name, timezone } = req.body;
+
+        if (timezone !== undefined && !(await timeZoneExists(timezone))) {
+            return res.status(400).json({ error: `Unknown time zone '${timezone}'. Expected an IANA name such as Europe/London` });
+        }
+
+        const updated = await pool.query(
+            "UPDATE users SET name = COALESCE($1, name), timezone = COALESCE($2, timezone) WHERE id = $3 RETURNING id, username, name, role, timezone",
+            [name, timezone, req.userId]
+        );
+
+        if (timezone !== undefined && timezone !== req.timezone) {
+            await pool.query("DELETE FROM reminders WHERE patient_id = $1 AND status = 'pending'", [req.userId]);
+            logger.info(`User ${req.userId} moved from ${req.timezone} to ${timezone}`);
+        }
+        res.json(updated.rows[0]);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// ACCOUNT
+
+// Download everything stored about the user as a ZIP of export.json plus a CSV per table
+app.get("/account/export", authenticate, validate({ summary: "Export all of your data", tags: ["Account"] }), async (req, res, next) => {
+    try {
+        const user = await pool.query("SELECT username FROM users WHERE id = $1", [req.userId]);
+        const archive = await exportArchive(req.userId);
+
+        logger.info(`User ${req.userId} exported their data`, { bytes: archive.length });
+        res.type("application/zip");
+        res.attachment(`export-${user.rows[0].username}-${formatDate(wallClockNow(req.timezone))}.zip`);
+        res.send(archive);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Whether the account is due to be deleted
+app.get("/account/deletion", authenticate, validate({
+    summary: "Get the state of an account deletion",
+    tags: ["Account"],
+    response: schemas.ref("AccountDeletion"),
+}), async (req, res, next) => {
+    try {
+        res.json(await accountDeletion(req.userId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Ask to delete the account. Needs the password (and a two-factor code when
+// enabled); the returned token must then be confirmed with
+// POST /account/deletion/confirm.
+app.post("/account/deletion", authenticate, validate({
+    summary: "Request account deletion",
+    tags: ["Account"],
+    body: schemas.accountDeletionRequest,
+    response: schemas.ref("AccountDeletionRequest"),
+}), async (req, res, next) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        const user = await pool.query("SELECT password, totp_enabled_at FROM users WHERE id = $1", [req.userId]);
+        if (!(await bcrypt.compare(String(password), user.rows[0].password))) {
+            return res.status(401).json({ error: "Password is incorrect" });
+        }
+        if (user.rows[0].totp_enabled_at && !(await verifySecondFactor(req.userId, { code, recoveryCode }))) {
+            return res.status(400).json({ error: "Invalid two-factor code", code: "INVALID_TWO_FACTOR_CODE" });
+        }
+
+        const request = await requestAccountDeletion(req.userId);
+        if (!request) {
+            return res.status(409).json({ error: "Account deletion is already scheduled. Cancel it with DELETE /account/deletion" });
+        }
+
+        res.status(202).json(request);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Confirm the deletion. The account is erased once the grace period is over;
+// until then everything keeps working and the deletion can be cancelled.
+app.post("/account/deletion/confirm", authenticate, validate({
+    summary: "Confirm account deletion",
+    tags: ["Account"],
+    body: schemas.accountDeletionConfirm,
+    response: schemas.ref("AccountDeletion"),
+}), async (req, res, next) => {
+    try {
+        const deletion = await confirmAccountDeletion(req.userId, req.body.confirmationToken);
+        if (!deletion) {
+            return res.status(400).json({ error: "Confirmation token is invalid or has expired" });
+        }
+
+        logger.info(`Account ${req.userId} scheduled for deletion`, { deleteAfter: deletion.deleteAfter });
+        res.json(deletion);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Cancel a pending or scheduled deletion
+app.delete("/account/deletion", authenticate, validate({ summary: "Cancel account deletion", tags: ["Account"] }), async (req, res, next) => {
     try {
-        console.log("📥 Incoming Register Request:", req.body);
+        if (!(await cancelAccountDeletion(req.userId))) {
+            return res.status(404).json({ error: "No account deletion to cancel" });
+        }
+
+        logger.info(`Account deletion cancelled by user ${req.userId}`);
+        res.json({ message: "Account deletion cancelled" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Validate the schedule fields of a medication request body, returning an error message if invalid
+const validateMedicationSchedule = ({ time, duration, startDate }) => {
+    if (!parseDoseTimes(time)) {
+        return 'Invalid time format. Expected HH:mm, e.g. "08:00" or "08:00, 20:00"';
+    }
+    if (duration !== undefined && duration !== null && duration !== "" && !parseDurationDays(duration)) {
+        return 'Invalid duration. Expected a number of days, e.g. "7" or "2 weeks"';
+    }
+    if (startDate !== undefined && !(DATE_REGEX.test(startDate) && parseDateTime(startDate))) {
+        return "Invalid start date format. Expected YYYY-MM-DD";
+    }
+    return null;
+};
+
+// Check a medication being added or changed against the patient's other
+// medications (see interactions.js). Returns the warnings, or null after
+// answering 409 when severe interactions need the caller's confirmation.
+const checkMedicationSafety = async (req, res, patientId, medication, excludeId = null) => {
+    const warnings = await checkPatientMedication(patientId, medication, excludeId);
+    const blocking = blockingWarnings(warnings);
+
+    if (blocking.length > 0 && req.body.confirmInteractions !== true) {
+        res.status(409).json({
+            error: `${medication.name} has ${blocking.length} severe interaction(s) with current medications. Send confirmInteractions: true to save it anyway`,
+            code: "INTERACTION_CONFIRMATION_REQUIRED",
+            warnings,
+        });
+        return null;
+    }
+    if (blocking.length > 0) {
+        logger.info(`User ${req.userId} confirmed severe interactions for a medication of patient ${patientId}`, { interactionCount: blocking.length });
+    }
+    return warnings;
+};
+
+// Find a medication the user owns, or holds the given care scope for
+const findAccessibleMedication = async (medicationId, req, scope = "read") => {
+    const result = await pool.query("SELECT * FROM medications WHERE id = $1", [medicationId]);
+    const medication = result.rows[0];
+    return medication && canAccess(req, medication.user_id, scope) ? medication : undefined;
+};
+
+// Write out the scheduled doses for a medication (already scheduled doses are
+// kept). With `from`, only doses due from then on are written.
+const scheduleDoses = async (medication, from = null) => {
+    const schedule = buildDoseSchedule(medication).filter((time) => !from || parseDateTime(time) >= from);
+    if (schedule.length === 0) return;
+
+    await pool.query(
+        "INSERT INTO medication_doses (medication_id, user_id, scheduled_at) SELECT $1, $2, unnest($3::timestamp[]) ON CONFLICT (medication_id, scheduled_at) DO NOTHING",
+        [medication.id, medication.user_id, schedule]
+    );
+};
+
+// Schedule doses for medications added before dose tracking existed
+const ensureDoseSchedules = async (...userIds) => {
+    const unscheduled = await pool.query(
+        "SELECT * FROM medications m WHERE m.user_id = ANY($1::int[]) AND NOT EXISTS (SELECT 1 FROM medication_doses d WHERE d.medication_id = m.id)",
+        [userIds]
+    );
+    for (const medication of unscheduled.rows) {
+        await scheduleDoses(medication);
+    }
+};
+
+// Validate the recurrence fields of a daily task request body.
+// Returns { error } or the normalized { recurrence, exceptionDates }.
+const parseTaskRecurrence = ({ recurrence, exceptionDates }) => {
+    let rrule = null;
+    if (recurrence !== undefined && recurrence !== null && recurrence !== "") {
+        try {
+            rrule = normalizeRecurrence(recurrence);
+        } catch (err) {
+            if (err instanceof RecurrenceError) return { error: `Invalid recurrence: ${err.message}` };
+            throw err;
+        }
+    }
+
+    if (exceptionDates !== undefined &&
+        !(Array.isArray(exceptionDates) && exceptionDates.every((date) => DATE_REGEX.test(date) && parseDateTime(date)))) {
+        return { error: "Invalid exceptionDates. Expected an array of YYYY-MM-DD dates" };
+    }
+
+    return { recurrence: rrule, exceptionDates: [...new Set(exceptionDates || [])].sort() };
+};
+
+// Find a daily task the user owns, or holds the given care scope for
+const findAccessibleTask = async (taskId, req, scope = "read") => {
+    const result = await pool.query("SELECT * FROM daily_tasks WHERE id = $1", [taskId]);
+    const task = result.rows[0];
+    return task && canAccess(req, task.user_id, scope) ? task : undefined;
+};
+
+// Expand a patient's daily tasks into concrete occurrences within [from, to), with completion state
+const taskOccurrences = async (patientId, range) =>
+    (await taskOccurrencesByPatient([Number(patientId)], range)).get(Number(patientId));
+
+// Adherence summary for each of a patient's medications plus an overall total
+const patientAdherence = async (patientId, { from, to }) => {
+    await ensureDoseSchedules(patientId);
+
+    const medications = await pool.query("SELECT id, name FROM medications WHERE user_id = $1 ORDER BY id", [patientId]);
+    const doses = await pool.query(
+        "SELECT * FROM medication_doses WHERE user_id = $1 AND scheduled_at >= $2 AND scheduled_at < $3",
+        [patientId, from, to]
+    );
+
+    const dosesByMedication = new Map();
+    for (const dose of doses.rows) {
+        if (!dosesByMedication.has(dose.medication_id)) dosesByMedication.set(dose.medication_id, []);
+        dosesByMedication.get(dose.medication_id).push(dose);
+    }
+
+    return {
+        patientId: parseInt(patientId, 10),
+        from: formatDate(from),
+        to: formatDate(addDays(to, -1)),
+        overall: summarizeAdherence(doses.rows),
+        medications: medications.rows.map((medication) => ({
+            medicationId: medication.id,
+            name: medication.name,
+            ...summarizeAdherence(dosesByMedication.get(medication.id) || []),
+        })),
+    };
+};
+
+// Render a page of list items for the viewer (see timezones.js)
+const localizePage = async (req, kind, page) => ({ ...page, items: await localize(kind, page.items, req.timezone) });
+
+// Patient items that the patient, or a caregiver holding the matching care
+// scope, can change. `kind` names their events and reminders.
+const CARE_ITEMS = {
+    medication: { table: "medications", scope: "medications", label: "Medication", kind: "medication" },
+    daily_task: { table: "daily_tasks", scope: "tasks", label: "Task", kind: "task" },
+    appointment: { table: "appointments", scope: "appointments", label: "Appointment", kind: "appointment" },
+};
+
+// Policy: the item named by :id must exist, and on caregiver routes belong to
+// :patientId (404 otherwise); the user must be allowed to change it (403
+// otherwise). Sets req.item for the handler.
+const requireItemAccess = (resourceType) => async (req, res, next) => {
+    const { table, scope, label } = CARE_ITEMS[resourceType];
+    try {
+        const result = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [req.params.id]);
+        const item = result.rows[0];
+        if (!item || (req.patientId !== undefined && item.user_id !== req.patientId)) {
+            return res.status(404).json({ error: `${label} not found` });
+        }
+        if (!canAccess(req, item.user_id, scope)) {
+            logger.warn(`User ${req.userId} lacks ${scope} access to ${resourceType} ${item.id}`);
+            return res.status(403).json({ error: `Unauthorized to modify this ${label.toLowerCase()}` });
+        }
+        req.item = item;
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Record the change in the audit log and tell the care team
+const itemUpdated = async (req, resourceType, updated) => {
+    const patientId = updated.user_id;
+    await recordAudit({ patientId, actorId: req.userId, action: "update", resourceType, resourceId: updated.id, before: req.item, after: updated });
+    await publishEvent({ patientId, actorId: req.userId, type: `${CARE_ITEMS[resourceType].kind}.updated`, data: updated });
+    logger.info(`${CARE_ITEMS[resourceType].label} ${updated.id} updated by user ${req.userId}`);
+};
+
+// Tell the patient and care team when a change leaves a medication running low
+const alertIfLowStock = async (before, after, actorId) => {
+    if (stockStatus(before).low_stock || !stockStatus(after).low_stock) return;
+
+    logger.info(`Medication ${after.id} of patient ${after.user_id} is running low`);
+    await publishEvent({ patientId: after.user_id, actorId, type: "medication.low_stock", data: withStock(after) });
+};
+
+// Update handlers for req.item. A PUT body replaces the item; a PATCH body
+// (`partial`) only changes the fields it includes.
+
+// Changing a medication's schedule replaces its pending doses from now on;
+// recorded and past doses stay as history
+const updateMedication = (partial) => async (req, res, next) => {
+    try {
+        const previous = req.item;
+        const input = partial
+            ? {
+                name: previous.name,
+                dosage: previous.dosage,
+                time: previous.time,
+                duration: previous.duration,
+                isTaken: previous.is_taken,
+                quantityOnHand: previous.quantity_on_hand,
+                unitsPerDose: previous.units_per_dose,
+                lowStockThreshold: previous.low_stock_threshold,
+                ...req.body,
+            }
+            : req.body;
+
+        const rescheduled = ["time", "duration", "startDate"].some((field) => field in req.body);
+        if (rescheduled) {
+            const scheduleError = validateMedicationSchedule({ ...input, startDate: req.body.startDate });
+            if (scheduleError) {
+                return res.status(400).json({ error: scheduleError });
+            }
+        }
+
+        // Only a change to what is taken, or how much, can be held back for confirmation
+        const candidate = { name: input.name, dosage: input.dosage, time: input.time, units_per_dose: input.unitsPerDose || 1 };
+        const warnings = ["name", "dosage", "time", "unitsPerDose"].some((field) => field in req.body)
+            ? await checkMedicationSafety(req, res, previous.user_id, candidate, previous.id)
+            : await checkPatientMedication(previous.user_id, candidate, previous.id);
+        if (!warnings) return;
+
+        const updated = await pool.query(
+            `UPDATE medications SET name = $1, dosage = $2, time = $3, duration = $4, is_taken = $5, start_date = COALESCE($6::date, start_date),
+                quantity_on_hand = $8, units_per_dose = COALESCE($9, 1), low_stock_threshold = $10
+             WHERE id = $7 RETURNING *`,
+            [
+                seal(input.name), seal(input.dosage), input.time, input.duration, input.isTaken, req.body.startDate, previous.id,
+                input.quantityOnHand, input.unitsPerDose, input.lowStockThreshold,
+            ]
+        );
+
+        if (rescheduled) {
+            const now = wallClockNow(await userTimezone(previous.user_id));
+            await pool.query("DELETE FROM medication_doses WHERE medication_id = $1 AND status = 'pending' AND scheduled_at >= $2", [previous.id, now]);
+            await scheduleDoses(updated.rows[0], now);
+        }
+
+        await itemUpdated(req, "medication", updated.rows[0]);
+        await alertIfLowStock(previous, updated.rows[0], req.userId);
+        res.json(await localize("medication", { ...withStock(updated.rows[0]), warnings }, req.timezone));
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Recurrence and exception dates are only replaced when the body includes them.
+// A new schedule cancels the reminders queued for the old one; the scheduler
+// queues the new times on its next tick.
+const updateTask = (partial) => async (req, res, next) => {
+    try {
+        const previous = req.item;
+        const input = partial
+            ? { name: previous.name, location: previous.location, time: previous.time, frequency: previous.frequency, ...req.body }
+            : req.body;
+
+        const schedule = parseTaskRecurrence(req.body);
+        if (schedule.error) {
+            return res.status(400).json({ error: schedule.error });
+        }
+
+        const updated = await pool.query(
+            `UPDATE daily_tasks SET name = $1, location = $2, time = $3, frequency = $4,
+                recurrence = CASE WHEN $6 THEN $7 ELSE recurrence END,
+                exception_dates = CASE WHEN $8 THEN $9::text[] ELSE exception_dates END
+             WHERE id = $5 RETURNING *`,
+            [
+                input.name, seal(input.location), input.time, input.frequency, previous.id,
+                "recurrence" in req.body, schedule.recurrence,
+                "exceptionDates" in req.body, schedule.exceptionDates,
+            ]
+        );
+        await indexTaskLocation(updated.rows[0]);
+
+        // Reminders queued for the old times would still be sent
+        if (["time", "frequency", "recurrence", "exceptionDates"].some((field) => field in req.body)) {
+            await cancelReminders("task", previous.id);
+        }
+
+        await itemUpdated(req, "daily_task", updated.rows[0]);
+        res.json(await localize("daily_task", updated.rows[0], req.timezone));
+    } catch (err) {
+        next(err);
+    }
+};
+
+const updateAppointment = (partial) => async (req, res, next) => {
+    try {
+        const previous = req.item;
+        const input = partial
+            ? { title: previous.title, date: previous.date, description: previous.description, ...req.body }
+            : req.body;
+
+        const updated = await pool.query(
+            "UPDATE appointments SET title = $1, date = $2, description = $3 WHERE id = $4 RETURNING *",
+            [input.title, input.date, seal(input.description), previous.id]
+        );
+
+        if ("date" in req.body) {
+            await cancelReminders("appointment", previous.id);
+        }
+
+        await itemUpdated(req, "appointment", updated.rows[0]);
+        res.json(await localize("appointment", updated.rows[0], req.timezone));
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Delete req.item, cancelling any reminders still queued for it (dose
+// reminders cancel themselves once their dose is gone)
+const deleteItem = (resourceType) => async (req, res, next) => {
+    const { table, label, kind } = CARE_ITEMS[resourceType];
+    try {
+        const deleted = await pool.query(`DELETE FROM ${table} WHERE id = $1 RETURNING *`, [req.item.id]);
+        if (deleted.rows.length === 0) {
+            return res.status(404).json({ error: `${label} not found` });
+        }
+
+        const item = deleted.rows[0];
+        await cancelReminders(kind, item.id);
+        await recordAudit({ patientId: item.user_id, actorId: req.userId, action: "delete", resourceType, resourceId: item.id, before: item });
+        await publishEvent({ patientId: item.user_id, actorId: req.userId, type: `${kind}.deleted`, data: { id: item.id } });
+
+        logger.info(`${label} ${item.id} deleted by user ${req.userId}`);
+        res.json({ message: `${label} deleted` });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Get Medications (paginated, see lists.js)
+app.get("/medications", authenticate, validate({
+    summary: "List medications",
+    tags: ["Medications"],
+    query: schemas.medicationListQuery,
+    response: schemas.arrayOf(schemas.ref("Medication")),
+}), async (req, res, next) => {
+    try {
+        const page = await listMedications(req.userId, req.query, req.timezone);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+        sendPage(res, await localizePage(req, "medication", page));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Add Medication
+app.post("/medications", authenticate, validate({
+    summary: "Add a medication",
+    tags: ["Medications"],
+    body: schemas.medicationInput,
+    response: schemas.ref("Medication"),
+}), async (req, res, next) => {
+    try {
+        const { name, dosage, time, duration, isTaken, startDate, quantityOnHand, unitsPerDose, lowStockThreshold } = req.body;
+
+        const scheduleError = validateMedicationSchedule(req.body);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
+
+        const warnings = await checkMedicationSafety(req, res, req.userId, { name, dosage, time, units_per_dose: unitsPerDose || 1 });
+        if (!warnings) return;
+
+        const newMedication = await pool.query(
+            `INSERT INTO medications (user_id, name, dosage, time, duration, is_taken, start_date, quantity_on_hand, units_per_dose, low_stock_threshold)
+             VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7::date, CURRENT_DATE), $8, COALESCE($9, 1), $10) RETURNING *`,
+            [req.userId, seal(name), seal(dosage), time, duration, isTaken, startDate || formatDate(wallClockNow(req.timezone)), quantityOnHand, unitsPerDose, lowStockThreshold]
+        );
+
+        await scheduleDoses(newMedication.rows[0]);
+        await recordAudit({ patientId: req.userId, actorId: req.userId, action: "create", resourceType: "medication", resourceId: newMedication.rows[0].id, after: newMedication.rows[0] });
+        await publishEvent({ patientId: req.userId, actorId: req.userId, type: "medication.created", data: newMedication.rows[0] });
+        res.json(await localize("medication", { ...withStock(newMedication.rows[0]), warnings }, req.timezone));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Update Medication (patient or assigned caregiver)
+app.put("/medications/:id", authenticate, validate({
+    summary: "Replace a medication",
+    tags: ["Medications"],
+    params: schemas.idParams,
+    body: schemas.medicationInput,
+    response: schemas.ref("Medication"),
+}), requireItemAccess("medication"), updateMedication(false));
+
+app.patch("/medications/:id", authenticate, validate({
+    summary: "Change some fields of a medication",
+    tags: ["Medications"],
+    params: schemas.idParams,
+    body: schemas.medicationPatch,
+    response: schemas.ref("Medication"),
+}), requireItemAccess("medication"), updateMedication(true));
+
+// Delete Medication (patient or assigned caregiver)
+app.delete("/medications/:id", authenticate, validate({
+    summary: "Delete a medication",
+    tags: ["Medications"],
+    params: schemas.idParams,
+}), requireItemAccess("medication"), deleteItem("medication"));
+
+// Get Dose Schedule for a Medication (patient or assigned caregiver)
+app.get("/medications/:id/doses", authenticate, validate({
+    summary: "List a medication's doses",
+    tags: ["Medications"],
+    params: schemas.idParams,
+    query: schemas.dateRangeQuery,
+    response: schemas.arrayOf(schemas.ref("Dose")),
+}), async (req, res, next) => {
+    try {
+        const medication = await findAccessibleMedication(req.params.id, req);
+        if (!medication) {
+            return res.status(404).json({ error: "Medication not found or unauthorized" });
+        }
+
+        // Ranges are days on the patient's calendar
+        const patientTimezone = await userTimezone(medication.user_id);
+        const range = parseDateRange(req.query, { pastDays: 7, futureDays: 7, now: wallClockNow(patientTimezone) });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        await ensureDoseSchedules(medication.user_id);
+
+        const doses = await pool.query(
+            "SELECT * FROM medication_doses WHERE medication_id = $1 AND scheduled_at >= $2 AND scheduled_at < $3 ORDER BY scheduled_at",
+            [medication.id, range.from, range.to]
+        );
+
+        res.json(await localize("dose", doses.rows.map((dose) => withDoseState(dose)), req.timezone, patientTimezone));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Mark a Dose as taken, skipped or late (patient or assigned caregiver)
+app.put("/medications/:id/doses/:doseId", authenticate, validate({
+    summary: "Record a dose as taken, skipped or late",
+    tags: ["Medications"],
+    params: schemas.doseParams,
+    body: schemas.doseUpdate,
+    response: schemas.ref("Dose"),
+}), async (req, res, next) => {
+    try {
+        const { status, takenAt } = req.body;
+
+        const confirmed = status === "taken" || status === "late";
+        if (confirmed && takenAt !== undefined && !(DATE_TIME_REGEX.test(takenAt) && parseDateTime(takenAt))) {
+            return res.status(400).json({ error: "Invalid takenAt format. Expected YYYY-MM-DD HH:mm:ss" });
+        }
+
+        const medication = await findAccessibleMedication(req.params.id, req, "medications");
+        if (!medication) {
+            return res.status(404).json({ error: "Medication not found or unauthorized" });
+        }
+
+        // takenAt is on the caller's clock; doses keep the patient's
+        const patientTimezone = await userTimezone(medication.user_id);
+        let takenAtValue = null;
+        if (confirmed) {
+            takenAtValue = takenAt === undefined
+                ? formatDateTime(wallClockNow(patientTimezone))
+                : convertWallClock(takenAt, req.timezone, patientTimezone);
+        }
+
+        // The dose stays locked until its stock change is made, so concurrent
+        // updates each see the status the other left and can't both take it out of stock
+        const client = await pool.connect();
+        let previousDose;
+        let updatedDose;
+        let stocked;
+        try {
+            await client.query("BEGIN");
+            previousDose = await client.query("SELECT * FROM medication_doses WHERE id = $1 AND medication_id = $2 FOR UPDATE", [req.params.doseId, medication.id]);
+            if (previousDose.rows.length === 0) {
+                await client.query("ROLLBACK");
+                return res.status(404).json({ error: "Dose not found" });
+            }
+
+            updatedDose = await client.query(
+                "UPDATE medication_doses SET status = $1, taken_at = $2, recorded_by = $3, recorded_at = $4 WHERE id = $5 RETURNING *",
+                [status, takenAtValue, req.userId, new Date(), previousDose.rows[0].id]
+            );
+
+            await recordAudit({
+                patientId: medication.user_id,
+                actorId: req.userId,
+                action: "update",
+                resourceType: "medication_dose",
+                resourceId: updatedDose.rows[0].id,
+                before: previousDose.rows[0],
+                after: updatedDose.rows[0],
+            }, client);
+
+            // Confirming a dose takes it out of stock; undoing a confirmation puts it back
+            stocked = await consumeStock(medication, doseStockChange(medication, previousDose.rows[0].status, status), client);
+            await client.query("COMMIT");
+        } catch (err) {
+            await client.query("ROLLBACK");
+            throw err;
+        } finally {
+            client.release();
+        }
+        await alertIfLowStock(medication, stocked, req.userId);
+
+        const dose = withDoseState(updatedDose.rows[0]);
+        await publishEvent({ patientId: medication.user_id, actorId: req.userId, type: "dose.updated", data: { ...dose, medication_name: medication.name } });
+
+        logger.info(`Dose ${req.params.doseId} marked ${status} by user ${req.userId}`);
+        res.json(await localize("dose", dose, req.timezone, patientTimezone));
+    } catch (err) {
+        logger.error("Error updating dose", { error: err.message });
+        next(err);
+    }
+});
+
+// Get Adherence Summary for a Medication (patient or assigned caregiver)
+app.get("/medications/:id/adherence", authenticate, validate({
+    summary: "Adherence summary for a medication",
+    tags: ["Medications"],
+    params: schemas.idParams,
+    query: schemas.dateRangeQuery,
+}), async (req, res, next) => {
+    try {
+        const medication = await findAccessibleMedication(req.params.id, req);
+        if (!medication) {
+            return res.status(404).json({ error: "Medication not found or unauthorized" });
+        }
+
+        const range = parseDateRange(req.query, { now: wallClockNow(await userTimezone(medication.user_id)) });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        await ensureDoseSchedules(medication.user_id);
+
+        const doses = await pool.query(
+            "SELECT * FROM medication_doses WHERE medication_id = $1 AND scheduled_at >= $2 AND scheduled_at < $3",
+            [medication.id, range.from, range.to]
+        );
+
+        res.json({
+            medicationId: medication.id,
+            name: medication.name,
+            from: formatDate(range.from),
+            to: formatDate(addDays(range.to, -1)),
+            ...summarizeAdherence(doses.rows),
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Record a Refill for a Medication (patient or assigned caregiver)
+app.post("/medications/:id/refills", authenticate, validate({
+    summary: "Record a refill, adding it to the stock on hand",
+    tags: ["Medications"],
+    params: schemas.idParams,
+    body: schemas.refillInput,
+    response: schemas.object({ refill: schemas.ref("Refill"), medication: schemas.ref("Medication") }),
+}), requireItemAccess("medication"), async (req, res, next) => {
+    try {
+        const { quantity, refilledAt, note } = req.body;
+
+        // refilledAt is on the caller's clock; refills keep the patient's
+        const patientTimezone = await userTimezone(req.item.user_id);
+        const refilledAtValue = refilledAt === undefined
+            ? wallClockNow(patientTimezone)
+            : parseDateTime(convertWallClock(refilledAt, req.timezone, patientTimezone));
+        if (!refilledAtValue) {
+            return res.status(400).json({ error: "Invalid refilledAt format. Expected YYYY-MM-DD HH:mm:ss" });
+        }
+
+        const { refill, medication } = await recordRefill(req.item, { quantity, refilledAt: refilledAtValue, note }, req.userId);
+
+        await itemUpdated(req, "medication", medication);
+        await publishEvent({ patientId: medication.user_id, actorId: req.userId, type: "medication.refilled", data: { ...refill, medication_name: medication.name } });
+
+        logger.info(`Medication ${medication.id} refilled with ${quantity} by user ${req.userId}`);
+        res.status(201).json({
+            refill: await localize("refill", refill, req.timezone, patientTimezone),
+            medication: await localize("medication", withStock(medication), req.timezone, patientTimezone),
+        });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Get Refill History for a Medication (patient or assigned caregiver)
+app.get("/medications/:id/refills", authenticate, validate({
+    summary: "Refill history of a medication",
+    tags: ["Medications"],
+    params: schemas.idParams,
+    response: schemas.arrayOf(schemas.ref("Refill")),
+}), async (req, res, next) => {
+    try {
+        const medication = await findAccessibleMedication(req.params.id, req);
+        if (!medication) {
+            return res.status(404).json({ error: "Medication not found or unauthorized" });
+        }
+        recordAccess(medication.user_id, req.userId, "medication");
+
+        const refills = await pool.query("SELECT * FROM medication_refills WHERE medication_id = $1 ORDER BY refilled_at DESC, id DESC", [medication.id]);
+        res.json(await localize("refill", refills.rows, req.timezone));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Get Adherence Summary across all of the user's Medications
+app.get("/adherence", authenticate, validate({
+    summary: "Adherence summary across medications",
+    tags: ["Medications"],
+    query: schemas.dateRangeQuery,
+}), async (req, res, next) => {
+    try {
+        const range = parseDateRange(req.query, { now: wallClockNow(req.timezone) });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        res.json(await patientAdherence(req.userId, range));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Get Appointments for Patient or Caregiver's Assigned Patient
+app.get("/appointments", authenticate, validate({
+    summary: "List appointments",
+    tags: ["Appointments"],
+    query: schemas.appointmentListQuery,
+    response: schemas.arrayOf(schemas.ref("Appointment")),
+}), async (req, res, next) => {
+    try {
+        const { patientId } = req.query;
+        const userId = req.userId;
+
+        let queryUserId = userId; // Default: fetch for the logged-in user
+
+        // If caregiver is fetching for a patient, check if they are authorized
+        if (patientId) {
+            logger.info(`Fetching appointments for patient ID: ${patientId} by caregiver ${userId}`);
+
+            // Verify the caregiver is on this patient's care team
+            if (!canAccess(req, patientId, "read")) {
+                logger.warn("Unauthorized caregiver access to patient appointments");
+                return res.status(403).json({ error: "Unauthorized access to patient appointments" });
+            }
+            recordAccess(Number(patientId), userId, "appointment");
+
+            queryUserId = patientId; // Fetch appointments for the verified patient
+        }
+
+        // Fetch one page of appointments
+        const page = await listAppointments(queryUserId, req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        logger.info(`Found ${page.items.length} appointments for user ${queryUserId}`);
+        sendPage(res, await localizePage(req, "appointment", page));
+    } catch (err) {
+        logger.error("Error fetching appointments", { error: err.message });
+        next(err);
+    }
+});
+
+// Add Appointment
+app.post("/appointments", authenticate, validate({
+    summary: "Add an appointment",
+    tags: ["Appointments"],
+    body: schemas.appointmentInput,
+    response: schemas.ref("Appointment"),
+}), async (req, res, next) => {
+    try {
+        const { title, date, description } = req.body;
+
+        logger.debug("Adding appointment", { body: req.body });
+
+        // Insert into PostgreSQL
+        const newAppointment = await pool.query(
+            "INSERT INTO appointments (user_id, title, date, description) VALUES ($1, $2, $3, $4) RETURNING *",
+            [req.userId, title, date, seal(description)]
+        );
+
+        await recordAudit({ patientId: req.userId, actorId: req.userId, action: "create", resourceType: "appointment", resourceId: newAppointment.rows[0].id, after: newAppointment.rows[0] });
+        await publishEvent({ patientId: req.userId, actorId: req.userId, type: "appointment.created", data: newAppointment.rows[0] });
+        logger.info(`Appointment ${newAppointment.rows[0].id} added for user ${newAppointment.rows[0].user_id}`);
+        res.json(await localize("appointment", newAppointment.rows[0], req.timezone));
+    } catch (err) {
+        logger.error("Database Error", { error: err.message });
+        next(err);
+    }
+});
+
+// Update Appointment (patient or assigned caregiver)
+app.put("/appointments/:id", authenticate, validate({
+    summary: "Replace an appointment",
+    tags: ["Appointments"],
+    params: schemas.idParams,
+    body: schemas.appointmentInput,
+    response: schemas.ref("Appointment"),
+}), requireItemAccess("appointment"), updateAppointment(false));
+
+app.patch("/appointments/:id", authenticate, validate({
+    summary: "Change some fields of an appointment",
+    tags: ["Appointments"],
+    params: schemas.idParams,
+    body: schemas.appointmentPatch,
+    response: schemas.ref("Appointment"),
+}), requireItemAccess("appointment"), updateAppointment(true));
+
+// Delete Appointment (patient or assigned caregiver)
+app.delete("/appointments/:id", authenticate, validate({
+    summary: "Delete an appointment",
+    tags: ["Appointments"],
+    params: schemas.idParams,
+}), requireItemAccess("appointment"), deleteItem("appointment"));
+
+// DAILY TASKS CRUD OPERATIONS
+
+// Get Daily Tasks (paginated, see lists.js)
+app.get("/daily_tasks", authenticate, validate({
+    summary: "List daily tasks",
+    tags: ["Daily tasks"],
+    query: schemas.taskListQuery,
+    response: schemas.arrayOf(schemas.ref("DailyTask")),
+}), async (req, res, next) => {
+    try {
+        const page = await listTasks(req.userId, req.query, req.timezone);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+        sendPage(res, await localizePage(req, "daily_task", page));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Add Daily Task
+app.post("/daily_tasks", authenticate, validate({
+    summary: "Add a daily task",
+    tags: ["Daily tasks"],
+    body: schemas.taskInput,
+    response: schemas.ref("DailyTask"),
+}), async (req, res, next) => {
+    try {
+        const { name, location, time, frequency } = req.body;
+
+        logger.debug("Adding daily task", { body: req.body });
+
+        const schedule = parseTaskRecurrence(req.body);
+        if (schedule.error) {
+            return res.status(400).json({ error: schedule.error });
+        }
+
+        // Insert into PostgreSQL
+        const newTask = await pool.query(
+            "INSERT INTO daily_tasks (user_id, name, location, time, frequency, recurrence, exception_dates) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *",
+            [req.userId, name, seal(location), time, frequency, schedule.recurrence, schedule.exceptionDates]
+        );
+        await indexTaskLocation(newTask.rows[0]);
+
+        await recordAudit({ patientId: req.userId, actorId: req.userId, action: "create", resourceType: "daily_task", resourceId: newTask.rows[0].id, after: newTask.rows[0] });
+        await publishEvent({ patientId: req.userId, actorId: req.userId, type: "task.created", data: newTask.rows[0] });
+        logger.info(`Task ${newTask.rows[0].id} added for user ${newTask.rows[0].user_id}`);
+        res.json(await localize("daily_task", newTask.rows[0], req.timezone));
+    } catch (err) {
+        logger.error("Database Error", { error: err.message });
+        next(err);
+    }
+});
+
+
+// Get Daily Task Occurrences within a date range
+app.get("/daily_tasks/occurrences", authenticate, validate({
+    summary: "List task occurrences in a date range",
+    tags: ["Daily tasks"],
+    query: schemas.dateRangeQuery,
+}), async (req, res, next) => {
+    try {
+        const patientTimezone = await userTimezone(req.userId);
+        const range = parseDateRange(req.query, { pastDays: 0, futureDays: 6, now: wallClockNow(patientTimezone) });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        res.json(await localize("occurrence", await taskOccurrences(req.userId, range), req.timezone, patientTimezone));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Mark a Daily Task Occurrence complete or not (patient or assigned caregiver)
+app.put("/daily_tasks/:id/occurrences/:date", authenticate, validate({
+    summary: "Mark a task occurrence complete or not",
+    tags: ["Daily tasks"],
+    params: schemas.occurrenceParams,
+    body: schemas.occurrenceUpdate,
+}), async (req, res, next) => {
+    try {
+        const { completed = true } = req.body;
+        const day = DATE_REGEX.test(req.params.date) && parseDateTime(req.params.date);
+
+        if (!day) {
+            return res.status(400).json({ error: "Invalid occurrence date. Expected YYYY-MM-DD" });
+        }
+
+        const task = await findAccessibleTask(req.params.id, req, "tasks");
+        if (!task) {
+            return res.status(404).json({ error: "Task not found or unauthorized" });
+        }
+
+        const [occurrence] = task.time
+            ? expandOccurrences({ start: task.time, rrule: taskRRule(task), exceptionDates: task.exception_dates }, day, addDays(day, 1))
+            : [];
+        if (!occurrence) {
+            return res.status(404).json({ error: "Task does not occur on this date" });
+        }
+
+        const previous = await pool.query(
+            "SELECT * FROM daily_task_completions WHERE task_id = $1 AND occurrence_at = $2",
+            [task.id, occurrence]
+        );
+
+        let completion = null;
+        if (completed) {
+            completion = await pool.query(
+                `INSERT INTO daily_task_completions (task_id, user_id, occurrence_at, completed_at, completed_by) VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (task_id, occurrence_at) DO UPDATE SET completed_at = EXCLUDED.completed_at, completed_by = EXCLUDED.completed_by
+                 RETURNING *`,
+                [task.id, task.user_id, occurrence, wallClockNow(await userTimezone(task.user_id)), req.userId]
+            );
+        } else {
+            await pool.query(
+                "DELETE FROM daily_task_completions WHERE task_id = $1 AND occurrence_at = $2",
+                [task.id, occurrence]
+            );
+        }
+
+        const before = previous.rows[0] || null;
+        const after = completion ? completion.rows[0] : null;
+        if (before || after) {
+            await recordAudit({
+                patientId: task.user_id,
+                actorId: req.userId,
+                action: !before ? "create" : after ? "update" : "delete",
+                resourceType: "task_completion",
+                resourceId: task.id,
+                before,
+                after,
+            });
+        }
+
+        const result = { taskId: task.id, occurrenceAt: formatDateTime(occurrence), completed };
+        await publishEvent({ patientId: task.user_id, actorId: req.userId, type: "task.occurrence_updated", data: { ...result, name: task.name } });
+
+        logger.info(`Task ${task.id} occurrence ${result.occurrenceAt} marked ${completed ? "complete" : "incomplete"}`);
+        res.json(result);
+    } catch (err) {
+        logger.error("Error updating task occurrence", { error: err.message });
+        next(err);
+    }
+});
+
+// Update Daily Task (patient or assigned caregiver)
+app.put("/daily_tasks/:id", authenticate, validate({
+    summary: "Replace a daily task",
+    tags: ["Daily tasks"],
+    params: schemas.idParams,
+    body: schemas.taskInput,
+    response: schemas.ref("DailyTask"),
+}), requireItemAccess("daily_task"), updateTask(false));
+
+app.patch("/daily_tasks/:id", authenticate, validate({
+    summary: "Change some fields of a daily task",
+    tags: ["Daily tasks"],
+    params: schemas.idParams,
+    body: schemas.taskPatch,
+    response: schemas.ref("DailyTask"),
+}), requireItemAccess("daily_task"), updateTask(true));
+
+// Delete Daily Task (patient or assigned caregiver)
+app.delete("/daily_tasks/:id", authenticate, validate({
+    summary: "Delete a daily task",
+    tags: ["Daily tasks"],
+    params: schemas.idParams,
+}), requireItemAccess("daily_task"), deleteItem("daily_task"));
+
+// CALENDAR FEEDS
+
+// Build calendar events for a patient's appointments, daily tasks and medication times
+const patientCalendarEvents = async (patientId, prefix = "") => {
+    const timezone = await userTimezone(patientId);
+    const appointments = await pool.query("SELECT * FROM appointments WHERE user_id = $1", [patientId]);
+    const tasks = await pool.query("SELECT * FROM daily_tasks WHERE user_id = $1", [patientId]);
+    const medications = await pool.query("SELECT * FROM medications WHERE user_id = $1", [patientId]);
+    const events = [];
+
+    for (const appointment of appointments.rows) {
+        if (!appointment.date) continue;
+        events.push({
+            uid: `appointment-${appointment.id}@my-node-api`,
+            summary: `${prefix}${appointment.title}`,
+            description: appointment.description,
+            start: appointment.date,
+            allDay: true,
+        });
+    }
+
+    for (const task of tasks.rows) {
+        if (!task.time) continue;
+        const timeOfDay = formatDateTime(task.time).slice(11);
+        events.push({
+            uid: `task-${task.id}@my-node-api`,
+            summary: `${prefix}${task.name}`,
+            location: task.location,
+            start: task.time,
+            duration: "PT15M",
+            timezone,
+            rrule: taskRRule(task),
+            exdates: task.exception_dates.map((date) => parseDateTime(`${date} ${timeOfDay}`)),
+        });
+    }
+
+    // One daily-repeating event per dose time, for the length of the course
+    for (const medication of medications.rows) {
+        const schedule = medicationSchedule(medication);
+        if (!schedule) continue;
+
+        for (const time of schedule.times) {
+            events.push({
+                uid: `medication-${medication.id}-${time.slice(0, 5).replace(":", "")}@my-node-api`,
+                summary: `${prefix}💊 ${medication.name}`,
+                description: medication.dosage ? `Dosage: ${medication.dosage}` : null,
+                start: parseDateTime(`${formatDate(schedule.start)} ${time}`),
+                duration: "PT15M",
+                timezone,
+                rrule: `FREQ=DAILY;COUNT=${schedule.days}`,
+            });
+        }
+    }
+
+    return events;
+};
+
+// Create or rotate the user's calendar subscription token
+app.post("/calendar/token", authenticate, validate({ summary: "Create or rotate the calendar feed token", tags: ["Calendar"] }), async (req, res, next) => {
+    try {
+        const token = crypto.randomBytes(24).toString("hex");
+        await pool.query("UPDATE users SET calendar_token = $1 WHERE id = $2", [token, req.userId]);
+
+        const baseUrl = PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+        res.json({ token, url: `${baseUrl}/calendar/${token}.ics` });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Revoke the user's calendar subscription token
+app.delete("/calendar/token", authenticate, validate({ summary: "Disable the calendar feed", tags: ["Calendar"] }), async (req, res, next) => {
+    try {
+        await pool.query("UPDATE users SET calendar_token = NULL WHERE id = $1", [req.userId]);
+        res.json({ message: "Calendar feed disabled" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Read-only iCalendar feed. The token in the URL is the only credential, so
+// calendar apps can subscribe without a JWT. Caregivers also get the items
+// of every assigned patient.
+app.get("/calendar/:token.ics", validate({
+    summary: "iCalendar feed",
+    tags: ["Calendar"],
+    params: schemas.calendarTokenParams,
+}), async (req, res, next) => {
+    try {
+        const user = await pool.query("SELECT id, name, role FROM users WHERE calendar_token = $1", [req.params.token]);
+        if (user.rows.length === 0) {
+            return res.status(404).json({ error: "Calendar not found" });
+        }
+
+        const { id, name } = user.rows[0];
+        const events = await patientCalendarEvents(id);
+
+        for (const patient of await careTeamPatients(id)) {
+            events.push(...(await patientCalendarEvents(patient.id, `${patient.name}: `)));
+        }
+
+        res.type("text/calendar; charset=utf-8");
+        res.send(buildCalendar({ name: `${name || "My"} care calendar`, events }));
+    } catch (err) {
+        logger.error("Error building calendar feed", { error: err.message });
+        next(err);
+    }
+});
+
+// Read an imported DTSTART on the patient's clock. UTC times and times in a
+// known TZID are converted; floating times (and unknown zones) are taken as is.
+const patientStart = ({ value, params }, timezone) => {
+    const start = parseIcsDate(value);
+    if (!start) return null;
+    if (value.endsWith("Z")) return wallClock(start, timezone);
+    if (!params.TZID) return start;
+
+    try {
+        return parseDateTime(convertWallClock(start, params.TZID, timezone));
+    } catch (err) {
+        if (err instanceof RangeError) return start;
+        throw err;
+    }
+};
+
+// Import appointments from an .ics file, sent as a text/calendar body or as
+// JSON { ics }. Caregivers can import into an assigned patient with ?patientId=
+app.post("/calendar/import", express.text({ type: ["text/calendar", "text/plain"], limit: "1mb" }), authenticate, validate({
+    summary: "Import appointments from an .ics file",
+    tags: ["Calendar"],
+    query: schemas.calendarImportQuery,
+}), async (req, res, next) => {
+    try {
+        const { patientId } = req.query;
+        const ics = typeof req.body === "string" ? req.body : req.body && req.body.ics;
+        let targetUserId = req.userId;
+
+        if (!ics) {
+            return res.status(400).json({ error: "An iCalendar file is required" });
+        }
+
+        if (patientId) {
+            if (!canAccess(req, patientId, "appointments")) {
+                return res.status(403).json({ error: "Unauthorized to modify this patient’s data" });
+            }
+            targetUserId = patientId;
+        }
+
+        const events = parseEvents(ics);
+        if (events.length === 0) {
+            return res.status(400).json({ error: "No events found. Expected an iCalendar (.ics) file with VEVENT entries" });
+        }
+        if (events.length > MAX_IMPORT_EVENTS) {
+            return res.status(400).json({ error: `Too many events. At most ${MAX_IMPORT_EVENTS} can be imported at once` });
+        }
+
+        const imported = [];
+        const rejected = [];
+        const timezone = await userTimezone(targetUserId);
+
+        for (const [index, event] of events.entries()) {
+            const uid = event.UID ? event.UID.value : null;
+            const title = event.SUMMARY ? unescapeText(event.SUMMARY.value).trim() : "";
+            const start = event.DTSTART ? patientStart(event.DTSTART, timezone) : null;
+            const reject = (reason) => rejected.push({ index, uid, summary: title || null, reason });
+
+            if (!title) {
+                reject("Missing SUMMARY");
+            } else if (!start) {
+                reject("Missing or invalid DTSTART");
+            } else if (event.RRULE) {
+                reject("Recurring events cannot be imported as appointments");
+            } else if (event.STATUS && event.STATUS.value.toUpperCase() === "CANCELLED") {
+                reject("Event is cancelled");
+            } else {
+                const description = event.DESCRIPTION ? unescapeText(event.DESCRIPTION.value) : null;
+                const newAppointment = await pool.query(
+                    "INSERT INTO appointments (user_id, title, date, description, ics_uid) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (user_id, ics_uid) DO NOTHING RETURNING *",
+                    [targetUserId, title, formatDate(start), seal(description), uid]
+                );
+
+                if (newAppointment.rows.length === 0) {
+                    reject("Already imported");
+                } else {
+                    imported.push(newAppointment.rows[0]);
+                    await recordAudit({ patientId: targetUserId, actorId: req.userId, action: "create", resourceType: "appointment", resourceId: newAppointment.rows[0].id, after: newAppointment.rows[0] });
+                    await publishEvent({ patientId: targetUserId, actorId: req.userId, type: "appointment.created", data: newAppointment.rows[0] });
+                }
+            }
+        }
+
+        logger.info(`Imported ${imported.length} appointments for user ${targetUserId}, rejected ${rejected.length}`);
+        res.json({ imported: imported.length, rejected, appointments: await localize("appointment", imported, req.timezone, timezone) });
+    } catch (err) {
+        logger.error("Error importing calendar", { error: err.message });
+        next(err);
+    }
+});
+
+// FHIR
+
+// Create an item for a patient from a body shaped like its POST route takes,
+// with that route's checks, for imports and synced offline changes. Severe
+// medication interactions need `confirmed`. Returns { row, response } or { errors }.
+const createItem = async (patientId, timezone, resourceType, body, { confirmed = false } = {}) => {
+    if (resourceType === "medication") {
+        const scheduleError = validateMedicationSchedule(body);
+        if (scheduleError) return { errors: [scheduleError] };
+
+        const warnings = await checkPatientMedication(patientId, { ...body, units_per_dose: body.unitsPerDose || 1 });
+        const blocking = blockingWarnings(warnings);
+        if (blocking.length > 0 && !confirmed) {
+            return { errors: blocking.map((warning) => warning.message), code: "INTERACTION_CONFIRMATION_REQUIRED" };
+        }
+
+        const newMedication = await pool.query(
+            `INSERT INTO medications (user_id, name, dosage, time, duration, is_taken, start_date, quantity_on_hand, units_per_dose, low_stock_threshold)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, 1), $10) RETURNING *`,
+            [
+                patientId, seal(body.name), seal(body.dosage), body.time, body.duration, body.isTaken, body.startDate || formatDate(wallClockNow(timezone)),
+                body.quantityOnHand, body.unitsPerDose, body.lowStockThreshold,
+            ]
+        );
+        await scheduleDoses(newMedication.rows[0]);
+        return { row: newMedication.rows[0], response: { ...withStock(newMedication.rows[0]), warnings } };
+    }
+
+    if (resourceType === "daily_task") {
+        if (!(DATE_TIME_REGEX.test(body.time) && parseDateTime(body.time))) return { errors: ["Invalid time format. Expected YYYY-MM-DD HH:mm:ss"] };
+
+        const schedule = parseTaskRecurrence(body);
+        if (schedule.error) return { errors: [schedule.error] };
+
+        const newTask = await pool.query(
+            "INSERT INTO daily_tasks (user_id, name, location, time, frequency, recurrence, exception_dates) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *",
+            [patientId, body.name, seal(body.location), body.time, body.frequency, schedule.recurrence, schedule.exceptionDates]
+        );
+        await indexTaskLocation(newTask.rows[0]);
+        return { row: newTask.rows[0], response: newTask.rows[0] };
+    }
+
+    if (!(DATE_REGEX.test(body.date) && parseDateTime(body.date))) return { errors: ["Invalid date format. Expected YYYY-MM-DD"] };
+
+    const newAppointment = await pool.query(
+        "INSERT INTO appointments (user_id, title, date, description) VALUES ($1, $2, $3, $4) RETURNING *",
+        [patientId, body.title, body.date, seal(body.description)]
+    );
+    return { row: newAppointment.rows[0], response: newAppointment.rows[0] };
+};
+
+// Record a created item in the audit log and tell the care team
+const itemCreated = async (req, resourceType, row) => {
+    await recordAudit({ patientId: row.user_id, actorId: req.userId, action: "create", resourceType, resourceId: row.id, after: row });
+    await publishEvent({ patientId: row.user_id, actorId: req.userId, type: `${CARE_ITEMS[resourceType].kind}.created`, data: row });
+};
+
+// Export a patient's record as a FHIR R4 Bundle (patient or care team)
+app.get("/patients/:patientId/fhir", authenticate, requirePatientAccess("read"), validate({
+    summary: "Export a patient's record as a FHIR R4 Bundle",
+    tags: ["FHIR"],
+    params: schemas.patientParams,
+}), async (req, res, next) => {
+    try {
+        logger.info(`Exporting FHIR record of patient ${req.patientId} for user ${req.userId}`);
+
+        const bundle = await patientBundle(req.patientId);
+        for (const resourceType of Object.keys(CARE_ITEMS)) {
+            recordAccess(req.patientId, req.userId, resourceType);
+        }
+
+        logger.info(`Exported ${bundle.entry.length} FHIR resources for patient ${req.patientId}`);
+        res.type(FHIR_CONTENT_TYPE).send(JSON.stringify(bundle));
+    } catch (err) {
+        logger.error("Error exporting FHIR record", { error: err.message });
+        next(err);
+    }
+});
+
+// Import medications, appointments and tasks from a FHIR R4 Bundle. Resources
+// that can't be imported are reported with their errors; the rest are saved.
+app.post("/patients/:patientId/fhir", authenticate, requirePatientAccess("read"), validate({
+    summary: "Import medications, appointments and tasks from a FHIR R4 Bundle",
+    tags: ["FHIR"],
+    params: schemas.patientParams,
+    query: schemas.fhirImportQuery,
+    body: schemas.fhirBundle,
+    response: schemas.ref("FhirImportResult"),
+}), async (req, res, next) => {
+    try {
+        const patientId = req.patientId;
+        const timezone = await userTimezone(patientId);
+        const created = { medication: [], appointment: [], daily_task: [] };
+        const rejected = [];
+        let skipped = 0;
+
+        for (const [index, entry] of (req.body.entry || []).entries()) {
+            const resource = entry.resource;
+            const reject = (errors) => rejected.push({
+                index,
+                resourceType: resource && typeof resource.resourceType === "string" ? resource.resourceType : null,
+                id: resource && resource.id !== undefined ? String(resource.id) : null,
+                errors,
+            });
+
+            const input = importInput(resource, patientId, timezone);
+            if (input.skip) {
+                skipped++;
+                continue;
+            }
+            if (input.errors) {
+                reject(input.errors);
+                continue;
+            }
+
+            const { scope, label } = CARE_ITEMS[input.resourceType];
+            if (!canAccess(req, patientId, scope)) {
+                reject([`Your care team access doesn't allow adding a ${label.toLowerCase()} for this patient`]);
+                continue;
+            }
+
+            // Severe interactions can't be confirmed one by one, so ?confirmInteractions=true covers the import
+            const result = await createItem(patientId, timezone, input.resourceType, input.body, { confirmed: req.query.confirmInteractions === true });
+            if (result.errors) {
+                reject(result.code === "INTERACTION_CONFIRMATION_REQUIRED"
+                    ? result.errors.map((error) => `${error} Import with confirmInteractions=true to save it anyway`)
+                    : result.errors);
+                continue;
+            }
+
+            created[input.resourceType].push(result.response);
+            await itemCreated(req, input.resourceType, result.row);
+        }
+
+        const imported = created.medication.length + created.appointment.length + created.daily_task.length;
+        logger.info(`Imported ${imported} FHIR resources for patient ${patientId}, skipped ${skipped}, rejected ${rejected.length}`);
+        res.json({
+            imported,
+            skipped,
+            rejected,
+            medications: await localize("medication", created.medication, req.timezone, timezone),
+            appointments: await localize("appointment", created.appointment, req.timezone, timezone),
+            daily_tasks: await localize("daily_task", created.daily_task, req.timezone, timezone),
+        });
+    } catch (err) {
+        logger.error("Error importing FHIR bundle", { error: err.message });
+        next(err);
+    }
+});
+
+// MEASUREMENTS
+
+// Record a measurement (the patient, or a caregiver with the measurements
+// scope). A reading outside the patient's threshold raises an alert for the
+// care team.
+app.post("/patients/:patientId/measurements", authenticate, validate({
+    summary: "Record a measurement",
+    tags: ["Measurements"],
+    params: schemas.patientParams,
+    body: schemas.measurementInput,
+    response: schemas.ref("Measurement"),
+}), requirePatientAccess("measurements"), async (req, res, next) => {
+    try {
+        const reading = parseMeasurement(req.body);
+        if (reading.error) {
+            return res.status(400).json({ error: reading.error });
+        }
+
+        const { measuredAt: measuredAtInput } = req.body;
+        if (measuredAtInput !== undefined && !(DATE_TIME_REGEX.test(measuredAtInput) && parseDateTime(measuredAtInput))) {
+            return res.status(400).json({ error: "Invalid measuredAt format. Expected YYYY-MM-DD HH:mm:ss" });
+        }
+
+        // measuredAt is on the caller's clock; measurements keep the patient's
+        const patientTimezone = await userTimezone(req.patientId);
+        const now = wallClockNow(patientTimezone);
+        const measuredAt = measuredAtInput === undefined
+            ? now
+            : parseDateTime(convertWallClock(measuredAtInput, req.timezone, patientTimezone));
+        if (measuredAt > addMinutes(now, CLOCK_SKEW_MINUTES)) {
+            return res.status(400).json({ error: "measuredAt cannot be in the future" });
+        }
+
+        const { measurement, alert } = await recordMeasurement(req.patientId, reading, measuredAt, req.userId);
+        await recordAudit({ patientId: req.patientId, actorId: req.userId, action: "create", resourceType: "measurement", resourceId: measurement.id, after: measurement });
+        await publishEvent({ patientId: req.patientId, actorId: req.userId, type: "measurement.created", data: measurement });
+        if (alert) {
+            logger.info(`Measurement ${measurement.id} of patient ${req.patientId} is outside its threshold, alert ${alert.id} raised`);
+            await publishEvent({ patientId: req.patientId, actorId: req.userId, type: "measurement.alert", data: { ...alert, measurement } });
+        }
+
+        res.status(201).json(await localize("measurement", measurement, req.timezone, patientTimezone));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// A patient's measurements in a date range (default the last 30 days), newest first
+app.get("/patients/:patientId/measurements", authenticate, validate({
+    summary: "List a patient's measurements",
+    tags: ["Measurements"],
+    params: schemas.patientParams,
+    query: schemas.measurementQuery,
+    response: schemas.arrayOf(schemas.ref("Measurement")),
+}), requirePatientAccess(), auditAccess("measurement"), async (req, res, next) => {
+    try {
+        const patientTimezone = await userTimezone(req.patientId);
+        const range = parseDateRange(req.query, { now: wallClockNow(patientTimezone) });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        const measurements = await listMeasurements(req.patientId, range, req.query.type);
+        res.json(await localize("measurement", measurements, req.timezone, patientTimezone));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Daily or weekly averages, minimums and maximums of one type of measurement
+app.get("/patients/:patientId/measurements/trends", authenticate, validate({
+    summary: "Trends of a patient's measurements",
+    tags: ["Measurements"],
+    params: schemas.patientParams,
+    query: schemas.trendQuery,
+    response: schemas.ref("MeasurementTrends"),
+}), requirePatientAccess(), auditAccess("measurement"), async (req, res, next) => {
+    try {
+        const range = parseDateRange(req.query, { now: wallClockNow(await userTimezone(req.patientId)) });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        res.json(await measurementTrends(req.patientId, req.query.type, req.query.period || "day", range));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete("/patients/:patientId/measurements/:id", authenticate, validate({
+    summary: "Delete a measurement",
+    tags: ["Measurements"],
+    params: schemas.patientItemParams,
+}), requirePatientAccess("measurements"), async (req, res, next) => {
+    try {
+        const measurement = await removeMeasurement(req.patientId, req.params.id);
+        if (!measurement) {
+            return res.status(404).json({ error: "Measurement not found" });
+        }
+
+        await recordAudit({ patientId: req.patientId, actorId: req.userId, action: "delete", resourceType: "measurement", resourceId: measurement.id, before: measurement });
+        await publishEvent({ patientId: req.patientId, actorId: req.userId, type: "measurement.deleted", data: { id: measurement.id } });
+        res.json({ message: "Measurement deleted" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// A patient's alert thresholds, in each type's standard unit
+app.get("/patients/:patientId/measurement-thresholds", authenticate, validate({
+    summary: "A patient's measurement alert thresholds",
+    tags: ["Measurements"],
+    params: schemas.patientParams,
+    response: schemas.arrayOf(schemas.ref("MeasurementThreshold")),
+}), requirePatientAccess(), async (req, res, next) => {
+    try {
+        res.json(await patientThresholds(req.patientId));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Set the alert threshold for one type of measurement (caregivers with the
+// measurements scope). Bounds given in another unit are stored in the standard one.
+app.put("/patients/:patientId/measurement-thresholds/:type", authenticate, requireRole("caregiver"), validate({
+    summary: "Set a measurement alert threshold",
+    tags: ["Measurements"],
+    params: schemas.thresholdParams,
+    body: schemas.thresholdInput,
+    response: schemas.ref("MeasurementThreshold"),
+}), requirePatientAccess("measurements"), async (req, res, next) => {
+    try {
+        const { type } = req.params;
+        const bounds = parseThreshold(type, req.body);
+        if (bounds.error) {
+            return res.status(400).json({ error: bounds.error });
+        }
+
+        const { before, after } = await setThreshold(req.patientId, type, bounds, req.userId);
+        await recordAudit({ patientId: req.patientId, actorId: req.userId, action: before ? "update" : "create", resourceType: "alert_threshold", before, after });
+
+        logger.info(`Caregiver ${req.userId} set the ${type} threshold of patient ${req.patientId}`);
+        res.json((await patientThresholds(req.patientId)).find((threshold) => threshold.type === type));
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.delete("/patients/:patientId/measurement-thresholds/:type", authenticate, requireRole("caregiver"), validate({
+    summary: "Remove a measurement alert threshold",
+    tags: ["Measurements"],
+    params: schemas.thresholdParams,
+}), requirePatientAccess("measurements"), async (req, res, next) => {
+    try {
+        const threshold = await removeThreshold(req.patientId, req.params.type);
+        if (!threshold) {
+            return res.status(404).json({ error: `No ${req.params.type} threshold set` });
+        }
+
+        await recordAudit({ patientId: req.patientId, actorId: req.userId, action: "delete", resourceType: "alert_threshold", before: threshold });
+        res.json({ message: "Threshold removed" });
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Alerts raised by the measurements of the caregiver's patients (or of one,
+// with ?patientId=), newest first; open ones unless ?status= says otherwise
+app.get("/caregiver/measurement-alerts", authenticate, requireRole("caregiver"), validate({
+    summary: "Measurement alerts for the caregiver's patients",
+    tags: ["Caregiver"],
+    query: schemas.measurementAlertQuery,
+    response: schemas.arrayOf(schemas.ref("MeasurementAlert")),
+}), async (req, res, next) => {
+    try {
+        const { patientId, status = "open" } = req.query;
+        if (patientId !== undefined && !canAccess(req, patientId)) {
+            return res.status(403).json({ error: "Unauthorized access to patient data" });
+        }
+
+        const alerts = await measurementAlerts(patientId !== undefined ? [patientId] : [...req.careTeam.keys()], status);
+        for (const alertPatientId of new Set(alerts.map((alert) => alert.patient_id))) {
+            recordAccess(alertPatientId, req.userId, "measurement");
+        }
+
+        res.json(await localize("measurement", alerts, req.timezone));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Acknowledge an alert for the whole care team; acknowledging it again changes nothing
+app.post("/caregiver/measurement-alerts/:id/acknowledge", authenticate, requireRole("caregiver"), validate({
+    summary: "Acknowledge a measurement alert",
+    tags: ["Caregiver"],
+    params: schemas.idParams,
+    response: schemas.ref("MeasurementAlert"),
+}), async (req, res, next) => {
+    try {
+        const alert = await findAlert(req.params.id);
+        if (!alert || !canAccess(req, alert.patient_id)) {
+            return res.status(404).json({ error: "Alert not found" });
+        }
+
+        const acknowledged = await acknowledgeAlert(alert.id, req.userId);
+        if (!alert.acknowledged_at) {
+            await publishEvent({ patientId: alert.patient_id, actorId: req.userId, type: "measurement.alert_acknowledged", data: { id: alert.id } });
+        }
+        res.json(await localize("measurement", acknowledged, req.timezone));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// SYNC
+
+// Everything changed since the client's cursor: the user's items (or, for a
+// caregiver, those of every patient on their care teams), their care team
+// links, and deletes. Page through with the returned cursor while hasMore; a
+// 410 means the cursor can't be resumed and the client syncs from scratch.
+// When a care link is deleted or has expired, the client drops that patient's items.
+app.get("/sync", authenticate, validate({
+    summary: "Changes since a sync cursor",
+    tags: ["Sync"],
+    query: schemas.syncQuery,
+    response: schemas.ref("SyncChanges"),
+}), async (req, res, next) => {
+    try {
+        const cursor = req.query.cursor || "0";
+
+        await pruneTombstones();
+        const cursorError = await syncCursorError(cursor);
+        if (cursorError) {
+            return res.status(410).json({ error: cursorError, code: "SYNC_CURSOR_EXPIRED" });
+        }
+
+        // Any care team link allows reading
+        const patientIds = req.user.role === "caregiver" ? [...req.careTeam.keys()] : [req.userId];
+        const result = await changesSince(req.user, patientIds, cursor, { limit: req.query.limit, viewerZone: req.timezone });
+
+        const read = new Set(result.changes
+            .filter((change) => change.resourceType !== "care_link")
+            .map((change) => `${change.patientId} ${change.resourceType}`));
+        for (const key of read) {
+            const [patientId, resourceType] = key.split(" ");
+            recordAccess(patientId, req.userId, resourceType);
+        }
+
+        logger.info(`Synced ${result.changes.length} changes after ${cursor} for user ${req.userId}`);
+        res.json(result);
+    } catch (err) {
+        logger.error("Error reading sync changes", { error: err.message });
+        next(err);
+    }
+});
+
+// Bodies a mutation's `data` must match: the POST body to create, the PATCH body to update
+const SYNC_BODIES = {
+    medication: { create: schemas.medicationInput, update: schemas.medicationPatch },
+    daily_task: { create: schemas.taskInput, update: schemas.taskPatch },
+    appointment: { create: schemas.appointmentInput, update: schemas.appointmentPatch },
+};
+const SYNC_UPDATES = { medication: updateMedication(true), daily_task: updateTask(true), appointment: updateAppointment(true) };
+
+// Run route handlers on behalf of a request, capturing the response they
+// would have sent as { status, body }
+const runHandlers = (req, handlers) => new Promise((resolve, reject) => {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body });
+            return this;
+        },
+    };
+    const step = (index) => (err) => {
+        if (err) return reject(err);
+        Promise.resolve(handlers[index](req, res, step(index + 1))).catch(reject);
+    };
+    step(0)();
+});
+
+// Apply one queued offline mutation with the checks of the matching route.
+// Conflict policy, when the client says which version it last saw (baseVersion):
+//   - edits to other fields since then are kept and the change is merged in
+//   - if someone changed the same fields, or edited an item being deleted,
+//     the server copy wins: nothing is applied and the conflict is reported
+//     with the current item; the client resends with its version, or force
+//   - an update to an item deleted meanwhile is a conflict; it isn't recreated
+//   - deleting an item that is already gone counts as applied
+// Without baseVersion the change is applied as the online routes would.
+const applyMutation = async (req, mutation) => {
+    const { resourceType, action, baseVersion, force } = mutation;
+    const { table, scope, label } = CARE_ITEMS[resourceType];
+    const data = mutation.data || {};
+    const result = { resourceType, action, id: mutation.id || null, version: null, item: null };
+    const rejected = (status, error, extra = {}) => ({ ...result, status: "rejected", error, code: codeForStatus(status), ...extra });
+
+    if (action !== "delete") {
+        const details = checkValue("data", SYNC_BODIES[resourceType][action], data);
+        if (details.length > 0) {
+            return rejected(400, `Invalid mutation: ${details.map((detail) => `${detail.field} ${detail.message}`).join("; ")}`, { code: "VALIDATION_FAILED", details });
+        }
+    }
+
+    if (action === "create") {
+        const patientId = mutation.patientId || req.userId;
+        if (!canAccess(req, patientId, scope)) {
+            return rejected(403, `Your care team access doesn't allow adding a ${label.toLowerCase()} for this patient`);
+        }
+
+        const timezone = await userTimezone(patientId);
+        const created = await createItem(patientId, timezone, resourceType, data, { confirmed: data.confirmInteractions === true });
+        if (created.errors) {
+            return created.code
+                ? rejected(409, `${created.errors.join(" ")} Send confirmInteractions: true to save it anyway`, { code: created.code })
+                : rejected(400, created.errors.join("; "));
+        }
 
-        const { username, password, name, role } = req.body;
-        const hashedPassword = await bcrypt.hash(password, 10);
+        await itemCreated(req, resourceType, created.row);
+        const item = await localize(resourceType, created.response, req.timezone, timezone);
+        return { ...result, status: "applied", id: created.row.id, version: created.row.version, item };
+    }
 
-        console.log("🔑 Hashed Password:", hashedPassword);
+    if (!mutation.id) {
+        return rejected(400, `id is required to ${action} a ${label.toLowerCase()}`);
+    }
 
-        const newUser = await pool.query(
-            "INSERT INTO users (username, password, name, role) VALUES ($1, $2, $3, $4) RETURNING *",
-            [username, hashedPassword, name, role]
-        );
+    const found = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [mutation.id]);
+    const current = found.rows[0];
+    if (!current) {
+        const tombstone = await pool.query("SELECT patient_id FROM sync_tombstones WHERE resource_type = $1 AND resource_id = $2", [resourceType, mutation.id]);
+        if (tombstone.rows.length === 0 || !canAccess(req, tombstone.rows[0].patient_id)) {
+            return rejected(404, `${label} not found`);
+        }
+        return action === "delete"
+            ? { ...result, status: "applied" }
+            : { ...result, status: "conflict", conflict: { reason: "deleted", fields: [], current: null } };
+    }
+    if (!canAccess(req, current.user_id, scope)) {
+        return rejected(403, `Unauthorized to modify this ${label.toLowerCase()}`);
+    }
 
-        console.log("✅ User Inserted:", newUser.rows[0]);
-        res.status(201).json({ message: "User registered successfully", user: newUser.rows[0] });
-    } catch (err) {
-        console.error("❌ Database Error:", err.message);
-        res.status(500).json({ error: err.message });
+    if (baseVersion && !force && current.version !== baseVersion) {
+        const edited = await fieldsChangedSince(resourceType, current.id, baseVersion);
+        const fields = action === "delete" ? edited : edited.filter((field) => field in data);
+        if (fields.length > 0) {
+            const item = await renderItem(resourceType, current, req.timezone);
+            return { ...result, status: "conflict", version: current.version, conflict: { reason: "edited", fields, current: item } };
+        }
     }
-});
 
-// Login User
-app.post("/login", async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        const user = await pool.query("SELECT * FROM users WHERE username = $1", [username]);
+    const handlerRequest = Object.assign(Object.create(req), { params: { id: current.id }, query: {}, body: data });
+    const response = await runHandlers(handlerRequest, [
+        requireItemAccess(resourceType),
+        action === "delete" ? deleteItem(resourceType) : SYNC_UPDATES[resourceType],
+    ]);
+    if (response.status >= 400) {
+        return rejected(response.status, response.body.error, response.body.code ? { code: response.body.code } : {});
+    }
 
-        if (user.rows.length === 0) return res.status(401).json({ error: "Invalid credentials" });
+    return action === "delete"
+        ? { ...result, status: "applied" }
+        : { ...result, status: "applied", version: response.body.version, item: response.body };
+};
 
-        const isValid = await bcrypt.compare(password, user.rows[0].password);
-        if (!isValid) return res.status(401).json({ error: "Invalid credentials" });
+// Apply mutations queued while offline, in order (see pushMutations). A
+// client can retry a push whose response it never got with the same keys;
+// send a new key to retry a rejected change.
+app.post("/sync/push", authenticate, validate({
+    summary: "Apply changes made offline",
+    tags: ["Sync"],
+    body: schemas.syncPush,
+    response: schemas.ref("SyncPushResult"),
+}), async (req, res, next) => {
+    try {
+        await pruneMutations();
 
-        const token = jwt.sign({ userId: user.rows[0].id }, JWT_SECRET, { expiresIn: "7d" });
+        const results = await pushMutations(req.userId, req.body.mutations, (mutation) => applyMutation(req, mutation));
 
-        res.json({ token, role: user.rows[0].role, userId: user.rows[0].id });
+        const counts = results.reduce((total, result) => ({ ...total, [result.status]: (total[result.status] || 0) + 1 }), {});
+        logger.info(`Sync push from user ${req.userId} applied`, counts);
+        res.json({ results });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        logger.error("Error applying sync push", { error: err.message });
+        next(err);
     }
 });
 
-// Middleware for Authentication
-const authenticate = (req, res, next) => {
-    const token = req.headers["authorization"];
-    if (!token) return res.status(401).json({ error: "Access denied" });
+// CARE TEAM
 
-    jwt.verify(token.split(" ")[1], JWT_SECRET, (err, decoded) => {
-        if (err) return res.status(401).json({ error: "Invalid token" });
-        req.userId = decoded.userId;
-        next();
-    });
+// Read an optional link expiry from a request body: undefined if absent,
+// null to clear it, a Date in the future, or false if invalid
+const parseExpiry = (expiresAt) => {
+    if (expiresAt === undefined || expiresAt === null) return expiresAt;
+    const date = typeof expiresAt === "string" ? new Date(expiresAt.replace(" ", "T")) : null;
+    return date && !Number.isNaN(date.getTime()) && date > new Date() ? date : false;
 };
 
-// Get Medications
-app.get("/medications", authenticate, async (req, res) => {
+// Get the patient's Care Team
+app.get("/care-team", authenticate, requireRole("patient"), validate({ summary: "List the care team", tags: ["Care team"] }), async (req, res, next) => {
     try {
-        const medications = await pool.query("SELECT * FROM medications WHERE user_id = $1", [req.userId]);
-        res.json(medications.rows);
+        const members = await pool.query(
+            `SELECT c.caregiver_id, u.name, u.username, c.scopes, c.expires_at, c.created_at,
+                    (c.expires_at IS NOT NULL AND c.expires_at <= NOW()) AS expired
+             FROM care_team_members c JOIN users u ON u.id = c.caregiver_id
+             WHERE c.patient_id = $1 ORDER BY c.created_at`,
+            [req.userId]
+        );
+        res.json(members.rows);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-// Add Medication
-app.post("/medications", authenticate, async (req, res) => {
+// Change a Care Team member's scopes or expiry
+app.put("/care-team/:caregiverId", authenticate, requireRole("patient"), validate({
+    summary: "Change a caregiver's scopes or expiry",
+    tags: ["Care team"],
+    params: schemas.caregiverParams,
+    body: schemas.careLinkUpdate,
+}), async (req, res, next) => {
     try {
-        const { name, dosage, time, duration, isTaken } = req.body;
-        const newMedication = await pool.query(
-            "INSERT INTO medications (user_id, name, dosage, time, duration, is_taken) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
-            [req.userId, name, dosage, time, duration, isTaken]
-        );
-        res.json(newMedication.rows[0]);
+        // Scopes left out of the update stay as they are
+        const scopes = req.body.scopes === undefined ? undefined : normalizeScopes(req.body.scopes);
+        const expiresAt = parseExpiry(req.body.expiresAt);
+
+        if (scopes === null) {
+            return res.status(400).json({ error: `Invalid scopes. Expected any of: ${CARE_SCOPES.join(", ")}` });
+        }
+        if (expiresAt === false) {
+            return res.status(400).json({ error: "Invalid expiresAt. Expected a future date and time" });
+        }
+
+        const link = await updateCareLink(req.userId, req.params.caregiverId, { scopes, expiresAt });
+        if (!link) {
+            return res.status(404).json({ error: "Caregiver is not on your care team" });
+        }
+
+        await recordAudit({
+            patientId: req.userId,
+            actorId: req.userId,
+            action: "update",
+            resourceType: "care_link",
+            resourceId: link.after.id,
+            before: link.before,
+            after: link.after,
+        });
+        await publishEvent({ patientId: req.userId, actorId: req.userId, recipientId: link.after.caregiver_id, type: "care_team.updated", data: link.after });
+        res.json(link.after);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-// Delete Medication
-app.delete("/medications/:id", authenticate, async (req, res) => {
+// Revoke a Caregiver's access to the patient's data
+app.delete("/care-team/:caregiverId", authenticate, requireRole("patient"), validate({
+    summary: "Revoke a caregiver's access",
+    tags: ["Care team"],
+    params: schemas.caregiverParams,
+}), async (req, res, next) => {
     try {
-        await pool.query("DELETE FROM medications WHERE id = $1 AND user_id = $2", [req.params.id, req.userId]);
-        res.json({ message: "Medication deleted" });
+        const caregiverId = parseInt(req.params.caregiverId, 10);
+
+        if (!(await revokeCareLink(req.userId, caregiverId, req.userId))) {
+            return res.status(404).json({ error: "Caregiver is not on your care team" });
+        }
+
+        await publishEvent({ patientId: req.userId, actorId: req.userId, recipientId: caregiverId, type: "care_team.removed" });
+
+        res.json({ message: "Caregiver removed from care team" });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-// Get Appointments for Patient or Caregiver's Assigned Patient
-app.get("/appointments", authenticate, async (req, res) => {
-    try {
-        const { patientId } = req.query;
-        const userId = req.userId;
+// CARE REQUESTS
 
-        let queryUserId = userId; // Default: fetch for the logged-in user
+// Create a pending request from the patient to the named caregiver.
+// Returns { request }, or { status, error } for the caller to send back.
+const requestCaregiver = async (patientId, { caregiverUsername, scopes, expiresAt }) => {
+    const requestedScopes = normalizeScopes(scopes);
+    const accessExpiresAt = parseExpiry(expiresAt);
 
-        // If caregiver is fetching for a patient, check if they are authorized
-        if (patientId) {
-            console.log(`📡 Fetching appointments for patient ID: ${patientId} by caregiver ${userId}`);
+    if (!requestedScopes) {
+        return { status: 400, error: `Invalid scopes. Expected any of: ${CARE_SCOPES.join(", ")}` };
+    }
+    if (accessExpiresAt === false) {
+        return { status: 400, error: "Invalid expiresAt. Expected a future date and time" };
+    }
 
-            // Verify if the caregiver is assigned to this patient
-            const patientCheck = await pool.query(
-                "SELECT id FROM users WHERE id = $1 AND counterpart_id = $2",
-                [patientId, userId]
-            );
+    const caregiver = await pool.query("SELECT id FROM users WHERE username = $1 AND role = 'caregiver'", [caregiverUsername]);
+    if (caregiver.rows.length === 0) {
+        return { status: 404, error: "Caregiver not found" };
+    }
 
-            if (patientCheck.rows.length === 0) {
-                console.log("❌ Unauthorized caregiver access to patient appointments");
-                return res.status(403).json({ error: "Unauthorized access to patient appointments" });
-            }
+    const caregiverId = caregiver.rows[0].id;
+    if (await careScopes(caregiverId, patientId)) {
+        return { status: 409, error: "Caregiver is already on your care team" };
+    }
 
-            queryUserId = patientId; // Fetch appointments for the verified patient
-        }
+    await expireCareRequests();
+    const pending = await pool.query(
+        "SELECT id FROM care_requests WHERE patient_id = $1 AND caregiver_id = $2 AND status = 'pending'",
+        [patientId, caregiverId]
+    );
+    if (pending.rows.length > 0) {
+        return { status: 409, error: "A request to this caregiver is already pending" };
+    }
 
-        // Fetch appointments
-        const appointments = await pool.query(
-            "SELECT * FROM appointments WHERE user_id = $1",
-            [queryUserId]
-        );
+    const request = await pool.query(
+        "INSERT INTO care_requests (patient_id, caregiver_id, scopes, access_expires_at) VALUES ($1, $2, $3, $4) RETURNING *",
+        [patientId, caregiverId, requestedScopes, accessExpiresAt || null]
+    );
+
+    await publishEvent({ patientId, actorId: patientId, recipientId: caregiverId, type: "care_request.created", data: request.rows[0] });
+    return { request: request.rows[0] };
+};
 
-        console.log(`✅ Found ${appointments.rows.length} appointments for user ${queryUserId}`);
-        res.json(appointments.rows);
+// Ask a Caregiver to join the patient's Care Team
+app.post("/care-requests", authenticate, requireRole("patient"), validate({
+    summary: "Ask a caregiver to join the care team",
+    tags: ["Care team"],
+    body: schemas.careRequest,
+    response: schemas.ref("CareRequest"),
+}), async (req, res, next) => {
+    try {
+        const result = await requestCaregiver(req.userId, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.status(201).json(result.request);
     } catch (err) {
-        console.error("❌ Error fetching appointments:", err.message);
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-// Add Appointment
-app.post("/appointments", authenticate, async (req, res) => {
+// Create an Invite Code that any caregiver can redeem before it expires
+app.post("/care-invites", authenticate, requireRole("patient"), validate({
+    summary: "Create an invite code",
+    tags: ["Care team"],
+    body: schemas.careInvite,
+    response: schemas.ref("CareRequest"),
+}), async (req, res, next) => {
     try {
-        const { title, date, description } = req.body;
-
-        console.log("📥 Incoming Appointment Request:", req.body); // Debugging Log
+        const { validForHours = INVITE_VALID_HOURS } = req.body;
+        const scopes = normalizeScopes(req.body.scopes);
+        const accessExpiresAt = parseExpiry(req.body.expiresAt);
 
-        // Validate correct `YYYY-MM-DD` format for the date
-        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-            return res.status(400).json({ error: "Invalid date format. Expected YYYY-MM-DD" });
+        if (!scopes) {
+            return res.status(400).json({ error: `Invalid scopes. Expected any of: ${CARE_SCOPES.join(", ")}` });
+        }
+        if (accessExpiresAt === false) {
+            return res.status(400).json({ error: "Invalid expiresAt. Expected a future date and time" });
         }
 
-        // Insert into PostgreSQL
-        const newAppointment = await pool.query(
-            "INSERT INTO appointments (user_id, title, date, description) VALUES ($1, $2, $3, $4) RETURNING *",
-            [req.userId, title, date, description]
+        const invite = await pool.query(
+            `INSERT INTO care_requests (patient_id, invite_code, scopes, access_expires_at, expires_at)
+             VALUES ($1, $2, $3, $4, NOW() + make_interval(hours => $5)) RETURNING *`,
+            [req.userId, generateInviteCode(), scopes, accessExpiresAt || null, validForHours]
         );
 
-        console.log("✅ Appointment Added:", newAppointment.rows[0]);
-        res.json(newAppointment.rows[0]);
+        res.status(201).json(invite.rows[0]);
     } catch (err) {
-        console.error("❌ Database Error:", err.message);
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-// DAILY TASKS CRUD OPERATIONS
+// Redeem an Invite Code (caregiver)
+app.post("/care-invites/redeem", authenticate, requireRole("caregiver"), validate({
+    summary: "Redeem an invite code",
+    tags: ["Care team"],
+    body: schemas.redeemInvite,
+    response: schemas.ref("CareRequest"),
+}), async (req, res, next) => {
+    try {
+        const code = String(req.body.code || "").trim().toUpperCase();
+        const caregiverId = req.userId;
+
+        await expireCareRequests();
+        const invite = await pool.query("SELECT * FROM care_requests WHERE invite_code = $1", [code]);
+        if (invite.rows.length === 0 || invite.rows[0].status !== "pending") {
+            return res.status(404).json({ error: "Invite code is invalid or has expired" });
+        }
+        if (await careScopes(caregiverId, invite.rows[0].patient_id)) {
+            return res.status(409).json({ error: "You are already on this patient's care team" });
+        }
 
-// Get Daily Tasks
-app.get("/daily_tasks", authenticate, async (req, res) => {
+        const request = await acceptCareRequest(invite.rows[0].id, caregiverId);
+        if (!request) {
+            return res.status(404).json({ error: "Invite code is invalid or has expired" });
+        }
+
+        await publishEvent({ patientId: request.patient_id, actorId: caregiverId, recipientId: caregiverId, type: "patient.assigned", data: { scopes: request.scopes } });
+        res.json(request);
+    } catch (err) {
+        next(err);
+    }
+});
+
+// List Care Requests sent by the patient or addressed to the caregiver, optionally by ?status=
+app.get("/care-requests", authenticate, validate({
+    summary: "List care requests sent or received",
+    tags: ["Care team"],
+    query: schemas.careRequestQuery,
+    response: schemas.arrayOf(schemas.ref("CareRequest")),
+}), async (req, res, next) => {
     try {
-        const tasks = await pool.query("SELECT * FROM daily_tasks WHERE user_id = $1", [req.userId]);
-        res.json(tasks.rows);
+        await expireCareRequests();
+
+        const requests = await pool.query(
+            `SELECT r.*, p.name AS patient_name, c.name AS caregiver_name
+             FROM care_requests r JOIN users p ON p.id = r.patient_id LEFT JOIN users c ON c.id = r.caregiver_id
+             WHERE (r.patient_id = $1 OR r.caregiver_id = $1) AND ($2::text IS NULL OR r.status = $2)
+             ORDER BY r.created_at DESC`,
+            [req.userId, req.query.status || null]
+        );
+        res.json(requests.rows);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-// Add Daily Task
-app.post("/daily_tasks", authenticate, async (req, res) => {
+// Accept a Care Request (caregiver)
+app.post("/care-requests/:id/accept", authenticate, requireRole("caregiver"), validate({
+    summary: "Accept a care request",
+    tags: ["Care team"],
+    params: schemas.idParams,
+    response: schemas.ref("CareRequest"),
+}), async (req, res, next) => {
     try {
-        const { name, location, time, frequency } = req.body;
+        await expireCareRequests();
 
-        console.log("📥 Incoming Daily Task:", req.body); // Debugging Log
+        const request = await pool.query(
+            "SELECT * FROM care_requests WHERE id = $1 AND caregiver_id = $2",
+            [req.params.id, req.userId]
+        );
+        if (request.rows.length === 0) {
+            return res.status(404).json({ error: "Care request not found" });
+        }
+        if (request.rows[0].status !== "pending") {
+            return res.status(409).json({ error: `Care request is already ${request.rows[0].status}` });
+        }
 
-        const dateRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;  // Strict validation
-        if (!dateRegex.test(time)) {
-    console.log("❌ Invalid Time Format Received:", time);  // Debugging
-    return res.status(400).json({ error: "Invalid time format. Expected YYYY-MM-DD HH:mm:ss" });
-}
+        const accepted = await acceptCareRequest(request.rows[0].id, req.userId);
+        if (!accepted) {
+            return res.status(409).json({ error: "Care request is no longer pending" });
+        }
 
+        await publishEvent({ patientId: accepted.patient_id, actorId: req.userId, recipientId: req.userId, type: "patient.assigned", data: { scopes: accepted.scopes } });
+        res.json(accepted);
+    } catch (err) {
+        next(err);
+    }
+});
 
-        // Insert into PostgreSQL
-        const newTask = await pool.query(
-            "INSERT INTO daily_tasks (user_id, name, location, time, frequency) VALUES ($1, $2, $3, $4, $5) RETURNING *",
-            [req.userId, name, location, time, frequency]
+// Decline a Care Request (caregiver) or cancel one the patient sent
+const closeCareRequest = (status, timestampColumn, ownerColumn) => async (req, res, next) => {
+    try {
+        const closed = await pool.query(
+            `UPDATE care_requests SET status = $1, ${timestampColumn} = NOW()
+             WHERE id = $2 AND ${ownerColumn} = $3 AND status = 'pending' RETURNING *`,
+            [status, req.params.id, req.userId]
         );
 
-        console.log("✅ Task Added:", newTask.rows[0]);
-        res.json(newTask.rows[0]);
+        if (closed.rows.length === 0) {
+            return res.status(404).json({ error: "No pending care request found" });
+        }
+
+        res.json(closed.rows[0]);
+    } catch (err) {
+        next(err);
+    }
+};
+
+app.post("/care-requests/:id/decline", authenticate, requireRole("caregiver"), validate({
+    summary: "Decline a care request",
+    tags: ["Care team"],
+    params: schemas.idParams,
+    response: schemas.ref("CareRequest"),
+}), closeCareRequest("declined", "declined_at", "caregiver_id"));
+app.post("/care-requests/:id/cancel", authenticate, requireRole("patient"), validate({
+    summary: "Cancel a care request",
+    tags: ["Care team"],
+    params: schemas.idParams,
+    response: schemas.ref("CareRequest"),
+}), closeCareRequest("cancelled", "cancelled_at", "patient_id"));
+
+// Leave a patient's Care Team (caregiver)
+app.delete("/caregiver/patients/:patientId", authenticate, requireRole("caregiver"), validate({
+    summary: "Leave a patient's care team",
+    tags: ["Caregiver"],
+    params: schemas.patientParams,
+}), async (req, res, next) => {
+    try {
+        const patientId = parseInt(req.params.patientId, 10);
+
+        if (!(await revokeCareLink(patientId, req.userId, req.userId))) {
+            return res.status(404).json({ error: "You are not on this patient's care team" });
+        }
+
+        await publishEvent({ patientId, actorId: req.userId, recipientId: req.userId, type: "care_team.removed" });
+        res.json({ message: "Left patient's care team" });
     } catch (err) {
-        console.error("❌ Database Error:", err.message);
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
+// AUDIT LOG
+
+// Read the ?actorId=, ?resourceType= and from/to filters shared by the audit endpoints
+const parseAuditFilters = (query) => {
+    const range = parseDateRange(query);
+    if (range.error) return range;
+
+    if (query.actorId !== undefined && !/^\d+$/.test(query.actorId)) {
+        return { error: "Invalid actorId" };
+    }
+    if (query.resourceType !== undefined && !AUDIT_RESOURCES.includes(query.resourceType)) {
+        return { error: `Invalid resourceType. Expected one of: ${AUDIT_RESOURCES.join(", ")}` };
+    }
+
+    return { ...range, actorId: query.actorId ? Number(query.actorId) : null, resourceType: query.resourceType || null };
+};
 
-// Update Daily Task
-app.put("/daily_tasks/:id", authenticate, async (req, res) => {
+// Change history of the patient's record: creates, updates and deletes by anyone,
+// including care team links being granted, changed and revoked
+app.get("/audit/changes", authenticate, requireRole("patient"), validate({
+    summary: "Change history of the patient's record",
+    tags: ["Audit"],
+    query: schemas.auditQuery,
+    response: schemas.arrayOf(schemas.ref("AuditEntry")),
+}), async (req, res, next) => {
     try {
-        const { name, location, time, frequency } = req.body;
-        const updatedTask = await pool.query(
-            "UPDATE daily_tasks SET name = $1, location = $2, time = $3, frequency = $4 WHERE id = $5 AND user_id = $6 RETURNING *",
-            [name, location, time, frequency, req.params.id, req.userId]
-        );
+        const filters = parseAuditFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
 
-        if (updatedTask.rows.length === 0) {
-            return res.status(404).json({ error: "Task not found or unauthorized" });
+        res.json(await auditEntries(req.userId, { ...filters, actions: ["create", "update", "delete"] }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// Access history of the patient's record: caregivers reading their data
+app.get("/audit/access", authenticate, requireRole("patient"), validate({
+    summary: "Caregiver access history",
+    tags: ["Audit"],
+    query: schemas.auditQuery,
+    response: schemas.arrayOf(schemas.ref("AuditEntry")),
+}), async (req, res, next) => {
+    try {
+        const filters = parseAuditFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
         }
 
-        res.json(updatedTask.rows[0]);
+        res.json(await auditEntries(req.userId, { ...filters, actions: ["access"] }));
+    } catch (err) {
+        next(err);
+    }
+});
+
+// REMINDERS
+
+const REMINDER_LEAD_FIELDS = ["medication_lead_minutes", "task_lead_minutes", "appointment_lead_minutes", "escalation_grace_minutes"];
+
+// Get Reminder Preferences (defaults apply until the user saves their own)
+app.get("/reminders/preferences", authenticate, validate({ summary: "Get reminder preferences", tags: ["Reminders"] }), async (req, res, next) => {
+    try {
+        res.json(await preferencesFor(req.userId));
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-// Delete Daily Task
-app.delete("/daily_tasks/:id", authenticate, async (req, res) => {
+// Update Reminder Preferences. Fields left out of the body keep their current value.
+app.put("/reminders/preferences", authenticate, validate({
+    summary: "Update reminder preferences",
+    tags: ["Reminders"],
+    body: schemas.reminderPreferences,
+}), async (req, res, next) => {
     try {
-        const deletedTask = await pool.query("DELETE FROM daily_tasks WHERE id = $1 AND user_id = $2 RETURNING *", [req.params.id, req.userId]);
+        const preferences = { ...(await preferencesFor(req.userId)) };
 
-        if (deletedTask.rows.length === 0) {
-            return res.status(404).json({ error: "Task not found or unauthorized" });
+        for (const field of ["enabled", "channel", "target", ...REMINDER_LEAD_FIELDS]) {
+            if (field in req.body) preferences[field] = req.body[field];
+        }
+
+        if (typeof preferences.enabled !== "boolean") {
+            return res.status(400).json({ error: "enabled must be true or false" });
+        }
+
+        const channel = getChannel(preferences.channel);
+        if (!channel) {
+            return res.status(400).json({ error: `Invalid channel. Expected one of: ${channelNames().join(", ")}` });
+        }
+        if (channel.requiresTarget && !preferences.target) {
+            return res.status(400).json({ error: `The ${preferences.channel} channel requires a target` });
+        }
+        const targetError = channel.requiresTarget && channel.checkTarget ? await channel.checkTarget(preferences.target) : null;
+        if (targetError) {
+            return res.status(400).json({ error: targetError });
+        }
+        if (preferences.channel === "email" && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(preferences.target)) {
+            return res.status(400).json({ error: "Email target must be an email address" });
         }
 
-        res.json({ message: "Task deleted successfully" });
+        for (const field of REMINDER_LEAD_FIELDS) {
+            const value = preferences[field];
+            if (!Number.isInteger(value) || value < 0 || value > MAX_LEAD_MINUTES) {
+                return res.status(400).json({ error: `${field} must be a whole number of minutes between 0 and ${MAX_LEAD_MINUTES}` });
+            }
+        }
+
+        const saved = await pool.query(
+            `INSERT INTO reminder_preferences (user_id, enabled, channel, target, medication_lead_minutes, task_lead_minutes, appointment_lead_minutes, escalation_grace_minutes, updated_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+             ON CONFLICT (user_id) DO UPDATE SET enabled = $2, channel = $3, target = $4, medication_lead_minutes = $5,
+                task_lead_minutes = $6, appointment_lead_minutes = $7, escalation_grace_minutes = $8, updated_at = NOW()
+             RETURNING enabled, channel, target, medication_lead_minutes, task_lead_minutes, appointment_lead_minutes, escalation_grace_minutes`,
+            [
+                req.userId, preferences.enabled, preferences.channel, preferences.target || null,
+                ...REMINDER_LEAD_FIELDS.map((field) => preferences[field]),
+            ]
+        );
+
+        res.json(saved.rows[0]);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-// Start Server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
+// Get the user's recent and upcoming Reminders
+app.get("/reminders", authenticate, validate({ summary: "Recent and upcoming reminders", tags: ["Reminders"] }), async (req, res, next) => {
+    try {
+        const reminders = await pool.query(
+            "SELECT id, patient_id, kind, item_id, channel, title, message, due_at, send_at, status, attempts, last_error, sent_at FROM reminders WHERE user_id = $1 ORDER BY send_at DESC LIMIT 100",
+            [req.userId]
+        );
+        res.json(reminders.rows);
+    } catch (err) {
+        next(err);
+    }
 });
 
-app.post("/assign_caregiver", authenticate, async (req, res) => {
-    try {
-        const { caregiverUsername } = req.body;
-        const caregiver = await pool.query("SELECT id FROM users WHERE username = $1 AND role = 'caregiver'", [caregiverUsername]);
+let server = null;
+let stopReminderScheduler = null;
+let stopAccountPurge = null;
+
+// Graceful shutdown: readiness turns 503, the listener stops accepting
+// connections, reminders stop, event streams end (clients reconnect
+// elsewhere) and in-flight requests finish before the pool is drained. Past
+// SHUTDOWN_TIMEOUT_MS the process exits anyway.
+const shutdown = (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`${signal} received, shutting down`);
+
+    setTimeout(() => {
+        logger.error(`Shutdown took longer than ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    if (stopReminderScheduler) stopReminderScheduler();
+    if (stopAccountPurge) stopAccountPurge();
+    eventStreams.forEach((stream) => stream.end());
+
+    const drainPool = () =>
+        pool.end().then(
+            () => {
+                logger.info("Shutdown complete");
+                process.exit(0);
+            },
+            (err) => {
+                logger.error("Error closing the database pool", { error: err.message });
+                process.exit(1);
+            }
+        );
+
+    if (!server) return drainPool();
+    server.close(drainPool);
+    server.closeIdleConnections();
+};
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
 
-        if (caregiver.rows.length === 0) {
-            return res.status(404).json({ error: "Caregiver not found" });
+// Start Server, unless the database schema is behind the migrations
+// Fail at startup rather than on the first medication if the drug dataset is missing or malformed
+loadDrugData();
+
+pendingMigrations()
+    .then((pending) => {
+        if (pending.length > 0) {
+            const names = pending.map((migration) => `${migration.version}_${migration.name}`).join(", ");
+            logger.error(`Database schema is behind: ${pending.length} pending migration(s) (${names}). Run "npm run migrate" and start again.`);
+            process.exit(1);
         }
 
-        await pool.query("UPDATE users SET counterpart_id = $1 WHERE id = $2", [caregiver.rows[0].id, req.userId]);
+        server = app.listen(PORT, () => {
+            logger.info(`Server running on port ${PORT}`);
+            if (!encryptionEnabled()) {
+                logger.warn("No field encryption keys configured, so health details are stored unencrypted");
+            }
+            stopAccountPurge = startAccountPurge();
+
+            if (process.env.REMINDERS_ENABLED !== "false") {
+                stopReminderScheduler = startReminderScheduler();
+            }
+        });
+    })
+    .catch((err) => {
+        logger.error("Could not check database migrations", { error: err.message });
+        process.exit(1);
+    });
+
+// Request a caregiver (kept for older clients; same as POST /care-requests)
+app.post("/assign_caregiver", authenticate, requireRole("patient"), validate({
+    summary: "Request a caregiver (legacy)",
+    tags: ["Care team"],
+    body: schemas.legacyCareRequest,
+}), async (req, res, next) => {
+    try {
+        const result = await requestCaregiver(req.userId, req.body);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
 
-        res.json({ message: "Caregiver assigned successfully" });
+        res.json({ message: "Caregiver request sent", request: result.request });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-app.get("/get_caregiver", authenticate, async (req, res) => {
+app.get("/get_caregiver", authenticate, validate({ summary: "Most recent caregiver (legacy)", tags: ["Care team"] }), async (req, res, next) => {
     try {
+        // Most recently added caregiver first; the full team is under /care-team
         const result = await pool.query(
-            "SELECT u2.name AS caregiver_name FROM users u1 JOIN users u2 ON u1.counterpart_id = u2.id WHERE u1.id = $1",
+            `SELECT u.name AS caregiver_name FROM care_team_members c JOIN users u ON u.id = c.caregiver_id
+             WHERE c.patient_id = $1 AND (c.expires_at IS NULL OR c.expires_at > NOW()) ORDER BY c.created_at DESC`,
             [req.userId]
         );
 
@@ -279,311 +2910,623 @@ app.get("/get_caregiver", authenticate, async (req, res) => {
             return res.status(404).json({ error: "No caregiver assigned" });
         }
 
-        res.json({ caregiverName: result.rows[0].caregiver_name });
+        res.json({ caregiverName: result.rows[0].caregiver_name, caregiverNames: result.rows.map((row) => row.caregiver_name) });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
-app.get("/caregiver/pending-patients", authenticate, async (req, res) => {
+app.get("/caregiver/pending-patients", authenticate, requireRole("caregiver"), validate({
+    summary: "Pending care requests (legacy)",
+    tags: ["Caregiver"],
+}), async (req, res, next) => {
     try {
         const caregiverId = parseInt(req.userId, 10); // Get caregiver ID from token
         if (isNaN(caregiverId)) {
             return res.status(400).json({ error: "Invalid caregiver ID" });
         }
 
-        console.log(`📥 Fetching pending patients for caregiver ${caregiverId}`);
+        logger.info(`Fetching pending patients for caregiver ${caregiverId}`);
+
+        await expireCareRequests();
 
         // Fetch only patients who requested this caregiver
         const pendingPatients = await pool.query(
-            "SELECT id, name FROM users WHERE requested_caregiver_id = $1 AND role = 'patient'",
+            `SELECT u.id, u.name, r.id AS request_id, r.scopes, r.created_at FROM care_requests r JOIN users u ON u.id = r.patient_id
+             WHERE r.caregiver_id = $1 AND r.status = 'pending' ORDER BY r.created_at`,
             [caregiverId]
         );
 
-        console.log(`✅ Found ${pendingPatients.rows.length} pending requests`);
+        logger.info(`Found ${pendingPatients.rows.length} pending requests`);
 
         res.json(pendingPatients.rows);
     } catch (err) {
-        console.error("❌ Error fetching pending patients:", err.message);
-        res.status(500).json({ error: err.message });
+        logger.error("Error fetching pending patients", { error: err.message });
+        next(err);
     }
 });
 
 
-app.post("/caregiver/accept-patient/:patientId", authenticate, async (req, res) => {
+app.post("/caregiver/accept-patient/:patientId", authenticate, requireRole("caregiver"), validate({
+    summary: "Accept a patient's request (legacy)",
+    tags: ["Caregiver"],
+    params: schemas.patientParams,
+}), async (req, res, next) => {
     try {
         const caregiverId = req.userId; // Caregiver accepting the request
         const { patientId } = req.params;
 
-        console.log(`📥 Caregiver ${caregiverId} accepting patient ${patientId}`);
+        logger.info(`Caregiver ${caregiverId} accepting patient ${patientId}`);
+
+        await expireCareRequests();
 
         // Ensure patient actually requested this caregiver
         const checkRequest = await pool.query(
-            "SELECT * FROM users WHERE id = $1 AND requested_caregiver_id = $2",
+            "SELECT id FROM care_requests WHERE patient_id = $1 AND caregiver_id = $2 AND status = 'pending'",
             [patientId, caregiverId]
         );
 
         if (checkRequest.rows.length === 0) {
-            console.log("❌ Patient did not request this caregiver");
+            logger.warn("Patient did not request this caregiver");
             return res.status(400).json({ error: "Patient did not request this caregiver" });
         }
 
         // Assign patient to caregiver
-        const result = await pool.query(
-            "UPDATE users SET counterpart_id = $1, requested_caregiver_id = NULL WHERE id = $2 RETURNING *",
-            [caregiverId, patientId]
-        );
+        const request = await acceptCareRequest(checkRequest.rows[0].id, caregiverId);
 
-        if (result.rowCount === 0) {
+        if (!request) {
             return res.status(404).json({ error: "Patient not found or already assigned" });
         }
 
-        console.log(`✅ Patient ${patientId} assigned to caregiver ${caregiverId}`);
+        await publishEvent({ patientId: request.patient_id, actorId: caregiverId, recipientId: caregiverId, type: "patient.assigned", data: { scopes: request.scopes } });
+
+        logger.info(`Patient ${patientId} assigned to caregiver ${caregiverId}`);
         res.json({ message: "Patient assigned successfully" });
     } catch (err) {
-        console.error("❌ Error accepting patient:", err.message);
-        res.status(500).json({ error: err.message });
+        logger.error("Error accepting patient", { error: err.message });
+        next(err);
     }
 });
 
-app.post("/patients/assign-caregiver", authenticate, async (req, res) => {
+// Request a caregiver for the logged-in patient (kept for older clients; same as POST /care-requests)
+app.post("/patients/assign-caregiver", authenticate, requireRole("patient"), validate({
+    summary: "Request a caregiver (legacy)",
+    tags: ["Care team"],
+    body: schemas.legacyCareRequest,
+}), async (req, res, next) => {
     try {
         const { userId, caregiverUsername } = req.body;
 
-        console.log(`📥 Patient ${userId} requesting caregiver ${caregiverUsername}`);
-
-        // Validate user ID
-        const parsedUserId = parseInt(userId, 10);
-        if (isNaN(parsedUserId)) {
-            return res.status(400).json({ error: "Invalid user ID" });
-        }
-
-        // Find caregiver ID
-        const caregiver = await pool.query(
-            "SELECT id FROM users WHERE username = $1 AND role = 'caregiver'",
-            [caregiverUsername]
-        );
+        logger.info(`Patient ${req.userId} requesting caregiver ${caregiverUsername}`);
 
-        if (caregiver.rows.length === 0) {
-            console.log("❌ Caregiver not found");
-            return res.status(404).json({ error: "Caregiver not found" });
+        // The patient always comes from the token; a mismatching body userId is refused
+        if (userId !== undefined && String(userId) !== String(req.userId)) {
+            return res.status(403).json({ error: "You can only request a caregiver for yourself" });
         }
 
-        const caregiverId = caregiver.rows[0].id;
-
-        // Assign the caregiver to the patient
-        const updatePatient = await pool.query(
-            "UPDATE users SET counterpart_id = $1 WHERE id = $2 RETURNING *",
-            [caregiverId, parsedUserId]
-        );
-
-        if (updatePatient.rowCount === 0) {
-            console.log("❌ Patient not found");
-            return res.status(404).json({ error: "Patient not found" });
+        const result = await requestCaregiver(req.userId, req.body);
+        if (result.error) {
+            logger.warn(result.error);
+            return res.status(result.status).json({ error: result.error });
         }
 
-        console.log(`✅ Caregiver ${caregiverId} assigned to patient ${parsedUserId}`);
-        res.json({ message: "Caregiver assigned successfully" });
+        logger.info(`Caregiver request ${result.request.id} sent to caregiver ${result.request.caregiver_id}`);
+        res.json({ message: "Caregiver request sent", request: result.request });
     } catch (err) {
-        console.error("❌ Server Error:", err.message);
-        res.status(500).json({ error: err.message });
+        logger.error("Server Error", { error: err.message });
+        next(err);
     }
 });
 
 
 // Add Medication for Patient
 // Add Medication for Patient
-app.post("/caregiver/add-medication/:patientId", authenticate, async (req, res) => {
+app.post("/caregiver/add-medication/:patientId", authenticate, requireRole("caregiver"), validate({
+    summary: "Add a medication for a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientParams,
+    body: schemas.medicationInput,
+    response: schemas.ref("Medication"),
+}), requirePatientAccess("medications"), async (req, res, next) => {
     try {
         const caregiverId = req.userId;
         const { patientId } = req.params;
-        const { name, dosage, time, duration, isTaken } = req.body;
+        const { name, dosage, time, duration, isTaken, startDate, quantityOnHand, unitsPerDose, lowStockThreshold } = req.body;
 
-        console.log(`📡 Request received: Caregiver ${caregiverId} adding medication for Patient ${patientId}`);
-        console.log("📥 Request Body:", req.body);
+        logger.info(`Request received: Caregiver ${caregiverId} adding medication for Patient ${patientId}`);
+        logger.debug("Adding medication", { body: req.body });
 
-        // Ensure the caregiver is assigned to this patient
-        const patient = await pool.query(
-            "SELECT * FROM users WHERE id = $1 AND counterpart_id = $2",
-            [patientId, caregiverId]
-        );
-
-        if (patient.rows.length === 0) {
-            console.log("❌ Unauthorized caregiver access to patient medication");
-            return res.status(403).json({ error: "Unauthorized to modify this patient’s data" });
+        const scheduleError = validateMedicationSchedule(req.body);
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
         }
 
+        const warnings = await checkMedicationSafety(req, res, patientId, { name, dosage, time, units_per_dose: unitsPerDose || 1 });
+        if (!warnings) return;
+
+        const patientTimezone = await userTimezone(patientId);
+
         // Insert medication into the database
         const newMedication = await pool.query(
-            "INSERT INTO medications (user_id, name, dosage, time, duration, is_taken) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *",
-            [patientId, name, dosage, time, duration, isTaken]
+            `INSERT INTO medications (user_id, name, dosage, time, duration, is_taken, start_date, quantity_on_hand, units_per_dose, low_stock_threshold)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, 1), $10) RETURNING *`,
+            [patientId, seal(name), seal(dosage), time, duration, isTaken, startDate || formatDate(wallClockNow(patientTimezone)), quantityOnHand, unitsPerDose, lowStockThreshold]
         );
 
-        console.log("✅ Medication added:", newMedication.rows[0]);
-        res.json(newMedication.rows[0]);
+        await scheduleDoses(newMedication.rows[0]);
+        await recordAudit({ patientId: newMedication.rows[0].user_id, actorId: caregiverId, action: "create", resourceType: "medication", resourceId: newMedication.rows[0].id, after: newMedication.rows[0] });
+        await publishEvent({ patientId: newMedication.rows[0].user_id, actorId: caregiverId, type: "medication.created", data: newMedication.rows[0] });
+
+        logger.info(`Medication ${newMedication.rows[0].id} added for patient ${patientId}`);
+        res.json(await localize("medication", { ...withStock(newMedication.rows[0]), warnings }, req.timezone, patientTimezone));
     } catch (err) {
-        console.error("❌ Error adding medication:", err.message);
-        res.status(500).json({ error: err.message });
+        logger.error("Error adding medication", { error: err.message });
+        next(err);
     }
 });
 
 
 // Add Daily Task for Patient
-app.post("/caregiver/add-daily-task/:patientId", authenticate, async (req, res) => {
+app.post("/caregiver/add-daily-task/:patientId", authenticate, requireRole("caregiver"), validate({
+    summary: "Add a daily task for a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientParams,
+    body: schemas.taskInput,
+    response: schemas.ref("DailyTask"),
+}), requirePatientAccess("tasks"), async (req, res, next) => {
     try {
         const caregiverId = req.userId;
         const { patientId } = req.params;
         const { name, location, time, frequency } = req.body;
 
-        // Ensure the caregiver is assigned to this patient
-        const patient = await pool.query(
-            "SELECT * FROM users WHERE id = $1 AND counterpart_id = $2",
-            [patientId, caregiverId]
-        );
-
-        if (patient.rows.length === 0) {
-            return res.status(403).json({ error: "Unauthorized to modify this patient’s data" });
+        const schedule = parseTaskRecurrence(req.body);
+        if (schedule.error) {
+            return res.status(400).json({ error: schedule.error });
         }
 
+        const patientTimezone = await userTimezone(patientId);
+
         // Insert daily task into the database
         const newTask = await pool.query(
-            "INSERT INTO daily_tasks (user_id, name, location, time, frequency) VALUES ($1, $2, $3, $4, $5) RETURNING *",
-            [patientId, name, location, time, frequency]
+            "INSERT INTO daily_tasks (user_id, name, location, time, frequency, recurrence, exception_dates) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *",
+            [patientId, name, seal(location), time, frequency, schedule.recurrence, schedule.exceptionDates]
         );
+        await indexTaskLocation(newTask.rows[0]);
 
-        res.json(newTask.rows[0]);
+        await recordAudit({ patientId: newTask.rows[0].user_id, actorId: caregiverId, action: "create", resourceType: "daily_task", resourceId: newTask.rows[0].id, after: newTask.rows[0] });
+        await publishEvent({ patientId: newTask.rows[0].user_id, actorId: caregiverId, type: "task.created", data: newTask.rows[0] });
+        res.json(await localize("daily_task", newTask.rows[0], req.timezone, patientTimezone));
     } catch (err) {
-        console.error("❌ Error adding daily task:", err.message);
-        res.status(500).json({ error: err.message });
+        logger.error("Error adding daily task", { error: err.message });
+        next(err);
     }
 });
 
 // Add Appointment for Patient
-app.post("/caregiver/add-appointment/:patientId", authenticate, async (req, res) => {
+app.post("/caregiver/add-appointment/:patientId", authenticate, requireRole("caregiver"), validate({
+    summary: "Add an appointment for a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientParams,
+    body: schemas.appointmentInput,
+    response: schemas.ref("Appointment"),
+}), requirePatientAccess("appointments"), async (req, res, next) => {
     try {
         const caregiverId = req.userId;
         const { patientId } = req.params;
         const { title, date, description } = req.body;
 
-        // Ensure the caregiver is assigned to this patient
-        const patient = await pool.query(
-            "SELECT * FROM users WHERE id = $1 AND counterpart_id = $2",
-            [patientId, caregiverId]
-        );
-
-        if (patient.rows.length === 0) {
-            return res.status(403).json({ error: "Unauthorized to modify this patient’s data" });
-        }
+        const patientTimezone = await userTimezone(patientId);
 
         // Insert appointment into the database
         const newAppointment = await pool.query(
             "INSERT INTO appointments (user_id, title, date, description) VALUES ($1, $2, $3, $4) RETURNING *",
-            [patientId, title, date, description]
+            [patientId, title, date, seal(description)]
         );
 
-        res.json(newAppointment.rows[0]);
+        await recordAudit({ patientId: newAppointment.rows[0].user_id, actorId: caregiverId, action: "create", resourceType: "appointment", resourceId: newAppointment.rows[0].id, after: newAppointment.rows[0] });
+        await publishEvent({ patientId: newAppointment.rows[0].user_id, actorId: caregiverId, type: "appointment.created", data: newAppointment.rows[0] });
+        res.json(await localize("appointment", newAppointment.rows[0], req.timezone, patientTimezone));
     } catch (err) {
-        console.error("❌ Error adding appointment:", err.message);
-        res.status(500).json({ error: err.message });
+        logger.error("Error adding appointment", { error: err.message });
+        next(err);
     }
 });
 
 
-app.get("/caregiver/assigned-patients", authenticate, async (req, res) => {
+// Update or Delete a Patient's Medication
+app.put("/caregiver/patients/:patientId/medications/:id", authenticate, requireRole("caregiver"), validate({
+    summary: "Replace a medication of a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientItemParams,
+    body: schemas.medicationInput,
+    response: schemas.ref("Medication"),
+}), requirePatientAccess("medications"), requireItemAccess("medication"), updateMedication(false));
+
+app.patch("/caregiver/patients/:patientId/medications/:id", authenticate, requireRole("caregiver"), validate({
+    summary: "Change some fields of a medication of a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientItemParams,
+    body: schemas.medicationPatch,
+    response: schemas.ref("Medication"),
+}), requirePatientAccess("medications"), requireItemAccess("medication"), updateMedication(true));
+
+app.delete("/caregiver/patients/:patientId/medications/:id", authenticate, requireRole("caregiver"), validate({
+    summary: "Delete a medication of a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientItemParams,
+}), requirePatientAccess("medications"), requireItemAccess("medication"), deleteItem("medication"));
+
+// Update or Delete a Patient's Daily Task
+app.put("/caregiver/patients/:patientId/daily_tasks/:id", authenticate, requireRole("caregiver"), validate({
+    summary: "Replace a daily task of a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientItemParams,
+    body: schemas.taskInput,
+    response: schemas.ref("DailyTask"),
+}), requirePatientAccess("tasks"), requireItemAccess("daily_task"), updateTask(false));
+
+app.patch("/caregiver/patients/:patientId/daily_tasks/:id", authenticate, requireRole("caregiver"), validate({
+    summary: "Change some fields of a daily task of a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientItemParams,
+    body: schemas.taskPatch,
+    response: schemas.ref("DailyTask"),
+}), requirePatientAccess("tasks"), requireItemAccess("daily_task"), updateTask(true));
+
+app.delete("/caregiver/patients/:patientId/daily_tasks/:id", authenticate, requireRole("caregiver"), validate({
+    summary: "Delete a daily task of a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientItemParams,
+}), requirePatientAccess("tasks"), requireItemAccess("daily_task"), deleteItem("daily_task"));
+
+// Update or Delete a Patient's Appointment
+app.put("/caregiver/patients/:patientId/appointments/:id", authenticate, requireRole("caregiver"), validate({
+    summary: "Replace an appointment of a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientItemParams,
+    body: schemas.appointmentInput,
+    response: schemas.ref("Appointment"),
+}), requirePatientAccess("appointments"), requireItemAccess("appointment"), updateAppointment(false));
+
+app.patch("/caregiver/patients/:patientId/appointments/:id", authenticate, requireRole("caregiver"), validate({
+    summary: "Change some fields of an appointment of a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientItemParams,
+    body: schemas.appointmentPatch,
+    response: schemas.ref("Appointment"),
+}), requirePatientAccess("appointments"), requireItemAccess("appointment"), updateAppointment(true));
+
+app.delete("/caregiver/patients/:patientId/appointments/:id", authenticate, requireRole("caregiver"), validate({
+    summary: "Delete an appointment of a patient",
+    tags: ["Caregiver"],
+    params: schemas.patientItemParams,
+}), requirePatientAccess("appointments"), requireItemAccess("appointment"), deleteItem("appointment"));
+
+
+app.get("/caregiver/assigned-patients", authenticate, requireRole("caregiver"), validate({
+    summary: "Patients on whose care team the caregiver is",
+    tags: ["Caregiver"],
+}), async (req, res, next) => {
     try {
         const caregiverId = req.userId; // Get caregiver ID from token
-        console.log(`📡 Fetching assigned patients for caregiver ${caregiverId}`);
+        logger.info(`Fetching assigned patients for caregiver ${caregiverId}`);
 
-        const result = await pool.query(
-            "SELECT id, name FROM users WHERE counterpart_id = $1 AND role = 'patient'",
-            [caregiverId]
-        );
+        const patients = await careTeamPatients(caregiverId);
+
+        logger.info(`Found ${patients.length} assigned patients`);
+
+        res.json(patients);
+    } catch (err) {
+        logger.error("Error fetching assigned patients", { error: err.message });
+        next(err);
+    }
+});
+
+
+// Today's agenda, overdue and missed items for every patient of the caregiver, in one call
+app.get("/caregiver/dashboard", authenticate, requireRole("caregiver"), validate({
+    summary: "Today's agenda across the caregiver's patients",
+    tags: ["Caregiver"],
+    response: schemas.ref("CaregiverDashboard"),
+}), async (req, res, next) => {
+    try {
+        logger.info(`Building dashboard for caregiver ${req.userId}`);
+
+        await ensureDoseSchedules(...req.careTeam.keys());
+        const dashboard = await caregiverDashboard(req.userId, req.timezone);
 
-        console.log(`✅ Found ${result.rows.length} assigned patients`);
+        for (const { patientId } of dashboard.patients) {
+            for (const resourceType of ["medication_dose", "task_completion", "appointment"]) {
+                recordAccess(patientId, req.userId, resourceType);
+            }
+        }
 
-        res.json(result.rows);
+        logger.info(`Dashboard for caregiver ${req.userId} covers ${dashboard.patients.length} patients`);
+        res.json(dashboard);
     } catch (err) {
-        console.error("❌ Error fetching assigned patients:", err.message);
-        res.status(500).json({ error: err.message });
+        logger.error("Error building caregiver dashboard", { error: err.message });
+        next(err);
     }
 });
 
+// Medications running low across all of the caregiver's patients
+app.get("/caregiver/low-stock", authenticate, requireRole("caregiver"), validate({
+    summary: "Medications running low across the caregiver's patients",
+    tags: ["Caregiver"],
+    response: schemas.arrayOf(schemas.ref("Medication")),
+}), async (req, res, next) => {
+    try {
+        const medications = await lowStockMedications([...req.careTeam.keys()]);
+
+        for (const patientId of new Set(medications.map((medication) => medication.user_id))) {
+            recordAccess(patientId, req.userId, "medication");
+        }
+
+        logger.info(`Found ${medications.length} medications running low for caregiver ${req.userId}`);
+        res.json(await localize("medication", medications, req.timezone));
+    } catch (err) {
+        next(err);
+    }
+});
 
-app.get("/caregiver/patient-medications", authenticate, async (req, res) => {
+app.get("/caregiver/patient-medications", authenticate, requireRole("caregiver"), validate({
+    summary: "A patient's medications",
+    tags: ["Caregiver"],
+    query: schemas.patientMedicationListQuery,
+    response: schemas.arrayOf(schemas.ref("Medication")),
+}), requirePatientAccess(), auditAccess("medication"), async (req, res, next) => {
     try {
         const { patientId } = req.query;
         const caregiverId = req.userId; // Caregiver making the request
 
-        if (!patientId) {
-            return res.status(400).json({ error: "Patient ID is required" });
+        logger.info(`Fetching medications for patient ${patientId} assigned to caregiver ${caregiverId}`);
+
+        // Fetch one page of the assigned patient's medications
+        const page = await listMedications(req.patientId, req.query, await userTimezone(req.patientId));
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
         }
 
-        console.log(`📡 Fetching medications for patient ${patientId} assigned to caregiver ${caregiverId}`);
+        logger.info(`Found ${page.items.length} medications for patient ${patientId}`);
+        sendPage(res, await localizePage(req, "medication", page));
+    } catch (err) {
+        logger.error("Error fetching patient medications", { error: err.message });
+        next(err);
+    }
+});
 
-        // Verify if the caregiver is assigned to this patient
-        const patientCheck = await pool.query(
-            "SELECT id FROM users WHERE id = $1 AND counterpart_id = $2",
-            [patientId, caregiverId]
-        );
+app.get("/caregiver/patient-appointments", authenticate, requireRole("caregiver"), validate({
+    summary: "A patient's appointments",
+    tags: ["Caregiver"],
+    query: schemas.patientAppointmentListQuery,
+    response: schemas.arrayOf(schemas.ref("Appointment")),
+}), requirePatientAccess(), auditAccess("appointment"), async (req, res, next) => {
+    try {
+        const page = await listAppointments(req.patientId, req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
 
-        if (patientCheck.rows.length === 0) {
-            console.log("❌ Patient is not assigned to this caregiver");
-            return res.status(403).json({ error: "Unauthorized access to patient data" });
+        logger.info(`Found ${page.items.length} appointments for patient ${req.patientId}`);
+        sendPage(res, await localizePage(req, "appointment", page));
+    } catch (err) {
+        logger.error("Error fetching patient appointments", { error: err.message });
+        next(err);
+    }
+});
+
+app.get("/caregiver/patient-doses", authenticate, requireRole("caregiver"), validate({
+    summary: "A patient's doses",
+    tags: ["Caregiver"],
+    query: schemas.patientQuery,
+    response: schemas.arrayOf(schemas.ref("Dose")),
+}), requirePatientAccess(), auditAccess("medication_dose"), async (req, res, next) => {
+    try {
+        const { patientId } = req.query;
+
+        const patientTimezone = await userTimezone(patientId);
+        const range = parseDateRange(req.query, { pastDays: 7, futureDays: 7, now: wallClockNow(patientTimezone) });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
         }
 
-        // Fetch medications for the assigned patient
-        const medications = await pool.query(
-            "SELECT * FROM medications WHERE user_id = $1",
-            [patientId]
+        await ensureDoseSchedules(patientId);
+
+        // Dose history across all of the patient's medications
+        const doses = await pool.query(
+            "SELECT d.*, m.name AS medication_name, m.dosage FROM medication_doses d JOIN medications m ON m.id = d.medication_id WHERE d.user_id = $1 AND d.scheduled_at >= $2 AND d.scheduled_at < $3 ORDER BY d.scheduled_at, d.id",
+            [patientId, range.from, range.to]
         );
 
-        console.log(`✅ Found ${medications.rows.length} medications for patient ${patientId}`);
-        res.json(medications.rows);
+        logger.info(`Found ${doses.rows.length} doses for patient ${patientId}`);
+        res.json(await localize("dose", doses.rows.map((dose) => withDoseState(dose)), req.timezone, patientTimezone));
+    } catch (err) {
+        logger.error("Error fetching patient doses", { error: err.message });
+        next(err);
+    }
+});
+
+app.get("/caregiver/patient-adherence", authenticate, requireRole("caregiver"), validate({
+    summary: "A patient's adherence summary",
+    tags: ["Caregiver"],
+    query: schemas.patientQuery,
+}), requirePatientAccess(), auditAccess("medication_dose"), async (req, res, next) => {
+    try {
+        const { patientId } = req.query;
+
+        const range = parseDateRange(req.query, { now: wallClockNow(await userTimezone(patientId)) });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
+
+        res.json(await patientAdherence(patientId, range));
     } catch (err) {
-        console.error("❌ Error fetching patient medications:", err.message);
-        res.status(500).json({ error: err.message });
+        logger.error("Error fetching patient adherence", { error: err.message });
+        next(err);
     }
 });
 
-app.get("/caregiver/patient-daily-tasks", authenticate, async (req, res) => {
+app.get("/caregiver/patient-daily-tasks", authenticate, requireRole("caregiver"), validate({
+    summary: "A patient's daily tasks",
+    tags: ["Caregiver"],
+    query: schemas.patientTaskListQuery,
+    response: schemas.arrayOf(schemas.ref("DailyTask")),
+}), requirePatientAccess(), auditAccess("daily_task"), async (req, res, next) => {
     try {
         const { patientId } = req.query;
         const caregiverId = req.userId; // Caregiver making the request
 
-        if (!patientId) {
-            return res.status(400).json({ error: "Patient ID is required" });
+        logger.info(`Fetching daily tasks for patient ${patientId} assigned to caregiver ${caregiverId}`);
+
+        // Fetch one page of the assigned patient's daily tasks
+        const page = await listTasks(req.patientId, req.query, await userTimezone(req.patientId));
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
         }
 
-        console.log(`📡 Fetching daily tasks for patient ${patientId} assigned to caregiver ${caregiverId}`);
+        logger.info(`Found ${page.items.length} tasks for patient ${patientId}`);
+        sendPage(res, await localizePage(req, "daily_task", page));
+    } catch (err) {
+        logger.error("Error fetching patient daily tasks", { error: err.message });
+        next(err);
+    }
+});
 
-        // Verify the caregiver is assigned to the patient
-        const patientCheck = await pool.query(
-            "SELECT id FROM users WHERE id = $1 AND counterpart_id = $2",
-            [patientId, caregiverId]
-        );
+app.get("/caregiver/patient-daily-tasks/occurrences", authenticate, requireRole("caregiver"), validate({
+    summary: "A patient's task occurrences",
+    tags: ["Caregiver"],
+    query: schemas.patientQuery,
+}), requirePatientAccess(), auditAccess("task_completion"), async (req, res, next) => {
+    try {
+        const { patientId } = req.query;
 
-        if (patientCheck.rows.length === 0) {
-            console.log("❌ Patient is not assigned to this caregiver");
-            return res.status(403).json({ error: "Unauthorized access to patient data" });
+        const patientTimezone = await userTimezone(patientId);
+        const range = parseDateRange(req.query, { pastDays: 0, futureDays: 6, now: wallClockNow(patientTimezone) });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
         }
 
-        // Fetch daily tasks for the assigned patient
-        const tasks = await pool.query(
-            "SELECT * FROM daily_tasks WHERE user_id = $1",
-            [patientId]
-        );
+        const occurrences = await taskOccurrences(patientId, range);
+
+        logger.info(`Found ${occurrences.length} task occurrences for patient ${patientId}`);
+        res.json(await localize("occurrence", occurrences, req.timezone, patientTimezone));
+    } catch (err) {
+        logger.error("Error fetching patient task occurrences", { error: err.message });
+        next(err);
+    }
+});
+
+const STREAM_HEARTBEAT_MS = 25000;
+
+// EventSource clients can't set headers, so allow the JWT as ?access_token=
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers["authorization"] && req.query.access_token) {
+        req.headers["authorization"] = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// Live stream of events for the caregiver's assigned patients (Server-Sent Events).
+// Reconnecting clients resume after the Last-Event-ID header (or ?lastEventId=).
+app.get("/caregiver/events", tokenFromQuery, authenticate, requireRole("caregiver"), validate({
+    summary: "Live event stream (Server-Sent Events)",
+    tags: ["Caregiver"],
+    query: schemas.eventsQuery,
+}), async (req, res, next) => {
+    const caregiverId = req.userId;
+    let heartbeat = null;
+    let unsubscribe = null;
+
+    // The client can go away during any await below, so everything started
+    // after one checks `closed` first
+    let closed = false;
+    req.on("close", () => {
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
+        eventStreams.delete(res);
+    });
+
+    try {
+        const lastEventId = req.headers["last-event-id"] || req.query.lastEventId || "0";
+        if (!/^\d+$/.test(lastEventId)) {
+            return res.status(400).json({ error: "Invalid Last-Event-ID" });
+        }
 
-        console.log(`✅ Found ${tasks.rows.length} tasks for patient ${patientId}`);
-        res.json(tasks.rows);
+        const loadAssignedPatients = async () =>
+            new Set((await careTeamPatients(caregiverId)).map((patient) => patient.id));
+        let patientIds = await loadAssignedPatients();
+        if (closed) return;
+
+        const isForCaregiver = (event) =>
+            event.recipientId === caregiverId || (event.recipientId === null && patientIds.has(event.patientId));
+
+        let lastSentId = Number(lastEventId);
+        const send = (event) => {
+            if (Number(event.id) <= lastSentId) return;
+            lastSentId = Number(event.id);
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        // Buffer live events while the backlog replays so none slip through the gap
+        let replaying = true;
+        const buffered = [];
+        unsubscribe = subscribe((event) => {
+            if (event.type === "patient.assigned" && event.recipientId === caregiverId) {
+                patientIds.add(event.patientId);
+            }
+            if (event.type === "care_team.removed" && event.recipientId === caregiverId) {
+                patientIds.delete(event.patientId);
+            }
+            if (!isForCaregiver(event)) return;
+            if (replaying) buffered.push(event);
+            else send(event);
+        });
+
+        res.writeHead(200, {
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection: "keep-alive",
+            "X-Accel-Buffering": "no",
+        });
+        res.write("retry: 5000\n\n");
+        eventStreams.add(res);
+
+        logger.info(`Caregiver ${caregiverId} connected to event stream after event ${lastSentId}`);
+
+        // Replay whatever the client missed, a page at a time
+        let backlog;
+        do {
+            backlog = await eventsSince(lastSentId, caregiverId, [...patientIds]);
+            if (closed) return;
+            backlog.forEach(send);
+        } while (backlog.length === REPLAY_LIMIT);
+
+        replaying = false;
+        buffered.forEach(send);
+
+        // Keep proxies from closing an idle stream, and pick up assignment changes
+        heartbeat = setInterval(async () => {
+            res.write(": ping\n\n");
+            try {
+                patientIds = await loadAssignedPatients();
+            } catch (err) {
+                logger.error("Error refreshing assigned patients", { error: err.message });
+            }
+        }, STREAM_HEARTBEAT_MS);
     } catch (err) {
-        console.error("❌ Error fetching patient daily tasks:", err.message);
-        res.status(500).json({ error: err.message });
+        logger.error("Error streaming caregiver events", { error: err.message });
+        if (unsubscribe) unsubscribe();
+        if (res.headersSent) res.end();
+        else next(err);
     }
 });
 
-app.get("/get_caregiver", authenticate, async (req, res) => {
+app.get("/get_caregiver", authenticate, validate({ summary: "Most recent caregiver (legacy)", tags: ["Care team"] }), async (req, res, next) => {
     try {
+        // Most recently added caregiver first; the full team is under /care-team
         const result = await pool.query(
-            "SELECT u2.name AS caregiver_name FROM users u1 JOIN users u2 ON u1.counterpart_id = u2.id WHERE u1.id = $1",
+            `SELECT u.name AS caregiver_name FROM care_team_members c JOIN users u ON u.id = c.caregiver_id
+             WHERE c.patient_id = $1 AND (c.expires_at IS NULL OR c.expires_at > NOW()) ORDER BY c.created_at DESC`,
             [req.userId]
         );
 
@@ -591,10 +3534,11 @@ app.get("/get_caregiver", authenticate, async (req, res) => {
             return res.status(404).json({ error: "No caregiver assigned" });
         }
 
-        res.json({ caregiverName: result.rows[0].caregiver_name });
+        res.json({ caregiverName: result.rows[0].caregiver_name, caregiverNames: result.rows.map((row) => row.caregiver_name) });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        next(err);
     }
 });
 
-
+app.use(notFound);
+app.use(errorHandler);
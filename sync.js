@@ -0,0 +1,284 @@
+const pool = require("./db");
+const { logger } = require("./logger");
+const { withStock } = require("./inventory");
+const { localize } = require("./timezones");
+const { sealJson } = require("./fieldcrypto");
+
+// Delta sync for offline clients. Writes to medications, daily tasks,
+// appointments and care team links take increasing versions (migration 014)
+// and deletes leave tombstones, so a client can ask for everything after the
+// last version it has seen. Versions are BIGINTs and travel as strings, like
+// audit and event ids.
+
+const SYNC_PAGE_SIZE = 500;
+const MAX_PUSH_MUTATIONS = 100;
+const SYNC_TOMBSTONE_DAYS = parseInt(process.env.SYNC_TOMBSTONE_DAYS, 10) || 90;
+const SYNC_IDEMPOTENCY_DAYS = parseInt(process.env.SYNC_IDEMPOTENCY_DAYS, 10) || 7;
+
+// Synced items (named as in CARE_ITEMS and timezones.js), with the body
+// fields a client can change and the column each one writes
+const SYNCED_ITEMS = {
+    medication: {
+        table: "medications",
+        fields: {
+            name: "name",
+            dosage: "dosage",
+            time: "time",
+            duration: "duration",
+            isTaken: "is_taken",
+            startDate: "start_date",
+            quantityOnHand: "quantity_on_hand",
+            unitsPerDose: "units_per_dose",
+            lowStockThreshold: "low_stock_threshold",
+        },
+    },
+    daily_task: {
+        table: "daily_tasks",
+        fields: { name: "name", location: "location", time: "time", frequency: "frequency", recurrence: "recurrence", exceptionDates: "exception_dates" },
+    },
+    appointment: {
+        table: "appointments",
+        fields: { title: "title", date: "date", description: "description" },
+    },
+};
+
+const compareVersions = (a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0);
+
+// Render an item row as the list endpoints do, for a viewer in `viewerZone`
+const renderItem = async (resourceType, row, viewerZone) =>
+    localize(resourceType, resourceType === "medication" ? withStock(row) : row, viewerZone);
+
+const renderLink = (link) => ({
+    id: link.id,
+    patientId: link.patient_id,
+    patientName: link.patient_name,
+    caregiverId: link.caregiver_id,
+    caregiverName: link.caregiver_name,
+    scopes: link.scopes,
+    expiresAt: link.expires_at,
+    createdAt: link.created_at,
+});
+
+// Drop tombstones past the retention period. Cursors from before the newest
+// dropped tombstone can no longer be served (see syncCursorError).
+const pruneTombstones = async () => {
+    await pool.query(
+        `WITH pruned AS (
+             DELETE FROM sync_tombstones WHERE deleted_at < NOW() - make_interval(days => $1) RETURNING version
+         )
+         UPDATE sync_clock SET pruned_version = GREATEST(pruned_version, (SELECT MAX(version) FROM pruned))
+         WHERE EXISTS (SELECT 1 FROM pruned)`,
+        [SYNC_TOMBSTONE_DAYS]
+    );
+};
+
+// Why a cursor can't be resumed from, or null if it can. A client told so
+// starts over from cursor 0.
+const syncCursorError = async (cursor) => {
+    if (cursor === "0") return null;
+
+    const clock = (await pool.query("SELECT version, pruned_version FROM sync_clock")).rows[0];
+    if (compareVersions(cursor, clock.pruned_version) < 0) {
+        return "Cursor is older than the deletions kept for sync. Sync again from cursor 0";
+    }
+    if (compareVersions(cursor, clock.version) > 0) {
+        return "Cursor is ahead of the server. Sync again from cursor 0";
+    }
+    return null;
+};
+
+// Changes after `cursor` visible to `user`: items of `patientIds` (the user,
+// or the patients a caregiver can read), the user's care team links, and
+// tombstones for deletes, oldest first. Returns
+// { cursor, hasMore, changes: [{ resourceType, action, id, patientId, version, data }] }.
+// When a caregiver gains a patient, the patient's items from before `cursor`
+// follow the new link, since the client has never seen them.
+const changesSince = async (user, patientIds, cursor, { limit = SYNC_PAGE_SIZE, viewerZone }) => {
+    const candidates = [];
+
+    for (const [resourceType, { table }] of Object.entries(SYNCED_ITEMS)) {
+        const rows = await pool.query(
+            `SELECT * FROM ${table} WHERE user_id = ANY($1::int[]) AND version > $2 ORDER BY version LIMIT $3`,
+            [patientIds, cursor, limit + 1]
+        );
+        for (const row of rows.rows) {
+            candidates.push({ resourceType, action: "upsert", id: row.id, patientId: row.user_id, version: row.version, row });
+        }
+    }
+
+    const links = await pool.query(
+        `SELECT c.*, p.name AS patient_name, g.name AS caregiver_name FROM care_team_members c
+         JOIN users p ON p.id = c.patient_id JOIN users g ON g.id = c.caregiver_id
+         WHERE (c.patient_id = $1 OR c.caregiver_id = $1) AND c.version > $2 ORDER BY c.version LIMIT $3`,
+        [user.id, cursor, limit + 1]
+    );
+    for (const link of links.rows) {
+        candidates.push({ resourceType: "care_link", action: "upsert", id: link.id, patientId: link.patient_id, version: link.version, data: renderLink(link) });
+    }
+
+    const tombstones = await pool.query(
+        `SELECT * FROM sync_tombstones
+         WHERE version > $3 AND CASE WHEN resource_type = 'care_link' THEN $2 IN (patient_id, caregiver_id) ELSE patient_id = ANY($1::int[]) END
+         ORDER BY version LIMIT $4`,
+        [patientIds, user.id, cursor, limit + 1]
+    );
+    for (const tombstone of tombstones.rows) {
+        candidates.push({
+            resourceType: tombstone.resource_type,
+            action: "delete",
+            id: tombstone.resource_id,
+            patientId: tombstone.patient_id,
+            version: tombstone.version,
+            data: null,
+        });
+    }
+
+    // Each query read one more than a page, so the first `limit` overall are exact
+    candidates.sort((a, b) => compareVersions(a.version, b.version));
+    const page = candidates.slice(0, limit);
+
+    const changes = [];
+    for (const change of page) {
+        changes.push(change);
+        const gained = user.role === "caregiver" && change.resourceType === "care_link" && change.action === "upsert"
+            && cursor !== "0" && patientIds.includes(change.patientId);
+        if (!gained) continue;
+
+        for (const [resourceType, { table }] of Object.entries(SYNCED_ITEMS)) {
+            const earlier = await pool.query(`SELECT * FROM ${table} WHERE user_id = $1 AND version <= $2 ORDER BY version`, [change.patientId, cursor]);
+            for (const row of earlier.rows) {
+                changes.push({ resourceType, action: "upsert", id: row.id, patientId: row.user_id, version: row.version, row });
+            }
+        }
+    }
+
+    // Render the item rows, one batch per type
+    for (const resourceType of Object.keys(SYNCED_ITEMS)) {
+        const pending = changes.filter((change) => change.row && change.resourceType === resourceType);
+        const rows = pending.map((change) => (resourceType === "medication" ? withStock(change.row) : change.row));
+        const rendered = await localize(resourceType, rows, viewerZone);
+        pending.forEach((change, index) => {
+            change.data = rendered[index];
+            delete change.row;
+        });
+    }
+
+    return {
+        cursor: page.length > 0 ? page[page.length - 1].version : cursor,
+        hasMore: candidates.length > limit,
+        changes,
+    };
+};
+
+// Claim an idempotency key for the user before applying a mutation. Returns
+// { claimed: true }, or { claimed: false, result } with the stored result
+// (null while another request is still applying it).
+const claimMutation = async (userId, idempotencyKey) => {
+    const claimed = await pool.query(
+        "INSERT INTO sync_mutations (user_id, idempotency_key) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING user_id",
+        [userId, idempotencyKey]
+    );
+    if (claimed.rows.length > 0) return { claimed: true };
+
+    const existing = await pool.query("SELECT result FROM sync_mutations WHERE user_id = $1 AND idempotency_key = $2", [userId, idempotencyKey]);
+    return { claimed: false, result: existing.rows[0] ? existing.rows[0].result : null };
+};
+
+const saveMutationResult = async (userId, idempotencyKey, result) => {
+    await pool.query("UPDATE sync_mutations SET result = $3 WHERE user_id = $1 AND idempotency_key = $2", [userId, idempotencyKey, sealJson(result)]);
+};
+
+// Give up a claim, so a mutation that failed on the server can be retried
+const releaseMutation = async (userId, idempotencyKey) => {
+    await pool.query("DELETE FROM sync_mutations WHERE user_id = $1 AND idempotency_key = $2 AND result IS NULL", [userId, idempotencyKey]);
+};
+
+const pruneMutations = async () => {
+    await pool.query("DELETE FROM sync_mutations WHERE created_at < NOW() - make_interval(days => $1)", [SYNC_IDEMPOTENCY_DAYS]);
+};
+
+// Postgres data exceptions (SQLSTATE class 22, such as a date out of range)
+// and integrity violations (class 23) mean a mutation's data can't be
+// stored. They are the client's to fix, unlike other errors.
+const isDataError = (err) => typeof err.code === "string" && /^2[23]/.test(err.code);
+
+// Apply mutations queued while offline, in order, with `apply(mutation)`.
+// Each carries an idempotency key; resending a key returns the first result
+// (replayed: true) without applying the change again. A mutation whose data
+// the database refuses is rejected like one that fails validation, so the
+// rest of the batch still goes through; any other error stops the push, and
+// the failed mutation's key is released for a retry.
+const pushMutations = async (userId, mutations, apply) => {
+    const results = [];
+    for (const mutation of mutations) {
+        const { idempotencyKey, resourceType, action } = mutation;
+
+        const claim = await claimMutation(userId, idempotencyKey);
+        if (!claim.claimed) {
+            results.push(claim.result
+                ? { ...claim.result, replayed: true }
+                : { idempotencyKey, resourceType, action, status: "rejected", error: "This mutation is still being applied by another request", code: "CONFLICT", replayed: true });
+            continue;
+        }
+
+        let result;
+        try {
+            result = { idempotencyKey, ...(await apply(mutation)) };
+        } catch (err) {
+            if (!isDataError(err)) {
+                await releaseMutation(userId, idempotencyKey);
+                throw err;
+            }
+            logger.warn(`Sync mutation ${idempotencyKey} from user ${userId} rejected by the database`, { error: err.message, code: err.code });
+            result = {
+                idempotencyKey,
+                resourceType,
+                action,
+                id: mutation.id || null,
+                version: null,
+                item: null,
+                status: "rejected",
+                error: "Invalid mutation: a value is out of range or not allowed",
+                code: "VALIDATION_FAILED",
+            };
+        }
+        await saveMutationResult(userId, idempotencyKey, result);
+        results.push({ ...result, replayed: false });
+    }
+    return results;
+};
+
+// Body fields of an item that recorded edits have changed since `baseVersion`,
+// read from the before/after copies in the audit log
+const fieldsChangedSince = async (resourceType, itemId, baseVersion) => {
+    const edits = await pool.query(
+        `SELECT before, after FROM audit_log
+         WHERE resource_type = $1 AND resource_id = $2 AND action = 'update' AND (after->>'version')::bigint > $3`,
+        [resourceType, itemId, baseVersion]
+    );
+
+    const changed = new Set();
+    for (const { before, after } of edits.rows) {
+        for (const [field, column] of Object.entries(SYNCED_ITEMS[resourceType].fields)) {
+            if (JSON.stringify(before[column]) !== JSON.stringify(after[column])) changed.add(field);
+        }
+    }
+    return [...changed];
+};
+
+module.exports = {
+    SYNC_PAGE_SIZE,
+    MAX_PUSH_MUTATIONS,
+    SYNCED_ITEMS,
+    renderItem,
+    pruneTombstones,
+    syncCursorError,
+    changesSince,
+    claimMutation,
+    saveMutationResult,
+    releaseMutation,
+    pruneMutations,
+    isDataError,
+    pushMutations,
+    fieldsChangedSince,
+};
@@ -0,0 +1,146 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LOG_LEVEL = "error";
+// An in-memory stand-in for the pool. eraseAccount reads through the pool
+// and deletes on a connected client; the client's statements are recorded
+// and `failOn` makes the first one starting with it fail.
+const users = new Map([
+    [1, { id: 1, name: "Pat", role: "patient", username: "pat" }],
+    [2, { id: 2, name: "Casey", role: "caregiver", username: "casey" }],
+]);
+const careLinks = [{ id: 7, patient_id: 1, caregiver_id: 2, scopes: ["read"] }];
+let counterparts;
+let preferences;
+let events;
+let statements;
+let released;
+let failOn;
+
+const fakePool = {
+    query: async (sql, params = []) => {
+        if (sql.startsWith("SELECT id, name, role FROM users")) return { rows: users.has(params[0]) ? [users.get(params[0])] : [] };
+        if (sql.startsWith("SELECT caregiver_id AS id FROM care_team_members")) return { rows: counterparts.map((id) => ({ id })) };
+        if (sql.startsWith("SELECT caregiver_id FROM care_team_members")) {
+            return { rows: careLinks.filter((link) => link.patient_id === params[0]).map((link) => ({ caregiver_id: link.caregiver_id })) };
+        }
+        if (sql.startsWith("INSERT INTO patient_events")) {
+            events.push({ patientId: params[0], recipientId: params[1], type: params[3] });
+            return { rows: [{ id: events.length, patient_id: params[0], recipient_id: params[1], actor_id: params[2], type: params[3], data: params[4] }] };
+        }
+        if (sql.includes("FROM reminder_preferences")) return { rows: preferences[params[0]] ? [preferences[params[0]]] : [] };
+        throw new Error(`Unexpected query: ${sql}`);
+    },
+    connect: async () => ({
+        query: async (sql, params = []) => {
+            statements.push(sql);
+            if (failOn && sql.startsWith(failOn)) throw new Error("connection lost");
+            if (sql.startsWith("DELETE FROM care_team_members")) return { rows: careLinks.filter((link) => link.caregiver_id === params[0]) };
+            if (sql.startsWith("DELETE FROM users")) return { rows: [{ username: users.get(params[0]).username }] };
+            return { rows: [] };
+        },
+        release: () => (released = true),
+    }),
+};
+require.cache[require.resolve("../db")] = { id: "db", loaded: true, exports: fakePool };
+
+const { registerChannel } = require("../channels");
+
+// accounts.js reads its settings once, when loaded, so load a fresh copy per configuration
+const loadAccounts = (graceDays) => {
+    if (graceDays === undefined) delete process.env.ACCOUNT_DELETION_GRACE_DAYS;
+    else process.env.ACCOUNT_DELETION_GRACE_DAYS = graceDays;
+    delete require.cache[require.resolve("../accounts")];
+    return require("../accounts");
+};
+
+// Messages sent through a channel the counterparts choose in their preferences
+const notifications = [];
+registerChannel("recording", {
+    requiresTarget: false,
+    async send(message) {
+        notifications.push(message);
+    },
+});
+
+test.beforeEach(() => {
+    counterparts = [];
+    preferences = {};
+    events = [];
+    statements = [];
+    released = false;
+    failOn = null;
+    notifications.length = 0;
+});
+
+test.after(() => loadAccounts());
+
+test("the deletion grace period defaults to 30 days and can be set to 0", () => {
+    assert.equal(loadAccounts().ACCOUNT_DELETION_GRACE_DAYS, 30);
+    assert.equal(loadAccounts("not a number").ACCOUNT_DELETION_GRACE_DAYS, 30);
+    assert.equal(loadAccounts("7").ACCOUNT_DELETION_GRACE_DAYS, 7);
+    assert.equal(loadAccounts("0").ACCOUNT_DELETION_GRACE_DAYS, 0);
+});
+
+test("erasing an account deletes it in one transaction and tells its care team", async () => {
+    const { eraseAccount } = loadAccounts();
+    // The counterpart query can return the user and NULLs from the legacy columns
+    counterparts = [2, 1, null];
+    preferences[2] = { channel: "recording" };
+
+    assert.equal(await eraseAccount(1), true);
+
+    assert.equal(statements[0], "BEGIN");
+    assert.equal(statements[statements.length - 1], "COMMIT");
+    assert.ok(statements.some((sql) => sql.startsWith("DELETE FROM users")));
+    assert.ok(statements.some((sql) => sql.startsWith("DELETE FROM login_attempts")));
+    assert.ok(statements.some((sql) => sql.startsWith("DELETE FROM audit_log WHERE patient_id")));
+    assert.ok(statements.some((sql) => sql.startsWith("DELETE FROM sync_tombstones") && sql.includes("<> 'care_link'")));
+    assert.equal(released, true);
+
+    // The caregiver's open streams drop the patient
+    assert.deepEqual(events, [{ patientId: 1, recipientId: 2, type: "care_team.removed" }]);
+    assert.deepEqual(notifications.map((message) => [message.kind, message.message]), [
+        ["account_deleted", "Pat has deleted their account and is no longer part of your care team."],
+    ]);
+});
+
+test("a caregiver's patients keep a record of the link ending", async () => {
+    const { eraseAccount } = loadAccounts();
+    counterparts = [1];
+
+    assert.equal(await eraseAccount(2), true);
+    const audits = statements.filter((sql) => sql.startsWith("INSERT INTO audit_log"));
+    assert.equal(audits.length, 1);
+    assert.match(audits[0], /'delete', 'care_link'/);
+    assert.deepEqual(events, []);
+});
+
+test("a failed erasure rolls back and notifies nobody", async () => {
+    const { eraseAccount } = loadAccounts();
+    counterparts = [2];
+    preferences[2] = { channel: "recording" };
+    failOn = "DELETE FROM audit_log";
+
+    await assert.rejects(eraseAccount(1), /connection lost/);
+    assert.equal(statements[statements.length - 1], "ROLLBACK");
+    assert.ok(!statements.includes("COMMIT"));
+    assert.equal(released, true);
+    assert.equal(notifications.length, 0);
+});
+
+test("an account that is already gone isn't erased again", async () => {
+    const { eraseAccount } = loadAccounts();
+    assert.equal(await eraseAccount(99), false);
+    assert.deepEqual(statements, []);
+});
+
+test("a counterpart who can't be reached doesn't fail the erasure", async () => {
+    const { eraseAccount } = loadAccounts();
+    counterparts = [2];
+    // A webhook without a target has nowhere to send to
+    preferences[2] = { channel: "webhook", target: null };
+
+    assert.equal(await eraseAccount(1), true);
+    assert.equal(statements[statements.length - 1], "COMMIT");
+});
@@ -0,0 +1,222 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.JWT_SECRET = "test-secret";
+process.env.LOG_LEVEL = "error";
+
+// An in-memory stand-in for the pool, holding the sessions, refresh tokens
+// and password resets auth.js keeps. Rows flagged `expired` are past their expiry.
+const users = new Map([
+    [1, { id: 1, name: "Pat", role: "patient", timezone: "Europe/London", totp_enabled_at: null }],
+    [2, { id: 2, name: "Casey", role: "caregiver", timezone: "UTC", totp_enabled_at: null }],
+]);
+const careTeam = [{ caregiverId: 2, patientId: 1, scopes: ["read", "medications"] }];
+let sessions;
+let refreshTokens;
+let resets;
+
+const fakePool = {
+    query: async (sql, params = []) => {
+        if (sql.startsWith("INSERT INTO auth_sessions")) {
+            const session = { id: sessions.length + 1, user_id: params[0], revoked_at: null, expired: false };
+            sessions.push(session);
+            return { rows: [{ id: session.id }] };
+        }
+        if (sql.startsWith("INSERT INTO refresh_tokens")) {
+            refreshTokens.push({ id: refreshTokens.length + 1, session_id: params[0], token_hash: params[1], used_at: null });
+            return { rows: [] };
+        }
+        if (sql.startsWith("SELECT t.id, s.id AS session_id")) {
+            const token = refreshTokens.find((row) => row.token_hash === params[0]);
+            if (!token) return { rows: [] };
+            const session = sessions[token.session_id - 1];
+            const user = users.get(session.user_id);
+            return { rows: [{ id: token.id, session_id: session.id, revoked_at: session.revoked_at, active: !session.expired, user_id: user.id, role: user.role }] };
+        }
+        if (sql.startsWith("UPDATE refresh_tokens SET used_at")) {
+            const token = refreshTokens[params[0] - 1];
+            if (token.used_at) return { rows: [] };
+            token.used_at = new Date();
+            return { rows: [{ id: token.id }] };
+        }
+        if (sql.startsWith("UPDATE auth_sessions SET last_used_at")) return { rows: [] };
+        if (sql.startsWith("UPDATE auth_sessions SET revoked_at") && sql.includes("WHERE id = $1")) {
+            const session = sessions[params[0] - 1];
+            if (!session || session.user_id !== params[1] || session.revoked_at) return { rows: [] };
+            session.revoked_at = new Date();
+            return { rows: [{ id: session.id }] };
+        }
+        if (sql.startsWith("UPDATE auth_sessions SET revoked_at")) {
+            for (const session of sessions) {
+                if (session.user_id === params[0] && !session.revoked_at && session.id !== params[1]) session.revoked_at = new Date();
+            }
+            return { rows: [] };
+        }
+        if (sql.includes("FROM auth_sessions s JOIN users u")) {
+            const session = sessions[params[0] - 1];
+            const active = session && session.user_id === params[1] && !session.revoked_at && !session.expired;
+            return { rows: active ? [users.get(session.user_id)] : [] };
+        }
+        if (sql.includes("FROM care_team_members c JOIN users u ON u.id = c.patient_id")) {
+            return { rows: careTeam.filter((link) => link.caregiverId === params[0]).map((link) => ({ ...users.get(link.patientId), scopes: link.scopes })) };
+        }
+        if (sql.startsWith("UPDATE password_resets SET used_at = NOW() WHERE user_id")) {
+            resets.filter((reset) => reset.user_id === params[0]).forEach((reset) => (reset.used_at = reset.used_at || new Date()));
+            return { rows: [] };
+        }
+        if (sql.startsWith("INSERT INTO password_resets")) {
+            resets.push({ user_id: params[0], token_hash: params[1], used_at: null, expired: false });
+            return { rows: [] };
+        }
+        if (sql.startsWith("UPDATE password_resets SET used_at = NOW() WHERE token_hash")) {
+            const reset = resets.find((row) => row.token_hash === params[0] && !row.used_at && !row.expired);
+            if (!reset) return { rows: [] };
+            reset.used_at = new Date();
+            return { rows: [{ user_id: reset.user_id }] };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    },
+};
+require.cache[require.resolve("../db")] = { id: "db", loaded: true, exports: fakePool };
+
+const {
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    createPasswordReset,
+    consumePasswordReset,
+    authenticate,
+    canAccess,
+    requireRole,
+    requirePatientAccess,
+} = require("../auth");
+
+test.beforeEach(() => {
+    sessions = [];
+    refreshTokens = [];
+    resets = [];
+});
+
+// Run a middleware, returning { status, body } if it answered or { next: true } (with any error) if it passed
+const run = (middleware, req) => new Promise((resolve) => {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body });
+        },
+    };
+    middleware(req, res, (err) => resolve({ next: true, err }));
+});
+
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` }, params: {}, query: {} });
+
+test("a session's access token authenticates its user", async () => {
+    const tokens = await createSession(users.get(1), "test");
+    assert.equal(tokens.userId, 1);
+    assert.equal(tokens.role, "patient");
+
+    const req = bearer(tokens.token);
+    assert.deepEqual(await run(authenticate, req), { next: true, err: undefined });
+    assert.equal(req.userId, 1);
+    assert.equal(req.timezone, "Europe/London");
+    assert.equal(req.sessionId, 1);
+    assert.equal(req.careTeam.size, 0);
+});
+
+test("requests without a valid token are turned away", async () => {
+    assert.equal((await run(authenticate, { headers: {} })).status, 401);
+    assert.equal((await run(authenticate, bearer("not-a-jwt"))).status, 401);
+});
+
+test("logging out ends the session at once", async () => {
+    const tokens = await createSession(users.get(1));
+    assert.equal(await revokeSession(1, 1), true);
+    assert.equal(await revokeSession(1, 1), false);
+
+    const answer = await run(authenticate, bearer(tokens.token));
+    assert.equal(answer.status, 401);
+    assert.match(answer.body.error, /Session has ended/);
+    assert.equal(await refreshSession(tokens.refreshToken), null);
+});
+
+test("refresh tokens are single use and rotate", async () => {
+    const first = await createSession(users.get(1));
+    const second = await refreshSession(first.refreshToken);
+    assert.ok(second);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.deepEqual(await run(authenticate, bearer(second.token)), { next: true, err: undefined });
+
+    const third = await refreshSession(second.refreshToken);
+    assert.ok(third);
+    assert.equal(await refreshSession("unknown"), null);
+});
+
+test("reusing a rotated refresh token revokes the whole session", async () => {
+    const first = await createSession(users.get(1));
+    const second = await refreshSession(first.refreshToken);
+
+    assert.equal(await refreshSession(first.refreshToken), null);
+    assert.ok(sessions[0].revoked_at);
+    assert.equal(await refreshSession(second.refreshToken), null);
+    assert.equal((await run(authenticate, bearer(second.token))).status, 401);
+});
+
+test("an expired session can't be refreshed", async () => {
+    const tokens = await createSession(users.get(1));
+    sessions[0].expired = true;
+    assert.equal(await refreshSession(tokens.refreshToken), null);
+});
+
+test("revoking every session can keep the current one", async () => {
+    await createSession(users.get(1));
+    await createSession(users.get(1));
+    await createSession(users.get(2));
+
+    await revokeUserSessions(1, 2);
+    assert.deepEqual(sessions.map((session) => Boolean(session.revoked_at)), [true, false, false]);
+});
+
+test("password reset tokens work once, and only the latest", async () => {
+    const earlier = await createPasswordReset(1);
+    const latest = await createPasswordReset(1);
+
+    assert.equal(await consumePasswordReset(earlier), null);
+    assert.equal(await consumePasswordReset(latest), 1);
+    assert.equal(await consumePasswordReset(latest), null);
+
+    const expired = await createPasswordReset(1);
+    resets[resets.length - 1].expired = true;
+    assert.equal(await consumePasswordReset(expired), null);
+});
+
+test("caregivers get their care team and its scopes", async () => {
+    const tokens = await createSession(users.get(2));
+    const req = bearer(tokens.token);
+    await run(authenticate, req);
+
+    assert.deepEqual([...req.careTeam.keys()], [1]);
+    assert.equal(canAccess(req, 1), true);
+    assert.equal(canAccess(req, "1", "medications"), true);
+    assert.equal(canAccess(req, 1, "tasks"), false);
+    assert.equal(canAccess(req, 3), false);
+    assert.equal(canAccess(req, 2, "tasks"), true);
+});
+
+test("role and patient policies", async () => {
+    const caregiver = { user: users.get(2), userId: 2, careTeam: new Map([[1, ["read", "medications"]]]), params: {}, query: {} };
+
+    assert.deepEqual(await run(requireRole("caregiver"), caregiver), { next: true, err: undefined });
+    assert.equal((await run(requireRole("patient"), caregiver)).status, 403);
+
+    const reading = { ...caregiver, params: { patientId: "1" } };
+    assert.deepEqual(await run(requirePatientAccess(), reading), { next: true, err: undefined });
+    assert.equal(reading.patientId, 1);
+    assert.equal((await run(requirePatientAccess("tasks"), { ...caregiver, params: { patientId: "1" } })).status, 403);
+    assert.equal((await run(requirePatientAccess(), { ...caregiver, query: { patientId: "3" } })).status, 403);
+    assert.equal((await run(requirePatientAccess(), caregiver)).status, 400);
+});
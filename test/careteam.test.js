@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// A pool whose one client records the statements it runs; `fail` names a
+// statement (by its start) that errors
+const statements = [];
+let fail = null;
+let released = 0;
+const client = {
+    query: async (sql) => {
+        const statement = sql.trim().split(/\s+/).slice(0, 3).join(" ");
+        statements.push(statement);
+        if (fail && statement.startsWith(fail)) throw Object.assign(new Error("insert failed"), { code: "23503" });
+        if (statement.startsWith("UPDATE care_requests")) {
+            return { rows: [{ id: 5, patient_id: 2, caregiver_id: 3, scopes: ["read"], access_expires_at: null }] };
+        }
+        if (statement.startsWith("INSERT INTO care_team_members")) return { rows: [{ id: 9, patient_id: 2, caregiver_id: 3, scopes: ["read"] }] };
+        return { rows: [] };
+    },
+    release: () => released++,
+};
+// Outside transactions, the pool holds one care team link; `poolQueries` counts its queries
+let link;
+let poolQueries = 0;
+const fakePool = {
+    connect: async () => client,
+    query: async (sql, params) => {
+        poolQueries++;
+        // Both queries end their parameters with the patient and caregiver ids
+        const [patientId, caregiverId] = params.slice(-2);
+        const matches = patientId === link.patient_id && caregiverId === link.caregiver_id;
+        if (sql.startsWith("SELECT * FROM care_team_members")) return { rows: matches ? [link] : [] };
+        if (sql.startsWith("UPDATE care_team_members SET scopes = COALESCE($1, scopes)")) {
+            const [scopes, changeExpiry, expiresAt] = params;
+            if (!matches) return { rows: [] };
+            link = { ...link, scopes: scopes === null ? link.scopes : scopes, expires_at: changeExpiry ? expiresAt : link.expires_at };
+            return { rows: [link] };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    },
+};
+require.cache[require.resolve("../db")] = { id: "db", loaded: true, exports: fakePool };
+
+const { normalizeScopes, acceptCareRequest, updateCareLink } = require("../careteam");
+
+test.beforeEach(() => {
+    statements.length = 0;
+    fail = null;
+    released = 0;
+    poolQueries = 0;
+    link = { id: 9, patient_id: 2, caregiver_id: 3, scopes: ["read"], expires_at: null };
+});
+
+test("scopes always include read, in a fixed order", () => {
+    assert.deepEqual(normalizeScopes(["tasks", "medications", "tasks"]), ["read", "medications", "tasks"]);
+    assert.deepEqual(normalizeScopes(undefined), ["read", "medications", "tasks", "appointments", "measurements"]);
+    assert.equal(normalizeScopes(["everything"]), null);
+    assert.equal(normalizeScopes("read"), null);
+});
+
+test("accepting a request creates the link in the same transaction", async () => {
+    const request = await acceptCareRequest(5, 3);
+    assert.equal(request.id, 5);
+    assert.deepEqual(statements, [
+        "BEGIN",
+        "UPDATE care_requests SET",
+        "INSERT INTO care_team_members",
+        "INSERT INTO audit_log",
+        "UPDATE users SET",
+        "COMMIT",
+    ]);
+    assert.equal(released, 1);
+    assert.equal(poolQueries, 0);
+});
+
+test("a request isn't left accepted when the link can't be created", async () => {
+    fail = "INSERT INTO care_team_members";
+    await assert.rejects(acceptCareRequest(5, 3), /insert failed/);
+    assert.deepEqual(statements, ["BEGIN", "UPDATE care_requests SET", "INSERT INTO care_team_members", "ROLLBACK"]);
+    assert.equal(released, 1);
+});
+
+test("changing only a link's expiry keeps its scopes", async () => {
+    const expiresAt = new Date("2030-01-01T00:00:00.000Z");
+    const { before, after } = await updateCareLink(2, 3, { scopes: undefined, expiresAt });
+    assert.deepEqual(before.scopes, ["read"]);
+    assert.deepEqual(after.scopes, ["read"]);
+    assert.equal(after.expires_at, expiresAt);
+});
+
+test("changing only a link's scopes keeps its expiry", async () => {
+    link.expires_at = new Date("2030-01-01T00:00:00.000Z");
+    const { after } = await updateCareLink(2, 3, { scopes: normalizeScopes(["tasks"]), expiresAt: undefined });
+    assert.deepEqual(after.scopes, ["read", "tasks"]);
+    assert.deepEqual(after.expires_at, new Date("2030-01-01T00:00:00.000Z"));
+
+    const { after: removed } = await updateCareLink(2, 3, { expiresAt: null });
+    assert.equal(removed.expires_at, null);
+    assert.deepEqual(removed.scopes, ["read", "tasks"]);
+});
+
+test("updating a caregiver who isn't on the team finds nothing", async () => {
+    assert.equal(await updateCareLink(2, 4, { scopes: ["read"] }), null);
+});
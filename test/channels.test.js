@@ -0,0 +1,136 @@
+const test = require("node:test");
+const { mock } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+process.env.LOG_LEVEL = "error";
+process.env.REMINDER_WEBHOOK_SECRET = "test-secret";
+const { logger } = require("../logger");
+const { DeliveryError, isPublicAddress, checkWebhookTarget, signWebhook, getChannel } = require("../channels");
+
+const withAllowedHosts = async (hosts, run) => {
+    process.env.REMINDER_WEBHOOK_ALLOWED_HOSTS = hosts;
+    try {
+        await run();
+    } finally {
+        delete process.env.REMINDER_WEBHOOK_ALLOWED_HOSTS;
+    }
+};
+
+// A webhook receiver on the loopback interface, answering every request with `status`
+const startReceiver = async (status) => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(status).end("upstream details");
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, received, close: () => new Promise((resolve) => server.close(resolve)) };
+};
+
+test("only public addresses are reachable", () => {
+    for (const address of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "224.0.0.1", "::1", "::", "fe80::1", "fd00:ec2::254", "::ffff:127.0.0.1", "::ffff:10.0.0.1"]) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+    for (const address of ["93.184.216.34", "8.8.8.8", "2606:4700:4700::1111", "::ffff:8.8.8.8"]) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+    assert.equal(isPublicAddress("not an address"), false);
+});
+
+test("webhook targets must be http(s) URLs of public hosts", async () => {
+    assert.equal(await checkWebhookTarget("https://93.184.216.34/hooks/reminders"), null);
+
+    assert.equal(await checkWebhookTarget("ftp://93.184.216.34/"), "Webhook target must be an http(s) URL");
+    assert.equal(await checkWebhookTarget("not a url"), "Webhook target must be an http(s) URL");
+    for (const target of ["http://127.0.0.1:5432/", "http://[::1]/", "http://169.254.169.254/latest/meta-data/", "http://10.0.0.5/"]) {
+        assert.equal(await checkWebhookTarget(target), "Webhook target address is not allowed", target);
+    }
+    // Names are resolved: localhost comes from the hosts file, so nothing leaves the machine
+    assert.equal(await checkWebhookTarget("http://localhost:5000/"), "Webhook target resolves to an address that isn't allowed");
+});
+
+test("an allowlist admits only its hosts, internal ones included", async () => {
+    await withAllowedHosts("hooks.example.com, 127.0.0.1", async () => {
+        assert.equal(await checkWebhookTarget("http://127.0.0.1:8080/hook"), null);
+        assert.equal(await checkWebhookTarget("https://93.184.216.34/"), "Webhook target host is not allowed");
+    });
+});
+
+test("sending refuses internal targets without making the request", async () => {
+    const receiver = await startReceiver(200);
+    try {
+        await assert.rejects(
+            getChannel("webhook").send({ id: 1, title: "Time for Metformin" }, receiver.url),
+            (err) => err instanceof DeliveryError && err.message === "Webhook target address is not allowed"
+        );
+        assert.equal(receiver.received.length, 0);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test("sending to an allowed host posts a signed body", async () => {
+    const receiver = await startReceiver(204);
+    try {
+        await withAllowedHosts("127.0.0.1", () => getChannel("webhook").send({ id: 1, title: "Time for Metformin" }, receiver.url));
+
+        const [{ headers, body }] = receiver.received;
+        assert.deepEqual(JSON.parse(body), { id: 1, title: "Time for Metformin" });
+        assert.equal(headers["x-reminder-signature"], `sha256=${signWebhook(headers["x-reminder-timestamp"], body)}`);
+    } finally {
+        await receiver.close();
+    }
+});
+
+test("upstream failures are reported without the upstream's details", async () => {
+    const receiver = await startReceiver(500);
+    try {
+        await withAllowedHosts("127.0.0.1", () =>
+            assert.rejects(
+                getChannel("webhook").send({ id: 1 }, receiver.url),
+                (err) => err instanceof DeliveryError && err.message === "Webhook did not accept the reminder"
+            ));
+    } finally {
+        await receiver.close();
+    }
+
+    await withAllowedHosts("127.0.0.1", () =>
+        assert.rejects(
+            getChannel("webhook").send({ id: 1 }, receiver.url),
+            (err) => err instanceof DeliveryError && err.message === "Webhook could not be reached"
+        ));
+});
+
+test("without a secret, webhooks can't be registered or sent to", async () => {
+    const receiver = await startReceiver(204);
+    const logged = mock.method(logger, "error", () => {});
+    delete process.env.REMINDER_WEBHOOK_SECRET;
+    try {
+        await withAllowedHosts("127.0.0.1", async () => {
+            assert.equal(await checkWebhookTarget(receiver.url), "Webhooks are not available on this server");
+            await assert.rejects(
+                getChannel("webhook").send({ id: 1 }, receiver.url),
+                (err) => err instanceof DeliveryError && err.message === "Webhooks are not available on this server"
+            );
+        });
+        assert.equal(receiver.received.length, 0);
+        assert.match(logged.mock.calls[0].arguments[0], /REMINDER_WEBHOOK_SECRET is not configured/);
+        assert.throws(() => signWebhook("1", "{}"), /REMINDER_WEBHOOK_SECRET/);
+    } finally {
+        process.env.REMINDER_WEBHOOK_SECRET = "test-secret";
+        logged.mock.restore();
+        await receiver.close();
+    }
+});
+
+test("only registered channels are found", () => {
+    assert.equal(typeof getChannel("log").send, "function");
+    for (const name of ["constructor", "toString", "__proto__", "hasOwnProperty", "missing"]) {
+        assert.equal(getChannel(name), undefined, name);
+    }
+});
@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+
+const ENV_NAMES = ["FIELD_ENCRYPTION_KEYFILE", "FIELD_ENCRYPTION_KEYS", "FIELD_ENCRYPTION_KEY_VERSION", "FIELD_BLIND_INDEX_KEY"];
+
+const KEY_1 = crypto.randomBytes(32).toString("base64");
+const KEY_2 = crypto.randomBytes(32).toString("base64");
+const BLIND_INDEX_KEY = crypto.randomBytes(32).toString("base64");
+
+// fieldcrypto.js reads its keyring once, when loaded, so load a fresh copy per configuration
+const loadFieldcrypto = (env = {}) => {
+    for (const name of ENV_NAMES) delete process.env[name];
+    Object.assign(process.env, env);
+    delete require.cache[require.resolve("../fieldcrypto")];
+    return require("../fieldcrypto");
+};
+
+const withKeys = (keys, extra = {}) => loadFieldcrypto({ FIELD_ENCRYPTION_KEYS: keys, FIELD_BLIND_INDEX_KEY: BLIND_INDEX_KEY, ...extra });
+
+// Flip one character of the part of a sealed value at `index` (3: wrapped key, 4: payload)
+const tamper = (sealed, index) => {
+    const parts = sealed.split(":");
+    const part = parts[index];
+    parts[index] = part.slice(0, 5) + (part[5] === "A" ? "B" : "A") + part.slice(6);
+    return parts.join(":");
+};
+
+test.after(() => loadFieldcrypto());
+
+test("without keys values are stored as given", () => {
+    const { encryptionEnabled, seal, open, sealJson, substringIndexTerms } = loadFieldcrypto();
+    assert.equal(encryptionEnabled(), false);
+    assert.equal(seal("Metformin"), "Metformin");
+    assert.equal(open("Metformin"), "Metformin");
+    assert.deepEqual(sealJson({ name: "Metformin" }), { name: "Metformin" });
+    assert.deepEqual(substringIndexTerms("scope", "Clinic"), []);
+});
+
+test("seal and open round-trip with a fresh data key each time", () => {
+    const { encryptionEnabled, seal, open, keyVersionOf } = withKeys(`1:${KEY_1}`);
+    assert.equal(encryptionEnabled(), true);
+
+    const first = seal("Metformin 500mg");
+    const second = seal("Metformin 500mg");
+    assert.match(first, /^enc:v1:1:[\w-]+:[\w-]+$/);
+    assert.notEqual(first, second);
+    assert.equal(open(first), "Metformin 500mg");
+    assert.equal(open(second), "Metformin 500mg");
+    assert.equal(open(seal("")), "");
+    assert.equal(open(seal("Café ☕")), "Café ☕");
+    assert.equal(keyVersionOf(first), 1);
+});
+
+test("null, undefined and plain text pass through", () => {
+    const { seal, open, keyVersionOf } = withKeys(`1:${KEY_1}`);
+    assert.equal(seal(null), null);
+    assert.equal(seal(undefined), undefined);
+    assert.equal(open(null), null);
+    assert.equal(open("Metformin"), "Metformin");
+    assert.equal(open("enc:v1:not a sealed value"), "enc:v1:not a sealed value");
+    assert.equal(keyVersionOf("Metformin"), null);
+    assert.equal(keyVersionOf(null), null);
+});
+
+test("tampered or truncated values are rejected", () => {
+    const { seal, open } = withKeys(`1:${KEY_1}`);
+    const sealed = seal("Metformin");
+
+    assert.throws(() => open(tamper(sealed, 4)));
+    assert.throws(() => open(tamper(sealed, 3)));
+    const parts = sealed.split(":");
+    assert.throws(() => open([...parts.slice(0, 4), parts[4].slice(0, 10)].join(":")), /truncated/);
+    // A value naming a key version the keyring lacks
+    assert.throws(() => open(sealed.replace("enc:v1:1:", "enc:v1:2:")), /version 2 is not configured/);
+});
+
+test("a value sealed with another keyring's key doesn't open", () => {
+    const sealed = withKeys(`1:${KEY_1}`).seal("Metformin");
+    assert.throws(() => withKeys(`1:${KEY_2}`).open(sealed));
+});
+
+test("key rotation: new values use the current version and old ones still open", () => {
+    const old = withKeys(`1:${KEY_1}`).seal("Metformin");
+
+    const { seal, open, keyVersionOf, currentKeyVersion } = withKeys(`1:${KEY_1},2:${KEY_2}`);
+    assert.equal(currentKeyVersion(), 2);
+    assert.equal(keyVersionOf(seal("Metformin")), 2);
+    assert.equal(open(old), "Metformin");
+
+    const pinned = withKeys(`1:${KEY_1},2:${KEY_2}`, { FIELD_ENCRYPTION_KEY_VERSION: "1" });
+    assert.equal(pinned.keyVersionOf(pinned.seal("Metformin")), 1);
+
+    const retired = withKeys(`2:${KEY_2}`);
+    assert.throws(() => retired.open(old), /version 1 is not configured/);
+});
+
+test("invalid key configuration fails at load", () => {
+    assert.throws(() => loadFieldcrypto({ FIELD_ENCRYPTION_KEYS: `1:${KEY_1}` }), /No blind index key/);
+    assert.throws(() => withKeys("1:c2hvcnQ="), /must be 32 bytes/);
+    assert.throws(() => withKeys(`one:${KEY_1}`), /must be a number/);
+    assert.throws(() => withKeys(`1:${KEY_1}`, { FIELD_ENCRYPTION_KEY_VERSION: "3" }), /not in the keyring/);
+});
+
+test("sealJson seals the sensitive keys of nested copies only", () => {
+    const { sealJson, open, keyVersionOf } = withKeys(`1:${KEY_1}`);
+    const sealed = sealJson({ id: 4, name: "Metformin", items: [{ location: "Clinic", status: "taken" }], at: new Date(0) });
+
+    assert.equal(sealed.id, 4);
+    assert.equal(open(sealed.name), "Metformin");
+    assert.equal(open(sealed.items[0].location), "Clinic");
+    assert.equal(sealed.items[0].status, "taken");
+    assert.deepEqual(sealed.at, new Date(0));
+    // Already sealed values aren't sealed twice
+    assert.equal(sealJson({ name: sealed.name }).name, sealed.name);
+    assert.equal(keyVersionOf(sealed.name), 1);
+});
+
+test("substring index terms match regardless of case and key version", () => {
+    const { substringIndexTerms } = withKeys(`1:${KEY_1}`);
+    const value = substringIndexTerms("daily_tasks.location", "City Clinic");
+    const search = substringIndexTerms("daily_tasks.location", "CLINIC");
+
+    assert.ok(search.length > 0);
+    assert.ok(search.every((term) => value.includes(term)));
+    assert.deepEqual(substringIndexTerms("other.scope", "clinic").filter((term) => search.includes(term)), []);
+    assert.deepEqual(substringIndexTerms("daily_tasks.location", "ab"), []);
+    assert.deepEqual(withKeys(`1:${KEY_1},2:${KEY_2}`).substringIndexTerms("daily_tasks.location", "clinic"), search);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// A pool whose one client records the statements it runs; `fail` names a
+// statement (by its start) that errors
+const statements = [];
+let fail = null;
+let released = 0;
+const client = {
+    query: async (sql, params = []) => {
+        const statement = sql.trim().split(/\s+/).slice(0, 3).join(" ");
+        statements.push(statement);
+        if (fail && statement.startsWith(fail)) throw new Error("update failed");
+        if (statement.startsWith("INSERT INTO medication_refills")) return { rows: [{ id: 4, medication_id: params[0], quantity: params[2] }] };
+        if (statement.startsWith("UPDATE medications SET")) return { rows: [{ id: params[1], quantity_on_hand: 10 + params[0] }] };
+        return { rows: [] };
+    },
+    release: () => released++,
+};
+const fakePool = { connect: async () => client, query: async () => assert.fail("everything should run on the transaction's client") };
+require.cache[require.resolve("../db")] = { id: "db", loaded: true, exports: fakePool };
+
+const { parseDateTime } = require("../dates");
+const { recordRefill } = require("../inventory");
+
+const medication = { id: 1, user_id: 2, quantity_on_hand: 10, units_per_dose: 1 };
+
+test.beforeEach(() => {
+    statements.length = 0;
+    fail = null;
+    released = 0;
+});
+
+test("a refill is logged and added to stock in one transaction, with the medication locked", async () => {
+    const { refill, medication: updated } = await recordRefill(medication, { quantity: 30, refilledAt: parseDateTime("2027-03-14 08:00:00") }, 2);
+    assert.equal(refill.quantity, 30);
+    assert.equal(updated.quantity_on_hand, 40);
+    assert.deepEqual(statements, ["BEGIN", "SELECT id FROM", "INSERT INTO medication_refills", "UPDATE medications SET", "COMMIT"]);
+    assert.equal(released, 1);
+});
+
+test("a refill isn't logged when its stock can't be added", async () => {
+    fail = "UPDATE medications";
+    await assert.rejects(recordRefill(medication, { quantity: 30, refilledAt: parseDateTime("2027-03-14 08:00:00") }, 2), /update failed/);
+    assert.deepEqual(statements, ["BEGIN", "SELECT id FROM", "INSERT INTO medication_refills", "UPDATE medications SET", "ROLLBACK"]);
+    assert.equal(released, 1);
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Run in UTC, as the entry points do (dates.js)
+process.env.TZ = "UTC";
+
+// A pool holding one patient's medications and appointments. It answers the
+// in-memory medication list and the SQL-paged appointment list, recording the
+// appointment queries it ran.
+let medications;
+let appointments;
+const appointmentQueries = [];
+const fakePool = {
+    query: async (sql, params = []) => {
+        if (sql.startsWith("SELECT * FROM medications WHERE user_id = $1")) {
+            return { rows: medications.filter((medication) => medication.user_id === params[0]) };
+        }
+        if (sql.includes("FROM appointments")) {
+            appointmentQueries.push({ sql, params });
+            const mine = appointments.filter((appointment) => appointment.user_id === params[0]);
+            const byTitle = (a, b) => (a.title < b.title ? -1 : a.title > b.title ? 1 : a.id - b.id);
+            if (sql.startsWith("SELECT (lower(COALESCE(title, ''))) COLLATE \"C\" AS sort_key")) {
+                return { rows: mine.filter((appointment) => appointment.id === params[1]).map((appointment) => ({ sort_key: appointment.title })) };
+            }
+            const sorted = mine.map((appointment) => ({ ...appointment, sort_key: appointment.title })).sort(byTitle);
+            const [limit, offset] = params.slice(-2);
+            const rest = params.length === 5
+                ? sorted.filter((row) => byTitle(row, { title: params[1], id: params[2] }) > 0)
+                : sorted;
+            return { rows: rest.slice(offset, offset + limit) };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    },
+};
+require.cache[require.resolve("../db")] = { id: "db", loaded: true, exports: fakePool };
+
+const { listMedications, listAppointments } = require("../lists");
+
+const medication = (id, name) => ({ id, user_id: 1, name, time: "08:00", quantity_on_hand: null, units_per_dose: 1 });
+const appointment = (id, title) => ({ id, user_id: 1, title });
+const cursorText = (cursor) => Buffer.from(cursor, "base64url").toString();
+
+test.beforeEach(() => {
+    medications = [medication(1, "Warfarin"), medication(2, "Aspirin"), medication(3, "Metformin"), medication(4, "Lisinopril")];
+    appointments = [appointment(1, "dentist"), appointment(2, "cardiology"), appointment(3, "eye test")];
+    appointmentQueries.length = 0;
+});
+
+test("cursors don't carry the names they sort by", async () => {
+    const first = await listMedications(1, { sort: "name", limit: 2 });
+    assert.deepEqual(first.items.map((item) => item.name), ["Aspirin", "Lisinopril"]);
+    assert.doesNotMatch(cursorText(first.nextCursor), /lisinopril/i);
+    assert.deepEqual(JSON.parse(cursorText(first.nextCursor)), ["name", 2, 4]);
+
+    const second = await listMedications(1, { sort: "name", limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.items.map((item) => item.name), ["Metformin", "Warfarin"]);
+    assert.equal(second.nextCursor, null);
+});
+
+test("a page resumes at the cursor's position when its last row is gone", async () => {
+    const first = await listMedications(1, { sort: "name", limit: 2 });
+    medications = medications.filter((item) => item.id !== 4);
+
+    const second = await listMedications(1, { sort: "name", limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.items.map((item) => item.name), ["Warfarin"]);
+});
+
+test("lists sorted in SQL look the cursor row's key up on the server", async () => {
+    const first = await listAppointments(1, { sort: "title", limit: 2 });
+    assert.deepEqual(first.items.map((item) => item.title), ["cardiology", "dentist"]);
+    assert.doesNotMatch(cursorText(first.nextCursor), /dentist/);
+
+    const second = await listAppointments(1, { sort: "title", limit: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.items.map((item) => item.title), ["eye test"]);
+    const page = appointmentQueries[appointmentQueries.length - 1];
+    assert.match(page.sql, /\(\(lower\(COALESCE\(title, ''\)\)\) COLLATE "C", id\) > \(\$2, \$3\)/);
+    assert.deepEqual(page.params, [1, "dentist", 1, 3, 0]);
+});
+
+test("cursors from another sort or in the old format are refused", async () => {
+    const first = await listMedications(1, { sort: "name", limit: 2 });
+    assert.match((await listMedications(1, { sort: "-name", cursor: first.nextCursor })).error, /Invalid cursor/);
+
+    const old = Buffer.from(JSON.stringify(["name", "lisinopril", 4])).toString("base64url");
+    assert.match((await listMedications(1, { sort: "name", cursor: old })).error, /Invalid cursor/);
+});
@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Run in UTC, as the entry points do (dates.js)
+process.env.TZ = "UTC";
+// timezones.js loads db.js, which needs a connection string; nothing here connects
+process.env.DATABASE_URL = process.env.DATABASE_URL || "postgresql://localhost/test";
+
+const { RecurrenceError, normalizeRecurrence, expandOccurrences, nextOccurrence } = require("../recurrence");
+const { parseDateTime, formatDateTime } = require("../dates");
+const { wallClock, instantAt } = require("../timezones");
+
+const expand = (start, rrule, from, to, exceptionDates) =>
+    expandOccurrences({ start: parseDateTime(start), rrule, exceptionDates }, parseDateTime(from), parseDateTime(to)).map(formatDateTime);
+
+test("daily occurrences keep their wall-clock time", () => {
+    assert.deepEqual(expand("2027-01-30 08:00:00", "FREQ=DAILY;INTERVAL=2", "2027-01-30", "2027-02-05"), [
+        "2027-01-30 08:00:00", "2027-02-01 08:00:00", "2027-02-03 08:00:00",
+    ]);
+});
+
+test("a time in the host's spring-forward gap is kept", () => {
+    // Clocks in New York skip 02:00-03:00 on 2027-03-14
+    assert.deepEqual(expand("2027-03-13 02:30:00", "FREQ=DAILY", "2027-03-13", "2027-03-16"), [
+        "2027-03-13 02:30:00", "2027-03-14 02:30:00", "2027-03-15 02:30:00",
+    ]);
+});
+
+test("occurrences stay at the patient's local time across their DST change", () => {
+    // London moves to BST on 2027-03-28
+    const occurrences = expandOccurrences({ start: parseDateTime("2027-03-26 08:00:00"), rrule: "FREQ=DAILY" },
+        parseDateTime("2027-03-26"), parseDateTime("2027-03-30"));
+    assert.deepEqual(occurrences.map((occurrence) => instantAt(occurrence, "Europe/London").toISOString()), [
+        "2027-03-26T08:00:00.000Z", "2027-03-27T08:00:00.000Z", "2027-03-28T07:00:00.000Z", "2027-03-29T07:00:00.000Z",
+    ]);
+
+    // New York moves back to EST on 2027-11-07
+    const weekly = expandOccurrences({ start: parseDateTime("2027-11-01 09:00:00"), rrule: "FREQ=WEEKLY;BYDAY=MO,FR" },
+        parseDateTime("2027-11-01"), parseDateTime("2027-11-09"));
+    assert.deepEqual(weekly.map((occurrence) => instantAt(occurrence, "America/New_York").toISOString()), [
+        "2027-11-01T13:00:00.000Z", "2027-11-05T13:00:00.000Z", "2027-11-08T14:00:00.000Z",
+    ]);
+});
+
+test("a patient time skipped by DST moves forward by the gap", () => {
+    assert.equal(instantAt(parseDateTime("2027-03-28 01:30:00"), "Europe/London").toISOString(), "2027-03-28T01:30:00.000Z");
+    assert.equal(instantAt(parseDateTime("2027-03-14 02:30:00"), "America/New_York").toISOString(), "2027-03-14T07:30:00.000Z");
+    assert.equal(formatDateTime(wallClock(new Date("2027-03-14T07:30:00.000Z"), "America/New_York")), "2027-03-14 03:30:00");
+});
+
+test("a patient time repeated by DST maps to one of its instants", () => {
+    const instant = instantAt(parseDateTime("2027-10-31 01:30:00"), "Europe/London");
+    assert.ok(["2027-10-31T00:30:00.000Z", "2027-10-31T01:30:00.000Z"].includes(instant.toISOString()));
+    assert.equal(formatDateTime(wallClock(instant, "Europe/London")), "2027-10-31 01:30:00");
+});
+
+test("weekly rules use BYDAY and weeks starting on Monday", () => {
+    assert.deepEqual(expand("2027-03-10 18:00:00", "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE", "2027-03-01", "2027-03-31"), [
+        "2027-03-10 18:00:00", "2027-03-22 18:00:00", "2027-03-24 18:00:00",
+    ]);
+});
+
+test("monthly rules handle month ends and nth weekdays", () => {
+    assert.deepEqual(expand("2027-01-31 09:00:00", "FREQ=MONTHLY", "2027-01-01", "2027-05-01"), [
+        "2027-01-31 09:00:00", "2027-03-31 09:00:00",
+    ]);
+    assert.deepEqual(expand("2027-01-01 09:00:00", "FREQ=MONTHLY;BYMONTHDAY=-1", "2027-01-01", "2027-04-01"), [
+        "2027-01-31 09:00:00", "2027-02-28 09:00:00", "2027-03-31 09:00:00",
+    ]);
+    assert.deepEqual(expand("2027-01-01 09:00:00", "FREQ=MONTHLY;BYDAY=-1FR", "2027-01-01", "2027-04-01"), [
+        "2027-01-29 09:00:00", "2027-02-26 09:00:00", "2027-03-26 09:00:00",
+    ]);
+});
+
+test("COUNT, UNTIL and exception dates end or skip occurrences", () => {
+    assert.deepEqual(expand("2027-03-01 08:00:00", "FREQ=DAILY;COUNT=3", "2027-03-02", "2027-03-31"), [
+        "2027-03-02 08:00:00", "2027-03-03 08:00:00",
+    ]);
+    assert.deepEqual(expand("2027-03-01 08:00:00", "FREQ=DAILY;UNTIL=2027-03-03", "2027-03-01", "2027-03-31"), [
+        "2027-03-01 08:00:00", "2027-03-02 08:00:00", "2027-03-03 08:00:00",
+    ]);
+    assert.deepEqual(expand("2027-03-01 08:00:00", "FREQ=DAILY", "2027-03-01", "2027-03-04", ["2027-03-02"]), [
+        "2027-03-01 08:00:00", "2027-03-03 08:00:00",
+    ]);
+});
+
+test("a one-off start is its only occurrence", () => {
+    assert.deepEqual(expand("2027-03-01 08:00:00", null, "2027-03-01", "2027-03-02"), ["2027-03-01 08:00:00"]);
+    assert.deepEqual(expand("2027-03-01 08:00:00", null, "2027-03-02", "2027-03-03"), []);
+});
+
+test("nextOccurrence finds the first occurrence from a time on", () => {
+    const next = nextOccurrence({ start: parseDateTime("2027-03-01 08:00:00"), rrule: "FREQ=WEEKLY;BYDAY=FR" }, parseDateTime("2027-03-06 12:00:00"));
+    assert.equal(formatDateTime(next), "2027-03-12 08:00:00");
+    assert.equal(nextOccurrence({ start: parseDateTime("2027-03-01 08:00:00"), rrule: "FREQ=DAILY;COUNT=2" }, parseDateTime("2027-03-05")), null);
+});
+
+test("recurrence objects normalize to RRULE strings, and bad rules are rejected", () => {
+    assert.equal(normalizeRecurrence({ type: "weekly", interval: 2, days: ["MO", "TH"] }), "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH");
+    assert.equal(normalizeRecurrence("rrule:freq=daily;count=5"), "FREQ=DAILY;COUNT=5");
+    assert.throws(() => normalizeRecurrence({ type: "yearly" }), RecurrenceError);
+    assert.throws(() => normalizeRecurrence("FREQ=DAILY;BYDAY=0MO"), RecurrenceError);
+    assert.throws(() => normalizeRecurrence({ type: "daily", until: "March" }), RecurrenceError);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Run in UTC, as the entry points do (dates.js)
+process.env.TZ = "UTC";
+process.env.LOG_LEVEL = "error";
+
+// A pool answering the scheduler's reads from `rows` and recording what it queries and queues
+const queries = [];
+const queued = [];
+let rows = {};
+const fakePool = {
+    query: async (sql, params = []) => {
+        queries.push({ sql, params });
+        if (sql.startsWith("INSERT INTO reminders")) {
+            queued.push({ userId: params[0], kind: params[2], dedupeKey: params[4] });
+            return { rows: [] };
+        }
+        if (sql.startsWith("UPDATE reminders")) return { rows: [] };
+        if (sql.includes("m.dosage FROM medication_doses")) return { rows: rows.doses || [] };
+        if (sql.includes("FROM medication_doses")) return { rows: rows.overdue || [] };
+        if (sql.startsWith("SELECT * FROM daily_tasks")) return { rows: rows.tasks || [] };
+        if (sql.startsWith("SELECT * FROM appointments")) return { rows: rows.appointments || [] };
+        if (sql.startsWith("SELECT patient_id, caregiver_id FROM care_team_members")) return { rows: rows.careTeams || [] };
+        if (sql.startsWith("SELECT u.id")) {
+            return { rows: (rows.users || []).filter((user) => params[0].includes(user.id)) };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    },
+};
+require.cache[require.resolve("../db")] = { id: "db", loaded: true, exports: fakePool };
+
+const { parseDateTime } = require("../dates");
+const { planReminders, cancelReminders } = require("../reminders");
+
+const NOW = new Date("2027-03-14T08:00:00.000Z");
+const user = (id, name) => ({ id, name, timezone: "UTC", preferences: null });
+const queryFor = (table) => queries.find(({ sql }) => sql.startsWith(`SELECT * FROM ${table}`));
+
+test.beforeEach(() => {
+    queries.length = 0;
+    queued.length = 0;
+    rows = {};
+});
+
+test("only items that can fall in the planning window are read", async () => {
+    await planReminders(NOW);
+
+    const tasks = queryFor("daily_tasks");
+    assert.match(tasks.sql, /WHERE time_utc <= \$2 AND \(time_utc > \$1 OR recurrence IS NOT NULL/);
+    assert.deepEqual(tasks.params[0], NOW);
+    assert.ok(tasks.params[1] > NOW);
+
+    const appointments = queryFor("appointments");
+    assert.match(appointments.sql, /WHERE starts_at_utc > \$1 AND starts_at_utc <= \$2/);
+    assert.deepEqual(appointments.params[0], new Date("2027-03-13T08:00:00.000Z"));
+});
+
+test("only the users the items belong to are loaded", async () => {
+    rows = {
+        users: [user(1, "Pat"), user(2, "Sam"), user(3, "Casey")],
+        tasks: [{ id: 10, user_id: 1, name: "Walk", location: null, time: parseDateTime("2027-03-14 08:20:00"), recurrence: null, frequency: null, exception_dates: [] }],
+        overdue: [{ id: 20, user_id: 2, name: "Metformin", scheduled_at: parseDateTime("2027-03-14 06:00:00"), scheduled_at_utc: new Date("2027-03-14T06:00:00.000Z") }],
+        careTeams: [{ patient_id: 2, caregiver_id: 3 }],
+    };
+
+    await planReminders(NOW);
+
+    const careTeams = queries.find(({ sql }) => sql.includes("FROM care_team_members"));
+    assert.deepEqual(careTeams.params, [[2]]);
+    const users = queries.find(({ sql }) => sql.startsWith("SELECT u.id"));
+    assert.match(users.sql, /WHERE u\.id = ANY\(\$1::int\[\]\)/);
+    assert.deepEqual(users.params[0].sort(), [1, 2, 3]);
+
+    assert.deepEqual(queued, [
+        { userId: 1, kind: "task", dedupeKey: "task:10:2027-03-14 08:20:00" },
+        { userId: 3, kind: "escalation", dedupeKey: "dose:20:escalation:3" },
+    ]);
+});
+
+test("care teams aren't read when no dose is overdue", async () => {
+    await planReminders(NOW);
+    assert.equal(queries.some(({ sql }) => sql.includes("FROM care_team_members")), false);
+});
+
+test("cancelled reminders free their dedupe keys for the item's new times", async () => {
+    await cancelReminders("task", 4);
+
+    const [{ sql, params }] = queries;
+    assert.match(sql, /SET status = 'cancelled', dedupe_key = dedupe_key \|\| ':cancelled:' \|\| id/);
+    assert.match(sql, /WHERE kind = \$1 AND item_id = \$2 AND status = 'pending'/);
+    assert.deepEqual(params, ["task", 4]);
+});
@@ -0,0 +1,228 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Run in UTC, as the entry points do (dates.js)
+process.env.TZ = "UTC";
+process.env.LOG_LEVEL = "error";
+
+// An in-memory stand-in for the pool, answering the queries sync.js makes:
+// idempotency keys (sync_mutations) for pushes, and versioned rows,
+// tombstones and the sync clock for pulls. Versions are strings, as pg
+// returns BIGINTs.
+const mutations = new Map();
+let tables;
+let clock;
+
+const after = (version, cursor) => BigInt(version) > BigInt(cursor);
+const byVersion = (a, b) => (BigInt(a.version) < BigInt(b.version) ? -1 : 1);
+
+const fakePool = {
+    query: async (sql, params = []) => {
+        const key = `${params[0]} ${params[1]}`;
+        if (sql.startsWith("INSERT INTO sync_mutations")) {
+            if (mutations.has(key)) return { rows: [] };
+            mutations.set(key, { result: null });
+            return { rows: [{ user_id: params[0] }] };
+        }
+        if (sql.startsWith("SELECT result FROM sync_mutations")) {
+            return { rows: mutations.has(key) ? [mutations.get(key)] : [] };
+        }
+        if (sql.startsWith("UPDATE sync_mutations")) {
+            mutations.get(key).result = params[2];
+            return { rows: [] };
+        }
+        if (sql.startsWith("DELETE FROM sync_mutations") && sql.includes("result IS NULL")) {
+            if (mutations.has(key) && mutations.get(key).result === null) mutations.delete(key);
+            return { rows: [] };
+        }
+
+        if (sql.startsWith("SELECT version, pruned_version FROM sync_clock")) return { rows: [clock] };
+        if (sql.startsWith("SELECT id, timezone FROM users")) {
+            return { rows: params[0].map((id) => ({ id, timezone: "UTC" })) };
+        }
+        const items = /^SELECT \* FROM (medications|daily_tasks|appointments) WHERE user_id = (ANY\(\$1::int\[\]\) AND version >|\$1 AND version <=)/.exec(sql);
+        if (items) {
+            const [, table, condition] = items;
+            const rows = condition.startsWith("ANY")
+                ? tables[table].filter((row) => params[0].includes(row.user_id) && after(row.version, params[1])).sort(byVersion).slice(0, params[2])
+                : tables[table].filter((row) => row.user_id === params[0] && !after(row.version, params[1])).sort(byVersion);
+            return { rows };
+        }
+        if (sql.startsWith("SELECT c.*, p.name AS patient_name")) {
+            const rows = tables.care_team_members
+                .filter((link) => (link.patient_id === params[0] || link.caregiver_id === params[0]) && after(link.version, params[1]))
+                .sort(byVersion)
+                .slice(0, params[2]);
+            return { rows };
+        }
+        if (sql.startsWith("SELECT * FROM sync_tombstones")) {
+            const [patientIds, userId, cursor, limit] = params;
+            const rows = tables.sync_tombstones
+                .filter((tombstone) => after(tombstone.version, cursor) && (tombstone.resource_type === "care_link"
+                    ? [tombstone.patient_id, tombstone.caregiver_id].includes(userId)
+                    : patientIds.includes(tombstone.patient_id)))
+                .sort(byVersion)
+                .slice(0, limit);
+            return { rows };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    },
+};
+require.cache[require.resolve("../db")] = { id: "db", loaded: true, exports: fakePool };
+
+const { parseDateTime } = require("../dates");
+const { isDataError, pushMutations, syncCursorError, changesSince } = require("../sync");
+
+const dbError = (code, message) => Object.assign(new Error(message), { code });
+
+const mutation = (idempotencyKey, data) => ({ idempotencyKey, resourceType: "appointment", action: "create", data });
+
+// Applies a mutation as the database would: an impossible date is refused
+const apply = async ({ data }) => {
+    if (data.date === "2024-02-30") throw dbError("22008", 'date/time field value out of range: "2024-02-30"');
+    return { resourceType: "appointment", action: "create", id: 7, version: "12", item: { id: 7, ...data }, status: "applied" };
+};
+
+test.beforeEach(() => {
+    mutations.clear();
+    clock = { version: "20", pruned_version: "0" };
+    tables = { medications: [], daily_tasks: [], appointments: [], care_team_members: [], sync_tombstones: [] };
+});
+
+test("data exceptions and integrity violations are data errors; other failures aren't", () => {
+    assert.equal(isDataError(dbError("22008")), true);
+    assert.equal(isDataError(dbError("22P02")), true);
+    assert.equal(isDataError(dbError("23505")), true);
+    assert.equal(isDataError(dbError("40001")), false);
+    assert.equal(isDataError(dbError("ECONNREFUSED")), false);
+    assert.equal(isDataError(new Error("boom")), false);
+});
+
+test("a mutation the database refuses is rejected and the rest of the batch is applied", async () => {
+    const batch = [mutation("good", { title: "Checkup", date: "2024-02-28" }), mutation("bad", { title: "Checkup", date: "2024-02-30" })];
+
+    const results = await pushMutations(1, batch, apply);
+    assert.equal(results.length, 2);
+    assert.equal(results[0].status, "applied");
+    assert.equal(results[0].id, 7);
+    assert.equal(results[0].replayed, false);
+    assert.deepEqual(
+        { status: results[1].status, code: results[1].code, id: results[1].id, replayed: results[1].replayed },
+        { status: "rejected", code: "VALIDATION_FAILED", id: null, replayed: false }
+    );
+    assert.doesNotMatch(results[1].error, /date\/time field/);
+
+    // Resending the batch replays both results rather than failing again
+    const retried = await pushMutations(1, batch, async () => assert.fail("nothing should be applied twice"));
+    assert.deepEqual(retried.map((result) => [result.status, result.replayed]), [["applied", true], ["rejected", true]]);
+});
+
+test("a server fault fails the push and releases the key for a retry", async () => {
+    const batch = [mutation("good", { title: "Checkup", date: "2024-02-28" }), mutation("down", { title: "Scan", date: "2024-03-01" })];
+    const failing = async (queued) => {
+        if (queued.idempotencyKey === "down") throw dbError("57P01", "terminating connection");
+        return apply(queued);
+    };
+
+    await assert.rejects(pushMutations(1, batch, failing), /terminating connection/);
+    assert.equal(mutations.has("1 down"), false);
+
+    const retried = await pushMutations(1, batch, apply);
+    assert.deepEqual(retried.map((result) => [result.status, result.replayed]), [["applied", true], ["applied", false]]);
+});
+
+test("a key still being applied elsewhere is reported as a conflict", async () => {
+    mutations.set("1 busy", { result: null });
+
+    const [result] = await pushMutations(1, [mutation("busy", { title: "Checkup", date: "2024-02-28" })], apply);
+    assert.equal(result.status, "rejected");
+    assert.equal(result.code, "CONFLICT");
+    assert.equal(result.replayed, true);
+});
+
+const PATIENT = { id: 1, role: "patient" };
+const CAREGIVER = { id: 2, role: "caregiver" };
+
+const medication = (id, version, userId = 1) => ({
+    id, user_id: userId, version, name: "Metformin", time: "08:00", units_per_dose: 1, quantity_on_hand: null, start_date: parseDateTime("2027-03-01"),
+});
+const task = (id, version, userId = 1) => ({ id, user_id: userId, version, name: "Walk", time: parseDateTime("2027-03-14 08:00:00"), time_utc: new Date("2027-03-14T08:00:00.000Z") });
+const tombstone = (resourceType, id, version, patientId = 1, caregiverId = null) => ({
+    resource_type: resourceType, resource_id: id, version, patient_id: patientId, caregiver_id: caregiverId,
+});
+const summary = (changes) => changes.map((change) => `${change.action} ${change.resourceType} ${change.id} @${change.version}`);
+
+test("cursors are resumable until deletions after them are pruned", async () => {
+    clock = { version: "20", pruned_version: "5" };
+    assert.equal(await syncCursorError("0"), null);
+    assert.equal(await syncCursorError("5"), null);
+    assert.equal(await syncCursorError("20"), null);
+    assert.match(await syncCursorError("4"), /older than the deletions kept/);
+    assert.match(await syncCursorError("21"), /ahead of the server/);
+    // Compared as numbers, not text
+    assert.equal(await syncCursorError("10"), null);
+});
+
+test("changes come oldest first, with deletes, and rendered like the list endpoints", async () => {
+    tables.medications.push(medication(1, "3"));
+    tables.daily_tasks.push(task(2, "10"));
+    tables.appointments.push({ id: 3, user_id: 1, version: "2", title: "Checkup", date: parseDateTime("2027-03-15") }, { id: 4, user_id: 9, version: "4", title: "Not mine" });
+    tables.sync_tombstones.push(tombstone("appointment", 5, "7"), tombstone("appointment", 6, "8", 9));
+
+    const result = await changesSince(PATIENT, [1], "0", { viewerZone: "UTC" });
+    assert.deepEqual(summary(result.changes), ["upsert appointment 3 @2", "upsert medication 1 @3", "delete appointment 5 @7", "upsert daily_task 2 @10"]);
+    assert.equal(result.cursor, "10");
+    assert.equal(result.hasMore, false);
+
+    const [appointment, med, deleted, walk] = result.changes;
+    assert.equal(appointment.data.date, "2027-03-15");
+    assert.equal(med.data.low_stock, false);
+    assert.equal(med.data.start_date, "2027-03-01");
+    assert.equal(deleted.data, null);
+    assert.equal(walk.data.time, "2027-03-14 08:00:00");
+    assert.equal(walk.data.time_local, "2027-03-14 08:00:00");
+
+    const later = await changesSince(PATIENT, [1], "10", { viewerZone: "UTC" });
+    assert.deepEqual(later, { cursor: "10", hasMore: false, changes: [] });
+});
+
+test("pages end at the limit and resume from the returned cursor", async () => {
+    tables.medications.push(medication(1, "1"), medication(2, "4"));
+    tables.daily_tasks.push(task(3, "2"), task(4, "5"));
+    tables.sync_tombstones.push(tombstone("daily_task", 9, "3"));
+
+    const first = await changesSince(PATIENT, [1], "0", { limit: 2, viewerZone: "UTC" });
+    assert.deepEqual(summary(first.changes), ["upsert medication 1 @1", "upsert daily_task 3 @2"]);
+    assert.equal(first.cursor, "2");
+    assert.equal(first.hasMore, true);
+
+    const second = await changesSince(PATIENT, [1], first.cursor, { limit: 2, viewerZone: "UTC" });
+    assert.deepEqual(summary(second.changes), ["delete daily_task 9 @3", "upsert medication 2 @4"]);
+    assert.equal(second.hasMore, true);
+
+    const third = await changesSince(PATIENT, [1], second.cursor, { limit: 2, viewerZone: "UTC" });
+    assert.deepEqual(summary(third.changes), ["upsert daily_task 4 @5"]);
+    assert.equal(third.hasMore, false);
+});
+
+test("a caregiver who joins a care team gets the patient's earlier items", async () => {
+    tables.medications.push(medication(1, "2"));
+    tables.daily_tasks.push(task(2, "3"));
+    tables.care_team_members.push({ id: 7, patient_id: 1, caregiver_id: 2, version: "12", scopes: ["read"], patient_name: "Pat", caregiver_name: "Casey" });
+
+    const result = await changesSince(CAREGIVER, [1], "10", { viewerZone: "UTC" });
+    assert.deepEqual(summary(result.changes), ["upsert care_link 7 @12", "upsert medication 1 @2", "upsert daily_task 2 @3"]);
+    assert.deepEqual(result.changes[0].data, {
+        id: 7, patientId: 1, patientName: "Pat", caregiverId: 2, caregiverName: "Casey", scopes: ["read"], expiresAt: undefined, createdAt: undefined,
+    });
+    assert.equal(result.cursor, "12");
+});
+
+test("a removed care link reaches the caregiver as a delete", async () => {
+    tables.medications.push(medication(1, "2", 1));
+    tables.sync_tombstones.push(tombstone("care_link", 7, "14", 1, 2), tombstone("care_link", 8, "15", 3, 4));
+
+    const result = await changesSince(CAREGIVER, [], "10", { viewerZone: "UTC" });
+    assert.deepEqual(summary(result.changes), ["delete care_link 7 @14"]);
+    assert.equal(result.changes[0].patientId, 1);
+});
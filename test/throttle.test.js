@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// An in-memory login_attempts table, answering the queries throttle.js makes
+// the way Postgres would
+let attempts = [];
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+const failureCount = (rows) => ({
+    rows: [{ failures: rows.length, last_failure: rows.length > 0 ? new Date(Math.max(...rows.map((row) => row.created_at))) : null }],
+});
+
+const fakePool = {
+    query: async (sql, params = []) => {
+        if (sql.startsWith("INSERT INTO login_attempts")) {
+            attempts.push({ username: params[0], ip: params[1], succeeded: params[2], created_at: new Date() });
+            return { rows: [] };
+        }
+        if (sql.startsWith("DELETE FROM login_attempts")) {
+            attempts = attempts.filter((attempt) => attempt.created_at >= minutesAgo(params[0] * 60));
+            return { rows: [] };
+        }
+        if (sql.includes("WHERE username = $1 AND NOT succeeded")) {
+            const [username, minutes] = params;
+            const lastSuccess = Math.max(-Infinity, ...attempts.filter((a) => a.username === username && a.succeeded).map((a) => a.created_at));
+            return failureCount(attempts.filter((a) =>
+                a.username === username && !a.succeeded && a.created_at > minutesAgo(minutes) && a.created_at > lastSuccess));
+        }
+        if (sql.includes("WHERE ip = $1 AND NOT succeeded")) {
+            const [ip, minutes] = params;
+            return failureCount(attempts.filter((a) => a.ip === ip && !a.succeeded && a.created_at > minutesAgo(minutes)));
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    },
+};
+require.cache[require.resolve("../db")] = { id: "db", loaded: true, exports: fakePool };
+
+const { LOGIN_MAX_FAILURES, LOGIN_LOCKOUT_MINUTES, loginBlock, recordLoginAttempt, sendLoginBlock } = require("../throttle");
+
+const fail = async (username, ip, times) => {
+    for (let i = 0; i < times; i++) await recordLoginAttempt(username, ip, false);
+};
+
+test.beforeEach(() => {
+    attempts = [];
+});
+
+test("an account locks after too many failures in a row", async () => {
+    await fail("pat", "10.0.0.1", LOGIN_MAX_FAILURES - 1);
+    assert.equal(await loginBlock("pat", "10.0.0.1"), null);
+
+    await fail("pat", "10.0.0.1", 1);
+    const block = await loginBlock("pat", "10.0.0.2");
+    assert.equal(block.code, "ACCOUNT_LOCKED");
+    assert.ok(block.retryAfter > (LOGIN_LOCKOUT_MINUTES - 1) * 60 && block.retryAfter <= LOGIN_LOCKOUT_MINUTES * 60);
+
+    // Other accounts aren't affected
+    assert.equal(await loginBlock("sam", "10.0.0.3"), null);
+});
+
+test("a success starts the count again", async () => {
+    await fail("pat", "10.0.0.1", LOGIN_MAX_FAILURES - 1);
+    await recordLoginAttempt("pat", "10.0.0.1", true);
+    await fail("pat", "10.0.0.1", LOGIN_MAX_FAILURES - 1);
+    assert.equal(await loginBlock("pat", "10.0.0.1"), null);
+});
+
+test("the lock lifts once the lockout has passed since the last failure", async () => {
+    await fail("pat", "10.0.0.1", LOGIN_MAX_FAILURES);
+    attempts.forEach((attempt) => (attempt.created_at = minutesAgo(LOGIN_LOCKOUT_MINUTES + 1)));
+    assert.equal(await loginBlock("pat", "10.0.0.1"), null);
+});
+
+test("an address failing across many accounts is throttled", async () => {
+    for (let i = 0; i < 20; i++) await fail(`user${i}`, "10.0.0.9", 1);
+
+    const block = await loginBlock("someone-else", "10.0.0.9");
+    assert.equal(block.code, "IP_THROTTLED");
+    assert.equal(await loginBlock("someone-else", "10.0.0.10"), null);
+});
+
+test("old attempts are dropped when a failure is recorded", async () => {
+    attempts.push({ username: "pat", ip: "10.0.0.1", succeeded: false, created_at: minutesAgo(25 * 60) });
+    await fail("pat", "10.0.0.1", 1);
+    assert.equal(attempts.length, 1);
+});
+
+test("blocked logins get 429 with Retry-After", () => {
+    const sent = {};
+    const res = {
+        set: (name, value) => (sent.header = [name, value]),
+        status(code) {
+            sent.status = code;
+            return this;
+        },
+        json: (body) => (sent.body = body),
+    };
+    const block = { code: "ACCOUNT_LOCKED", error: "Too many failed logins", retryAfter: 90 };
+
+    sendLoginBlock(res, block);
+    assert.deepEqual(sent, { header: ["Retry-After", "90"], status: 429, body: block });
+});
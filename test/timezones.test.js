@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Run in UTC, as the entry points do (dates.js)
+process.env.TZ = "UTC";
+// Items are rendered with their patient's zone given, so nothing here queries
+require.cache[require.resolve("../db")] = { id: "db", loaded: true, exports: { query: async () => assert.fail("no queries expected") } };
+
+const { parseDateTime } = require("../dates");
+const { withDoseState } = require("../doses");
+const { localize } = require("../timezones");
+
+// Rows as pg reads them: TIMESTAMP and DATE columns come back as Dates
+const task = {
+    id: 1,
+    user_id: 2,
+    name: "Walk",
+    time: parseDateTime("2027-03-14 08:00:00"),
+    time_utc: new Date("2027-03-14T12:00:00.000Z"),
+};
+const appointment = { id: 3, user_id: 2, title: "Checkup", date: parseDateTime("2027-03-15"), starts_at_utc: new Date("2027-03-15T04:00:00.000Z") };
+
+test("wall clocks are written without a zone, and instants in UTC", async () => {
+    const renderedTask = JSON.parse(JSON.stringify(await localize("daily_task", task, "Europe/London", "America/New_York")));
+    assert.equal(renderedTask.time, "2027-03-14 08:00:00");
+    assert.equal(renderedTask.time_utc, "2027-03-14T12:00:00.000Z");
+    assert.equal(renderedTask.time_local, "2027-03-14 12:00:00");
+
+    const renderedAppointment = JSON.parse(JSON.stringify(await localize("appointment", appointment, "America/New_York", "America/New_York")));
+    assert.equal(renderedAppointment.date, "2027-03-15");
+    assert.equal(renderedAppointment.starts_at_utc, "2027-03-15T04:00:00.000Z");
+});
+
+test("a dose's taken_at is the patient's wall clock and recorded_at an instant", async () => {
+    const dose = withDoseState({
+        id: 4,
+        user_id: 2,
+        status: "taken",
+        scheduled_at: parseDateTime("2027-03-14 08:00:00"),
+        scheduled_at_utc: new Date("2027-03-14T12:00:00.000Z"),
+        taken_at: parseDateTime("2027-03-14 08:05:00"),
+        recorded_at: new Date("2027-03-14T12:06:00.000Z"),
+    });
+
+    const rendered = JSON.parse(JSON.stringify(await localize("dose", dose, "UTC", "America/New_York")));
+    assert.equal(rendered.scheduled_at, "2027-03-14 08:00:00");
+    assert.equal(rendered.taken_at, "2027-03-14 08:05:00");
+    assert.equal(rendered.recorded_at, "2027-03-14T12:06:00.000Z");
+    assert.equal(rendered.scheduled_at_local, "2027-03-14 12:00:00");
+});
+
+test("values already written as text are left alone", async () => {
+    const rendered = await localize("daily_task", { ...task, time: "2027-03-14 08:00:00" }, "UTC", "UTC");
+    assert.equal(rendered.time, "2027-03-14 08:00:00");
+});
+
+test("a refill's refilled_at is the patient's wall clock", async () => {
+    const refill = { id: 5, medication_id: 1, user_id: 2, quantity: 30, refilled_at: parseDateTime("2027-03-14 08:00:00"), recorded_at: new Date("2027-03-14T12:01:00.000Z") };
+
+    const rendered = JSON.parse(JSON.stringify(await localize("refill", refill, "UTC", "America/New_York")));
+    assert.equal(rendered.refilled_at, "2027-03-14 08:00:00");
+    assert.equal(rendered.refilled_at_local, "2027-03-14 12:00:00");
+    assert.equal(rendered.recorded_at, "2027-03-14T12:01:00.000Z");
+    assert.equal(rendered.timezone, "America/New_York");
+});
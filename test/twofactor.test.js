@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// twofactor.js loads db.js, which needs a connection string; nothing here connects
+process.env.DATABASE_URL = process.env.DATABASE_URL || "postgresql://localhost/test";
+const { totpCode, currentStep, matchTotp } = require("../twofactor");
+
+// The SHA-1 secret of the RFC 6238 test vectors ("12345678901234567890"), in base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const at = (seconds) => seconds * 1000;
+
+test("codes match the RFC 6238 test vectors", () => {
+    // The RFC gives 8 digits; the last 6 are the 6 digit code
+    const vectors = [[59, "287082"], [1111111109, "081804"], [1111111111, "050471"], [1234567890, "005924"], [2000000000, "279037"]];
+    for (const [seconds, code] of vectors) {
+        assert.equal(totpCode(RFC_SECRET, currentStep(at(seconds))), code, `at ${seconds}s`);
+    }
+});
+
+test("time steps are 30 seconds", () => {
+    assert.equal(currentStep(at(0)), 0);
+    assert.equal(currentStep(at(29)), 0);
+    assert.equal(currentStep(at(30)), 1);
+});
+
+test("the current code matches its step, ignoring spaces", () => {
+    const now = at(1111111109);
+    const step = currentStep(now);
+    assert.equal(matchTotp(RFC_SECRET, "081804", null, now), step);
+    assert.equal(matchTotp(RFC_SECRET, " 081 804 ", null, now), step);
+});
+
+test("codes one step either side of now are accepted for clock drift", () => {
+    const now = at(1111111109);
+    const step = currentStep(now);
+    assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 1), null, now), step - 1);
+    assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 1), null, now), step + 1);
+    assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 2), null, now), null);
+    assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 2), null, now), null);
+});
+
+test("wrong codes are rejected", () => {
+    const now = at(1111111109);
+    assert.equal(matchTotp(RFC_SECRET, "000000", null, now), null);
+    assert.equal(matchTotp(RFC_SECRET, "81804", null, now), null);
+    assert.equal(matchTotp(RFC_SECRET, "0818040", null, now), null);
+    assert.equal(matchTotp("JBSWY3DPEHPK3PXP", "081804", null, now), null);
+});
+
+test("a used step can't be replayed, but later steps still work", () => {
+    const now = at(1111111109);
+    const step = currentStep(now);
+    const code = totpCode(RFC_SECRET, step);
+
+    assert.equal(matchTotp(RFC_SECRET, code, step, now), null);
+    assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step - 1), step, now), null);
+    assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, step + 1), step, now), step + 1);
+    assert.equal(matchTotp(RFC_SECRET, code, step - 1, now), step);
+    // The last step comes back from a BIGINT column as a string
+    assert.equal(matchTotp(RFC_SECRET, code, String(step), now), null);
+});
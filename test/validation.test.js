@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// schemas.js reads limits from modules that load db.js; nothing here queries
+require.cache[require.resolve("../db")] = { id: "db", loaded: true, exports: { query: async () => assert.fail("no queries expected") } };
+
+const { validate, checkValue } = require("../validation");
+const schemas = require("../schemas");
+
+// Run a validate() middleware on a request, returning the 400 body it sent or null if it passed
+const check = (spec, req) => {
+    let sent = null;
+    const res = {
+        status(code) {
+            assert.equal(code, 400);
+            return this;
+        },
+        json(body) {
+            sent = body;
+        },
+    };
+    validate(spec)({ params: {}, query: {}, ...req }, res, () => {});
+    return sent;
+};
+
+test("appointment dates must exist on the calendar", () => {
+    assert.equal(check({ body: schemas.appointmentInput }, { body: { title: "Checkup", date: "2024-02-29" } }), null);
+
+    const sent = check({ body: schemas.appointmentInput }, { body: { title: "Checkup", date: "2024-02-31" } });
+    assert.equal(sent.code, "VALIDATION_FAILED");
+    assert.deepEqual(sent.details, [{ field: "body.date", message: "must be a date that exists on the calendar" }]);
+
+    const patched = check({ body: schemas.appointmentPatch }, { body: { date: "2024-13-01" } });
+    assert.deepEqual(patched.details, [{ field: "body.date", message: "must be a date that exists on the calendar" }]);
+});
+
+test("task times must exist on the calendar and the clock", () => {
+    assert.equal(check({ body: schemas.taskInput }, { body: { name: "Walk", time: "2024-02-28 10:00:00" } }), null);
+
+    for (const time of ["2024-02-31 10:00:00", "2024-02-28 24:00:00", "2024-02-28 10:60:00"]) {
+        const sent = check({ body: schemas.taskInput }, { body: { name: "Walk", time } });
+        assert.deepEqual(sent.details, [{ field: "body.time", message: "must be a date that exists on the calendar" }], time);
+    }
+    const patched = check({ body: schemas.taskPatch }, { body: { time: "2023-02-29 08:00:00" } });
+    assert.deepEqual(patched.details, [{ field: "body.time", message: "must be a date that exists on the calendar" }]);
+});
+
+test("a badly shaped date gets one problem, from its pattern", () => {
+    const sent = check({ body: schemas.appointmentInput }, { body: { title: "Checkup", date: "2024-2-1" } });
+    assert.deepEqual(sent.details, [{ field: "body.date", message: "must be a date as YYYY-MM-DD" }]);
+});
+
+test("dates in query strings and nested fields are checked too", () => {
+    const query = check({ query: schemas.appointmentListQuery }, { query: { from: "2024-04-31" } });
+    assert.deepEqual(query.details, [{ field: "query.from", message: "must be a date that exists on the calendar" }]);
+
+    const nested = check({ body: schemas.taskInput }, { body: { name: "Walk", time: "2024-02-28 10:00:00", exceptionDates: ["2024-03-01", "2024-02-30"] } });
+    assert.deepEqual(nested.details, [{ field: "body.exceptionDates.1", message: "must be a date that exists on the calendar" }]);
+});
+
+test("synced mutation bodies get the same date checks", () => {
+    assert.deepEqual(checkValue("data", schemas.appointmentInput, { title: "Checkup", date: "2024-02-30" }), [
+        { field: "data.date", message: "must be a date that exists on the calendar" },
+    ]);
+    assert.deepEqual(checkValue("data", schemas.appointmentInput, { title: "Checkup", date: "2024-02-28" }), []);
+});
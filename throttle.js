@@ -0,0 +1,72 @@
+const pool = require("./db");
+
+// Brute-force protection for logins. Every attempt is recorded by username
+// and client IP. An account locks after LOGIN_MAX_FAILURES failures in a row
+// (a success starts the count again) and an IP after LOGIN_IP_MAX_FAILURES
+// failures across any accounts, each until LOGIN_LOCKOUT_MINUTES have passed
+// since the last failure. Attempts turned away while locked aren't counted.
+
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const ATTEMPT_RETENTION_HOURS = 24;
+
+const secondsLeft = (lastFailure) =>
+    Math.max(1, Math.ceil((lastFailure.getTime() + LOGIN_LOCKOUT_MINUTES * 60000 - Date.now()) / 1000));
+
+// Why a login for `username` from `ip` is turned away, as { code, error,
+// retryAfter } with retryAfter in seconds, or null if it may go ahead
+const loginBlock = async (username, ip) => {
+    const account = await pool.query(
+        `SELECT COUNT(*)::int AS failures, MAX(created_at) AS last_failure FROM login_attempts
+         WHERE username = $1 AND NOT succeeded AND created_at > NOW() - make_interval(mins => $2)
+           AND created_at > COALESCE((SELECT MAX(created_at) FROM login_attempts WHERE username = $1 AND succeeded), '-infinity')`,
+        [username, LOGIN_LOCKOUT_MINUTES]
+    );
+    if (account.rows[0].failures >= LOGIN_MAX_FAILURES) {
+        const retryAfter = secondsLeft(account.rows[0].last_failure);
+        return {
+            code: "ACCOUNT_LOCKED",
+            error: `Too many failed logins for this account. Try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+            retryAfter,
+        };
+    }
+
+    const client = await pool.query(
+        `SELECT COUNT(*)::int AS failures, MAX(created_at) AS last_failure FROM login_attempts
+         WHERE ip = $1 AND NOT succeeded AND created_at > NOW() - make_interval(mins => $2)`,
+        [ip, LOGIN_LOCKOUT_MINUTES]
+    );
+    if (client.rows[0].failures >= LOGIN_IP_MAX_FAILURES) {
+        const retryAfter = secondsLeft(client.rows[0].last_failure);
+        return {
+            code: "IP_THROTTLED",
+            error: `Too many failed logins from this address. Try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+            retryAfter,
+        };
+    }
+
+    return null;
+};
+
+// Record an attempt, dropping ones too old to matter
+const recordLoginAttempt = async (username, ip, succeeded) => {
+    await pool.query("INSERT INTO login_attempts (username, ip, succeeded) VALUES ($1, $2, $3)", [username, ip, succeeded]);
+    if (!succeeded) {
+        await pool.query("DELETE FROM login_attempts WHERE created_at < NOW() - make_interval(hours => $1)", [ATTEMPT_RETENTION_HOURS]);
+    }
+};
+
+// Answer a blocked login with 429 and a Retry-After header
+const sendLoginBlock = (res, block) => {
+    res.set("Retry-After", String(block.retryAfter));
+    res.status(429).json(block);
+};
+
+module.exports = {
+    LOGIN_MAX_FAILURES,
+    LOGIN_LOCKOUT_MINUTES,
+    loginBlock,
+    recordLoginAttempt,
+    sendLoginBlock,
+};
@@ -0,0 +1,171 @@
+const pool = require("./db");
+const { formatDate, formatDateTime, parseDateTime } = require("./dates");
+const { parseDoseTimes } = require("./doses");
+
+// Users' time zones. The wall-clock values on a patient's items (dose and
+// task times, appointment dates) are in the patient's zone, and migration 013
+// stores the instants they stand for next to them. Like dates.js, a "wall
+// clock" here is a Date whose local fields read the time in some zone; an
+// instant is an ordinary Date. Responses keep the patient's wall clock and add
+// `*_local` fields rendering the same instants in the viewer's own zone.
+//
+// Responses write wall clocks as requests send them, "YYYY-MM-DD HH:mm:ss" or
+// "YYYY-MM-DD" with no zone, and instants (created_at, recorded_at, *_utc)
+// as ISO 8601 in UTC, ending in Z. Event payloads and audit copies hold rows
+// as stored, where pg's Dates make wall clocks look like UTC instants too.
+
+const DEFAULT_TIMEZONE = "UTC";
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+            timeZone,
+            hourCycle: "h23",
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// Whether Node and Postgres both know the zone (triggers convert with Postgres)
+const timeZoneExists = async (timeZone) => {
+    try {
+        formatterFor(timeZone);
+    } catch (err) {
+        return false;
+    }
+    const known = await pool.query("SELECT 1 FROM pg_timezone_names WHERE name = $1", [timeZone]);
+    return known.rows.length > 0;
+};
+
+// The wall clock in `timeZone` at `instant`
+const wallClock = (instant, timeZone) => {
+    const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(instant).map(({ type, value }) => [type, Number(value)]));
+    return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+const wallClockNow = (timeZone) => wallClock(new Date(), timeZone);
+
+const asUtcFields = (local) =>
+    Date.UTC(local.getFullYear(), local.getMonth(), local.getDate(), local.getHours(), local.getMinutes(), local.getSeconds());
+
+// The instant at which clocks in `timeZone` read `local`. A time skipped by a
+// DST change moves forward by the gap, as the patient's clock would.
+const instantAt = (local, timeZone) => {
+    const target = asUtcFields(local);
+    const offsetAt = (ms) => asUtcFields(wallClock(new Date(ms), timeZone)) - ms;
+
+    const first = target - offsetAt(target);
+    const second = target - offsetAt(first);
+    if (asUtcFields(wallClock(new Date(second), timeZone)) === target) return new Date(second);
+    return new Date(Math.max(first, second));
+};
+
+// Render an instant as "YYYY-MM-DD HH:mm:ss" in `timeZone`
+const localDateTime = (instant, timeZone) => (instant ? formatDateTime(wallClock(instant, timeZone)) : null);
+
+// Render a patient's wall clock (a Date or "YYYY-MM-DD HH:mm:ss") in the viewer's zone
+const convertWallClock = (value, fromZone, toZone) => {
+    const local = value instanceof Date ? value : parseDateTime(value);
+    return local ? formatDateTime(wallClock(instantAt(local, fromZone), toZone)) : null;
+};
+
+// A wall-clock column as responses write it; pg reads TIMESTAMP and DATE
+// columns as Dates, which JSON would write as UTC instants
+const wallClockText = (value, format) => (value instanceof Date ? format(value) : value);
+
+// Time zones of the given users, as a Map of id to zone
+const timezonesOf = async (userIds) => {
+    const result = await pool.query("SELECT id, timezone FROM users WHERE id = ANY($1::int[])", [[...new Set(userIds)]]);
+    return new Map(result.rows.map((user) => [user.id, user.timezone]));
+};
+
+const userTimezone = async (userId) => (await timezonesOf([Number(userId)])).get(Number(userId)) || DEFAULT_TIMEZONE;
+
+// How each kind of item is rendered for a viewer. `patientZone` is the zone
+// of the item's own wall-clock fields.
+const RENDERERS = {
+    // A medication's dose times as they fall today in the viewer's zone
+    medication: (medication, patientZone, viewerZone) => {
+        const times = parseDoseTimes(medication.time);
+        const today = formatDate(wallClockNow(patientZone));
+        return {
+            ...medication,
+            start_date: wallClockText(medication.start_date, formatDate),
+            timezone: patientZone,
+            time_local: times
+                ? times.map((time) => convertWallClock(`${today} ${time}`, patientZone, viewerZone).slice(11, 16)).join(", ")
+                : null,
+        };
+    },
+    dose: (dose, patientZone, viewerZone) => ({
+        ...dose,
+        timezone: patientZone,
+        scheduled_at_local: dose.scheduled_at_utc
+            ? localDateTime(dose.scheduled_at_utc, viewerZone)
+            : convertWallClock(dose.scheduled_at, patientZone, viewerZone),
+    }),
+    daily_task: (task, patientZone, viewerZone) => ({
+        ...task,
+        time: wallClockText(task.time, formatDateTime),
+        timezone: patientZone,
+        time_local: localDateTime(task.time_utc, viewerZone),
+        ...(task.next_due_at !== undefined && {
+            next_due_at_local: task.next_due_at ? convertWallClock(task.next_due_at, patientZone, viewerZone) : null,
+        }),
+    }),
+    appointment: (appointment, patientZone, viewerZone) => ({
+        ...appointment,
+        date: wallClockText(appointment.date, formatDate),
+        timezone: patientZone,
+        starts_at_local: localDateTime(appointment.starts_at_utc, viewerZone),
+    }),
+    // Measurements and measurement alerts
+    measurement: (measurement, patientZone, viewerZone) => ({
+        ...measurement,
+        measured_at: wallClockText(measurement.measured_at, formatDateTime),
+        timezone: patientZone,
+        measured_at_local: convertWallClock(measurement.measured_at, patientZone, viewerZone),
+    }),
+    refill: (refill, patientZone, viewerZone) => ({
+        ...refill,
+        refilled_at: wallClockText(refill.refilled_at, formatDateTime),
+        timezone: patientZone,
+        refilled_at_local: convertWallClock(refill.refilled_at, patientZone, viewerZone),
+    }),
+    occurrence: (occurrence, patientZone, viewerZone) => ({
+        ...occurrence,
+        timezone: patientZone,
+        occurrenceAtLocal: convertWallClock(occurrence.occurrenceAt, patientZone, viewerZone),
+    }),
+};
+
+// Render an item, or a list of items, of `kind` for a viewer in `viewerZone`.
+// The patient's zone is looked up from each item's user_id unless given.
+const localize = async (kind, items, viewerZone, patientZone = null) => {
+    const list = Array.isArray(items) ? items : [items];
+    const zones = patientZone ? null : await timezonesOf(list.map((item) => item.user_id));
+    const rendered = list.map((item) =>
+        RENDERERS[kind](item, patientZone || zones.get(item.user_id) || DEFAULT_TIMEZONE, viewerZone));
+    return Array.isArray(items) ? rendered : rendered[0];
+};
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    timeZoneExists,
+    wallClock,
+    wallClockNow,
+    instantAt,
+    localDateTime,
+    convertWallClock,
+    timezonesOf,
+    userTimezone,
+    localize,
+};
@@ -0,0 +1,197 @@
+const crypto = require("crypto");
+const pool = require("./db");
+const { hashToken, randomToken } = require("./auth");
+const { seal } = require("./fieldcrypto");
+
+// Optional two-factor authentication with time-based one-time passwords
+// (RFC 6238: HMAC-SHA1, 6 digits, 30 second steps), which any authenticator
+// app supports. Enrollment hands out the secret as an otpauth:// URI for the
+// app to show as a QR code; the stored copy is encrypted (fieldcrypto.js) and
+// db.js decrypts it as it's read. Recovery codes stand in for a lost device;
+// each works once. After a password is accepted, a short-lived challenge token
+// carries the login over to the code.
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "my-node-api";
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DRIFT_STEPS = 1; // Accept the codes either side of now, for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_MINUTES = 5;
+const CHALLENGE_MAX_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+// Recovery codes avoid characters that are easy to misread, like invite codes
+const RECOVERY_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+const base32Encode = (buffer) => {
+    let bits = "";
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+    return bits.match(/.{1,5}/g).map((chunk) => BASE32_ALPHABET[parseInt(chunk.padEnd(5, "0"), 2)]).join("");
+};
+
+const base32Decode = (text) => {
+    const bits = [...text.replace(/=+$/, "").toUpperCase()].map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, "0")).join("");
+    return Buffer.from(bits.match(/.{8}/g).map((byte) => parseInt(byte, 2)));
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The code for a time step (RFC 4226 dynamic truncation)
+const totpCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(value).padStart(TOTP_DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+// The time step `code` belongs to, or null. Steps up to `lastStep` were
+// already used and don't count again.
+const matchTotp = (secret, code, lastStep = null, now = Date.now()) => {
+    const given = Buffer.from(String(code).replace(/\s/g, ""));
+    const step = currentStep(now);
+
+    for (let candidate = step - TOTP_DRIFT_STEPS; candidate <= step + TOTP_DRIFT_STEPS; candidate++) {
+        if (lastStep !== null && candidate <= Number(lastStep)) continue;
+        const expected = Buffer.from(totpCode(secret, candidate));
+        if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return candidate;
+    }
+    return null;
+};
+
+const provisioningUri = (secret, username) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+    const params = new URLSearchParams({ secret, issuer: TOTP_ISSUER, algorithm: "SHA1", digits: String(TOTP_DIGITS), period: String(TOTP_STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+// Start (or restart) enrollment with a new secret. Two-factor stays off until
+// a code from it is confirmed with enableTwoFactor.
+const startEnrollment = async (user) => {
+    const secret = generateSecret();
+    await pool.query("UPDATE users SET totp_secret = $1, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $2", [seal(secret), user.id]);
+    return { secret, otpauthUri: provisioningUri(secret, user.username) };
+};
+
+// Check a TOTP code against the user's secret and use it up. Returns false
+// for a wrong or already used code.
+const useTotp = async (userId, code) => {
+    const user = await pool.query("SELECT totp_secret, totp_last_step FROM users WHERE id = $1", [userId]);
+    const { totp_secret: secret, totp_last_step: lastStep } = user.rows[0] || {};
+    if (!secret) return false;
+
+    const step = matchTotp(secret, code, lastStep);
+    if (step === null) return false;
+
+    // Only the first request to claim the step wins
+    const claimed = await pool.query(
+        "UPDATE users SET totp_last_step = $1 WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1) RETURNING id",
+        [step, userId]
+    );
+    return claimed.rows.length > 0;
+};
+
+// Replace the user's recovery codes, returning the new ones in plain text
+const generateRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const chars = Array.from(crypto.randomBytes(8), (byte) => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]).join("");
+        return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+    });
+
+    await pool.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+    await pool.query(
+        "INSERT INTO recovery_codes (user_id, code_hash) SELECT $1, unnest($2::text[])",
+        [userId, codes.map((code) => hashToken(code))]
+    );
+    return codes;
+};
+
+const normalizeRecoveryCode = (code) => {
+    const chars = String(code).toUpperCase().replace(/[^A-Z0-9]/g, "");
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+};
+
+// Use up a recovery code; false if it's wrong or was already used
+const useRecoveryCode = async (userId, code) => {
+    const used = await pool.query(
+        "UPDATE recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL RETURNING id",
+        [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+    return used.rows.length > 0;
+};
+
+// Check a second factor: a TOTP `code` or a `recoveryCode`
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    if (code) return useTotp(userId, code);
+    if (recoveryCode) return useRecoveryCode(userId, recoveryCode);
+    return false;
+};
+
+// Confirm enrollment with a code from the new secret; returns the recovery
+// codes, or null if the code is wrong
+const enableTwoFactor = async (userId, code) => {
+    if (!(await useTotp(userId, code))) return null;
+
+    await pool.query("UPDATE users SET totp_enabled_at = NOW() WHERE id = $1", [userId]);
+    return generateRecoveryCodes(userId);
+};
+
+const disableTwoFactor = async (userId) => {
+    await pool.query("UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1", [userId]);
+    await pool.query("DELETE FROM recovery_codes WHERE user_id = $1", [userId]);
+};
+
+const twoFactorStatus = async (userId) => {
+    const result = await pool.query(
+        `SELECT u.totp_enabled_at, COUNT(r.id) FILTER (WHERE r.used_at IS NULL)::int AS recovery_codes_left
+         FROM users u LEFT JOIN recovery_codes r ON r.user_id = u.id WHERE u.id = $1 GROUP BY u.id`,
+        [userId]
+    );
+    const { totp_enabled_at: enabledAt, recovery_codes_left: recoveryCodesLeft } = result.rows[0];
+    return { enabled: Boolean(enabledAt), enabledAt, recoveryCodesLeft };
+};
+
+// Hand out a challenge token for the second step of a login
+const createLoginChallenge = async (userId, purpose, userAgent) => {
+    const token = randomToken();
+    await pool.query(
+        `INSERT INTO login_challenges (user_id, token_hash, purpose, user_agent, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+        [userId, hashToken(token), purpose, userAgent || null, CHALLENGE_MINUTES]
+    );
+    return { challengeToken: token, expiresIn: `${CHALLENGE_MINUTES}m` };
+};
+
+// The live challenge for a token, with its user, counting this as an attempt.
+// A challenge stops working once used, expired or out of attempts.
+const findLoginChallenge = async (token) => {
+    const result = await pool.query(
+        `UPDATE login_challenges c SET attempts = attempts + 1 FROM users u
+         WHERE u.id = c.user_id AND c.token_hash = $1 AND c.used_at IS NULL AND c.expires_at > NOW() AND c.attempts < $2
+         RETURNING c.id, c.purpose, c.user_agent, u.id AS user_id, u.username, u.role, u.totp_secret, u.totp_enabled_at`,
+        [hashToken(token), CHALLENGE_MAX_ATTEMPTS]
+    );
+    return result.rows[0] || null;
+};
+
+const completeLoginChallenge = async (challengeId) => {
+    await pool.query("UPDATE login_challenges SET used_at = NOW() WHERE id = $1", [challengeId]);
+};
+
+module.exports = {
+    totpCode,
+    currentStep,
+    matchTotp,
+    startEnrollment,
+    enableTwoFactor,
+    disableTwoFactor,
+    generateRecoveryCodes,
+    verifySecondFactor,
+    twoFactorStatus,
+    createLoginChallenge,
+    findLoginChallenge,
+    completeLoginChallenge,
+};
@@ -0,0 +1,87 @@
+const Ajv = require("ajv");
+const { DATE_REGEX, DATE_TIME_REGEX, parseDateTime } = require("./dates");
+
+// Declarative request validation. Routes declare JSON Schemas for their
+// params, query string and body with validate(); the same declaration feeds
+// the OpenAPI document (see openapi.js). Params and query strings arrive as
+// text, so they're coerced to the declared types; bodies are checked as sent.
+
+// The date schemas' formats: their patterns check the shape, these that the
+// date is on the calendar, so 2024-02-31 is refused here rather than by the
+// database. A value of the wrong shape is left to the pattern.
+const formats = {
+    date: (value) => !DATE_REGEX.test(value) || parseDateTime(value) !== null,
+    "local-date-time": (value) => !DATE_TIME_REGEX.test(value) || parseDateTime(value) !== null,
+};
+
+const ajvOptions = { allErrors: true, verbose: true, allowUnionTypes: true, formats };
+const bodyAjv = new Ajv(ajvOptions);
+const textAjv = new Ajv({ ...ajvOptions, coerceTypes: true });
+
+// One { field, message } per problem, e.g. { field: "body.date", message: "must be a date as YYYY-MM-DD" }.
+// The errors from each branch of an anyOf are folded into the anyOf itself.
+const errorDetails = (location, errors) => {
+    const anyOfPaths = errors.filter((error) => error.keyword === "anyOf").map((error) => error.schemaPath);
+
+    return errors
+        .filter((error) => !anyOfPaths.some((schemaPath) => error.schemaPath.startsWith(`${schemaPath}/`)))
+        .map((error) => {
+            const path = error.instancePath.split("/").filter(Boolean).join(".");
+            const field = [location, path, error.params.missingProperty].filter(Boolean).join(".");
+
+            if (error.keyword === "required") return { field, message: "is required" };
+            if (error.keyword === "format") return { field, message: "must be a date that exists on the calendar" };
+            if (error.keyword === "enum") return { field, message: `must be one of: ${error.params.allowedValues.join(", ")}` };
+            if ((error.keyword === "pattern" || error.keyword === "anyOf") && error.parentSchema.description) {
+                return { field, message: `must be ${error.parentSchema.description}` };
+            }
+            return { field, message: error.message };
+        });
+};
+
+// Middleware checking req.params / req.query / req.body against the given
+// schemas. `summary`, `tags` and `response` only describe the route in the
+// OpenAPI document.
+const validate = (spec) => {
+    const checks = [
+        ["params", spec.params && textAjv.compile(spec.params)],
+        ["query", spec.query && textAjv.compile(spec.query)],
+        ["body", spec.body && bodyAjv.compile(spec.body)],
+    ].filter(([, check]) => check);
+
+    const middleware = (req, res, next) => {
+        const details = [];
+        for (const [location, check] of checks) {
+            if (!check(req[location] === undefined ? {} : req[location])) {
+                details.push(...errorDetails(location, check.errors));
+            }
+        }
+
+        if (details.length > 0) {
+            return res.status(400).json({
+                error: `Invalid request: ${details.map((detail) => `${detail.field} ${detail.message}`).join("; ")}`,
+                code: "VALIDATION_FAILED",
+                details,
+            });
+        }
+        next();
+    };
+
+    middleware.apiSpec = spec;
+    return middleware;
+};
+
+const valueChecks = new WeakMap();
+
+// Field-level problems with a value nested inside a request, such as the
+// body of a queued sync mutation, as { field, message } details
+const checkValue = (location, schema, value) => {
+    if (!valueChecks.has(schema)) valueChecks.set(schema, bodyAjv.compile(schema));
+    const check = valueChecks.get(schema);
+    return check(value) ? [] : errorDetails(location, check.errors);
+};
+
+module.exports = {
+    validate,
+    checkValue,
+};